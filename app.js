@@ -3,31 +3,155 @@
 
 class QuestLensRealTime {
     constructor() {
-        this.apiKeys = {
-            foursquare: 'Your Foursquare API Key'
-        };
-        
+        // All upstream calls go through the local proxy (server.js), which holds the API keys
         this.endpoints = {
-            nominatim: 'https://nominatim.openstreetmap.org/search',
-            foursquareSearch: 'https://api.foursquare.com/v3/places/search',
-            foursquarePlace: 'https://api.foursquare.com/v3/places'
+            geocode: '/api/geocode',
+            reverseGeocode: '/api/reverse',
+            suggest: '/api/suggest',
+            placesSearch: '/api/places/search',
+            placeDetails: '/api/places',
+            overpass: '/api/overpass',
+            serverConfig: '/api/config',
+            llmChat: '/api/llm/chat'
         };
 
-        // Foursquare category mappings
-        this.foursquareCategories = {
-            "restaurants": ["13000", "13001", "13002", "13003", "13004", "13005"],
-            "coffee": ["13032", "13033", "13034", "13035"],
-            "museums": ["12047", "12048", "12049"],
-            "attractions": ["12000", "12001", "12002", "12003"],
-            "hotels": ["19014", "19015", "19016"],
-            "shopping": ["17000", "17001", "17002", "17003"],
-            "nightlife": ["10000", "10001", "10002"],
-            "parks": ["16032", "16033", "16034"]
+        this.config = {
+            placesProvider: localStorage.getItem('questlens.placesProvider') || 'foursquare',
+            // Sources tried after the selected provider, in order
+            fallbackChain: ['foursquare', 'osm', 'cache', 'demo'],
+            // Query understanding falls back to the keyword parser after this long
+            llmTimeout: 12000,
+            // How long to wait for the device's position
+            geolocationTimeout: 10000,
+            // Pause in typing before location suggestions are fetched
+            suggestDelay: 350,
+            // Place detail drawer: photos to load, and how far around a place and how many places "Nearby" lists
+            drawerPhotoLimit: 10,
+            nearbyRadius: 500,
+            nearbyLimit: 5,
+            // Tune ranking here; see services/place-ranker.js
+            rankingWeights: { ...RANKING_WEIGHTS }
         };
 
+        // UI language, number formats and distance units (services/i18n.js); a language or units picked in
+        // the header are remembered, otherwise they follow the browser
+        this.i18n = new Translator({
+            locale: localStorage.getItem('questlens.locale') || Translator.detectLocale(navigator.languages || [navigator.language]),
+            units: localStorage.getItem('questlens.units')
+        });
+
+        // Pluggable places providers (services/places-providers.js)
+        this.providers = createPlacesProviders({
+            fetchJson: (url, options) => this.fetchJson(url, options),
+            endpoints: this.endpoints,
+            language: () => this.i18n.language,
+            t: (key, values) => this.t(key, values)
+        });
+
+        // Persistent response cache (services/response-cache.js)
+        this.responseCache = new ResponseCache({ log: (message, data) => this.log(message, data) });
+        this.responseCache.onRevalidate = (endpoint, key, value) => this.handleCacheRevalidated(endpoint, key, value);
+        this.recentResults = new RecentResultsStore(this.responseCache);
+
+        // Location suggestions and geocoding candidates (services/location-search.js)
+        this.locationSearch = new LocationSearch({
+            fetchJson: (url, options) => this.fetchJson(url, options),
+            endpoints: this.endpoints
+        });
+        // Its vocabulary follows the UI language; see applyLocale()
+        this.queryParser = new QueryParser();
+        // Set by loadServerConfig() when the proxy has an LLM endpoint (services/llm-query-engine.js)
+        this.llmEngine = null;
+
+        // Client-side ranking of whatever the provider returned (services/place-ranker.js)
+        this.ranker = new PlaceRanker({
+            weights: this.config.rankingWeights,
+            intentTerms: QUERY_VOCABULARY.intents,
+            hoursStatus: (place, searchParams) => this.getHoursStatus(place, searchParams.visitAt)
+        });
+        this.rankings = new Map();
+        this.currentSearchParams = null;
+        // In-memory filter and sort over the current results (services/result-filters.js)
+        this.resultFilter = new ResultFilter();
+
+        // Search state mirrored in the URL (services/url-state.js)
+        this.urlState = new SearchUrlState({ filterDefaults: RESULT_FILTER_DEFAULTS });
+        this.searchInput = null; // { location, query, provider } of the latest search
+        this.pendingUrlState = null; // filters, view and place to restore once a URL's search has results
+        this.selectedPlaceId = null;
+
+        // Saved places, collections and search history (services/library-store.js)
+        this.library = new LibraryStore({ log: (message, data) => this.log(message, data) });
+        this.savedPlaceIndex = new Map(); // place id -> ids of the collections holding it
+        this.savingPlace = null;
+
+        // Map tiles cached by the service worker (sw.js, services/offline-maps.js) and areas saved for offline use
+        this.offlineMaps = new OfflineMaps();
+        this.isDownloadingArea = false;
+
+        // Ordered stops for a day plan (services/itinerary-planner.js); stops keep their place snapshot
+        this.itineraryPlanner = new ItineraryPlanner(ITINERARY_DEFAULTS, { hoursOf: place => OpeningHours.forPlace(place) });
+        this.itinerary = { stops: [], startTime: ITINERARY_DEFAULTS.startTime, endTime: ITINERARY_DEFAULTS.endTime };
+        this.itineraryLayer = null;
+
+        // Places ticked for side-by-side comparison (services/place-comparison.js), kept as snapshots.
+        // The comparison is built by applyLocale(), as its labels are translated.
+        this.comparison = null;
+        this.comparePlaces = [];
+
+        // File export and import (services/place-export.js); imports become map overlays
+        this.exporter = new PlaceExporter();
+        this.importer = new PlaceImporter();
+        this.layersControl = null;
+        this.lastSearch = null;
+        // Every URL the latest search fetched, from the moment it starts; stale cached ones are refreshed in the background
+        this.searchUrls = new Set();
+
+        // Every request goes through the scheduler (services/request-scheduler.js)
+        this.scheduler = new RequestScheduler({
+            concurrency: 4,
+            hostLimits: [
+                // Nominatim's usage policy allows at most one request per second
+                { host: 'nominatim.openstreetmap.org', prefix: this.endpoints.geocode, minInterval: 1000 },
+                { host: 'nominatim.openstreetmap.org', prefix: this.endpoints.reverseGeocode, minInterval: 1000 },
+                { host: 'photon.komoot.io', prefix: this.endpoints.suggest, minInterval: 200 },
+                { host: 'overpass-api.de', prefix: this.endpoints.overpass, minInterval: 1000 },
+                { host: 'api.foursquare.com', prefix: this.endpoints.placeDetails, minInterval: 100 }
+            ],
+            log: (message, data) => this.log(message, data)
+        });
+        this.currentJob = null;
+        this.jobCounter = 0;
+
         this.map = null;
+        this.dataSourceElement = null;
         this.markers = [];
+        this.markersById = new Map();
+        // Clustered, category-styled markers (services/marker-styles.js); categories can be hidden from the legend
+        this.markerStyler = new MarkerStyler({ intentTerms: QUERY_VOCABULARY.intents });
+        this.markerLayer = null;
+        this.legendElement = null;
+        this.hiddenCategories = new Set();
+        this.currentPlaces = [];
         this.currentLocation = null;
+        // Search origin from "Use my location" or the dragged origin pin: { lat, lon, label }.
+        // It applies while the location field still shows its label.
+        this.origin = null;
+        this.originLookup = null; // AbortController of the reverse geocode for a dragged origin pin
+        this.originMarker = null;
+        // Place picked from the location suggestions or the "which one?" chooser; same rule as origin
+        this.chosenLocation = null;
+        this.locationSuggestions = [];
+        // Error panel state: consecutive retries (for backoff), countdown timers and the pending online retry
+        this.retryCount = 0;
+        this.errorTimers = [];
+        this.onlineRetry = null;
+        this.shownError = null;
+        // Detail drawer state; drawerJob cancels the lazy loads of the place shown before
+        this.drawerPlace = null;
+        this.drawerJob = null;
+        this.drawerPhotos = [];
+        this.drawerPhotoIndex = 0;
         this.requestTimeout = 10000;
         this.isDebugMode = true;
         
@@ -36,12 +160,219 @@ class QuestLensRealTime {
 
     initialize() {
         this.log('Initializing QuestLens Real-time...');
+        this.setupLocale();
         this.initializeMap();
         this.bindEvents();
         this.setupSampleQueries();
+        this.setupProviderSelect();
+        this.setupLocationSuggest();
+        this.setupResultFilters();
+        this.setupLibrary();
+        this.setupItinerary();
+        this.setupComparison();
+        this.setupExportImport();
+        this.setupOffline();
+        this.setupPlaceDrawer();
+        this.serverConfigReady = this.loadServerConfig();
+        this.setupHistory();
         this.log('QuestLens Real-time initialized successfully');
     }
 
+    // Language and units pickers in the header. The page is translated here, before anything else renders.
+    setupLocale() {
+        const localeSelect = document.getElementById('localeSelect');
+        localeSelect.replaceChildren(...Object.entries(I18N_LOCALES).map(([language, { label }]) => new Option(label, language)));
+        localeSelect.value = this.i18n.language;
+        localeSelect.addEventListener('change', () => {
+            // Keep the browser's region for the picked language, so "es" on an es-MX browser stays es-MX
+            const language = localeSelect.value;
+            const locale = (navigator.languages || []).find(tag => tag.split('-')[0].toLowerCase() === language) || language;
+            localStorage.setItem('questlens.locale', locale);
+            this.i18n.setLocale(locale);
+            this.applyLocale();
+            this.refreshLocalizedViews();
+        });
+
+        const unitsSelect = document.getElementById('unitsSelect');
+        unitsSelect.value = this.i18n.unitsOverride || '';
+        unitsSelect.addEventListener('change', () => {
+            if (unitsSelect.value) {
+                localStorage.setItem('questlens.units', unitsSelect.value);
+            } else {
+                localStorage.removeItem('questlens.units');
+            }
+            this.i18n.setUnits(unitsSelect.value);
+            this.applyLocale();
+            this.refreshLocalizedViews();
+        });
+
+        this.applyLocale();
+    }
+
+    // The page's static text and direction, and the services that take translated labels or the query vocabulary
+    applyLocale() {
+        document.documentElement.lang = this.i18n.locale;
+        document.documentElement.dir = this.i18n.direction;
+        this.i18n.translateDocument();
+        document.querySelectorAll('#filterMaxDistance option').forEach(option => {
+            if (option.value) {
+                option.textContent = this.i18n.formatDistance(parseFloat(option.value));
+            }
+        });
+
+        // Queries may mix the UI language with English, so the vocabulary always includes English
+        const vocabulary = vocabularyFor(this.i18n.language);
+        this.queryParser.vocabulary = vocabulary;
+        this.ranker.intentTerms = vocabulary.intents;
+        this.markerStyler = new MarkerStyler({ intentTerms: vocabulary.intents });
+        this.comparison = new PlaceComparison({
+            distanceKm: place => (this.currentLocation ? this.ranker.distanceKm(this.currentLocation, place) : null),
+            hoursStatus: place => {
+                const status = this.getHoursStatus(place);
+                return status && { ...status, text: this.describeHours(status) };
+            },
+            formatRating: rating => this.formatRating(rating),
+            formatDistance: km => this.i18n.formatDistance(km),
+            labels: Object.fromEntries(Object.keys(COMPARISON_LABELS).map(key => [key, this.t(`compare.${key}`)])),
+            amenityLabels: Object.fromEntries(Object.keys(AMENITY_LABELS).map(amenity => [amenity, this.t(`amenity.${amenity}`)])),
+            priceLabels: PRICE_TIER_LABELS.map((label, index) => this.t(`price.${index + 1}`))
+        });
+    }
+
+    // Redraw what is on screen in the new language or units; results already loaded aren't fetched again
+    refreshLocalizedViews() {
+        this.updateConnectionStatus();
+        if (this.dataSource) {
+            this.updateDataSourceControl(this.dataSource.kind, this.dataSource.label);
+        }
+        this.refreshLibrary();
+        this.renderItinerary();
+        this.renderCompareTray();
+        this.syncFilterForm();
+        this.applyResultFilters();
+        this.renderLegend(this.currentPlaces);
+        this.markersById.forEach((marker, id) => {
+            const place = this.currentPlaces.find(candidate => candidate.id === id);
+            if (place) {
+                marker.setPopupContent(this.createRealTimePopupContent(place));
+            }
+        });
+    }
+
+    // A URL with a location and query re-runs that search; back/forward step through searches
+    setupHistory() {
+        window.addEventListener('popstate', () => this.restoreFromUrl());
+        this.map.on('moveend', () => this.syncUrl());
+        // Wait for the server config so a linked search gets the same query engine as a typed one
+        this.serverConfigReady.then(() => this.restoreFromUrl());
+    }
+
+    restoreFromUrl() {
+        const state = this.urlState.decode(window.location.search);
+        if (!state) {
+            // Back to the page before any search
+            this.cancelSearch();
+            this.hideResults();
+            this.originMarker?.remove();
+            this.searchInput = null;
+            return;
+        }
+
+        // Same results already on screen: only the view changed
+        if (!this.currentJob && this.lastSearch && this.urlState.isSameSearch(state, this.searchInput)) {
+            this.applyUrlView(state);
+            return;
+        }
+
+        document.getElementById('locationInput').value = state.location;
+        document.getElementById('queryInput').value = state.query;
+        document.getElementById('visitAtInput').value = state.visitAt || '';
+        this.origin = state.origin ? { ...state.origin, label: state.location } : null;
+        if (state.provider && this.providers[state.provider]) {
+            this.config.placesProvider = state.provider;
+            document.getElementById('providerSelect').value = state.provider;
+        }
+
+        this.pendingUrlState = state;
+        document.getElementById('questForm').requestSubmit();
+    }
+
+    // Restore the parts of a URL that only make sense once its results are on screen
+    applyUrlView(state) {
+        this.resultFilter.reset();
+        this.resultFilter.set(state.filters);
+        this.syncFilterForm();
+        this.applyResultFilters();
+
+        if (state.view) {
+            this.map.setView([state.view.lat, state.view.lon], state.view.zoom);
+        }
+
+        const marker = state.placeId && this.markersById.get(state.placeId);
+        this.selectPlace(marker && this.markerLayer.hasLayer(marker) ? state.placeId : null, { openPopup: true });
+    }
+
+    // New searches get their own history entry; a new one is pushed unless the URL already describes it
+    recordSearchInUrl() {
+        if (this.pendingUrlState) {
+            return;
+        }
+
+        const current = this.urlState.decode(window.location.search);
+        const url = this.urlState.encode(this.searchInput);
+        if (this.urlState.isSameSearch(current, this.searchInput)) {
+            history.replaceState(null, '', url);
+        } else {
+            history.pushState(null, '', url);
+        }
+    }
+
+    // Filters, map moves and place selection update the current entry instead of adding one
+    syncUrl() {
+        if (!this.searchInput || this.pendingUrlState) {
+            return;
+        }
+
+        const center = this.map.getCenter();
+        const url = this.urlState.encode({
+            ...this.searchInput,
+            filters: this.resultFilter.state,
+            view: { lat: center.lat, lon: center.lng, zoom: this.map.getZoom() },
+            placeId: this.selectedPlaceId
+        });
+        if (url !== window.location.search) {
+            history.replaceState(null, '', url);
+        }
+    }
+
+    // Optional features the proxy advertises; without them the app runs on keywords alone
+    async loadServerConfig() {
+        try {
+            const response = await fetch(this.endpoints.serverConfig, { headers: { 'Accept': 'application/json' } });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const serverConfig = await response.json();
+
+            if (serverConfig.llm?.enabled) {
+                this.llmEngine = new LlmQueryEngine({
+                    endpoint: this.endpoints.llmChat,
+                    model: serverConfig.llm.model,
+                    timeout: this.config.llmTimeout,
+                    fallbackParser: this.queryParser,
+                    log: (message, data) => this.log(message, data)
+                });
+                this.log('LLM query understanding enabled', serverConfig.llm.model);
+            }
+        } catch (error) {
+            this.log('Server config unavailable, using keyword parser', error.message);
+        }
+    }
+
+    t(key, values) {
+        return this.i18n.t(key, values);
+    }
+
     log(message, data = null) {
         if (this.isDebugMode) {
             console.log(`[QuestLens] ${message}`, data || '');
@@ -52,29 +383,150 @@ class QuestLensRealTime {
     initializeMap() {
         this.map = L.map('map').setView([48.8566, 2.3522], 2);
         
-        L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-            attribution: '© OpenStreetMap contributors | Real-time data by Foursquare',
-            maxZoom: 19
+        // CORS tile requests, so the service worker can cache real responses rather than opaque ones
+        L.tileLayer(OFFLINE_MAP_DEFAULTS.tileUrl, {
+            attribution: '© OpenStreetMap contributors',
+            maxZoom: 19,
+            crossOrigin: true
         }).addTo(this.map);
 
         // Add custom control for data source
         const dataSourceControl = L.control({position: 'bottomright'});
-        dataSourceControl.onAdd = function(map) {
+        dataSourceControl.onAdd = (map) => {
             const div = L.DomUtil.create('div', 'map-data-source');
-            div.innerHTML = `
-                <div style="background: rgba(255,255,255,0.9); padding: 8px; border-radius: 6px; font-size: 12px;">
-                    <i class="fas fa-wifi" style="color: #28a745;"></i>
-                    <strong>Live Data</strong> from Foursquare API
-                </div>
-            `;
+            this.dataSourceElement = div;
+            this.updateDataSourceControl('live', this.getActiveProvider().label);
             return div;
         };
         dataSourceControl.addTo(this.map);
+
+        this.markerLayer = L.markerClusterGroup({ showCoverageOnHover: false, maxClusterRadius: 45 }).addTo(this.map);
+
+        // Legend doubles as the per-category layer toggle
+        const legendControl = L.control({ position: 'bottomleft' });
+        legendControl.onAdd = () => {
+            const div = L.DomUtil.create('div', 'map-legend hidden');
+            L.DomEvent.disableClickPropagation(div);
+            L.DomEvent.disableScrollPropagation(div);
+            div.addEventListener('change', (e) => {
+                const category = e.target.value;
+                if (e.target.checked) {
+                    this.hiddenCategories.delete(category);
+                } else {
+                    this.hiddenCategories.add(category);
+                }
+                this.updateMarkerVisibility(this.getVisiblePlaces());
+            });
+            this.legendElement = div;
+            return div;
+        };
+        legendControl.addTo(this.map);
+    }
+
+    // One toggle per category present in the results, with its marker style and count
+    renderLegend(places) {
+        const counts = new Map();
+        places.forEach(place => {
+            const category = this.markerStyler.categoryOf(place);
+            counts.set(category, (counts.get(category) || 0) + 1);
+        });
+
+        this.legendElement.classList.toggle('hidden', counts.size === 0);
+        const hasSample = places.some(place => this.getPlaceSource(place).kind === 'sample');
+        setHtml(this.legendElement, html`
+            <div class="map-legend-title">${this.t('map.legendTitle')}</div>
+            ${Object.entries(MARKER_CATEGORIES).filter(([key]) => counts.has(key)).map(([key, category]) => html`
+            <label class="map-legend-item">
+                <input type="checkbox" value="${key}" ${this.hiddenCategories.has(key) ? '' : html`checked`}>
+                <span class="place-marker place-marker--${key} place-marker--legend"><i class="fas fa-${category.icon}"></i></span>
+                ${this.t(`category.${key}`)} (${this.i18n.formatNumber(counts.get(key))})
+            </label>`)}
+            ${hasSample && html`<div class="map-legend-note"><span class="place-marker place-marker--other place-marker--sample place-marker--legend"></span> ${this.t('map.legendDemo')}</div>`}
+        `);
+    }
+
+    // Clustered markers may be hidden inside a cluster; expand it before opening the popup
+    openMarkerPopup(marker) {
+        this.markerLayer.zoomToShowLayer(marker, () => marker.openPopup());
+    }
+
+    updateDataSourceControl(kind, sourceLabel) {
+        // Remembered so a language change can redraw it
+        this.dataSource = { kind, label: sourceLabel };
+        if (!this.dataSourceElement) {
+            return;
+        }
+        setHtml(this.dataSourceElement, html`
+            <div class="map-data-source-panel">
+                <i class="fas fa-${kind === 'live' ? 'wifi' : 'database'} map-data-source-icon ${kind}"></i>
+                <strong>${this.t(`source.${kind}Data`)}</strong> ${this.t('source.from', { source: sourceLabel })}
+            </div>
+        `);
     }
 
     bindEvents() {
         const form = document.getElementById('questForm');
         form.addEventListener('submit', (e) => this.handleFormSubmit(e));
+        document.getElementById('cancelSearchBtn').addEventListener('click', () => this.cancelSearch());
+        document.getElementById('useLocationBtn').addEventListener('click', () => this.useDeviceLocation());
+        document.getElementById('dismissErrorBtn').addEventListener('click', () => this.hideError());
+        // Typing over the device location's label goes back to geocoding the text
+        document.getElementById('locationInput').addEventListener('input', (e) => {
+            if (this.origin && e.target.value.trim() !== this.origin.label) {
+                document.getElementById('locationStatus').classList.add('hidden');
+            }
+        });
+
+        // Cards are re-rendered as details arrive, so clicks are delegated from the list
+        document.getElementById('placesList').addEventListener('click', (e) => {
+            const saveButton = e.target.closest('.save-place-btn');
+            if (saveButton) {
+                this.openSaveDialog(saveButton.dataset.placeId);
+                return;
+            }
+            const itineraryButton = e.target.closest('.itinerary-add-btn');
+            if (itineraryButton) {
+                this.toggleItineraryStop(itineraryButton.dataset.placeId);
+                return;
+            }
+            // Opening the score breakdown, ticking a place for comparison or following a link shouldn't move the map
+            if (e.target.closest('.score-breakdown, .compare-toggle, a')) {
+                return;
+            }
+            const card = e.target.closest('.place-card');
+            const place = card && this.currentPlaces.find(candidate => candidate.id === card.dataset.placeId);
+            if (place) {
+                this.focusOnPlace(place);
+                this.openPlaceDrawer(place);
+            }
+        });
+
+        // Hovering a card highlights its marker, or the cluster it is in
+        document.getElementById('placesList').addEventListener('mouseover', (e) => {
+            const card = e.target.closest('.place-card');
+            this.highlightMarker(card ? card.dataset.placeId : null);
+        });
+        document.getElementById('placesList').addEventListener('mouseleave', () => this.highlightMarker(null));
+
+        const searchAreaBtn = document.getElementById('searchAreaBtn');
+        L.DomEvent.disableClickPropagation(searchAreaBtn);
+        searchAreaBtn.addEventListener('click', () => this.searchMapArea());
+        // Offered once the user has moved the map away from the searched area
+        this.map.on('dragend', () => {
+            searchAreaBtn.classList.toggle('hidden', !this.searchInput || Boolean(this.currentJob));
+        });
+    }
+
+    // Re-run the current query for what is on screen: the map centre, out to its corners
+    searchMapArea() {
+        if (!this.searchInput) {
+            return;
+        }
+        const center = this.map.getCenter();
+        const radius = Math.min(50000, Math.max(100, Math.round(this.map.distance(center, this.map.getBounds().getNorthEast()))));
+        this.runSearch(this.searchInput.location, this.searchInput.query, {
+            area: { lat: center.lat, lon: center.lng, radius }
+        });
     }
 
     setupSampleQueries() {
@@ -83,38 +535,1078 @@ class QuestLensRealTime {
             tag.addEventListener('click', () => {
                 const query = tag.getAttribute('data-query');
                 document.getElementById('queryInput').value = query;
+
+                // With a location already entered, a sample tag starts (and supersedes) a search
+                const location = document.getElementById('locationInput').value.trim();
+                if (location) {
+                    this.runSearch(location, query);
+                }
+            });
+        });
+    }
+
+    setupProviderSelect() {
+        const select = document.getElementById('providerSelect');
+        if (!this.providers[this.config.placesProvider]) {
+            this.config.placesProvider = 'foursquare';
+        }
+        select.value = this.config.placesProvider;
+        select.addEventListener('change', () => {
+            this.config.placesProvider = select.value;
+            localStorage.setItem('questlens.placesProvider', select.value);
+            this.updateDataSourceControl('live', this.getActiveProvider().label);
+            this.log('Places provider changed', select.value);
+        });
+    }
+
+    // Filters only re-render what is already loaded; they never start a search
+    setupResultFilters() {
+        const form = document.getElementById('resultFilters');
+        form.addEventListener('change', () => {
+            this.resultFilter.set(this.readFilterForm());
+            this.applyResultFilters();
+            this.syncUrl();
+        });
+        form.addEventListener('submit', (e) => e.preventDefault());
+        form.addEventListener('reset', (e) => {
+            e.preventDefault();
+            this.resultFilter.reset();
+            this.syncFilterForm();
+            this.applyResultFilters();
+            this.syncUrl();
+        });
+    }
+
+    readFilterForm() {
+        const maxDistance = document.getElementById('filterMaxDistance').value;
+        return {
+            minRating: parseFloat(document.getElementById('filterMinRating').value) || 0,
+            maxDistanceKm: maxDistance ? parseFloat(maxDistance) : null,
+            category: document.getElementById('filterCategory').value,
+            openNow: document.getElementById('filterOpenNow').checked,
+            hasPhone: document.getElementById('filterHasPhone').checked,
+            hasWebsite: document.getElementById('filterHasWebsite').checked,
+            source: document.getElementById('filterSource').value,
+            sort: document.getElementById('sortResults').value
+        };
+    }
+
+    // Reflect the filter state in the form; category options come from the current results
+    syncFilterForm() {
+        const state = this.resultFilter.state;
+        const categorySelect = document.getElementById('filterCategory');
+        const categories = this.resultFilter.categoriesOf(this.currentPlaces);
+        categorySelect.replaceChildren(new Option(this.t('filters.all'), ''), ...categories.map(category => new Option(category, category)));
+
+        document.getElementById('filterMinRating').value = String(state.minRating);
+        document.getElementById('filterMaxDistance').value = state.maxDistanceKm === null ? '' : String(state.maxDistanceKm);
+        categorySelect.value = categories.includes(state.category) ? state.category : '';
+        document.getElementById('filterOpenNow').checked = state.openNow;
+        document.getElementById('filterHasPhone').checked = state.hasPhone;
+        document.getElementById('filterHasWebsite').checked = state.hasWebsite;
+        document.getElementById('filterSource').value = state.source;
+        document.getElementById('sortResults').value = state.sort;
+    }
+
+    getVisiblePlaces() {
+        return this.resultFilter.apply(this.currentPlaces, {
+            rankings: this.rankings,
+            sourceOf: place => this.getPlaceSource(place).kind,
+            // The "Open now" filter means now, whatever time the search was for
+            isOpen: place => this.getHoursStatus(place, null)?.open ?? place.hours?.openNow ?? null
+        });
+    }
+
+    applyResultFilters() {
+        const visible = this.renderPlacesList();
+        this.updateMarkerVisibility(visible);
+    }
+
+    // Hidden places keep their markers in markersById; they are just taken out of the cluster layer.
+    // Legend toggles hide categories on the map only; the list still follows the filter bar.
+    updateMarkerVisibility(visiblePlaces) {
+        const visibleIds = new Set(visiblePlaces
+            .filter(place => !this.hiddenCategories.has(this.markerStyler.categoryOf(place)))
+            .map(place => place.id));
+        this.markersById.forEach((marker, id) => {
+            if (visibleIds.has(id) && !this.markerLayer.hasLayer(marker)) {
+                this.markerLayer.addLayer(marker);
+            } else if (!visibleIds.has(id) && this.markerLayer.hasLayer(marker)) {
+                this.markerLayer.removeLayer(marker);
+            }
+        });
+    }
+
+    setupLibrary() {
+        document.getElementById('createCollectionBtn').addEventListener('click', () => this.createCollectionFromDialog());
+        document.getElementById('newCollectionName').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.createCollectionFromDialog();
+            }
+        });
+        document.getElementById('saveDialogCollections').addEventListener('change', (e) => this.toggleSavedPlace(e.target));
+        document.getElementById('clearHistoryBtn').addEventListener('click', async () => {
+            try {
+                await this.library.clearSearches();
+            } catch (error) {
+                this.reportLibraryError('libraryStatus', error);
+                return;
+            }
+            this.refreshLibrary();
+        });
+
+        // Popups are rendered by Leaflet, so their buttons are delegated from the map container
+        this.map.getContainer().addEventListener('click', (e) => {
+            const saveButton = e.target.closest('.save-place-btn');
+            if (saveButton) {
+                this.openSaveDialog(saveButton.dataset.placeId);
+                return;
+            }
+            const detailsButton = e.target.closest('.place-drawer-btn');
+            const place = detailsButton && this.currentPlaces.find(candidate => candidate.id === detailsButton.dataset.placeId);
+            if (place) {
+                this.openPlaceDrawer(place);
+            }
+        });
+
+        this.refreshLibrary();
+    }
+
+    // Reload collections, history and offline areas from IndexedDB and redraw the library panel
+    async refreshLibrary() {
+        try {
+            const [collections, searches, savedPlaceIndex, areas] = await Promise.all([
+                this.library.listCollections(),
+                this.library.listSearches(),
+                this.library.getSavedPlaceIndex(),
+                this.library.listAreas()
+            ]);
+            this.savedPlaceIndex = savedPlaceIndex;
+            document.getElementById('libraryStatus').textContent = '';
+            this.renderCollections(collections);
+            this.renderSearchHistory(searches);
+            this.renderOfflineAreas(areas);
+            return collections;
+        } catch (error) {
+            this.log('Library unavailable', error.message);
+            return [];
+        }
+    }
+
+    // Collection names and past queries are user text, so these lists are built with textContent
+    renderCollections(collections) {
+        const list = document.getElementById('collectionsList');
+        list.replaceChildren();
+        this.renderExportSources(collections);
+
+        if (collections.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'library-empty';
+            empty.textContent = this.t('library.emptyCollections');
+            list.append(empty);
+            return;
+        }
+
+        collections.forEach(collection => {
+            const item = document.createElement('li');
+            item.className = 'library-item';
+
+            const show = document.createElement('button');
+            show.type = 'button';
+            show.className = 'library-item-main';
+            show.title = this.t('library.showOnMap');
+            show.textContent = collection.name;
+            const count = document.createElement('span');
+            count.className = 'library-item-meta';
+            count.textContent = this.t('library.placeCount', { count: collection.placeIds.length });
+            show.append(count);
+            show.addEventListener('click', () => this.showCollection(collection.id));
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'library-item-action';
+            remove.title = this.t('library.deleteCollection', { name: collection.name });
+            setHtml(remove, html`<i class="fas fa-trash"></i>`);
+            remove.addEventListener('click', async () => {
+                if (!window.confirm(this.t('library.confirmDeleteCollection', { name: collection.name }))) {
+                    return;
+                }
+                try {
+                    await this.library.deleteCollection(collection.id);
+                } catch (error) {
+                    this.reportLibraryError('libraryStatus', error);
+                    return;
+                }
+                await this.refreshLibrary();
+                this.renderPlacesList();
+            });
+
+            item.append(show, remove);
+            list.append(item);
+        });
+    }
+
+    renderExportSources(collections) {
+        const select = document.getElementById('exportSource');
+        const selected = select.value;
+        select.replaceChildren(new Option(this.t('transfer.currentResults'), 'results'));
+        collections.forEach(collection => select.append(new Option(this.t('library.collection', { name: collection.name }), collection.id)));
+        select.value = [...select.options].some(option => option.value === selected) ? selected : 'results';
+    }
+
+    renderSearchHistory(searches) {
+        const list = document.getElementById('searchHistoryList');
+        list.replaceChildren();
+        document.getElementById('clearHistoryBtn').classList.toggle('hidden', searches.length === 0);
+
+        if (searches.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'library-empty';
+            empty.textContent = this.t('library.emptyHistory');
+            list.append(empty);
+            return;
+        }
+
+        searches.forEach(search => {
+            const item = document.createElement('li');
+            item.className = 'library-item';
+
+            const run = document.createElement('button');
+            run.type = 'button';
+            run.className = 'library-item-main';
+            run.textContent = `${search.query} — ${search.location}`;
+            const meta = document.createElement('span');
+            meta.className = 'library-item-meta';
+            meta.textContent = `${this.t('library.placeCount', { count: search.resultCount })} · ${this.i18n.formatDate(search.searchedAt)}`;
+            run.append(meta);
+            run.addEventListener('click', () => {
+                document.getElementById('locationInput').value = search.location;
+                document.getElementById('queryInput').value = search.query;
+                if (this.providers[search.provider]) {
+                    this.config.placesProvider = search.provider;
+                    document.getElementById('providerSelect').value = search.provider;
+                }
+                this.runSearch(search.location, search.query);
+            });
+
+            item.append(run);
+            list.append(item);
+        });
+    }
+
+    async openSaveDialog(placeId) {
+        const place = this.currentPlaces.find(candidate => candidate.id === placeId);
+        if (!place) {
+            return;
+        }
+
+        this.savingPlace = place;
+        document.getElementById('saveDialogPlace').textContent = place.name;
+        document.getElementById('newCollectionName').value = '';
+        document.getElementById('saveDialogStatus').textContent = '';
+        this.renderSaveDialogCollections(await this.refreshLibrary());
+        document.getElementById('saveDialog').showModal();
+    }
+
+    renderSaveDialogCollections(collections) {
+        const container = document.getElementById('saveDialogCollections');
+        const savedIn = this.savedPlaceIndex.get(this.savingPlace.id) || [];
+        container.replaceChildren();
+
+        collections.forEach(collection => {
+            const label = document.createElement('label');
+            label.className = 'filter-check';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = collection.id;
+            checkbox.checked = savedIn.includes(collection.id);
+            label.append(checkbox, ` ${collection.name}`);
+            container.append(label);
+        });
+    }
+
+    async toggleSavedPlace(checkbox) {
+        if (!this.savingPlace) {
+            return;
+        }
+
+        try {
+            if (checkbox.checked) {
+                await this.library.addToCollection(checkbox.value, this.savingPlace);
+            } else {
+                await this.library.removeFromCollection(checkbox.value, this.savingPlace.id);
+            }
+        } catch (error) {
+            // The box shows what is actually stored
+            checkbox.checked = !checkbox.checked;
+            this.reportLibraryError('saveDialogStatus', error);
+            return;
+        }
+        await this.refreshLibrary();
+        this.updateSavedState(this.savingPlace);
+    }
+
+    async createCollectionFromDialog() {
+        const input = document.getElementById('newCollectionName');
+        if (!this.savingPlace || !input.value.trim()) {
+            return;
+        }
+
+        try {
+            const collection = await this.library.createCollection(input.value);
+            await this.library.addToCollection(collection.id, this.savingPlace);
+        } catch (error) {
+            this.reportLibraryError('saveDialogStatus', error);
+            return;
+        }
+        input.value = '';
+        this.renderSaveDialogCollections(await this.refreshLibrary());
+        this.updateSavedState(this.savingPlace);
+    }
+
+    // IndexedDB writes fail on a full quota, a blocked upgrade or in some private modes
+    reportLibraryError(statusId, error) {
+        this.log('Library update failed', error.message);
+        document.getElementById(statusId).textContent = this.t('library.storageFailed', { error: error.message });
+    }
+
+    // Redraw the star on the place's card and popup
+    updateSavedState(place) {
+        this.renderPlacesList();
+        const marker = this.markersById.get(place.id);
+        if (marker) {
+            marker.setPopupContent(this.createRealTimePopupContent(place));
+        }
+    }
+
+    isPlaceSaved(placeId) {
+        return this.savedPlaceIndex.has(placeId);
+    }
+
+    // Show a collection's saved snapshots as the current result set; nothing is fetched
+    async showCollection(collectionId) {
+        const collections = await this.refreshLibrary();
+        const collection = collections.find(candidate => candidate.id === collectionId);
+        if (!collection) {
+            return;
+        }
+
+        const places = (await this.library.getCollectionPlaces(collectionId))
+            .map(place => ({ ...place, isRealTime: false, isCached: true, cachedAt: place.savedAt }));
+        if (places.length === 0) {
+            this.showError(this.t('library.collectionEmpty', { name: collection.name }));
+            return;
+        }
+
+        this.showSavedPlaces(places, {
+            sourceText: this.t('library.savedCollection'),
+            sourceLabel: this.t('library.savedCollectionSource'),
+            heading: html`<i class="fas fa-bookmark"></i> ${this.t('library.collection', { name: collection.name })}`,
+            summary: this.t('library.collectionSummary', { count: places.length })
+        });
+    }
+
+    // Replace the results with places from the device (a collection or an offline area)
+    showSavedPlaces(places, { sourceText, sourceLabel, heading, summary }) {
+        this.cancelSearch();
+        this.hideError();
+        this.hideMapOverlay();
+        this.searchInput = null;
+        this.selectedPlaceId = null;
+        this.currentSearchParams = null;
+        this.rankings = new Map();
+
+        document.getElementById('dataSourceText').textContent = sourceText;
+        this.updateDataSourceControl('cached', sourceLabel);
+        this.renderSourceTrail([]);
+        document.getElementById('detailsProgress').classList.add('hidden');
+
+        const aiResponseDiv = document.getElementById('aiResponse');
+        setHtml(aiResponseDiv, html`
+            <strong>${heading}</strong>
+            <p><small><i class="fas fa-map-marker-alt"></i> ${summary}</small></p>
+        `);
+
+        this.currentPlaces = places;
+        this.resultFilter.reset();
+        this.syncFilterForm();
+        this.renderPlacesList();
+        this.updateMapWithRealData(places);
+        document.getElementById('resultsSection').classList.remove('hidden');
+        this.updateDownloadAreaButton();
+    }
+
+    // Service worker for the offline app shell and tiles, the header's connection state and offline areas
+    setupOffline() {
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.register('sw.js')
+                .catch(error => this.log('Service worker registration failed', error.message));
+            navigator.serviceWorker.addEventListener('controllerchange', () => this.updateConnectionStatus());
+        }
+        window.addEventListener('online', () => this.updateConnectionStatus());
+        window.addEventListener('offline', () => this.updateConnectionStatus());
+        this.updateConnectionStatus();
+
+        document.getElementById('downloadAreaBtn').addEventListener('click', () => this.downloadArea());
+    }
+
+    updateConnectionStatus() {
+        const online = navigator.onLine !== false;
+        const indicator = document.getElementById('connectionStatus');
+        indicator.classList.toggle('live-indicator--offline', !online);
+        indicator.querySelector('i').className = `fas fa-${online ? 'broadcast-tower' : 'circle-xmark'}`;
+        document.getElementById('connectionStatusText').textContent = this.t(online ? 'status.poweredBy' : 'status.offline');
+        indicator.title = navigator.serviceWorker?.controller ? this.t('status.offlineReady') : '';
+        this.updateDownloadAreaButton();
+    }
+
+    // Downloading needs a connection and results on screen to save alongside the tiles
+    updateDownloadAreaButton() {
+        const button = document.getElementById('downloadAreaBtn');
+        button.disabled = this.isDownloadingArea || navigator.onLine === false || !this.searchInput || this.currentPlaces.length === 0;
+    }
+
+    // Save the visible map's tiles and the current results so the area works without a connection
+    async downloadArea() {
+        const status = document.getElementById('downloadAreaStatus');
+        const progress = document.getElementById('downloadAreaProgress');
+        if (!('caches' in window)) {
+            status.textContent = this.t('offline.unsupported');
+            return;
+        }
+        if (!this.searchInput) {
+            return;
+        }
+
+        const mapBounds = this.map.getBounds();
+        const bounds = {
+            south: mapBounds.getSouth(),
+            west: mapBounds.getWest(),
+            north: mapBounds.getNorth(),
+            east: mapBounds.getEast()
+        };
+        let plan;
+        try {
+            plan = this.offlineMaps.planArea(bounds, this.map.getZoom());
+        } catch (error) {
+            // The only way planning fails: more tiles than one area may hold
+            status.textContent = this.t('offline.tooLarge');
+            return;
+        }
+
+        const { location, query, provider } = this.searchInput;
+        const places = this.currentPlaces;
+        this.isDownloadingArea = true;
+        this.updateDownloadAreaButton();
+        progress.classList.remove('hidden');
+        progress.value = 0;
+        status.textContent = this.t('offline.saving', { count: plan.tileCount });
+
+        try {
+            const { saved, failed } = await this.offlineMaps.downloadArea({ bounds, ...plan }, {
+                onProgress: (done, total) => {
+                    progress.value = done / total;
+                }
+            });
+            await this.library.saveArea({ location, query, provider, bounds, ...plan, tileCount: saved, places });
+            status.textContent = this.t('offline.saved', { tiles: saved, count: places.length })
+                + (failed > 0 ? ` ${this.t('offline.failedTiles', { count: failed })}` : '');
+            await this.refreshLibrary();
+        } catch (error) {
+            this.log('Area download failed', error.message);
+            status.textContent = this.t('offline.saveFailed', { error: error.message });
+        } finally {
+            this.isDownloadingArea = false;
+            progress.classList.add('hidden');
+            this.updateDownloadAreaButton();
+        }
+    }
+
+    renderOfflineAreas(areas) {
+        const list = document.getElementById('offlineAreasList');
+        list.replaceChildren();
+
+        if (areas.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'library-empty';
+            empty.textContent = this.t('offline.empty');
+            list.append(empty);
+            return;
+        }
+
+        areas.forEach(area => {
+            const item = document.createElement('li');
+            item.className = 'library-item';
+
+            const show = document.createElement('button');
+            show.type = 'button';
+            show.className = 'library-item-main';
+            show.title = this.t('library.showOnMap');
+            show.textContent = `${area.query} — ${area.location}`;
+            const meta = document.createElement('span');
+            meta.className = 'library-item-meta';
+            meta.textContent = [
+                this.t('library.placeCount', { count: area.places.length }),
+                this.t('offline.tileCount', { count: area.tileCount }),
+                this.i18n.formatDate(area.savedAt)
+            ].join(' · ');
+            show.append(meta);
+            show.addEventListener('click', () => this.showOfflineArea(area));
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'library-item-action';
+            remove.title = this.t('offline.delete', { name: area.location });
+            setHtml(remove, html`<i class="fas fa-trash"></i>`);
+            remove.addEventListener('click', async () => {
+                if (!window.confirm(this.t('offline.confirmDelete', { name: `${area.query} — ${area.location}` }))) {
+                    return;
+                }
+                try {
+                    await this.library.deleteArea(area.id);
+                    if ('caches' in window) {
+                        await this.offlineMaps.removeArea(area, areas.filter(other => other.id !== area.id));
+                    }
+                } catch (error) {
+                    this.log('Area delete failed', error.message);
+                    document.getElementById('downloadAreaStatus').textContent = this.t('offline.deleteFailed', { error: error.message });
+                }
+                // Either way the list shows what is actually stored
+                await this.refreshLibrary();
             });
+
+            item.append(show, remove);
+            list.append(item);
+        });
+    }
+
+    showOfflineArea(area) {
+        const places = area.places.map(place => ({ ...place, isRealTime: false, isCached: true, cachedAt: area.savedAt }));
+        this.showSavedPlaces(places, {
+            sourceText: this.t('offline.area'),
+            sourceLabel: this.t('offline.source'),
+            heading: html`<i class="fas fa-cloud-arrow-down"></i> ${area.query} — ${area.location}`,
+            summary: this.t('offline.summary', { count: places.length, date: this.i18n.formatDate(area.savedAt) })
+        });
+        const { south, west, north, east } = area.bounds;
+        this.map.fitBounds([[south, west], [north, east]]);
+    }
+
+    setupItinerary() {
+        this.itineraryLayer = L.layerGroup().addTo(this.map);
+
+        document.getElementById('itineraryStart').addEventListener('change', (e) => {
+            this.itinerary.startTime = e.target.value || ITINERARY_DEFAULTS.startTime;
+            this.renderItinerary();
+        });
+        document.getElementById('itineraryEnd').addEventListener('change', (e) => {
+            this.itinerary.endTime = e.target.value || null;
+            this.renderItinerary();
+        });
+        document.getElementById('optimizeItineraryBtn').addEventListener('click', () => {
+            this.itinerary.stops = this.itineraryPlanner.suggestOrder(this.itinerary.stops);
+            this.renderItinerary();
+        });
+        document.getElementById('clearItineraryBtn').addEventListener('click', () => {
+            this.itinerary.stops = [];
+            this.renderItinerary();
+            this.renderPlacesList();
+        });
+
+        this.renderItinerary();
+    }
+
+    setupExportImport() {
+        document.getElementById('exportBtn').addEventListener('click', () => this.exportPlaces());
+        document.getElementById('importFile').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) {
+                this.importFile(file);
+            }
+        });
+    }
+
+    // Export the visible results or a saved collection in the chosen format
+    async exportPlaces() {
+        const source = document.getElementById('exportSource').value;
+        const format = document.getElementById('exportFormat').value;
+        let places = this.getVisiblePlaces();
+        let title = this.searchInput
+            ? this.t('transfer.searchTitle', { query: this.searchInput.query, location: this.searchInput.location })
+            : this.t('transfer.defaultTitle');
+
+        if (source !== 'results') {
+            try {
+                const collection = (await this.library.listCollections()).find(candidate => candidate.id === source);
+                places = collection ? await this.library.getCollectionPlaces(collection.id) : [];
+                title = collection ? collection.name : title;
+            } catch (error) {
+                this.log('Export failed', error.message);
+                this.setTransferStatus(error.message);
+                return;
+            }
+        }
+
+        if (places.length === 0) {
+            this.setTransferStatus(this.t('transfer.nothing'));
+            return;
+        }
+
+        const { extension, mimeType } = EXPORT_FORMATS[format];
+        const blob = new Blob([this.exporter.export(places, format, { title })], { type: mimeType });
+        const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40) || 'places';
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `questlens-${slug}.${extension}`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+
+        this.setTransferStatus(this.t('transfer.exported', { count: places.length, format: EXPORT_FORMATS[format].label }));
+    }
+
+    // Show an imported file as its own toggleable overlay; it never replaces the results
+    async importFile(file) {
+        try {
+            const collection = await this.importer.readFile(file);
+            const layer = L.geoJSON(collection, {
+                pointToLayer: (feature, latlng) => L.circleMarker(latlng, {
+                    radius: 7, color: '#a84b2f', fillColor: '#a84b2f', fillOpacity: 0.6, weight: 2
+                }),
+                style: { color: '#a84b2f', weight: 3 },
+                onEachFeature: (feature, featureLayer) => featureLayer.bindPopup(this.createImportedPopup(feature.properties || {}))
+            }).addTo(this.map);
+
+            if (!this.layersControl) {
+                this.layersControl = L.control.layers(null, null, { collapsed: false }).addTo(this.map);
+            }
+            // Leaflet writes overlay names into the control as HTML
+            this.layersControl.addOverlay(layer, escapeHtml(file.name));
+            this.map.fitBounds(layer.getBounds().pad(0.1));
+            this.hideMapOverlay();
+            this.setTransferStatus(this.t('transfer.imported', { count: collection.features.length, file: file.name }));
+        } catch (error) {
+            this.log('Import failed', error.message);
+            this.setTransferStatus(error.message);
+        }
+    }
+
+    // File contents are untrusted, so the popup is built from text nodes
+    createImportedPopup(properties) {
+        const content = document.createElement('div');
+        content.className = 'popup-content';
+        const name = document.createElement('h4');
+        name.className = 'popup-place-name';
+        name.textContent = properties.name || this.t('transfer.importedPlace');
+        content.append(name);
+
+        [properties.category, properties.address, properties.description]
+            .filter(value => typeof value === 'string' && value)
+            .forEach(value => {
+                const line = document.createElement('div');
+                line.className = 'popup-detail';
+                line.textContent = value;
+                content.append(line);
+            });
+        return content;
+    }
+
+    setTransferStatus(message) {
+        document.getElementById('transferStatus').textContent = message;
+    }
+
+    setupComparison() {
+        document.getElementById('placesList').addEventListener('change', (e) => {
+            if (e.target.classList.contains('compare-checkbox')) {
+                this.toggleComparePlace(e.target.dataset.placeId);
+            }
+        });
+        document.getElementById('openCompareBtn').addEventListener('click', () => this.openComparison());
+        document.getElementById('clearCompareBtn').addEventListener('click', () => {
+            this.comparePlaces = [];
+            this.renderCompareTray();
+            this.renderPlacesList();
+        });
+        document.getElementById('closeCompareBtn').addEventListener('click', () => document.getElementById('compareDialog').close());
+
+        this.renderCompareTray();
+    }
+
+    isInComparison(placeId) {
+        return this.comparePlaces.some(place => place.id === placeId);
+    }
+
+    toggleComparePlace(placeId) {
+        if (this.isInComparison(placeId)) {
+            this.comparePlaces = this.comparePlaces.filter(place => place.id !== placeId);
+        } else {
+            const place = this.currentPlaces.find(candidate => candidate.id === placeId);
+            if (!place || this.comparePlaces.length >= COMPARISON_DEFAULTS.maxPlaces) {
+                return;
+            }
+            this.comparePlaces.push(place);
+        }
+        this.renderCompareTray();
+        this.renderPlacesList();
+    }
+
+    // Ticked places, with the fuller copy from the current results when details arrived after the tick
+    getComparePlaces() {
+        return this.comparePlaces.map(place => this.currentPlaces.find(candidate => candidate.id === place.id) || place);
+    }
+
+    renderCompareTray() {
+        const tray = document.getElementById('compareTray');
+        const list = document.getElementById('compareTrayPlaces');
+        const places = this.getComparePlaces();
+        tray.classList.toggle('hidden', places.length === 0);
+        list.replaceChildren();
+
+        places.forEach(place => {
+            const item = document.createElement('li');
+            item.className = 'compare-tray-place';
+            const name = document.createElement('span');
+            name.textContent = place.name;
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'compare-tray-remove';
+            remove.title = this.t('compare.remove', { name: place.name });
+            setHtml(remove, html`<i class="fas fa-xmark"></i>`);
+            remove.addEventListener('click', () => this.toggleComparePlace(place.id));
+            item.append(name, remove);
+            list.append(item);
+        });
+
+        const compareButton = document.getElementById('openCompareBtn');
+        compareButton.disabled = places.length < 2;
+        compareButton.title = places.length < 2 ? this.t('compare.needTwo') : '';
+        document.getElementById('compareTrayCount').textContent = this.t('compare.count', { count: places.length, max: COMPARISON_DEFAULTS.maxPlaces });
+    }
+
+    // Table of the ticked places, one column each, with the best value in every row highlighted
+    openComparison() {
+        const places = this.getComparePlaces();
+        if (places.length < 2) {
+            return;
+        }
+        const visitAt = this.currentSearchParams?.visitAt;
+        const rows = this.comparison.compare(places, {
+            hoursLabel: visitAt ? this.t('compare.openAt', { when: this.visitAtLabel(visitAt) }) : this.t('compare.openNow')
+        });
+
+        setHtml(document.getElementById('compareTable'), html`
+            <thead>
+                <tr>
+                    <td></td>
+                    ${places.map(place => html`
+                    <th scope="col">
+                        ${place.name}
+                        <span class="compare-source ${this.getPlaceSource(place).kind}">${this.getPlaceSource(place).badge}</span>
+                    </th>`)}
+                </tr>
+            </thead>
+            <tbody>
+                ${rows.map(row => html`
+                <tr>
+                    <th scope="row">${row.label}</th>
+                    ${row.cells.map((cell, index) => html`
+                    <td class="${cell.best ? 'compare-best' : ''}">
+                        ${cell.best && html`<i class="fas fa-trophy" title="${this.t('compare.bestTitle')}"></i><span class="sr-only">${this.t('compare.best')} </span>`}
+                        ${row.key === 'contact' ? this.createContactCell(places[index], cell.text) : cell.text}
+                    </td>`)}
+                </tr>`)}
+            </tbody>
+        `);
+        document.getElementById('compareDialog').showModal();
+    }
+
+    // Phone and website as links; fallbackText when the place has neither
+    createContactCell(place, fallbackText) {
+        const phoneHref = telUrl(place.phone);
+        const websiteLink = externalLink(place.website, this.t('compare.website'));
+        const phone = place.phone && (phoneHref ? html`<a href="${phoneHref}">${place.phone}</a>` : place.phone);
+        if (!phone && !websiteLink) {
+            return fallbackText;
+        }
+        return html`${phone}${phone && websiteLink && html`<br>`}${websiteLink}`;
+    }
+
+    isInItinerary(placeId) {
+        return this.itinerary.stops.some(stop => stop.place.id === placeId);
+    }
+
+    toggleItineraryStop(placeId) {
+        if (this.isInItinerary(placeId)) {
+            this.itinerary.stops = this.itinerary.stops.filter(stop => stop.place.id !== placeId);
+        } else {
+            const place = this.currentPlaces.find(candidate => candidate.id === placeId);
+            if (!place) {
+                return;
+            }
+            this.itinerary.stops.push({ place, visitMinutes: ITINERARY_DEFAULTS.visitMinutes });
+            document.getElementById('itineraryPanel').open = true;
+        }
+        this.renderItinerary();
+        this.renderPlacesList();
+    }
+
+    moveItineraryStop(index, offset) {
+        const target = index + offset;
+        if (target < 0 || target >= this.itinerary.stops.length) {
+            return;
+        }
+        const stops = this.itinerary.stops;
+        [stops[index], stops[target]] = [stops[target], stops[index]];
+        this.renderItinerary();
+    }
+
+    // Stop list with arrival times, walking legs and opening-hours warnings, plus the route on the map
+    renderItinerary() {
+        const list = document.getElementById('itineraryStops');
+        const summary = document.getElementById('itinerarySummary');
+        const stops = this.itinerary.stops;
+        // Foursquare numbers days 1 (Monday) to 7 (Sunday); a dated visit plans for that day
+        const day = this.currentSearchParams?.visitAt?.day || (new Date().getDay() + 6) % 7 + 1;
+        const plan = this.itineraryPlanner.schedule(stops, { startTime: this.itinerary.startTime, endTime: this.itinerary.endTime, day });
+        const planned = plan.stops.filter(stop => !stop.dropped);
+        const formatTime = minutes => this.i18n.formatClock(minutes);
+
+        list.replaceChildren();
+        document.getElementById('optimizeItineraryBtn').disabled = stops.length < 3;
+        document.getElementById('clearItineraryBtn').disabled = stops.length === 0;
+
+        if (stops.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'library-empty';
+            empty.textContent = this.t('itinerary.empty');
+            list.append(empty);
+            summary.textContent = '';
+            this.renderItineraryRoute([]);
+            return;
+        }
+
+        plan.stops.forEach((stop, index) => {
+            const item = document.createElement('li');
+            item.className = `itinerary-stop${stop.dropped ? ' itinerary-stop--dropped' : ''}`;
+
+            if (stop.leg) {
+                const leg = document.createElement('div');
+                leg.className = 'itinerary-leg';
+                setHtml(leg, html`<i class="fas fa-person-walking"></i> `);
+                leg.append(`${this.t('itinerary.walk', { count: stop.leg.minutes })} · ${this.i18n.formatDistance(stop.leg.km)}`);
+                item.append(leg);
+            }
+
+            const header = document.createElement('div');
+            header.className = 'itinerary-stop-header';
+            const name = document.createElement('button');
+            name.type = 'button';
+            name.className = 'library-item-main';
+            // Numbers match the route markers, which only count the stops that fit
+            name.textContent = stop.dropped ? stop.place.name : `${planned.indexOf(stop) + 1}. ${stop.place.name}`;
+            if (!stop.dropped) {
+                const times = document.createElement('span');
+                times.className = 'library-item-meta';
+                times.textContent = `${formatTime(stop.arrival)}–${formatTime(stop.departure)}`;
+                name.append(times);
+            }
+            name.addEventListener('click', () => this.focusOnPlace(stop.place));
+
+            const duration = document.createElement('input');
+            duration.type = 'number';
+            duration.className = 'form-control itinerary-duration';
+            duration.min = '5';
+            duration.step = '5';
+            duration.value = String(stop.visitMinutes);
+            duration.title = this.t('itinerary.visitLength');
+            duration.addEventListener('change', () => {
+                this.itinerary.stops[index].visitMinutes = Math.max(5, parseInt(duration.value, 10) || ITINERARY_DEFAULTS.visitMinutes);
+                this.renderItinerary();
+            });
+
+            const actions = [
+                { icon: 'arrow-up', title: this.t('itinerary.moveUp'), run: () => this.moveItineraryStop(index, -1) },
+                { icon: 'arrow-down', title: this.t('itinerary.moveDown'), run: () => this.moveItineraryStop(index, 1) },
+                { icon: 'xmark', title: this.t('itinerary.remove'), run: () => this.toggleItineraryStop(stop.place.id) }
+            ].map(action => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'library-item-action';
+                button.title = action.title;
+                setHtml(button, html`<i class="fas fa-${action.icon}"></i>`);
+                button.addEventListener('click', action.run);
+                return button;
+            });
+
+            header.append(name, duration, ...actions);
+            item.append(header);
+
+            const warning = stop.dropped
+                ? { key: 'itinerary.dropped', values: { time: this.itineraryPlanner.parseTime(this.itinerary.endTime) } }
+                : stop.warning;
+            if (warning) {
+                const { time, opens } = warning.values || {};
+                const note = document.createElement('div');
+                note.className = 'itinerary-warning';
+                setHtml(note, html`<i class="fas fa-triangle-exclamation"></i> `);
+                note.append(this.t(warning.key, {
+                    time: time !== undefined ? formatTime(time) : null,
+                    opens: opens !== undefined ? formatTime(opens) : null
+                }));
+                item.append(note);
+            }
+            list.append(item);
+        });
+
+        const hours = Math.floor(plan.walkMinutes / 60);
+        const walking = hours > 0
+            ? this.t('itinerary.hoursMinutes', { hours, minutes: plan.walkMinutes % 60 })
+            : this.t('itinerary.minutes', { minutes: plan.walkMinutes });
+        summary.textContent = this.t('itinerary.summary', {
+            count: planned.length,
+            distance: this.i18n.formatDistance(plan.totalKm),
+            walking,
+            end: formatTime(plan.endTime)
+        });
+        this.renderItineraryRoute(planned);
+    }
+
+    renderItineraryRoute(stops) {
+        this.itineraryLayer.clearLayers();
+        const points = stops.map(stop => [stop.place.lat, stop.place.lon]);
+        if (points.length === 0) {
+            return;
+        }
+
+        if (points.length > 1) {
+            L.polyline(points, { color: '#21808d', weight: 4, opacity: 0.8, dashArray: '6 8' }).addTo(this.itineraryLayer);
+        }
+        points.forEach((point, index) => {
+            L.circleMarker(point, { radius: 11, color: '#21808d', fillColor: '#ffffff', fillOpacity: 1, weight: 2 })
+                .bindTooltip(String(index + 1), { permanent: true, direction: 'center', className: 'itinerary-stop-number' })
+                .addTo(this.itineraryLayer);
         });
     }
 
-    // Enhanced fetch with proper error handling
+    getActiveProvider() {
+        return this.providers[this.config.placesProvider] || this.providers.foursquare;
+    }
+
+    // Scheduled fetch: concurrency, per-host pacing and retries come from the RequestScheduler
     async fetchWithTimeout(url, options = {}) {
+        const { signal, ...fetchOptions } = options;
+
+        this.log('Making request to:', url);
+        // Skip the scheduler's network retries when the browser already knows there is no connection
+        if (navigator.onLine === false) {
+            throw new SearchError(SEARCH_ERROR_TYPES.OFFLINE, this.t('error.deviceOffline'));
+        }
+        let response;
+        try {
+            response = await this.scheduler.run(url, () => this.fetchOnce(url, fetchOptions, signal), { signal });
+        } catch (error) {
+            // fetch rejects with a TypeError when the network can't be reached, even after the scheduler's retries
+            if (error.name === 'TypeError') {
+                throw new SearchError(SEARCH_ERROR_TYPES.OFFLINE, this.t('error.networkUnreachable'));
+            }
+            throw error;
+        }
+        this.log('Response status:', response.status);
+
+        if (!response.ok) {
+            const body = await response.json().catch(() => null);
+            throw SearchError.fromResponse(response.status, {
+                retryAfter: SearchError.parseRetryAfter(response.headers.get('Retry-After')),
+                detail: typeof body?.error === 'string' ? body.error : ''
+            });
+        }
+
+        return response;
+    }
+
+    // One fetch attempt with a timeout; an abort from the caller's signal is passed through as-is
+    async fetchOnce(url, options, signal) {
         const controller = new AbortController();
         const id = setTimeout(() => controller.abort(), this.requestTimeout);
-        
+        const forwardAbort = () => controller.abort();
+
+        if (signal?.aborted) {
+            controller.abort();
+        }
+        signal?.addEventListener('abort', forwardAbort);
+
         try {
-            this.log('Making request to:', url);
-            const response = await fetch(url, {
+            return await fetch(url, {
                 ...options,
                 signal: controller.signal
             });
-            clearTimeout(id);
-            
-            this.log('Response status:', response.status);
-            
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-            
-            return response;
         } catch (error) {
-            clearTimeout(id);
             this.log('Fetch error:', error.message);
-            
-            if (error.name === 'AbortError') {
-                throw new Error('Request timed out. Please try again.');
+
+            if (error.name === 'AbortError' && !signal?.aborted) {
+                throw new SearchError(SEARCH_ERROR_TYPES.TIMEOUT, this.t('error.requestTimeout'));
             }
             throw error;
+        } finally {
+            clearTimeout(id);
+            signal?.removeEventListener('abort', forwardAbort);
+        }
+    }
+
+    // Fetch JSON, going through the response cache when options.cache names an endpoint policy
+    async fetchJson(url, options = {}) {
+        const { cache, ...fetchOptions } = options;
+        const requestUrl = this.localizeUrl(url);
+        const load = async () => {
+            const response = await this.fetchWithTimeout(requestUrl, {
+                ...fetchOptions,
+                headers: {
+                    'Accept': 'application/json',
+                    ...fetchOptions.headers
+                }
+            });
+            return response.json();
+        };
+
+        this.searchUrls.add(requestUrl);
+        return cache ? this.responseCache.fetch(cache, requestUrl, load) : load();
+    }
+
+    // Geocoding and Foursquare answer in the UI language. The language goes in the URL, not a header, so
+    // cached responses are kept apart per language; the proxy turns it into what each upstream expects.
+    localizeUrl(url) {
+        const localized = [this.endpoints.geocode, this.endpoints.reverseGeocode, this.endpoints.suggest, this.endpoints.placeDetails];
+        if (!localized.some(prefix => url.startsWith(prefix))) {
+            return url;
+        }
+        return `${url}${url.includes('?') ? '&' : '?'}lang=${encodeURIComponent(this.i18n.language)}`;
+    }
+
+    // Merge a refreshed search or details response of the latest search into the places on screen,
+    // leaving the list order, filters, selection and drawer as they are
+    handleCacheRevalidated(endpoint, key, value) {
+        const shown = this.currentPlaces.filter(place => place.isRealTime);
+        const provider = shown.length > 0 && this.providers[shown[0].provider];
+        if (!provider || !this.searchUrls.has(key)) {
+            return;
+        }
+
+        // [place on screen, fresh provider response for it]
+        let updates = [];
+        if (endpoint === 'search') {
+            updates = provider.readPlaces(value)
+                .map(fresh => [shown.find(place => place.id === fresh.id), fresh.raw]);
+        } else if (endpoint === 'details') {
+            const place = shown.find(candidate =>
+                key.startsWith(`${this.endpoints.placeDetails}/${encodeURIComponent(candidate.id)}?`));
+            updates = [[place, value]];
+        }
+
+        updates = updates.filter(([place]) => place);
+        updates.forEach(([place, raw]) => this.replacePlaceInResults(provider.normalize(raw, place)));
+        if (updates.length > 0) {
+            this.log(`Merged ${updates.length} places from a refreshed ${endpoint} response`);
         }
     }
 
@@ -126,12 +1618,41 @@ class QuestLensRealTime {
         const query = document.getElementById('queryInput').value.trim();
         
         if (!location || !query) {
-            this.showError('Please enter both location and query for real-time search');
+            this.showError(this.t('error.missingInput'));
             return;
         }
 
-        this.log('Starting search', { location, query });
-        
+        // A restored "search this area" URL searches that area instead of the geocoded location
+        await this.runSearch(location, query, {
+            origin: this.origin && this.origin.label === location ? this.origin : null,
+            area: this.pendingUrlState?.area || null,
+            chosenLocation: this.chosenLocation && this.chosenLocation.label === location ? this.chosenLocation : null
+        });
+    }
+
+    // Run a search as an abortable job; starting another one cancels it.
+    // With an origin ({ lat, lon }), an area ({ lat, lon, radius }) or a chosen geocoding candidate,
+    // the location is only a label and isn't geocoded again. radius and sources override the query's
+    // radius and the fallback chain; the error panel's recovery actions use them.
+    async runSearch(location, query, { origin = null, area = null, chosenLocation = null, radius: radiusOverride = null, sources = null } = {}) {
+        this.cancelSearch();
+
+        const job = new SearchJob(++this.jobCounter);
+        this.currentJob = job;
+        this.searchUrls = new Set();
+        this.log('Starting search', { job: job.id, location, query });
+
+        const visitAt = document.getElementById('visitAtInput').value || null;
+        this.searchInput = { location, query, provider: this.config.placesProvider, origin, area, visitAt };
+        // What the error panel needs to offer a retry, a wider search or cached results
+        const failure = { location, query, options: { origin, area, chosenLocation }, coordinates: null, searchParams: null };
+        this.selectedPlaceId = null;
+        this.recordSearchInUrl();
+        const placeLabel = area ? this.t('search.mapArea', { location }) : location;
+
+        document.getElementById('searchAreaBtn').classList.add('hidden');
+        this.hideLocationChooser();
+        this.renderLocationSuggestions([]);
         this.showLoading();
         this.hideError();
         this.hideResults();
@@ -140,69 +1661,299 @@ class QuestLensRealTime {
         try {
             // Step 1: Geocode location
             this.setLoadingStep(1);
-            await this.delay(500);
-            
-            const coordinates = await this.geocodeLocationWithFallback(location);
+            const point = area || origin;
+            const candidates = point || chosenLocation ? [] : await this.geocodeLocationWithFallback(location, job.signal);
+            job.throwIfCancelled();
+            if (candidates.length > 1 && this.locationSearch.isAmbiguous(candidates, location)) {
+                this.log('Ambiguous location, asking the user', candidates.map(candidate => candidate.label));
+                this.hideLoading();
+                this.showLocationChooser(location, candidates);
+                return;
+            }
+
+            const place = chosenLocation || candidates[0];
+            const coordinates = point
+                ? { lat: point.lat, lon: point.lon, display_name: placeLabel }
+                : place && { lat: place.lat, lon: place.lon, display_name: place.label, bbox: place.bbox };
             if (!coordinates) {
-                throw new Error(`Location "${location}" not found. Please try a more specific location.`);
+                throw new SearchError(SEARCH_ERROR_TYPES.GEOCODE_NOT_FOUND, this.t('error.locationNotFound', { location }));
             }
+            failure.coordinates = coordinates;
 
             this.log('Location geocoded successfully', coordinates);
             this.currentLocation = coordinates;
-            this.map.setView([coordinates.lat, coordinates.lon], 13);
+            // An area search keeps the view the user chose; other searches get a draggable origin pin
+            if (area) {
+                this.originMarker?.remove();
+            } else {
+                if (coordinates.bbox) {
+                    const { south, west, north, east } = coordinates.bbox;
+                    this.map.fitBounds([[south, west], [north, east]]);
+                } else {
+                    this.map.setView([coordinates.lat, coordinates.lon], origin ? 15 : 13);
+                }
+                this.showOriginPin(coordinates);
+            }
 
-            // Step 2: Process query with local AI (no external API dependency)
+            // Step 2: Understand the query (LLM when configured, keyword parser otherwise)
             this.setLoadingStep(2);
-            await this.delay(500);
-            
-            const aiProcessedQuery = this.processQueryWithLocalAI(query, location);
-            this.log('Query processed by local AI', aiProcessedQuery);
+            const analysedQuery = await this.analyzeQuery(query, placeLabel, job.signal);
+            job.throwIfCancelled();
+            // An area search covers what was on screen; a geocoded place covers its bounding box
+            // unless the query asked for a distance
+            let radius = analysedQuery.radius;
+            if (radiusOverride) {
+                radius = radiusOverride;
+            } else if (area) {
+                radius = area.radius;
+            } else if (coordinates.bbox && radius === QUERY_DEFAULTS.radius) {
+                radius = this.locationSearch.radiusFor(coordinates.bbox);
+            }
+            const aiProcessedQuery = { ...analysedQuery, radius, ...this.resolveVisitAt(analysedQuery, visitAt) };
+            failure.searchParams = aiProcessedQuery;
+            this.log(`Query analysed by ${aiProcessedQuery.engineLabel}`, aiProcessedQuery);
 
-            // Step 3: Search for places using Foursquare API
+            // Step 3: Search for places through the fallback chain
             this.setLoadingStep(3);
-            await this.delay(500);
-            
-            const places = await this.searchPlacesWithFallback(coordinates, aiProcessedQuery);
-            if (places.length === 0) {
-                throw new Error(`No places found for "${query}" in ${location}. Try a broader search term.`);
+            const searchResult = await this.searchPlacesWithFallback(coordinates, aiProcessedQuery, {
+                signal: job.signal,
+                sources,
+                onAttempt: (step) => this.setLoadingText(this.t('loading.searching', { source: step.label }))
+            });
+            job.throwIfCancelled();
+            if (searchResult.places.length === 0) {
+                const type = SearchError.fromAttempts(searchResult.attempts, { liveSources: Object.keys(this.providers) });
+                throw new SearchError(type, this.t('error.noPlaces', {
+                    query,
+                    location: placeLabel,
+                    attempts: this.describeFailedAttempts(searchResult.attempts)
+                }));
             }
 
-            this.log(`Found ${places.length} places`);
+            this.log(`Found ${searchResult.places.length} places via ${searchResult.source.label}`);
 
-            // Step 4: Get detailed information
+            // Step 4: Show ranked results right away, then enrich each card as its details arrive
             this.setLoadingStep(4);
-            await this.delay(500);
-            
-            const detailedPlaces = await this.processPlaceDetails(places);
-
-            // Display results
-            this.displayRealTimeResults(aiProcessedQuery, detailedPlaces, location);
-            this.updateMapWithRealData(detailedPlaces);
-            
+            this.currentSearchParams = aiProcessedQuery;
+            const rankedPlaces = this.rankPlaces(searchResult.places);
+            this.displayRealTimeResults(aiProcessedQuery, rankedPlaces, placeLabel, searchResult);
+            this.updateMapWithRealData(rankedPlaces);
             this.hideLoading();
+            if (this.pendingUrlState) {
+                const restored = this.pendingUrlState;
+                this.pendingUrlState = null;
+                this.applyUrlView(restored);
+            }
+            this.syncUrl();
+
+            const detailedPlaces = await this.processPlaceDetails(searchResult.places, {
+                signal: job.signal,
+                onPlace: (place, done) => {
+                    if (!job.cancelled) {
+                        this.updatePlaceInResults(place, done, searchResult.places.length);
+                    }
+                }
+            });
+            job.throwIfCancelled();
+            this.applyFinalRanking();
+            if (this.providers[searchResult.source.name]) {
+                await this.recentResults.put(coordinates, aiProcessedQuery, detailedPlaces);
+            }
+
+            this.lastSearch = { location, query, origin, area, chosenLocation: place || null };
+            this.retryCount = 0;
+            this.updateDownloadAreaButton();
+            this.library.recordSearch({ ...this.searchInput, resultCount: detailedPlaces.length })
+                .then(() => this.refreshLibrary())
+                .catch(error => this.log('Could not record search', error.message));
             this.log('Search completed successfully');
 
         } catch (error) {
+            if (job.cancelled) {
+                this.log(`Search ${job.id} cancelled; dropping its remaining work`);
+                return;
+            }
             this.log('Search failed with error:', error.message);
             this.hideLoading();
-            this.showError(error.message);
+            this.showError(error, failure);
+        } finally {
+            if (this.currentJob === job) {
+                this.currentJob = null;
+            }
+            // A failed or cancelled restore shouldn't block URL updates; a superseding search keeps its own
+            if (this.currentJob === null) {
+                this.pendingUrlState = null;
+            }
+        }
+    }
+
+    // Abort every pending fetch of the running search
+    cancelSearch() {
+        if (!this.currentJob) {
+            return;
+        }
+
+        this.log(`Cancelling search ${this.currentJob.id}`);
+        this.currentJob.cancel();
+        this.currentJob = null;
+        this.hideLoading();
+        document.getElementById('detailsProgress').classList.add('hidden');
+    }
+
+    // "Use my location": search around the device's position, named by reverse geocoding
+    async useDeviceLocation() {
+        const button = document.getElementById('useLocationBtn');
+        button.disabled = true;
+        this.setLocationStatus(this.t('location.finding'));
+
+        try {
+            const position = await this.getDevicePosition();
+            this.setLocationStatus(this.t('location.lookingUp'));
+            const label = await this.reverseGeocode(position);
+            this.origin = { lat: position.lat, lon: position.lon, label };
+            document.getElementById('locationInput').value = label;
+            this.setLocationStatus(this.t('location.searchingFrom', { accuracy: this.i18n.formatDistance(position.accuracy / 1000) }));
+
+            if (document.getElementById('queryInput').value.trim()) {
+                document.getElementById('questForm').requestSubmit();
+            } else {
+                document.getElementById('queryInput').focus();
+            }
+        } catch (error) {
+            this.setLocationStatus(error.message, { isError: true });
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    getDevicePosition() {
+        return new Promise((resolve, reject) => {
+            if (!navigator.geolocation) {
+                reject(new Error(this.t('location.unsupported')));
+                return;
+            }
+
+            const messages = {
+                1: this.t('location.denied'),
+                2: this.t('location.unavailable'),
+                3: this.t('location.timeout')
+            };
+            navigator.geolocation.getCurrentPosition(
+                (position) => resolve({
+                    lat: position.coords.latitude,
+                    lon: position.coords.longitude,
+                    accuracy: position.coords.accuracy
+                }),
+                (error) => reject(new Error(messages[error.code] || this.t('location.failed'))),
+                { enableHighAccuracy: true, timeout: this.config.geolocationTimeout, maximumAge: 60000 }
+            );
+        });
+    }
+
+    // Readable name for a point ("Shibuya, Tokyo"); falls back to the coordinates themselves.
+    // An abort from signal is rethrown rather than answered with the fallback.
+    async reverseGeocode({ lat, lon }, { signal } = {}) {
+        try {
+            const data = await this.fetchJson(`${this.endpoints.reverseGeocode}?lat=${lat.toFixed(5)}&lon=${lon.toFixed(5)}&zoom=16`, { cache: 'geocode', signal });
+            const address = data.address || {};
+            const area = address.neighbourhood || address.suburb || address.quarter || address.city_district;
+            const city = address.city || address.town || address.village || address.municipality;
+            const label = [area, city].filter(Boolean).join(', ') || data.display_name;
+            if (label) {
+                return label;
+            }
+        } catch (error) {
+            if (error.name === 'AbortError' && signal?.aborted) {
+                throw error;
+            }
+            this.log('Reverse geocoding failed:', error.message);
         }
+        return `${lat.toFixed(4)}, ${lon.toFixed(4)}`;
     }
 
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    setLocationStatus(message, { isError = false } = {}) {
+        const status = document.getElementById('locationStatus');
+        status.textContent = message;
+        status.classList.toggle('location-status--error', isError);
+        status.classList.remove('hidden');
     }
 
-    // Geocoding with fallback to sample locations
-    async geocodeLocationWithFallback(location) {
+    // Dragging the pin moves the origin and searches again from there
+    showOriginPin({ lat, lon }) {
+        if (!this.originMarker) {
+            this.originMarker = L.marker([lat, lon], {
+                draggable: true,
+                zIndexOffset: 1000,
+                title: this.t('map.originTitle'),
+                icon: L.divIcon({
+                    className: 'place-marker-wrapper',
+                    html: '<div class="origin-marker"><i class="fas fa-crosshairs"></i></div>',
+                    iconSize: [28, 28],
+                    iconAnchor: [14, 14]
+                })
+            });
+            this.originMarker.on('dragend', () => this.moveOrigin(this.originMarker.getLatLng()));
+        }
+        this.originMarker.setLatLng([lat, lon]).addTo(this.map);
+    }
+
+    async moveOrigin(latlng) {
+        if (!this.searchInput) {
+            return;
+        }
+        const { query } = this.searchInput;
+        const origin = { lat: latlng.lat, lon: latlng.lng };
+
+        // Only the latest drag counts; a slower lookup for an earlier position must not rename this one
+        this.originLookup?.abort();
+        const lookup = new AbortController();
+        this.originLookup = lookup;
         try {
-            // First try real geocoding
-            const coordinates = await this.geocodeLocation(location);
-            if (coordinates) {
-                return coordinates;
+            origin.label = await this.reverseGeocode(origin, { signal: lookup.signal });
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                return;
             }
+            throw error;
+        }
+        // A cached answer resolves even after an abort
+        if (this.originLookup !== lookup) {
+            return;
+        }
+        this.originLookup = null;
+        this.origin = origin;
+        document.getElementById('locationInput').value = origin.label;
+        this.setLocationStatus(this.t('location.fromPin'));
+        this.runSearch(origin.label, query, { origin });
+    }
+
+    // Geocoding candidates for a typed location, with fallback to sample locations when geocoding is down
+    async geocodeLocationWithFallback(location, signal) {
+        let geocodeError = null;
+        try {
+            return await this.locationSearch.geocode(location, { signal });
         } catch (error) {
+            if (error.name === 'AbortError') {
+                throw error;
+            }
             this.log('Geocoding API failed, trying fallback', error.message);
+            geocodeError = error;
+        }
+
+        // A location saved as an offline area resolves to that area
+        const savedArea = (await this.library.listAreas().catch(() => []))
+            .find(area => this.locationSearch.normalize(area.location) === this.locationSearch.normalize(location));
+        if (savedArea) {
+            const { bounds } = savedArea;
+            this.log('Using saved offline area', savedArea.location);
+            return [{
+                name: savedArea.location.split(',')[0],
+                label: savedArea.location,
+                detail: this.t('offline.area'),
+                lat: (bounds.south + bounds.north) / 2,
+                lon: (bounds.west + bounds.east) / 2,
+                bbox: bounds
+            }];
         }
 
         // Fallback to predefined locations
@@ -219,283 +1970,500 @@ class QuestLensRealTime {
             'bangkok': { lat: 13.7563, lon: 100.5018, display_name: 'Bangkok, Thailand' }
         };
 
-        const locationKey = location.toLowerCase();
-        for (const [key, coords] of Object.entries(fallbackLocations)) {
-            if (locationKey.includes(key) || key.includes(locationKey)) {
-                this.log('Using fallback location', coords);
-                return coords;
-            }
+        // The city must match exactly, and any qualifier after a comma must fit too ("Paris, Texas" is not Paris, France)
+        const [city, ...qualifiers] = location.toLowerCase().split(',').map(part => part.trim());
+        const coords = fallbackLocations[city];
+        if (coords && qualifiers.every(qualifier => coords.display_name.toLowerCase().includes(qualifier))) {
+            this.log('Using fallback location', coords);
+            return [{ name: coords.display_name.split(',')[0], label: coords.display_name, detail: this.t('location.city'), lat: coords.lat, lon: coords.lon, bbox: null }];
         }
 
-        return null;
+        // Being offline or rate limited is not the same as the place not existing
+        if (geocodeError instanceof SearchError) {
+            throw geocodeError;
+        }
+        return [];
     }
 
-    async geocodeLocation(location) {
-        try {
-            const url = `${this.endpoints.nominatim}?format=json&q=${encodeURIComponent(location)}&limit=1&addressdetails=1`;
-            const response = await this.fetchWithTimeout(url);
-            const data = await response.json();
-            
-            if (data.length === 0) {
-                return null;
-            }
-            
-            return {
-                lat: parseFloat(data[0].lat),
-                lon: parseFloat(data[0].lon),
-                display_name: data[0].display_name
-            };
-        } catch (error) {
-            this.log('Geocoding failed:', error.message);
-            return null;
+    // Typeahead under the location field: debounced suggestions, arrow keys to move, Enter to pick, Escape to close
+    setupLocationSuggest() {
+        const input = document.getElementById('locationInput');
+        const list = document.getElementById('locationSuggestions');
+        let timer = null;
+        let controller = null;
+
+        input.addEventListener('input', () => {
+            clearTimeout(timer);
+            controller?.abort();
+            timer = setTimeout(async () => {
+                controller = new AbortController();
+                try {
+                    this.renderLocationSuggestions(await this.locationSearch.suggest(input.value, { signal: controller.signal }));
+                } catch (error) {
+                    if (error.name !== 'AbortError') {
+                        this.log('Location suggestions failed:', error.message);
+                        this.renderLocationSuggestions([]);
+                    }
+                }
+            }, this.config.suggestDelay);
+        });
+
+        input.addEventListener('keydown', (e) => {
+            const options = [...list.querySelectorAll('[role="option"]')];
+            if (list.classList.contains('hidden') || options.length === 0) {
+                return;
+            }
+            const active = options.findIndex(option => option.getAttribute('aria-selected') === 'true');
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                const next = e.key === 'ArrowDown'
+                    ? (active + 1) % options.length
+                    : (active <= 0 ? options.length : active) - 1;
+                options.forEach((option, index) => option.setAttribute('aria-selected', String(index === next)));
+                input.setAttribute('aria-activedescendant', options[next].id);
+            } else if (e.key === 'Enter' && active !== -1) {
+                e.preventDefault();
+                this.chooseLocation(this.locationSuggestions[active]);
+            } else if (e.key === 'Escape') {
+                this.renderLocationSuggestions([]);
+            }
+        });
+
+        input.addEventListener('blur', () => this.renderLocationSuggestions([]));
+        // mousedown would blur the input and close the list before the click lands
+        list.addEventListener('mousedown', (e) => e.preventDefault());
+        list.addEventListener('click', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (option) {
+                this.chooseLocation(this.locationSuggestions[Number(option.dataset.index)]);
+            }
+        });
+    }
+
+    renderLocationSuggestions(candidates) {
+        const input = document.getElementById('locationInput');
+        const list = document.getElementById('locationSuggestions');
+        this.locationSuggestions = candidates;
+        list.replaceChildren(...candidates.map((candidate, index) => this.createLocationOption(candidate, {
+            id: `locationSuggestion-${index}`,
+            role: 'option',
+            index
+        })));
+        list.classList.toggle('hidden', candidates.length === 0);
+        input.setAttribute('aria-expanded', String(candidates.length > 0));
+        input.removeAttribute('aria-activedescendant');
+    }
+
+    // Place name with its type and country; geocoder text goes in as text
+    createLocationOption(candidate, { id, role, index }) {
+        const option = document.createElement(role === 'option' ? 'li' : 'button');
+        if (role === 'option') {
+            option.id = id;
+            option.setAttribute('role', 'option');
+            option.setAttribute('aria-selected', 'false');
+        } else {
+            option.type = 'button';
         }
+        option.className = 'location-option';
+        option.dataset.index = index;
+
+        const label = document.createElement('span');
+        label.className = 'location-option-label';
+        label.textContent = candidate.label;
+        const detail = document.createElement('small');
+        detail.className = 'location-option-detail';
+        // Saved areas and built-in cities come with their detail; geocoder results with a type and country
+        detail.textContent = candidate.detail || [this.locationTypeLabel(candidate.type), candidate.country].filter(Boolean).join(' · ');
+        option.append(label, detail);
+        return option;
     }
 
-    // Local AI processing (no external API dependency)
-    processQueryWithLocalAI(query, location) {
-        const lowerQuery = query.toLowerCase();
-        let categories = [];
-        let intent = 'attractions';
-        
-        // Enhanced intent detection
-        const intentMap = {
-            'restaurants': ['restaurant', 'food', 'eat', 'dining', 'meal', 'lunch', 'dinner', 'ramen', 'sushi', 'pizza'],
-            'coffee': ['coffee', 'cafe', 'espresso', 'latte', 'cappuccino', 'starbucks'],
-            'museums': ['museum', 'gallery', 'art', 'history', 'culture', 'exhibition'],
-            'attractions': ['attraction', 'tourist', 'landmark', 'monument', 'sightseeing', 'visit', 'temple', 'shrine'],
-            'hotels': ['hotel', 'accommodation', 'stay', 'lodge', 'inn', 'resort'],
-            'shopping': ['shop', 'shopping', 'mall', 'store', 'boutique', 'market'],
-            'nightlife': ['bar', 'club', 'nightlife', 'drinks', 'pub', 'lounge'],
-            'parks': ['park', 'garden', 'nature', 'outdoor', 'green', 'recreation']
-        };
+    // Geocoder place types are OpenStreetMap values; common ones are translated, the rest shown as they came
+    locationTypeLabel(type) {
+        if (!type) {
+            return this.t('location.type.place');
+        }
+        const key = `location.type.${type}`;
+        return this.i18n.has(key) ? this.t(key) : `${type.charAt(0).toUpperCase()}${type.slice(1)}`.replace(/_/g, ' ');
+    }
+
+    // A picked suggestion is searched as-is, with its bounding box, while the field still shows its label
+    chooseLocation(candidate) {
+        this.chosenLocation = candidate;
+        this.origin = null;
+        document.getElementById('locationInput').value = candidate.label;
+        document.getElementById('locationStatus').classList.add('hidden');
+        this.renderLocationSuggestions([]);
+        this.hideLocationChooser();
+    }
 
-        // Detect intent and map to categories
-        for (const [intentKey, words] of Object.entries(intentMap)) {
-            if (words.some(word => lowerQuery.includes(word))) {
-                intent = intentKey;
-                categories = this.foursquareCategories[intentKey] || [];
-                break;
+    // Several places share the submitted name: ask instead of guessing
+    showLocationChooser(location, candidates) {
+        const chooser = document.getElementById('locationChooser');
+        chooser.querySelector('.location-chooser-title').textContent = this.t('location.whichOne', { location });
+        const options = chooser.querySelector('.location-chooser-options');
+        options.replaceChildren(...candidates.map((candidate, index) => this.createLocationOption(candidate, { role: 'button', index })));
+        options.onclick = (e) => {
+            const option = e.target.closest('.location-option');
+            if (option) {
+                this.chooseLocation(candidates[Number(option.dataset.index)]);
+                document.getElementById('questForm').requestSubmit();
             }
-        }
+        };
+        chooser.classList.remove('hidden');
+        chooser.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    }
 
-        // Extract keywords
-        const stopWords = ['best', 'good', 'great', 'top', 'popular', 'amazing', 'nice', 'with', 'for', 'the', 'a', 'an'];
-        const keywords = query.split(' ')
-            .filter(word => word.length > 2 && !stopWords.includes(word.toLowerCase()))
-            .slice(0, 3);
+    hideLocationChooser() {
+        document.getElementById('locationChooser').classList.add('hidden');
+    }
 
-        const radius = /nearby|close|walking/i.test(query) ? 2000 : 5000;
-        const limit = /few|couple/i.test(query) ? 10 : 20;
+    // Structured query from the LLM engine if one is configured; it falls back to the keyword parser itself
+    async analyzeQuery(query, location, signal) {
+        // The LLM writes its summary in the UI language
+        const language = new Intl.DisplayNames(['en'], { type: 'language' }).of(this.i18n.language);
+        const parsed = this.llmEngine
+            ? await this.llmEngine.analyze(query, { signal, language })
+            : { ...this.queryParser.parse(query), engine: 'keywords' };
 
+        if (parsed.engine === 'llm') {
+            return { ...parsed, engineLabel: `${parsed.engineLabel} (LLM)`, response: parsed.summary };
+        }
         return {
-            intent,
-            categories: categories.join(','),
-            keywords: keywords.join(' '),
-            radius,
-            limit,
-            response: `I'm searching for ${intent} related to "${query}" in ${location}. Let me find the best real-time matches!`
+            ...parsed,
+            engineLabel: this.t('results.keywordParser'),
+            response: this.t('results.keywordResponse', {
+                summary: this.queryParser.summarize(parsed).map(part => this.describeMessage(part)).join(' · '),
+                query,
+                location
+            })
         };
     }
 
-    // Search places with fallback to sample data
-    async searchPlacesWithFallback(coordinates, searchParams) {
-        try {
-            // Try real Foursquare API
-            const places = await this.searchPlacesRealTime(coordinates, searchParams);
-            if (places.length > 0) {
-                return places;
-            }
-        } catch (error) {
-            this.log('Foursquare API failed, using sample data', error.message);
-        }
+    // Search places through the fallback chain: selected provider, other providers, cache, demo data
+    async searchPlacesWithFallback(coordinates, searchParams, { signal, onAttempt, sources = null } = {}) {
+        const primary = this.getActiveProvider().name;
+        const order = sources || [primary, ...this.config.fallbackChain.filter(name => name !== primary)];
+        const chain = new PlacesSearchChain(order.map(name => this.getSearchStep(name)).filter(Boolean));
 
-        // Fallback to sample data
-        return this.generateSamplePlaces(coordinates, searchParams);
+        const result = await chain.run(coordinates, searchParams, { signal, onAttempt });
+        this.log('Search chain finished', result.attempts);
+        return result;
     }
 
-    async searchPlacesRealTime(coordinates, searchParams) {
-        const params = new URLSearchParams({
-            ll: `${coordinates.lat},${coordinates.lon}`,
-            radius: searchParams.radius,
-            limit: Math.min(searchParams.limit, 20),
-            sort: 'POPULARITY'
-        });
+    getSearchStep(name) {
+        if (this.providers[name]) {
+            return this.providers[name];
+        }
 
-        if (searchParams.categories) {
-            params.append('categories', searchParams.categories);
+        if (name === 'cache') {
+            return {
+                name: 'cache',
+                label: this.t('source.cachedResults'),
+                search: async (coordinates, searchParams) => {
+                    // Results saved with an offline area stand in for an exact match
+                    const entry = await this.recentResults.get(coordinates, searchParams)
+                        || await this.library.findAreaAt(coordinates).catch(() => null);
+                    if (!entry) {
+                        throw new Error(this.t('source.nothingCached'));
+                    }
+                    return entry.places.map(place => ({
+                        ...place,
+                        isRealTime: false,
+                        isCached: true,
+                        cachedAt: entry.savedAt
+                    }));
+                }
+            };
         }
 
-        if (searchParams.keywords) {
-            params.append('query', searchParams.keywords);
+        if (name === 'demo') {
+            return {
+                name: 'demo',
+                label: this.t('source.demoDataset'),
+                search: async (coordinates, searchParams) => getDemoPlaces(coordinates, searchParams.intent)
+            };
         }
 
-        const url = `${this.endpoints.foursquareSearch}?${params}`;
-        
-        const response = await this.fetchWithTimeout(url, {
-            headers: {
-                'Authorization': this.apiKeys.foursquare,
-                'Accept': 'application/json'
-            }
-        });
+        this.log(`Unknown search chain step "${name}"`);
+        return null;
+    }
 
-        const data = await response.json();
-        return data.results || [];
+    describeFailedAttempts(attempts) {
+        return attempts
+            .filter(attempt => !attempt.ok)
+            .map(attempt => `${attempt.label}: ${this.describeMessage(attempt.reason)}`)
+            .join(' · ');
     }
 
-    // Generate sample places when API is unavailable
-    generateSamplePlaces(coordinates, searchParams) {
-        const intent = searchParams.intent || 'restaurants';
-        const samplePlaces = {
-            restaurants: [
-                { name: 'Ichiran Ramen', category: 'Ramen Restaurant', rating: 4.2 },
-                { name: 'Sukiyabashi Jiro', category: 'Sushi Restaurant', rating: 4.8 },
-                { name: 'Bills Omotesando', category: 'Breakfast Restaurant', rating: 4.1 },
-                { name: 'Nabezo Shibuya', category: 'Shabu Shabu Restaurant', rating: 4.0 }
-            ],
-            attractions: [
-                { name: 'Senso-ji Temple', category: 'Buddhist Temple', rating: 4.3 },
-                { name: 'Tokyo Skytree', category: 'Observation Tower', rating: 4.1 },
-                { name: 'Meiji Shrine', category: 'Shinto Shrine', rating: 4.2 },
-                { name: 'Tokyo National Museum', category: 'History Museum', rating: 4.0 }
-            ],
-            coffee: [
-                { name: 'Blue Bottle Coffee', category: 'Coffee Shop', rating: 4.3 },
-                { name: 'Starbucks Reserve Roastery', category: 'Coffee Roaster', rating: 4.2 },
-                { name: 'Kurasu Kyoto', category: 'Specialty Coffee', rating: 4.5 },
-                { name: 'Bear Pond Espresso', category: 'Espresso Bar', rating: 4.4 }
-            ]
-        };
+    // Describe where a place came from for badges and popups
+    getPlaceSource(place) {
+        const provider = this.providers[place.provider];
+        const providerLabel = provider?.label || this.t('source.provider');
+        if (place.isRealTime) {
+            return { kind: 'live', icon: 'wifi', badge: this.t('source.live'), label: this.t('source.realTimeFrom', { provider: providerLabel }) };
+        }
+        if (place.isCached) {
+            return { kind: 'cached', icon: 'history', badge: this.t('source.cached'), label: this.t('source.cachedFrom', { provider: providerLabel }) };
+        }
+        return { kind: 'sample', icon: 'database', badge: this.t('source.demo'), label: this.t('source.demoDataset') };
+    }
 
-        const places = samplePlaces[intent] || samplePlaces.restaurants;
-        
-        return places.map((place, index) => ({
-            fsq_id: `sample_${intent}_${index}`,
-            name: place.name,
-            categories: [{ name: place.category }],
-            rating: place.rating,
-            location: {
-                formatted_address: `Sample Address, ${coordinates.display_name || 'Location'}`,
-                address: `Sample Address ${index + 1}`
-            },
-            geocodes: {
-                main: {
-                    latitude: coordinates.lat + (Math.random() - 0.5) * 0.02,
-                    longitude: coordinates.lon + (Math.random() - 0.5) * 0.02
+    // Enrich every place in parallel; the scheduler bounds concurrency and paces each host
+    async processPlaceDetails(places, { signal, onPlace } = {}) {
+        // Cached and demo data have nothing more to fetch
+        if (!places.some(p => p.isRealTime)) {
+            return places;
+        }
+
+        let done = 0;
+        return Promise.all(places.map(async (place) => {
+            const provider = this.providers[place.provider];
+            let detailed = place;
+            try {
+                detailed = await provider.getDetails(place, { signal });
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    throw error;
                 }
-            },
-            hours: {
-                display: index % 2 === 0 ? 'Open until 10 PM' : 'Open 24 hours'
-            },
-            tel: index % 3 === 0 ? '+81-3-1234-5678' : null,
-            isRealTime: false,
-            isSample: true
+                this.log(`Details failed for ${place.id}`, error.message);
+            }
+
+            done++;
+            if (onPlace) {
+                onPlace(detailed, done);
+            }
+            return detailed;
         }));
     }
 
-    async processPlaceDetails(places) {
-        // For sample data, return as is
-        if (places.some(p => p.isSample)) {
-            return places.map(place => ({
-                ...place,
-                details: place,
-                isRealTime: false
-            }));
+    // Sort by match score and remember each place's breakdown for its card
+    rankPlaces(places) {
+        const ranked = this.ranker.rank(places, this.currentSearchParams, this.currentLocation);
+        this.rankings = new Map(ranked.map(entry => [entry.place.id, entry.ranking]));
+        return ranked.map(entry => entry.place);
+    }
+
+    // Cards keep their place while details stream in; reorder once, after the last one arrives
+    applyFinalRanking() {
+        const reranked = this.rankPlaces(this.currentPlaces);
+        if (reranked.some((place, index) => place !== this.currentPlaces[index])) {
+            this.currentPlaces = reranked;
+            this.renderPlacesList();
         }
+    }
 
-        // For real data, try to get more details
-        const detailedPlaces = [];
-        for (const place of places.slice(0, 10)) {
-            try {
-                const url = `${this.endpoints.foursquarePlace}/${place.fsq_id}`;
-                const response = await this.fetchWithTimeout(url, {
-                    headers: {
-                        'Authorization': this.apiKeys.foursquare,
-                        'Accept': 'application/json'
-                    }
-                });
+    // Record an enriched place's progress and swap it into the results
+    updatePlaceInResults(place, done, total) {
+        this.replacePlaceInResults(place);
 
-                if (response.ok) {
-                    const details = await response.json();
-                    detailedPlaces.push({
-                        ...place,
-                        details: details,
-                        isRealTime: true
-                    });
-                } else {
-                    detailedPlaces.push({
-                        ...place,
-                        details: place,
-                        isRealTime: true
-                    });
-                }
-            } catch (error) {
-                detailedPlaces.push({
-                    ...place,
-                    details: place,
-                    isRealTime: false
-                });
-            }
+        const progress = document.getElementById('detailsProgress');
+        progress.textContent = done < total ? this.t('results.detailsProgress', { done, total }) : '';
+        progress.classList.toggle('hidden', done >= total);
+    }
+
+    // Swap a newer version of a listed place into its card and marker popup
+    replacePlaceInResults(place) {
+        const index = this.currentPlaces.findIndex(candidate => candidate.id === place.id);
+        if (index === -1) {
+            return;
         }
 
-        return detailedPlaces;
+        this.currentPlaces[index] = place;
+        this.rankings.set(place.id, this.ranker.score(place, this.currentSearchParams, this.currentLocation));
+
+        // New details can change whether and where a place shows under the current filters
+        const card = document.querySelector(`.place-card[data-place-id="${CSS.escape(place.id)}"]`);
+        if (this.resultFilter.isActive()) {
+            this.applyResultFilters();
+        } else if (card) {
+            card.replaceWith(renderElement(this.createRealTimePlaceCard(place)));
+        }
+
+        const marker = this.markersById.get(place.id);
+        if (marker) {
+            marker.setPopupContent(this.createRealTimePopupContent(place));
+        }
     }
 
-    displayRealTimeResults(aiResponse, places, location) {
+    displayRealTimeResults(aiResponse, places, location, searchResult) {
         const resultsSection = document.getElementById('resultsSection');
         const aiResponseDiv = document.getElementById('aiResponse');
-        const placesList = document.getElementById('placesList');
-
-        const dataSourceText = places.some(p => p.isRealTime) ? 'Live Data from Foursquare' : 'Sample Data (API Unavailable)';
-        const dataSourceClass = places.some(p => p.isRealTime) ? 'live' : 'sample';
 
-        aiResponseDiv.innerHTML = `
-            <div style="display: flex; justify-content: space-between; align-items: flex-start; margin-bottom: 12px;">
+        const source = this.getPlaceSource(places[0]);
+        const cachedProvider = this.providers[places[0].provider];
+        const sourceLabels = {
+            live: searchResult.source.label,
+            cached: this.t('source.cachedSaved', {
+                source: cachedProvider?.label || this.t('source.earlierSearch'),
+                date: this.i18n.formatDateTime(places[0].cachedAt)
+            }),
+            sample: this.t('source.demoSet')
+        };
+        const dataSourceText = {
+            live: this.t('results.liveFrom', { source: searchResult.source.label }),
+            cached: this.t('results.cachedFallback'),
+            sample: this.t('results.demoFallback')
+        }[source.kind];
+        const dataSourceClass = source.kind;
+
+        document.getElementById('dataSourceText').textContent = dataSourceText;
+        this.updateDataSourceControl(source.kind, sourceLabels[source.kind]);
+        this.renderSourceTrail(searchResult.attempts);
+
+        // Model output and the typed location are untrusted text; html`` escapes them
+        setHtml(aiResponseDiv, html`
+            <div class="ai-response-header">
                 <div>
-                    <strong><i class="fas fa-brain"></i> Llama 3.1 AI Analysis:</strong>
+                    <strong><i class="fas fa-${aiResponse.engine === 'llm' ? 'brain' : 'list-check'}"></i> ${this.t('results.analysis', { engine: aiResponse.engineLabel })}</strong>
                 </div>
                 <div class="real-time-badge ${dataSourceClass}">
-                    <i class="fas fa-${places.some(p => p.isRealTime) ? 'wifi' : 'database'}"></i>
+                    <i class="fas fa-${source.icon}"></i>
                     ${dataSourceText}
                 </div>
             </div>
-            <p>${aiResponse.response}</p>
-            <p><small><i class="fas fa-map-marker-alt"></i> Found ${places.length} places in ${location}</small></p>
-        `;
+            <p class="ai-response-text">${aiResponse.response}</p>
+            ${aiResponse.engineNote && html`<p class="ai-engine-note"><small><i class="fas fa-circle-info"></i> ${this.t('results.engineNote', { note: this.describeMessage(aiResponse.engineNote) })}</small></p>`}
+            <p><small><i class="fas fa-map-marker-alt"></i> ${this.t('results.found', { count: places.length, location })}</small></p>
+        `);
+
+        this.currentPlaces = [...places];
+        // A new result set starts unfiltered; the chosen sort order carries over
+        const { sort } = this.resultFilter.state;
+        this.resultFilter.reset();
+        this.resultFilter.set({ sort });
+        this.syncFilterForm();
+        this.renderPlacesList();
+        resultsSection.classList.remove('hidden');
+    }
 
-        placesList.innerHTML = places.map(place => this.createRealTimePlaceCard(place)).join('');
+    // Render the filtered, sorted view of currentPlaces; returns the places shown
+    renderPlacesList() {
+        const visible = this.getVisiblePlaces();
+        const placesList = document.getElementById('placesList');
 
-        // Add click handlers
-        placesList.querySelectorAll('.place-card').forEach((card, index) => {
-            card.addEventListener('click', () => {
-                this.focusOnPlace(places[index]);
-            });
-        });
+        setHtml(placesList, visible.length > 0
+            ? html`${visible.map(place => this.createRealTimePlaceCard(place))}`
+            : html`<p class="filters-empty"><i class="fas fa-filter"></i> ${this.t('filters.empty')}</p>`);
+        document.getElementById('filterSummary').textContent = this.resultFilter.isActive()
+            ? this.t('filters.showing', { count: visible.length, total: this.currentPlaces.length })
+            : this.t('library.placeCount', { count: this.currentPlaces.length });
+        return visible;
+    }
 
-        resultsSection.classList.remove('hidden');
+    // Show which sources were skipped, and why, before the one that answered
+    renderSourceTrail(attempts) {
+        const trail = document.getElementById('sourceTrail');
+        const failed = attempts.filter(attempt => !attempt.ok);
+
+        if (failed.length === 0) {
+            trail.classList.add('hidden');
+            trail.replaceChildren();
+            return;
+        }
+
+        setHtml(trail, html`${failed.map(attempt => html`
+            <div class="source-trail-step">
+                <i class="fas fa-times-circle"></i>
+                <strong>${attempt.label}:</strong> ${this.describeMessage(attempt.reason)}
+            </div>
+        `)}`);
+        trail.classList.remove('hidden');
+    }
+
+    // Time the search is for: the "Visit at" field, else a time in the query ("late night", "at 9pm").
+    // Returns the searchParams changes: visitAt is { day (null for the place's today), minutes, label } or null for now.
+    resolveVisitAt(analysedQuery, visitAtValue) {
+        const visit = OpeningHours.parseVisitAt(visitAtValue);
+        if (visit) {
+            // An explicit visit time replaces "open now"
+            return { visitAt: { ...visit, label: `at ${OpeningHours.formatMoment(visit)}` }, openNow: false };
+        }
+
+        const window = analysedQuery.timeWindow;
+        if (analysedQuery.openNow || !window || (!window.start && !window.end)) {
+            return { visitAt: null };
+        }
+        // "before 9am" is checked an hour before its end
+        const [hours, minutes] = (window.start || window.end).split(':').map(Number);
+        const offset = window.start ? 0 : -60;
+        return { visitAt: { day: null, minutes: (hours * 60 + minutes + offset + 24 * 60) % (24 * 60), label: window.label } };
+    }
+
+    // The visit time as badges show it: "at Sat 21:30", or the query's own words ("late night", "before 09:00").
+    // visitAt.label stays in English for the ranker's explanations.
+    visitAtLabel(visitAt) {
+        if (visitAt.day) {
+            return this.t('visit.at', { time: this.i18n.formatMoment(visitAt) });
+        }
+        const clock = visitAt.label.match(/^(at|before|after) (\d{2}):(\d{2})$/);
+        if (clock) {
+            return this.t(`visit.${clock[1]}`, { time: this.i18n.formatClock(Number(clock[2]) * 60 + Number(clock[3])) });
+        }
+        // Named windows from the vocabulary have a message; an LLM's own label is shown as it came
+        const key = `visit.${visitAt.label.replace(/\s+/g, '-')}`;
+        return this.i18n.has(key) ? this.t(key) : visitAt.label;
+    }
+
+    // Opening status at the visit time, or now, as wall-clock time in the place's timezone (the device's when
+    // the provider gives none); { open, state, message, ... } or null when the hours are unknown
+    getHoursStatus(place, visitAt = this.currentSearchParams?.visitAt || null) {
+        const hours = OpeningHours.forPlace(place);
+        if (!hours) {
+            return null;
+        }
+        const now = OpeningHours.localMoment(new Date(), place.timezone);
+        const moment = visitAt ? { day: visitAt.day || now.day, minutes: visitAt.minutes } : now;
+        const status = hours.statusAt(moment);
+        return { ...status, ...hours.describe(status, moment) };
+    }
+
+    createHoursBadge(place) {
+        const status = this.getHoursStatus(place);
+        if (!status) {
+            return null;
+        }
+        const visitAt = this.currentSearchParams?.visitAt;
+        return html`<span class="hours-badge hours-badge--${status.state}">${visitAt ? `${this.visitAtLabel(visitAt)}: ` : ''}${this.describeHours(status)}</span>`;
+    }
+
+    // Badge text in the UI language for a status from getHoursStatus()
+    describeHours({ message }) {
+        return this.describeMessage(message);
+    }
+
+    formatRating(rating) {
+        return this.i18n.formatNumber(rating, { minimumFractionDigits: 1, maximumFractionDigits: 1 });
     }
 
     createRealTimePlaceCard(place) {
-        const details = place.details || place;
-        const name = place.name || 'Unknown Place';
-        const address = place.location?.formatted_address || place.location?.address || 'Address not available';
-        const category = place.categories?.[0]?.name || 'Place';
-        const rating = details.rating ? details.rating.toFixed(1) : null;
-        const hours = details.hours?.display;
-        const phone = details.tel;
-        const website = details.website;
+        const name = place.name;
+        const address = place.address || this.t('place.noAddress');
+        const category = place.category;
+        const rating = place.rating ? this.formatRating(place.rating) : null;
+        const hours = place.hours?.display;
+        const hoursBadge = this.createHoursBadge(place);
+        const phone = place.phone;
+        const phoneHref = telUrl(phone);
+        const websiteLink = externalLink(place.website, this.t('place.website'));
         
-        const badgeClass = place.isRealTime ? 'live' : 'sample';
-        const badgeText = place.isRealTime ? 'Live' : 'Sample';
-        const badgeIcon = place.isRealTime ? 'wifi' : 'database';
+        const source = this.getPlaceSource(place);
+        const badgeClass = source.kind;
+        const badgeText = source.badge;
+        const badgeIcon = source.icon;
         
-        return `
-            <div class="place-card" data-place-id="${place.fsq_id}">
-                <div style="display: flex; justify-content: space-between; align-items: flex-start; margin-bottom: 8px;">
+        return html`
+            <div class="place-card ${place.id === this.selectedPlaceId ? 'selected' : ''}" data-place-id="${place.id}">
+                <div class="place-card-header">
                     <h4 class="place-name">${name}</h4>
                     <div class="real-time-badge ${badgeClass}">
                         <i class="fas fa-${badgeIcon}"></i>
                         ${badgeText}
                     </div>
+                    ${this.createSaveButton(place)}
+                    <button type="button" class="itinerary-add-btn ${this.isInItinerary(place.id) ? 'added' : ''}" data-place-id="${place.id}" title="${this.t(this.isInItinerary(place.id) ? 'itinerary.removeStop' : 'itinerary.addStop')}">
+                        <i class="fas fa-${this.isInItinerary(place.id) ? 'circle-check' : 'route'}"></i>
+                    </button>
                 </div>
                 <div class="place-details">
                     <div class="place-detail">
@@ -506,58 +2474,137 @@ class QuestLensRealTime {
                         <i class="fas fa-map-marker-alt"></i>
                         <span>${address}</span>
                     </div>
-                    ${rating ? `
+                    ${rating && html`
                     <div class="place-detail">
                         <i class="fas fa-star"></i>
                         <span class="place-rating">
-                            <span class="rating-stars">${'★'.repeat(Math.floor(rating))}</span>
+                            <span class="rating-stars">${'★'.repeat(Math.floor(place.rating))}</span>
                             ${rating}/5
                         </span>
-                    </div>` : ''}
-                    ${hours ? `
-                    <div class="place-detail">
+                    </div>`}
+                    ${(hoursBadge || hours) && html`
+                    <div class="place-detail place-hours">
                         <i class="fas fa-clock"></i>
-                        <span>${hours}</span>
-                    </div>` : ''}
-                    ${phone ? `
+                        <span>${hoursBadge} ${hours}</span>
+                    </div>`}
+                    ${phone && html`
                     <div class="place-detail">
                         <i class="fas fa-phone"></i>
-                        <span><a href="tel:${phone}">${phone}</a></span>
-                    </div>` : ''}
-                    ${website ? `
+                        <span>${phoneHref ? html`<a href="${phoneHref}">${phone}</a>` : phone}</span>
+                    </div>`}
+                    ${websiteLink && html`
                     <div class="place-detail">
                         <i class="fas fa-globe"></i>
-                        <span><a href="${website}" target="_blank">Visit Website</a></span>
-                    </div>` : ''}
+                        <span>${websiteLink}</span>
+                    </div>`}
                 </div>
+                ${this.createMatchExplanation(this.rankings.get(place.id))}
+                ${this.createCompareToggle(place)}
+            </div>
+        `;
+    }
+
+    // Ticked places stay tickable; the rest are disabled once the tray is full
+    createCompareToggle(place) {
+        const ticked = this.isInComparison(place.id);
+        const full = !ticked && this.comparePlaces.length >= COMPARISON_DEFAULTS.maxPlaces;
+        return html`
+            <label class="filter-check compare-toggle" title="${full ? this.t('compare.full', { count: COMPARISON_DEFAULTS.maxPlaces }) : ''}">
+                <input type="checkbox" class="compare-checkbox" data-place-id="${place.id}" ${ticked ? html`checked` : ''} ${full ? html`disabled` : ''}>
+                ${this.t('compare.toggle')}
+            </label>
+        `;
+    }
+
+    createSaveButton(place) {
+        const saved = this.isPlaceSaved(place.id);
+        return html`
+            <button type="button" class="save-place-btn ${saved ? 'saved' : ''}" data-place-id="${place.id}" title="${this.t(saved ? 'save.editTitle' : 'save.saveTitle')}">
+                <i class="${saved ? 'fas' : 'far'} fa-star"></i>
+            </button>
+        `;
+    }
+
+    // "Matched because" chips plus an expandable per-factor score breakdown
+    createMatchExplanation(ranking) {
+        if (!ranking) {
+            return null;
+        }
+
+        return html`
+            <div class="place-match">
+                ${ranking.reasons.length > 0 && html`
+                <div class="match-chips">
+                    ${ranking.reasons.map(reason => html`<span class="match-chip"><i class="fas fa-check"></i> ${this.describeMessage(reason)}</span>`)}
+                </div>`}
+                <details class="score-breakdown">
+                    <summary>${this.t('score.summary', { score: ranking.score })}</summary>
+                    <ul>
+                        ${ranking.factors.map(factor => html`
+                        <li>
+                            <span class="score-factor">${this.t(`score.${factor.key}`)}</span>
+                            <span class="score-detail">${this.describeMessage(factor.detail)}</span>
+                            <span class="score-points">${factor.maxPoints > 0 ? `${this.i18n.formatNumber(factor.points)}/${this.i18n.formatNumber(factor.maxPoints)}` : '—'}</span>
+                        </li>`)}
+                    </ul>
+                </details>
             </div>
         `;
     }
 
+    // A { key, values } message from a service (ranker, query parser, search errors) in the UI language.
+    // Values are raw data; distances, intent and amenity names, lists and times are formatted here.
+    describeMessage({ key, values = {} }) {
+        const labelOf = (prefix, name) => (this.i18n.has(`${prefix}.${name}`) ? this.t(`${prefix}.${name}`) : name);
+        const listOf = (prefix, names) => names && this.i18n.formatList(names.map(name => labelOf(prefix, name)));
+        const quote = keyword => this.t('rank.keyword', { keyword });
+        return this.t(key, {
+            ...values,
+            distance: values.km !== undefined ? this.i18n.formatDistance(values.km) : null,
+            rating: values.rating !== undefined ? this.formatRating(values.rating) : null,
+            intent: values.intent && labelOf('category', values.intent),
+            intents: listOf('category', values.intents),
+            excluded: listOf('category', values.excluded),
+            amenities: listOf('amenity', values.amenities),
+            missing: listOf('amenity', values.missing),
+            hits: values.hits && this.i18n.formatList(values.hits.map(hit => this.t(`rank.keywordIn.${hit.field}`, { keyword: quote(hit.keyword) }))),
+            keywords: values.keywords && this.i18n.formatList(values.keywords.map(quote), { type: 'disjunction' }),
+            when: values.visitAt && this.visitAtLabel(values.visitAt),
+            time: values.at && (values.withDay ? this.i18n.formatMoment(values.at) : this.i18n.formatClock(values.at.minutes)),
+            hours: values.status && this.describeHours(values.status)
+        });
+    }
+
     updateMapWithRealData(places) {
         // Clear existing markers
-        this.markers.forEach(marker => this.map.removeLayer(marker));
+        this.markerLayer.clearLayers();
         this.markers = [];
+        this.markersById.clear();
+        this.hiddenCategories.clear();
 
-        // Add new markers
+        // Add new markers, styled by category and data source
         places.forEach((place) => {
-            if (place.geocodes?.main?.latitude && place.geocodes?.main?.longitude) {
-                const marker = L.marker([
-                    place.geocodes.main.latitude,
-                    place.geocodes.main.longitude
-                ]).addTo(this.map);
+            if (place.lat && place.lon) {
+                const marker = L.marker([place.lat, place.lon], {
+                    icon: this.createMarkerIcon(place),
+                    title: place.name
+                });
 
                 const popupContent = this.createRealTimePopupContent(place);
                 marker.bindPopup(popupContent);
-                
+                marker.on('click', () => this.selectPlace(place.id, { scrollToCard: true }));
+
                 this.markers.push(marker);
+                this.markersById.set(place.id, marker);
             }
         });
+        this.markerLayer.addLayers(this.markers);
+        this.renderLegend(places);
 
         // Update place count
         const placeCountElement = document.getElementById('placeCount');
-        const dataType = places.some(p => p.isRealTime) ? 'live' : 'sample';
-        placeCountElement.innerHTML = `<i class="fas fa-${places.some(p => p.isRealTime) ? 'wifi' : 'database'}"></i> ${places.length} ${dataType} places found`;
+        const source = places.length > 0 ? this.getPlaceSource(places[0]) : { kind: 'live', icon: 'wifi' };
+        setHtml(placeCountElement, html`<i class="fas fa-${source.icon}"></i> ${this.t(`results.count.${source.kind}`, { count: places.length })}`);
 
         // Fit map to show all markers
         if (this.markers.length > 0) {
@@ -567,19 +2614,21 @@ class QuestLensRealTime {
     }
 
     createRealTimePopupContent(place) {
-        const details = place.details || place;
-        const name = place.name || 'Unknown Place';
-        const address = place.location?.formatted_address || place.location?.address || 'Address not available';
-        const category = place.categories?.[0]?.name || 'Place';
-        const rating = details.rating ? details.rating.toFixed(1) : null;
-        const hours = details.hours?.display;
-
-        const dataSource = place.isRealTime ? 'Real-time from Foursquare' : 'Sample data';
-        const badgeClass = place.isRealTime ? 'live' : 'sample';
-
-        return `
+        const name = place.name;
+        const address = place.address || this.t('place.noAddress');
+        const category = place.category;
+        const rating = place.rating ? this.formatRating(place.rating) : null;
+        const hours = place.hours?.display;
+        const hoursBadge = this.createHoursBadge(place);
+
+        const source = this.getPlaceSource(place);
+        const dataSource = source.label;
+        const badgeClass = source.kind;
+
+        // Leaflet would set a string popup with innerHTML, so it gets an element
+        return renderElement(html`
             <div class="popup-content">
-                <h4 class="popup-place-name">${name}</h4>
+                <h4 class="popup-place-name">${name} ${this.createSaveButton(place)}</h4>
                 <div class="popup-details">
                     <div class="popup-detail">
                         <i class="fas fa-tag"></i>
@@ -589,49 +2638,396 @@ class QuestLensRealTime {
                         <i class="fas fa-map-marker-alt"></i>
                         <span>${address}</span>
                     </div>
-                    ${rating ? `
+                    ${rating && html`
                     <div class="popup-detail">
                         <i class="fas fa-star"></i>
                         <span>${rating}/5 ⭐</span>
-                    </div>` : ''}
-                    ${hours ? `
-                    <div class="popup-detail">
+                    </div>`}
+                    ${(hoursBadge || hours) && html`
+                    <div class="popup-detail place-hours">
                         <i class="fas fa-clock"></i>
-                        <span>${hours}</span>
-                    </div>` : ''}
+                        <span>${hoursBadge} ${hours}</span>
+                    </div>`}
                 </div>
                 <div class="popup-live-badge ${badgeClass}">
-                    <i class="fas fa-${place.isRealTime ? 'wifi' : 'database'}"></i>
+                    <i class="fas fa-${source.icon}"></i>
                     ${dataSource}
                 </div>
+                <button type="button" class="btn btn--outline btn--sm place-drawer-btn" data-place-id="${place.id}">
+                    <i class="fas fa-circle-info"></i> ${this.t('drawer.open')}
+                </button>
             </div>
-        `;
+        `);
     }
 
     focusOnPlace(place) {
-        if (place.geocodes?.main?.latitude && place.geocodes?.main?.longitude) {
-            this.map.setView([
-                place.geocodes.main.latitude,
-                place.geocodes.main.longitude
-            ], 16);
-            
-            // Find and open the corresponding marker popup
-            this.markers.forEach(marker => {
-                const markerLatLng = marker.getLatLng();
-                if (Math.abs(markerLatLng.lat - place.geocodes.main.latitude) < 0.0001 &&
-                    Math.abs(markerLatLng.lng - place.geocodes.main.longitude) < 0.0001) {
-                    marker.openPopup();
+        const marker = this.markersById.get(place.id);
+        if (!marker) {
+            return;
+        }
+        this.map.setView(marker.getLatLng(), 16, { animate: false });
+        this.selectPlace(place.id, { openPopup: true });
+    }
+
+    setupPlaceDrawer() {
+        const drawer = document.getElementById('placeDrawer');
+        document.getElementById('closePlaceDrawerBtn').addEventListener('click', () => drawer.close());
+        // The dialog element itself is only hit on the backdrop; its content sits in an inner wrapper
+        drawer.addEventListener('click', (e) => {
+            if (e.target === drawer) {
+                drawer.close();
+            }
+        });
+        drawer.addEventListener('close', () => {
+            this.drawerJob?.abort();
+            this.drawerJob = null;
+        });
+
+        document.getElementById('photoPrevBtn').addEventListener('click', () => this.showDrawerPhoto(this.drawerPhotoIndex - 1));
+        document.getElementById('photoNextBtn').addEventListener('click', () => this.showDrawerPhoto(this.drawerPhotoIndex + 1));
+        document.getElementById('placeDrawerPhotos').addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+                e.preventDefault();
+                // Previous is on the right in right-to-left layouts
+                const back = this.i18n.direction === 'rtl' ? 'ArrowRight' : 'ArrowLeft';
+                this.showDrawerPhoto(this.drawerPhotoIndex + (e.key === back ? -1 : 1));
+            }
+        });
+        document.getElementById('placeDrawerDetails').addEventListener('click', (e) => {
+            const copyButton = e.target.closest('.copy-address-btn');
+            if (copyButton) {
+                this.copyAddress(copyButton);
+            }
+        });
+    }
+
+    // Detail drawer for a place. What the card knows is drawn at once; fuller details, photos, tips and
+    // nearby places load through fetchJson when the drawer opens and fill in their sections as they arrive.
+    openPlaceDrawer(place) {
+        this.drawerJob?.abort();
+        const job = new AbortController();
+        this.drawerJob = job;
+        this.drawerPlace = place;
+
+        document.getElementById('placeDrawerName').textContent = place.name;
+        document.getElementById('placeDrawerCategory').textContent = place.category;
+        this.renderDrawerDetails(place);
+        this.renderDrawerPhotos([]);
+        this.renderDrawerTips(null);
+        this.renderDrawerNearby(null);
+
+        const drawer = document.getElementById('placeDrawer');
+        if (!drawer.open) {
+            drawer.showModal();
+        }
+        this.loadDrawerData(place, job.signal);
+    }
+
+    async loadDrawerData(place, signal) {
+        // Demo places have no provider to ask
+        const provider = place.isSample ? null : this.providers[place.provider];
+        const load = async (task, render, fallback) => {
+            let result = fallback;
+            try {
+                result = await task();
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    return;
+                }
+                this.log(`Drawer data failed for ${place.id}`, error.message);
+            }
+            if (!signal.aborted) {
+                render(result);
+            }
+        };
+
+        await Promise.all([
+            provider && load(() => provider.getDetails(place, { signal }), (detailed) => {
+                this.drawerPlace = detailed;
+                this.renderDrawerDetails(detailed);
+            }, place),
+            provider && load(() => provider.getPhotos(place, { limit: this.config.drawerPhotoLimit, signal }),
+                photos => this.renderDrawerPhotos(photos), []),
+            // Tips that came with the details stand in when the tips endpoint has none or fails
+            load(async () => (provider ? await provider.getTips(place, { signal }) : []),
+                tips => this.renderDrawerTips(tips.length > 0 ? tips : (this.drawerPlace.tips || []).map(text => ({ text, createdAt: null }))), []),
+            load(() => this.findNearbyPlaces(place, signal), nearby => this.renderDrawerNearby(nearby), [])
+        ]);
+    }
+
+    // Places around this one: a small live search for the same kind of place, or the current results by
+    // distance when that can't run. [{ place, meters }], nearest first.
+    async findNearbyPlaces(place, signal) {
+        const byDistance = places => places
+            .filter(other => other.id !== place.id && typeof other.lat === 'number' && typeof other.lon === 'number')
+            .map(other => ({ place: other, meters: this.map.distance([place.lat, place.lon], [other.lat, other.lon]) }))
+            .sort((a, b) => a.meters - b.meters)
+            .slice(0, this.config.nearbyLimit);
+
+        const provider = this.providers[place.provider];
+        if (provider && place.isRealTime && this.currentSearchParams) {
+            try {
+                const found = await provider.search(place, {
+                    ...this.currentSearchParams,
+                    radius: this.config.nearbyRadius,
+                    limit: this.config.nearbyLimit + 1
+                }, { signal });
+                if (found.some(other => other.id !== place.id)) {
+                    return byDistance(found);
+                }
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    throw error;
+                }
+                this.log('Nearby search failed, using the current results', error.message);
+            }
+        }
+        return byDistance(this.currentPlaces);
+    }
+
+    renderDrawerDetails(place) {
+        const rating = place.rating ? this.formatRating(place.rating) : null;
+        const hoursBadge = this.createHoursBadge(place);
+        const phoneHref = telUrl(place.phone);
+        const websiteLink = externalLink(place.website, place.website);
+        // Places saved before social links were kept have none
+        const socialLinks = (place.social || [])
+            .map(link => externalLink(link.url, SOCIAL_NETWORK_LABELS[link.network] || link.network))
+            .filter(Boolean);
+        const mapLinks = this.getMapLinks(place);
+        // Snapshots saved by older versions or imported by hand may lack fields a live place always has
+        const amenities = place.amenities || [];
+
+        setHtml(document.getElementById('placeDrawerDetails'), html`
+            ${place.description && html`<p class="place-drawer-description">${place.description}</p>`}
+            <div class="place-details">
+                ${rating && html`
+                <div class="place-detail">
+                    <i class="fas fa-star"></i>
+                    <span class="place-rating"><span class="rating-stars">${'★'.repeat(Math.floor(place.rating))}</span> ${rating}/5</span>
+                </div>`}
+                ${place.price && html`
+                <div class="place-detail">
+                    <i class="fas fa-wallet"></i>
+                    <span><strong class="price-tier">${'$'.repeat(place.price)}</strong> ${this.t(`price.${place.price}`)}</span>
+                </div>`}
+                ${(hoursBadge || place.hours?.display) && html`
+                <div class="place-detail place-hours">
+                    <i class="fas fa-clock"></i>
+                    <span>${hoursBadge} ${place.hours?.display}</span>
+                </div>`}
+                <div class="place-detail">
+                    <i class="fas fa-map-marker-alt"></i>
+                    <span class="place-drawer-address">${place.address || this.t('place.noAddress')}</span>
+                    ${place.address && html`
+                    <button type="button" class="btn btn--outline btn--sm copy-address-btn" data-address="${place.address}" title="${this.t('drawer.copyAddress')}">
+                        <i class="fas fa-copy"></i> <span>${this.t('drawer.copy')}</span>
+                    </button>`}
+                </div>
+                ${place.phone && html`
+                <div class="place-detail">
+                    <i class="fas fa-phone"></i>
+                    <span>${phoneHref ? html`<a href="${phoneHref}">${place.phone}</a>` : place.phone}</span>
+                </div>`}
+                ${websiteLink && html`
+                <div class="place-detail">
+                    <i class="fas fa-globe"></i>
+                    <span class="place-drawer-website">${websiteLink}</span>
+                </div>`}
+                ${socialLinks.length > 0 && html`
+                <div class="place-detail">
+                    <i class="fas fa-share-nodes"></i>
+                    <span class="place-drawer-links">${socialLinks}</span>
+                </div>`}
+            </div>
+            ${amenities.length > 0 && html`
+            <div class="match-chips place-drawer-amenities">
+                ${amenities.map(amenity => html`<span class="match-chip"><i class="fas fa-check"></i> ${this.i18n.has(`amenity.${amenity}`) ? this.t(`amenity.${amenity}`) : amenity}</span>`)}
+            </div>`}
+            ${mapLinks.length > 0 && html`
+            <div class="place-drawer-maps">
+                ${mapLinks.map(link => html`
+                <a class="btn btn--secondary btn--sm" href="${link.url}" target="_blank" rel="noopener noreferrer">
+                    <i class="fas fa-${link.icon}"></i> ${link.label}
+                </a>`)}
+            </div>`}
+        `);
+    }
+
+    // "Open in" links for other map apps. OpenStreetMap places link to their own object; others to a pin.
+    getMapLinks(place) {
+        if (!Number.isFinite(place.lat) || !Number.isFinite(place.lon)) {
+            return [];
+        }
+        const lat = place.lat.toFixed(6);
+        const lon = place.lon.toFixed(6);
+        const osmObject = place.provider === 'osm' && /^osm:(node|way|relation)\/(\d+)$/.exec(place.id);
+        const googleQuery = place.address ? `${place.name}, ${place.address}` : `${lat},${lon}`;
+        return [
+            {
+                label: 'OpenStreetMap',
+                icon: 'map',
+                url: osmObject
+                    ? `https://www.openstreetmap.org/${osmObject[1]}/${osmObject[2]}`
+                    : `https://www.openstreetmap.org/?mlat=${lat}&mlon=${lon}#map=18/${lat}/${lon}`
+            },
+            {
+                label: 'Google Maps',
+                icon: 'map-location-dot',
+                url: `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(googleQuery)}`
+            }
+        ];
+    }
+
+    async copyAddress(button) {
+        const label = button.querySelector('span');
+        try {
+            await navigator.clipboard.writeText(button.dataset.address);
+            label.textContent = this.t('drawer.copied');
+        } catch (error) {
+            // The clipboard API needs a secure context and permission; selecting the text lets the user copy it
+            this.log('Copying the address failed', error.message);
+            window.getSelection().selectAllChildren(button.parentElement.querySelector('.place-drawer-address'));
+            label.textContent = this.t('drawer.pressCopy');
+        }
+        setTimeout(() => {
+            label.textContent = this.t('drawer.copy');
+        }, 2000);
+    }
+
+    // Photo URLs come from the provider, so only https ones make it into the gallery
+    renderDrawerPhotos(photos) {
+        photos = photos
+            .map(photo => ({ ...photo, url: safeUrl(photo.url, ['https:']) }))
+            .filter(photo => photo.url);
+        this.drawerPhotos = photos;
+        const carousel = document.getElementById('placeDrawerPhotos');
+        carousel.classList.toggle('hidden', photos.length === 0);
+        document.getElementById('photoPrevBtn').classList.toggle('hidden', photos.length < 2);
+        document.getElementById('photoNextBtn').classList.toggle('hidden', photos.length < 2);
+        if (photos.length > 0) {
+            this.showDrawerPhoto(0);
+        } else {
+            document.getElementById('placeDrawerPhoto').removeAttribute('src');
+        }
+    }
+
+    // Wraps around at either end
+    showDrawerPhoto(index) {
+        const count = this.drawerPhotos.length;
+        if (count === 0) {
+            return;
+        }
+        this.drawerPhotoIndex = (index + count) % count;
+        const photo = this.drawerPhotos[this.drawerPhotoIndex];
+        const image = document.getElementById('placeDrawerPhoto');
+        image.src = photo.url;
+        image.alt = this.t('drawer.photoAlt', { index: this.drawerPhotoIndex + 1, name: this.drawerPlace.name });
+        document.getElementById('photoCount').textContent = this.t('drawer.photoCount', { index: this.drawerPhotoIndex + 1, count });
+    }
+
+    // null while loading
+    renderDrawerTips(tips) {
+        const list = document.getElementById('placeDrawerTips');
+        if (!tips || tips.length === 0) {
+            setHtml(list, html`<li class="library-empty">${this.t(tips ? 'drawer.noTips' : 'drawer.loadingTips')}</li>`);
+            return;
+        }
+        setHtml(list, html`${tips.map(tip => html`
+            <li class="place-tip">
+                <p>${tip.text}</p>
+                ${tip.createdAt && html`<small>${this.i18n.formatDate(tip.createdAt)}</small>`}
+            </li>`)}`);
+    }
+
+    // [{ place, meters }], or null while loading. A place from the current results is also focused on the map.
+    renderDrawerNearby(nearby) {
+        const list = document.getElementById('placeDrawerNearby');
+        list.replaceChildren();
+        if (!nearby || nearby.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'library-empty';
+            empty.textContent = this.t(nearby ? 'drawer.noNearby' : 'drawer.loadingNearby');
+            list.append(empty);
+            return;
+        }
+
+        nearby.forEach(({ place, meters }) => {
+            const item = document.createElement('li');
+            item.className = 'library-item';
+            const open = document.createElement('button');
+            open.type = 'button';
+            open.className = 'library-item-main';
+            open.textContent = place.name;
+            const meta = document.createElement('span');
+            meta.className = 'library-item-meta';
+            meta.textContent = ` ${place.category} · ${this.i18n.formatDistance(meters / 1000)}`;
+            open.append(meta);
+            open.addEventListener('click', () => {
+                const current = this.currentPlaces.find(candidate => candidate.id === place.id);
+                if (current) {
+                    this.focusOnPlace(current);
                 }
+                this.openPlaceDrawer(current || place);
             });
+            item.append(open);
+            list.append(item);
+        });
+    }
+
+    // The selection is kept by place id, so it survives list re-renders and follows the card to its marker.
+    // Pass null to clear it.
+    selectPlace(placeId, { openPopup = false, scrollToCard = false } = {}) {
+        const previous = this.selectedPlaceId;
+        this.selectedPlaceId = placeId;
+        [previous, placeId].forEach(id => {
+            const marker = id && this.markersById.get(id);
+            const place = marker && this.currentPlaces.find(candidate => candidate.id === id);
+            if (place) {
+                marker.setIcon(this.createMarkerIcon(place));
+            }
+        });
+
+        document.querySelectorAll('#placesList .place-card.selected').forEach(card => card.classList.remove('selected'));
+        const card = placeId && document.querySelector(`.place-card[data-place-id="${CSS.escape(placeId)}"]`);
+        if (card) {
+            card.classList.add('selected');
+            if (scrollToCard) {
+                card.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+            }
+        }
+
+        const marker = placeId && this.markersById.get(placeId);
+        if (openPopup && marker && this.markerLayer.hasLayer(marker)) {
+            this.openMarkerPopup(marker);
+        }
+        this.syncUrl();
+    }
+
+    createMarkerIcon(place) {
+        return this.markerStyler.createIcon(place, this.getPlaceSource(place).kind, { selected: place.id === this.selectedPlaceId });
+    }
+
+    // Highlight the marker for a hovered card; a clustered marker lights up its cluster instead
+    highlightMarker(placeId) {
+        this.map.getContainer().querySelectorAll('.marker-highlight').forEach(element => element.classList.remove('marker-highlight'));
+        const marker = placeId && this.markersById.get(placeId);
+        if (!marker || !this.markerLayer.hasLayer(marker)) {
+            return;
+        }
+        const element = this.markerLayer.getVisibleParent(marker)?.getElement();
+        if (element) {
+            element.classList.add('marker-highlight');
         }
     }
 
     // Loading state management
     showLoading() {
+        this.setLoadingText(this.t('loading.fetching'));
         document.getElementById('loadingSection').classList.remove('hidden');
         const btn = document.querySelector('.discover-btn');
         btn.disabled = true;
-        btn.querySelector('.btn-text').textContent = 'Fetching Real-time Data...';
+        btn.querySelector('.btn-text').textContent = this.t('form.submitting');
         btn.querySelector('.btn-loader').classList.remove('hidden');
     }
 
@@ -639,35 +3035,160 @@ class QuestLensRealTime {
         document.getElementById('loadingSection').classList.add('hidden');
         const btn = document.querySelector('.discover-btn');
         btn.disabled = false;
-        btn.querySelector('.btn-text').textContent = 'Discover Real-time Places';
+        btn.querySelector('.btn-text').textContent = this.t('form.submit');
         btn.querySelector('.btn-loader').classList.add('hidden');
         
         // Reset loading steps
         document.querySelectorAll('.loading-step').forEach(step => {
-            step.classList.remove('active');
+            step.classList.remove('active', 'done');
         });
     }
 
+    // Called as each stage of the search actually starts; earlier stages are marked done
     setLoadingStep(stepNumber) {
-        // Add active class to current and previous steps
-        for (let i = 1; i <= stepNumber; i++) {
-            const step = document.getElementById(`step${i}`);
-            if (step) {
-                step.classList.add('active');
-            }
+        document.querySelectorAll('.loading-step').forEach((step, index) => {
+            step.classList.toggle('done', index + 1 < stepNumber);
+            step.classList.toggle('active', index + 1 <= stepNumber);
+        });
+    }
+
+    setLoadingText(text) {
+        document.querySelector('.loading-text').textContent = text;
+    }
+
+    // Error panel: a title for the error type, its message, and the recovery actions that fit it.
+    // failure describes the search that failed ({ location, query, options, coordinates, searchParams }).
+    showError(error, failure = null) {
+        this.hideError();
+        const type = error instanceof SearchError ? error.type : null;
+        document.getElementById('errorTitle').textContent = this.t(`error.title.${type || 'unknown'}`);
+        document.getElementById('errorMessage').textContent = error instanceof SearchError && error.description
+            ? this.describeMessage(error.description)
+            : error instanceof Error ? error.message : String(error);
+        document.getElementById('errorSection').classList.remove('hidden');
+
+        if (!failure) {
+            return;
+        }
+        this.getRecoveryActions(type, error, failure).forEach(action => this.addErrorAction(action));
+
+        // Cached results are only offered when there are some for this search
+        if (type !== SEARCH_ERROR_TYPES.GEOCODE_NOT_FOUND && failure.coordinates && failure.searchParams) {
+            const shownError = error;
+            this.recentResults.get(failure.coordinates, failure.searchParams).then(entry => {
+                if (entry && this.shownError === shownError) {
+                    this.addErrorAction({ label: this.t('error.showCached'), icon: 'clock-rotate-left', run: () => this.rerunSearch(failure, { sources: ['cache'] }) });
+                }
+            }).catch(() => {});
+        }
+        // A place that wasn't found may still be close to one the suggester knows
+        if (type === SEARCH_ERROR_TYPES.GEOCODE_NOT_FOUND) {
+            this.locationSearch.suggest(failure.location)
+                .then(candidates => candidates.length > 0 && this.showLocationChooser(failure.location, candidates))
+                .catch(() => {});
+        }
+        this.shownError = error;
+    }
+
+    getRecoveryActions(type, error, failure) {
+        const retry = { label: this.t('error.retry'), icon: 'rotate-right', run: () => this.rerunSearch(failure, {}, { isRetry: true }) };
+        const otherLocation = { label: this.t('error.otherLocation'), icon: 'map-location-dot', run: () => this.focusLocationInput() };
+        // Back off on repeated retries; a Retry-After from the server wins
+        const backoff = error.retryAfter ?? Math.min(60, 2 ** (this.retryCount || 0));
+
+        switch (type) {
+        case SEARCH_ERROR_TYPES.GEOCODE_NOT_FOUND:
+            return [otherLocation];
+        case SEARCH_ERROR_TYPES.NO_RESULTS: {
+            const radius = failure.searchParams?.radius;
+            const wider = radius ? Math.min(QUERY_DEFAULTS.maxRadius, radius * 2) : null;
+            return [
+                wider && wider > radius && {
+                    label: this.t('error.searchWithin', { distance: this.i18n.formatDistance(wider / 1000) }),
+                    icon: 'up-right-and-down-left-from-center',
+                    run: () => this.rerunSearch(failure, { radius: wider })
+                },
+                otherLocation
+            ].filter(Boolean);
         }
+        case SEARCH_ERROR_TYPES.OFFLINE:
+            // Try again by itself once the browser reports a connection
+            this.onlineRetry = () => this.rerunSearch(failure, {}, { isRetry: true });
+            window.addEventListener('online', this.onlineRetry, { once: true });
+            return [retry];
+        case SEARCH_ERROR_TYPES.RATE_LIMITED:
+        case SEARCH_ERROR_TYPES.TIMEOUT:
+        case SEARCH_ERROR_TYPES.UPSTREAM:
+            return [{ ...retry, waitSeconds: backoff }];
+        case SEARCH_ERROR_TYPES.PROVIDER_AUTH:
+            // Waiting won't fix a key; the other live providers may still answer
+            return Object.values(this.providers)
+                .filter(provider => provider.name !== this.config.placesProvider)
+                .map(provider => ({
+                    label: this.t('error.searchProvider', { provider: provider.label }),
+                    icon: 'right-left',
+                    run: () => this.rerunSearch(failure, { sources: [provider.name] })
+                }));
+        default:
+            return [];
+        }
+    }
+
+    // Buttons with waitSeconds stay disabled and count down before they can be used
+    addErrorAction({ label, icon, run, waitSeconds = 0 }) {
+        const container = document.getElementById('errorActions');
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `btn btn--sm ${container.children.length === 0 ? 'btn--primary' : 'btn--secondary'}`;
+        const text = document.createElement('span');
+        button.append(renderElement(html`<i class="fas fa-${icon}"></i>`), ' ', text);
+        button.addEventListener('click', () => {
+            this.hideError();
+            run();
+        });
+
+        let remaining = Math.ceil(waitSeconds);
+        const update = () => {
+            text.textContent = remaining > 0 ? this.t('error.actionIn', { action: label, count: remaining }) : label;
+            button.disabled = remaining > 0;
+        };
+        update();
+        if (remaining > 0) {
+            const timer = setInterval(() => {
+                remaining--;
+                update();
+                if (remaining <= 0) {
+                    clearInterval(timer);
+                }
+            }, 1000);
+            this.errorTimers.push(timer);
+        }
+        container.append(button);
     }
 
-    // Error handling
-    showError(message) {
-        const errorSection = document.getElementById('errorSection');
-        const errorMessage = document.getElementById('errorMessage');
-        errorMessage.textContent = message;
-        errorSection.classList.remove('hidden');
+    rerunSearch(failure, overrides = {}, { isRetry = false } = {}) {
+        if (isRetry) {
+            this.retryCount = (this.retryCount || 0) + 1;
+        }
+        this.runSearch(failure.location, failure.query, { ...failure.options, ...overrides });
+    }
+
+    focusLocationInput() {
+        const input = document.getElementById('locationInput');
+        input.focus();
+        input.select();
     }
 
     hideError() {
         document.getElementById('errorSection').classList.add('hidden');
+        document.getElementById('errorActions').replaceChildren();
+        this.errorTimers.forEach(timer => clearInterval(timer));
+        this.errorTimers = [];
+        if (this.onlineRetry) {
+            window.removeEventListener('online', this.onlineRetry);
+            this.onlineRetry = null;
+        }
+        this.shownError = null;
     }
 
     hideResults() {
@@ -682,17 +3203,6 @@ class QuestLensRealTime {
     }
 }
 
-// Global functions
-function clearError() {
-    document.getElementById('errorSection').classList.add('hidden');
-}
-
-function retryWithDifferentLocation() {
-    document.getElementById('errorSection').classList.add('hidden');
-    document.getElementById('locationInput').focus();
-    document.getElementById('locationInput').select();
-}
-
 // Initialize the application
 document.addEventListener('DOMContentLoaded', () => {
     window.questLensRealTime = new QuestLensRealTime();
@@ -0,0 +1,394 @@
+// QuestLens - Local API proxy
+// Serves the static app and forwards API calls upstream so keys never reach the browser.
+// Usage: FOURSQUARE_API_KEY=... [LLM_ENDPOINT=...] node server.js
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const config = {
+    port: parseInt(process.env.PORT, 10) || 8000,
+    foursquareKey: process.env.FOURSQUARE_API_KEY || '',
+    allowedOrigin: process.env.ALLOWED_ORIGIN || '',
+    rateLimitWindow: 60 * 1000,
+    rateLimitMax: parseInt(process.env.RATE_LIMIT_MAX, 10) || 60,
+    // Details, photos and tips for one place. Every search enriches each of its results, so these get
+    // their own, larger bucket instead of crowding out searches and geocoding.
+    placeRateLimitMax: parseInt(process.env.RATE_LIMIT_PLACES_MAX, 10) || 600,
+    requestTimeout: 10000,
+    llmEndpoint: process.env.LLM_ENDPOINT || '',
+    llmModel: process.env.LLM_MODEL || 'llama3.1',
+    llmApiKey: process.env.LLM_API_KEY || '',
+    llmTimeout: parseInt(process.env.LLM_TIMEOUT, 10) || 20000,
+    maxBodyBytes: 64 * 1024,
+    userAgent: 'QuestLens/1.0 (+https://github.com/Haridas-Nishita/QuestLens)'
+};
+
+const upstream = {
+    nominatim: 'https://nominatim.openstreetmap.org/search',
+    nominatimReverse: 'https://nominatim.openstreetmap.org/reverse',
+    foursquare: 'https://api.foursquare.com/v3/places',
+    overpass: process.env.OVERPASS_URL || 'https://overpass-api.de/api/interpreter',
+    // Typeahead geocoder; Nominatim's usage policy doesn't allow autocomplete
+    photon: process.env.PHOTON_URL || 'https://photon.komoot.io/api/'
+};
+
+const staticRoot = __dirname;
+// sw.js is served from the root so its scope covers the whole app
+const staticFiles = new Set(['/index.html', '/app.js', '/style.css', '/sw.js']);
+const staticDirs = ['/services/', '/vendor/'];
+
+// Scripts, styles and fonts are vendored and served from here, map tiles come from OpenStreetMap, and every
+// request for data goes through our own /api. No 'unsafe-inline': markup carries no inline styles or handlers.
+// connect-src allows the tile server because the service worker and area downloads fetch tiles directly.
+// Foursquare photos are loaded straight from its image CDN.
+const contentSecurityPolicy = [
+    "default-src 'self'",
+    "script-src 'self'",
+    "style-src 'self'",
+    "font-src 'self'",
+    "img-src 'self' data: https://tile.openstreetmap.org https://fastly.4sqi.net",
+    "connect-src 'self' https://tile.openstreetmap.org",
+    "worker-src 'self'",
+    "object-src 'none'",
+    "base-uri 'self'",
+    "form-action 'self'",
+    "frame-ancestors 'none'"
+].join('; ');
+
+const mimeTypes = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.woff2': 'font/woff2'
+};
+
+// Fixed-window rate limiter keyed by client address and bucket name
+const rateLimitBuckets = new Map();
+
+function isRateLimited(clientId, max) {
+    const now = Date.now();
+    const bucket = rateLimitBuckets.get(clientId);
+
+    if (!bucket || now - bucket.start >= config.rateLimitWindow) {
+        rateLimitBuckets.set(clientId, { start: now, count: 1 });
+        return false;
+    }
+
+    bucket.count++;
+    return bucket.count > max;
+}
+
+// /api/places/:id and its /photos and /tips, but not /api/places/search
+const PLACE_ROUTE = /^\/api\/places\/(?!search$)[A-Za-z0-9_-]+(\/(photos|tips))?$/;
+
+// Drop expired buckets so the map doesn't grow with every client seen
+setInterval(() => {
+    const now = Date.now();
+    for (const [clientId, bucket] of rateLimitBuckets) {
+        if (now - bucket.start >= config.rateLimitWindow) {
+            rateLimitBuckets.delete(clientId);
+        }
+    }
+}, config.rateLimitWindow).unref();
+
+function log(message, data = '') {
+    console.log(`[QuestLens server] ${message}`, data);
+}
+
+function applyCorsHeaders(req, res) {
+    if (!config.allowedOrigin) {
+        return;
+    }
+    const origin = req.headers.origin;
+    if (config.allowedOrigin === '*' || origin === config.allowedOrigin) {
+        res.setHeader('Access-Control-Allow-Origin', config.allowedOrigin === '*' ? '*' : origin);
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Accept, Content-Type');
+        res.setHeader('Vary', 'Origin');
+    }
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': mimeTypes['.json'] });
+    res.end(JSON.stringify(body));
+}
+
+// Forward a request upstream and stream the JSON body back to the client
+async function proxy(res, url, headers = {}, { method = 'GET', body, timeout = config.requestTimeout } = {}) {
+    const controller = new AbortController();
+    const id = setTimeout(() => controller.abort(), timeout);
+
+    try {
+        log('Proxying request to:', url);
+        const response = await fetch(url, {
+            method,
+            headers: { 'Accept': 'application/json', ...headers },
+            body,
+            signal: controller.signal
+        });
+        const responseBody = await response.text();
+        const outHeaders = { 'Content-Type': response.headers.get('content-type') || mimeTypes['.json'] };
+        const retryAfter = response.headers.get('retry-after');
+        if (retryAfter) {
+            outHeaders['Retry-After'] = retryAfter;
+        }
+        res.writeHead(response.status, outHeaders);
+        res.end(responseBody);
+    } catch (error) {
+        log('Upstream error:', error.message);
+        if (error.name === 'AbortError') {
+            sendJson(res, 504, { error: 'Upstream request timed out' });
+        } else {
+            sendJson(res, 502, { error: 'Upstream request failed' });
+        }
+    } finally {
+        clearTimeout(id);
+    }
+}
+
+// Foursquare localizes category names and descriptions by Accept-Language
+function foursquareHeaders(language) {
+    return { 'Authorization': config.foursquareKey, ...(language && { 'Accept-Language': language }) };
+}
+
+// The client's UI language (?lang=xx), taken off the query so it isn't forwarded as-is; null when absent or malformed
+function requestLanguage(params) {
+    const language = params.get('lang');
+    params.delete('lang');
+    return /^[a-z]{2,3}$/.test(language || '') ? language : null;
+}
+
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > config.maxBodyBytes) {
+                reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (error) {
+                reject(Object.assign(new Error('Request body is not valid JSON'), { status: 400 }));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+// The model is pinned server-side so clients can't pick arbitrary models on a shared backend
+async function proxyLlmChat(req, res) {
+    if (!config.llmEndpoint) {
+        // 501, not 503: a missing setting won't fix itself, so clients shouldn't retry
+        sendJson(res, 501, { error: 'LLM_ENDPOINT is not configured' });
+        return;
+    }
+
+    let payload;
+    try {
+        payload = await readJsonBody(req);
+    } catch (error) {
+        sendJson(res, error.status || 400, { error: error.message });
+        return;
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.llmApiKey) {
+        headers['Authorization'] = `Bearer ${config.llmApiKey}`;
+    }
+    await proxy(res, config.llmEndpoint, headers, {
+        method: 'POST',
+        body: JSON.stringify({ ...payload, model: config.llmModel, stream: false }),
+        timeout: config.llmTimeout
+    });
+}
+
+async function handleApi(req, res, url) {
+    const limited = PLACE_ROUTE.test(url.pathname)
+        ? isRateLimited(`${req.socket.remoteAddress} places`, config.placeRateLimitMax)
+        : isRateLimited(req.socket.remoteAddress, config.rateLimitMax);
+    if (limited) {
+        res.setHeader('Retry-After', Math.ceil(config.rateLimitWindow / 1000));
+        sendJson(res, 429, { error: 'Too many requests' });
+        return;
+    }
+
+    if (url.pathname === '/api/config') {
+        sendJson(res, 200, { llm: { enabled: Boolean(config.llmEndpoint), model: config.llmModel } });
+        return;
+    }
+
+    if (url.pathname === '/api/llm/chat') {
+        if (req.method !== 'POST') {
+            sendJson(res, 405, { error: 'Method not allowed' });
+            return;
+        }
+        await proxyLlmChat(req, res);
+        return;
+    }
+
+    if (req.method !== 'GET') {
+        sendJson(res, 405, { error: 'Method not allowed' });
+        return;
+    }
+
+    const language = requestLanguage(url.searchParams);
+
+    if (url.pathname === '/api/geocode') {
+        const params = new URLSearchParams(url.searchParams);
+        params.set('format', 'json');
+        if (language) {
+            params.set('accept-language', language);
+        }
+        await proxy(res, `${upstream.nominatim}?${params}`, { 'User-Agent': config.userAgent });
+        return;
+    }
+
+    if (url.pathname === '/api/suggest') {
+        const q = (url.searchParams.get('q') || '').trim();
+        if (!q) {
+            sendJson(res, 400, { error: 'Missing q' });
+            return;
+        }
+        const limit = Math.min(10, Math.max(1, parseInt(url.searchParams.get('limit'), 10) || 5));
+        const params = new URLSearchParams({ q, limit });
+        // Photon rejects languages outside its short list
+        if (['en', 'de', 'fr', 'it'].includes(language)) {
+            params.set('lang', language);
+        }
+        await proxy(res, `${upstream.photon}?${params}`, { 'User-Agent': config.userAgent });
+        return;
+    }
+
+    // Only coordinates, the detail level and the language are forwarded, so the client can't add arbitrary parameters
+    if (url.pathname === '/api/reverse') {
+        const lat = parseFloat(url.searchParams.get('lat'));
+        const lon = parseFloat(url.searchParams.get('lon'));
+        if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+            sendJson(res, 400, { error: 'lat and lon are required' });
+            return;
+        }
+        const zoom = Math.min(18, Math.max(3, parseInt(url.searchParams.get('zoom'), 10) || 16));
+        const params = new URLSearchParams({ lat, lon, zoom, format: 'json' });
+        if (language) {
+            params.set('accept-language', language);
+        }
+        await proxy(res, `${upstream.nominatimReverse}?${params}`, { 'User-Agent': config.userAgent });
+        return;
+    }
+
+    if (url.pathname === '/api/overpass') {
+        const query = url.searchParams.get('data');
+        if (!query) {
+            sendJson(res, 400, { error: 'Missing Overpass query' });
+            return;
+        }
+        await proxy(res, `${upstream.overpass}?${new URLSearchParams({ data: query })}`, { 'User-Agent': config.userAgent });
+        return;
+    }
+
+    if (url.pathname.startsWith('/api/places/') && !config.foursquareKey) {
+        sendJson(res, 501, { error: 'FOURSQUARE_API_KEY is not configured' });
+        return;
+    }
+
+    if (url.pathname === '/api/places/search') {
+        await proxy(res, `${upstream.foursquare}/search?${url.searchParams}`, foursquareHeaders(language));
+        return;
+    }
+
+    const detailsMatch = url.pathname.match(/^\/api\/places\/([A-Za-z0-9_-]+)$/);
+    if (detailsMatch) {
+        await proxy(res, `${upstream.foursquare}/${detailsMatch[1]}?${url.searchParams}`, foursquareHeaders(language));
+        return;
+    }
+
+    // Photos and tips for the detail drawer; only paging and order are passed on
+    const mediaMatch = url.pathname.match(/^\/api\/places\/([A-Za-z0-9_-]+)\/(photos|tips)$/);
+    if (mediaMatch) {
+        const params = new URLSearchParams();
+        const limit = parseInt(url.searchParams.get('limit'), 10);
+        params.set('limit', String(Math.min(Math.max(limit || 10, 1), 50)));
+        if (['POPULAR', 'NEWEST'].includes(url.searchParams.get('sort'))) {
+            params.set('sort', url.searchParams.get('sort'));
+        }
+        await proxy(res, `${upstream.foursquare}/${mediaMatch[1]}/${mediaMatch[2]}?${params}`, foursquareHeaders(language));
+        return;
+    }
+
+    sendJson(res, 404, { error: 'Unknown API endpoint' });
+}
+
+function serveStatic(res, pathname) {
+    const filePath = path.posix.normalize(pathname === '/' ? '/index.html' : pathname);
+    const isServable = staticFiles.has(filePath) ||
+        (staticDirs.some(dir => filePath.startsWith(dir)) && mimeTypes[path.extname(filePath)]);
+    if (!isServable) {
+        res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Not found');
+        return;
+    }
+
+    fs.readFile(path.join(staticRoot, filePath), (error, content) => {
+        if (error) {
+            res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('Failed to read file');
+            return;
+        }
+        res.writeHead(200, {
+            'Content-Type': mimeTypes[path.extname(filePath)] || 'application/octet-stream',
+            'Content-Security-Policy': contentSecurityPolicy,
+            'X-Content-Type-Options': 'nosniff'
+        });
+        res.end(content);
+    });
+}
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    applyCorsHeaders(req, res);
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    // POST is only accepted by API routes that need a request body
+    if (req.method !== 'GET' && !(req.method === 'POST' && url.pathname.startsWith('/api/'))) {
+        sendJson(res, 405, { error: 'Method not allowed' });
+        return;
+    }
+
+    try {
+        if (url.pathname.startsWith('/api/')) {
+            await handleApi(req, res, url);
+        } else {
+            serveStatic(res, url.pathname);
+        }
+    } catch (error) {
+        log('Request failed:', error.message);
+        if (!res.headersSent) {
+            sendJson(res, 500, { error: 'Internal server error' });
+        }
+    }
+});
+
+server.listen(config.port, () => {
+    log(`Listening on http://localhost:${config.port}`);
+    if (!config.foursquareKey) {
+        log('FOURSQUARE_API_KEY is not set; place searches will fall back to sample data');
+    }
+    if (config.llmEndpoint) {
+        log(`Query understanding via LLM (${config.llmModel}) at`, config.llmEndpoint);
+    }
+});
@@ -0,0 +1,202 @@
+// QuestLens - Demo dataset
+// Last step of the search chain. Real landmarks with fixed coordinates, keyed by city and intent.
+// Entries are [name, category, lat, lon, area]; there are deliberately no ratings or hours.
+
+const DEMO_CITIES = {
+    tokyo: {
+        name: 'Tokyo',
+        center: [35.6762, 139.6503],
+        places: {
+            restaurants: [
+                ['Ichiran Shibuya', 'Ramen Restaurant', 35.6614, 139.7010, 'Shibuya, Tokyo'],
+                ['Tsukiji Outer Market', 'Food Market', 35.6655, 139.7707, 'Chuo City, Tokyo'],
+                ['Omoide Yokocho', 'Izakaya Alley', 35.6930, 139.6995, 'Shinjuku, Tokyo']
+            ],
+            coffee: [
+                ['Blue Bottle Coffee Kiyosumi', 'Coffee Shop', 35.6803, 139.7997, 'Koto City, Tokyo'],
+                ['Fuglen Tokyo', 'Café', 35.6672, 139.6918, 'Shibuya, Tokyo'],
+                ['Koffee Mameya', 'Coffee Roaster', 35.6672, 139.7102, 'Shibuya, Tokyo']
+            ],
+            museums: [
+                ['Tokyo National Museum', 'History Museum', 35.7188, 139.7765, 'Ueno Park, Taito City, Tokyo'],
+                ['Mori Art Museum', 'Art Museum', 35.6604, 139.7292, 'Roppongi, Minato City, Tokyo'],
+                ['Edo-Tokyo Museum', 'History Museum', 35.6966, 139.7959, 'Sumida City, Tokyo']
+            ],
+            attractions: [
+                ['Senso-ji', 'Buddhist Temple', 35.7148, 139.7967, 'Asakusa, Taito City, Tokyo'],
+                ['Tokyo Skytree', 'Observation Tower', 35.7101, 139.8107, 'Sumida City, Tokyo'],
+                ['Meiji Jingu', 'Shinto Shrine', 35.6764, 139.6993, 'Shibuya, Tokyo']
+            ],
+            parks: [
+                ['Shinjuku Gyoen', 'Garden', 35.6852, 139.7100, 'Shinjuku, Tokyo'],
+                ['Ueno Park', 'Park', 35.7156, 139.7745, 'Taito City, Tokyo'],
+                ['Yoyogi Park', 'Park', 35.6717, 139.6949, 'Shibuya, Tokyo']
+            ]
+        }
+    },
+    'new-york': {
+        name: 'New York',
+        center: [40.7128, -74.0060],
+        places: {
+            restaurants: [
+                ["Katz's Delicatessen", 'Deli', 40.7223, -73.9874, 'Lower East Side, New York'],
+                ["Joe's Pizza", 'Pizza Place', 40.7306, -74.0023, 'Greenwich Village, New York'],
+                ['Chelsea Market', 'Food Hall', 40.7424, -74.0061, 'Chelsea, New York']
+            ],
+            coffee: [
+                ['Stumptown Coffee Roasters', 'Coffee Shop', 40.7457, -73.9881, 'NoMad, New York'],
+                ['La Colombe Coffee Roasters', 'Coffee Shop', 40.7281, -73.9942, 'NoHo, New York'],
+                ['Joe Coffee', 'Coffee Shop', 40.7337, -74.0003, 'Greenwich Village, New York']
+            ],
+            museums: [
+                ['The Metropolitan Museum of Art', 'Art Museum', 40.7794, -73.9632, 'Upper East Side, New York'],
+                ['Museum of Modern Art', 'Art Museum', 40.7614, -73.9776, 'Midtown, New York'],
+                ['American Museum of Natural History', 'Science Museum', 40.7813, -73.9740, 'Upper West Side, New York']
+            ],
+            attractions: [
+                ['Statue of Liberty', 'Monument', 40.6892, -74.0445, 'Liberty Island, New York'],
+                ['Empire State Building', 'Observation Deck', 40.7484, -73.9857, 'Midtown, New York'],
+                ['Brooklyn Bridge', 'Bridge', 40.7061, -73.9969, 'Lower Manhattan, New York']
+            ],
+            parks: [
+                ['Central Park', 'Park', 40.7829, -73.9654, 'Manhattan, New York'],
+                ['The High Line', 'Park', 40.7480, -74.0048, 'Chelsea, New York'],
+                ['Bryant Park', 'Park', 40.7536, -73.9832, 'Midtown, New York']
+            ]
+        }
+    },
+    london: {
+        name: 'London',
+        center: [51.5074, -0.1278],
+        places: {
+            restaurants: [
+                ['Dishoom Covent Garden', 'Indian Restaurant', 51.5124, -0.1268, 'Covent Garden, London'],
+                ['Borough Market', 'Food Market', 51.5055, -0.0910, 'Southwark, London'],
+                ['Padella', 'Italian Restaurant', 51.5052, -0.0907, 'Southwark, London']
+            ],
+            coffee: [
+                ['Monmouth Coffee', 'Coffee Shop', 51.5143, -0.1269, 'Covent Garden, London'],
+                ['Prufrock Coffee', 'Coffee Shop', 51.5198, -0.1097, 'Holborn, London'],
+                ['Workshop Coffee', 'Coffee Roaster', 51.5226, -0.1085, 'Clerkenwell, London']
+            ],
+            museums: [
+                ['British Museum', 'History Museum', 51.5194, -0.1270, 'Bloomsbury, London'],
+                ['Natural History Museum', 'Science Museum', 51.4967, -0.1764, 'South Kensington, London'],
+                ['Tate Modern', 'Art Museum', 51.5076, -0.0994, 'Bankside, London']
+            ],
+            attractions: [
+                ['Tower of London', 'Castle', 51.5081, -0.0759, 'Tower Hill, London'],
+                ['Westminster Abbey', 'Church', 51.4994, -0.1273, 'Westminster, London'],
+                ['London Eye', 'Observation Wheel', 51.5033, -0.1196, 'South Bank, London']
+            ],
+            parks: [
+                ['Hyde Park', 'Park', 51.5073, -0.1657, 'Westminster, London'],
+                ["Regent's Park", 'Park', 51.5313, -0.1570, 'Marylebone, London'],
+                ["St James's Park", 'Park', 51.5025, -0.1348, 'Westminster, London']
+            ]
+        }
+    },
+    paris: {
+        name: 'Paris',
+        center: [48.8566, 2.3522],
+        places: {
+            restaurants: [
+                ['Bouillon Chartier', 'French Restaurant', 48.8719, 2.3432, '9e arrondissement, Paris'],
+                ["L'As du Fallafel", 'Falafel Restaurant', 48.8574, 2.3590, 'Le Marais, Paris'],
+                ["Le Relais de l'Entrecôte", 'Steakhouse', 48.8540, 2.3327, 'Saint-Germain-des-Prés, Paris']
+            ],
+            coffee: [
+                ['Café de Flore', 'Café', 48.8541, 2.3326, 'Saint-Germain-des-Prés, Paris'],
+                ['Les Deux Magots', 'Café', 48.8540, 2.3332, 'Saint-Germain-des-Prés, Paris'],
+                ['Coutume Café', 'Coffee Shop', 48.8517, 2.3170, '7e arrondissement, Paris']
+            ],
+            museums: [
+                ['Musée du Louvre', 'Art Museum', 48.8606, 2.3376, '1er arrondissement, Paris'],
+                ["Musée d'Orsay", 'Art Museum', 48.8600, 2.3266, '7e arrondissement, Paris'],
+                ['Centre Pompidou', 'Art Museum', 48.8607, 2.3522, '4e arrondissement, Paris']
+            ],
+            attractions: [
+                ['Eiffel Tower', 'Monument', 48.8584, 2.2945, 'Champ de Mars, Paris'],
+                ['Arc de Triomphe', 'Monument', 48.8738, 2.2950, 'Place Charles de Gaulle, Paris'],
+                ['Sacré-Cœur', 'Basilica', 48.8867, 2.3431, 'Montmartre, Paris']
+            ],
+            parks: [
+                ['Jardin du Luxembourg', 'Garden', 48.8462, 2.3372, '6e arrondissement, Paris'],
+                ['Jardin des Tuileries', 'Garden', 48.8635, 2.3275, '1er arrondissement, Paris'],
+                ['Parc des Buttes-Chaumont', 'Park', 48.8809, 2.3828, '19e arrondissement, Paris']
+            ]
+        }
+    },
+    berlin: {
+        name: 'Berlin',
+        center: [52.5200, 13.4050],
+        places: {
+            restaurants: [
+                ["Mustafa's Gemüse Kebap", 'Kebab Restaurant', 52.4889, 13.3880, 'Kreuzberg, Berlin'],
+                ['Curry 36', 'Currywurst Stand', 52.4892, 13.3881, 'Kreuzberg, Berlin'],
+                ['Markthalle Neun', 'Food Hall', 52.5020, 13.4318, 'Kreuzberg, Berlin']
+            ],
+            coffee: [
+                ['The Barn', 'Coffee Roaster', 52.5290, 13.4040, 'Mitte, Berlin'],
+                ['Bonanza Coffee Roasters', 'Coffee Shop', 52.5390, 13.4130, 'Prenzlauer Berg, Berlin'],
+                ['Five Elephant', 'Café', 52.4955, 13.4340, 'Kreuzberg, Berlin']
+            ],
+            museums: [
+                ['Pergamonmuseum', 'History Museum', 52.5212, 13.3969, 'Museum Island, Berlin'],
+                ['Neues Museum', 'History Museum', 52.5200, 13.3977, 'Museum Island, Berlin'],
+                ['Jewish Museum Berlin', 'History Museum', 52.5020, 13.3950, 'Kreuzberg, Berlin']
+            ],
+            attractions: [
+                ['Brandenburg Gate', 'Monument', 52.5163, 13.3777, 'Mitte, Berlin'],
+                ['Reichstag Building', 'Government Building', 52.5186, 13.3761, 'Tiergarten, Berlin'],
+                ['East Side Gallery', 'Outdoor Gallery', 52.5050, 13.4397, 'Friedrichshain, Berlin']
+            ],
+            parks: [
+                ['Großer Tiergarten', 'Park', 52.5145, 13.3501, 'Tiergarten, Berlin'],
+                ['Tempelhofer Feld', 'Park', 52.4730, 13.4000, 'Tempelhof, Berlin'],
+                ['Treptower Park', 'Park', 52.4880, 13.4690, 'Treptow, Berlin']
+            ]
+        }
+    }
+};
+
+// How far from a city centre a search may be and still use that city's demo data
+const DEMO_CITY_RADIUS_KM = 30;
+
+// Return demo places for the city nearest to the coordinates, or throw with the reason there are none
+function getDemoPlaces(coordinates, intent) {
+    const city = Object.entries(DEMO_CITIES)
+        .map(([key, data]) => ({ key, data, distance: approximateDistanceKm(coordinates, data.center) }))
+        .filter(candidate => candidate.distance <= DEMO_CITY_RADIUS_KM)
+        .sort((a, b) => a.distance - b.distance)[0];
+
+    if (!city) {
+        throw new Error('No demo data for this city');
+    }
+
+    const entries = city.data.places[intent];
+    if (!entries) {
+        throw new Error(`No demo data for ${intent} in ${city.data.name}`);
+    }
+
+    return entries.map(([name, category, lat, lon, area], index) => createPlace({
+        id: `demo:${city.key}:${intent}:${index}`,
+        name,
+        category,
+        categories: [category],
+        lat,
+        lon,
+        address: area,
+        provider: 'demo',
+        isRealTime: false,
+        isSample: true
+    }));
+}
+
+// Equirectangular approximation; accurate enough to pick a city
+function approximateDistanceKm(coordinates, [lat, lon]) {
+    const toRad = value => value * Math.PI / 180;
+    const x = toRad(lon - coordinates.lon) * Math.cos(toRad((lat + coordinates.lat) / 2));
+    const y = toRad(lat - coordinates.lat);
+    return Math.sqrt(x * x + y * y) * 6371;
+}
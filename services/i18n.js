@@ -0,0 +1,160 @@
+// QuestLens - Internationalisation
+// Message lookup with {placeholders} and plural forms, locale detection, and locale-aware numbers, distances,
+// times and dates. Catalogues live in services/locales/, one file per language, each adding itself to
+// I18N_CATALOGUES; English is the source and the fallback for keys a translation doesn't have yet.
+// Only translateDocument() touches the DOM, so the rest can be loaded in Node for testing.
+
+const I18N_CATALOGUES = {};
+
+const I18N_LOCALES = {
+    en: { label: 'English', dir: 'ltr' },
+    es: { label: 'Español', dir: 'ltr' },
+    fr: { label: 'Français', dir: 'ltr' },
+    ar: { label: 'العربية', dir: 'rtl' }
+};
+
+const I18N_DEFAULTS = {
+    fallbackLanguage: 'en',
+    // Regions that give road distances in miles; every other region is metric
+    imperialRegions: ['US', 'GB', 'LR', 'MM'],
+    // Locale used for a bare language tag when deciding units ("en" alone is read as en-US)
+    likelyRegions: { en: 'US', es: 'ES', fr: 'FR', ar: 'EG' }
+};
+
+class Translator {
+    // locale: a BCP 47 tag such as "es-MX"; units: 'metric', 'imperial', or null to follow the locale
+    constructor({ catalogues = I18N_CATALOGUES, locales = I18N_LOCALES, defaults = I18N_DEFAULTS, locale = 'en', units = null } = {}) {
+        this.catalogues = catalogues;
+        this.locales = locales;
+        this.defaults = defaults;
+        this.unitsOverride = units;
+        this.setLocale(locale);
+    }
+
+    // First of the browser's preferred locales whose language has a catalogue
+    static detectLocale(candidates = [], locales = I18N_LOCALES, fallback = I18N_DEFAULTS.fallbackLanguage) {
+        const match = candidates.find(tag => locales[String(tag).split('-')[0].toLowerCase()]);
+        return match || fallback;
+    }
+
+    setLocale(tag) {
+        let locale = this.defaults.fallbackLanguage;
+        try {
+            locale = Intl.getCanonicalLocales(tag)[0] || locale;
+        } catch (error) {
+            // Not a valid tag; keep the fallback
+        }
+        const language = locale.split('-')[0];
+        this.region = locale.split('-').find(part => /^[A-Z]{2}$/.test(part)) || null;
+        this.language = this.locales[language] ? language : this.defaults.fallbackLanguage;
+        // Without a catalogue for the language, text falls back to English but numbers, dates and units
+        // still follow the user's region ("de-DE" formats as "en-DE")
+        this.locale = this.language === language ? locale : [this.language, this.region].filter(Boolean).join('-');
+        this.numberFormats = new Map();
+    }
+
+    setUnits(units) {
+        this.unitsOverride = ['metric', 'imperial'].includes(units) ? units : null;
+    }
+
+    get units() {
+        if (this.unitsOverride) {
+            return this.unitsOverride;
+        }
+        const region = this.region || this.defaults.likelyRegions[this.language];
+        return this.defaults.imperialRegions.includes(region) ? 'imperial' : 'metric';
+    }
+
+    get direction() {
+        return this.locales[this.language]?.dir || 'ltr';
+    }
+
+    // Message for key with {name} placeholders filled in. A message may be { one, other, ... } plural forms,
+    // picked by values.count. Missing keys fall back to English, then to the key itself.
+    t(key, values = {}) {
+        const message = this.catalogues[this.language]?.[key] ?? this.catalogues[this.defaults.fallbackLanguage]?.[key];
+        if (message === undefined) {
+            return key;
+        }
+        const text = typeof message === 'object'
+            ? message[new Intl.PluralRules(this.locale).select(values.count ?? 0)] ?? message.other
+            : message;
+        return text.replace(/\{(\w+)\}/g, (placeholder, name) => {
+            const value = values[name];
+            if (value === undefined || value === null) {
+                return placeholder;
+            }
+            return typeof value === 'number' ? this.formatNumber(value) : String(value);
+        });
+    }
+
+    has(key) {
+        return this.catalogues[this.language]?.[key] !== undefined
+            || this.catalogues[this.defaults.fallbackLanguage]?.[key] !== undefined;
+    }
+
+    formatNumber(value, options = {}) {
+        const cacheKey = JSON.stringify(options);
+        if (!this.numberFormats.has(cacheKey)) {
+            this.numberFormats.set(cacheKey, new Intl.NumberFormat(this.locale, options));
+        }
+        return this.numberFormats.get(cacheKey).format(value);
+    }
+
+    // "350 m" / "1.2 km", or "900 ft" / "0.7 mi", in the locale's own number and unit style
+    formatDistance(km) {
+        const unit = (value, name, digits) => this.formatNumber(value, {
+            style: 'unit', unit: name, unitDisplay: 'short', maximumFractionDigits: digits
+        });
+        if (this.units === 'imperial') {
+            const miles = km / 1.609344;
+            return miles < 0.1 ? unit(Math.round(miles * 5280 / 10) * 10, 'foot', 0) : unit(miles, 'mile', miles < 10 ? 1 : 0);
+        }
+        return km < 1 ? unit(Math.round(km * 1000), 'meter', 0) : unit(km, 'kilometer', km < 10 ? 1 : 0);
+    }
+
+    // "WiFi, parking and outdoor seating" with the locale's own separators; type 'disjunction' joins with "or"
+    formatList(items, { type = 'conjunction' } = {}) {
+        return new Intl.ListFormat(this.locale, { type }).format(items);
+    }
+
+    // Minutes after midnight as a wall-clock time ("21:30", "9:30 PM")
+    formatClock(minutes) {
+        const ofDay = ((minutes % 1440) + 1440) % 1440;
+        return new Intl.DateTimeFormat(this.locale, { hour: 'numeric', minute: '2-digit', timeZone: 'UTC' })
+            .format(Date.UTC(2024, 0, 1, Math.floor(ofDay / 60), ofDay % 60));
+    }
+
+    // Short weekday name for day 1 (Monday) to 7 (Sunday); 1 January 2024 was a Monday
+    formatWeekday(day) {
+        return new Intl.DateTimeFormat(this.locale, { weekday: 'short', timeZone: 'UTC' }).format(Date.UTC(2024, 0, day));
+    }
+
+    formatMoment({ day, minutes }) {
+        return `${this.formatWeekday(day)} ${this.formatClock(minutes)}`;
+    }
+
+    formatDate(value) {
+        return new Date(value).toLocaleDateString(this.locale);
+    }
+
+    formatDateTime(value) {
+        return new Date(value).toLocaleString(this.locale);
+    }
+
+    // Static markup: data-i18n sets an element's text, data-i18n-placeholder, -title and -aria-label its attributes
+    translateDocument(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+        ['placeholder', 'title', 'aria-label'].forEach(attribute => {
+            root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+                element.setAttribute(attribute, this.t(element.getAttribute(`data-i18n-${attribute}`)));
+            });
+        });
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Translator, I18N_CATALOGUES, I18N_LOCALES, I18N_DEFAULTS };
+}
@@ -0,0 +1,151 @@
+// QuestLens - Itinerary planner
+// Orders stops for walking (nearest neighbour, then 2-opt) and schedules arrival times against opening hours.
+
+const ITINERARY_DEFAULTS = {
+    walkingKmPerHour: 4.8,
+    // Streets are longer than the straight line between two places
+    detourFactor: 1.3,
+    visitMinutes: 45,
+    startTime: '10:00',
+    // "HH:MM" the day has to be done by, or null for no limit
+    endTime: null
+};
+
+class ItineraryPlanner {
+    // hoursOf(place) returns the place's OpeningHours (services/opening-hours.js), or null when unknown
+    constructor(defaults = ITINERARY_DEFAULTS, { hoursOf = () => null } = {}) {
+        this.defaults = defaults;
+        this.hoursOf = hoursOf;
+    }
+
+    // Great-circle distance between two { lat, lon } points
+    haversineKm(a, b) {
+        const toRad = value => value * Math.PI / 180;
+        const dLat = toRad(b.lat - a.lat);
+        const dLon = toRad(b.lon - a.lon);
+        const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+        return 2 * 6371 * Math.asin(Math.sqrt(h));
+    }
+
+    // Suggested visiting order for stops ({ place, visitMinutes }). The first stop stays first;
+    // the rest are chained by nearest neighbour, then improved with 2-opt until no swap shortens the walk.
+    suggestOrder(stops) {
+        if (stops.length < 3) {
+            return [...stops];
+        }
+
+        const remaining = stops.slice(1);
+        const route = [stops[0]];
+        while (remaining.length > 0) {
+            const last = route[route.length - 1].place;
+            let nearest = 0;
+            remaining.forEach((stop, index) => {
+                if (this.haversineKm(last, stop.place) < this.haversineKm(last, remaining[nearest].place)) {
+                    nearest = index;
+                }
+            });
+            route.push(remaining.splice(nearest, 1)[0]);
+        }
+
+        return this.twoOpt(route);
+    }
+
+    // Open-path 2-opt: reverse route[i..j] whenever that shortens the total; index 0 is fixed
+    twoOpt(route) {
+        const best = [...route];
+        const dist = (a, b) => this.haversineKm(a.place, b.place);
+        let improved = true;
+
+        while (improved) {
+            improved = false;
+            for (let i = 1; i < best.length - 1; i++) {
+                for (let j = i + 1; j < best.length; j++) {
+                    const before = dist(best[i - 1], best[i]) + (j + 1 < best.length ? dist(best[j], best[j + 1]) : 0);
+                    const after = dist(best[i - 1], best[j]) + (j + 1 < best.length ? dist(best[i], best[j + 1]) : 0);
+                    if (after + 1e-9 < before) {
+                        best.splice(i, j - i + 1, ...best.slice(i, j + 1).reverse());
+                        improved = true;
+                    }
+                }
+            }
+        }
+        return best;
+    }
+
+    // Arrival and departure for each stop, walking legs between them, and totals. Stops that would end after
+    // endTime stay in the list, in order, marked dropped and without times; the route skips them.
+    // Times are minutes after midnight; day is 1 (Monday) to 7 (Sunday), as in Foursquare hours.
+    schedule(stops, { startTime = this.defaults.startTime, endTime = this.defaults.endTime, day = 1 } = {}) {
+        const start = this.parseTime(startTime);
+        let budget = endTime ? this.parseTime(endTime) : Infinity;
+        // An end time at or before the start is on the next day
+        if (budget <= start) {
+            budget += 24 * 60;
+        }
+        let clock = start;
+        let previous = null;
+        let totalKm = 0;
+        let walkMinutes = 0;
+
+        const scheduled = stops.map(stop => {
+            const visitMinutes = stop.visitMinutes || this.defaults.visitMinutes;
+            const km = previous ? this.haversineKm(previous.place, stop.place) * this.defaults.detourFactor : 0;
+            const leg = previous ? { km, minutes: Math.round(km / this.defaults.walkingKmPerHour * 60) } : null;
+            const arrival = clock + (leg ? leg.minutes : 0);
+            const departure = arrival + visitMinutes;
+
+            if (departure > budget) {
+                return { ...stop, visitMinutes, leg: null, arrival: null, departure: null, warning: null, dropped: true };
+            }
+
+            if (leg) {
+                totalKm += leg.km;
+                walkMinutes += leg.minutes;
+            }
+            clock = departure;
+            previous = stop;
+            return { ...stop, visitMinutes, leg, arrival, departure, warning: this.checkHours(stop.place, arrival, departure, day), dropped: false };
+        });
+
+        return {
+            stops: scheduled,
+            totalKm,
+            walkMinutes,
+            visitMinutes: scheduled.filter(stop => !stop.dropped).reduce((sum, stop) => sum + stop.visitMinutes, 0),
+            endTime: clock
+        };
+    }
+
+    // Warn when the visit falls outside the place's regular hours; unknown hours give no warning.
+    // Warnings are { key, values } messages for the UI's translator, with times in minutes after midnight.
+    checkHours(place, arrival, departure, day) {
+        const hours = this.hoursOf(place);
+        if (!hours) {
+            return null;
+        }
+
+        const status = hours.statusAt({ day, minutes: arrival % (24 * 60) });
+        if (!status.open) {
+            const opensToday = status.opensAt && status.minutesToOpen < 24 * 60 && status.opensAt.day === day;
+            if (!opensToday && hours.week[day - 1].length === 0) {
+                return { key: 'itinerary.closedToday' };
+            }
+            return opensToday
+                ? { key: 'itinerary.closedAtOpens', values: { time: arrival, opens: status.opensAt.minutes } }
+                : { key: 'itinerary.closedAt', values: { time: arrival } };
+        }
+        if (status.minutesToClose !== null && status.minutesToClose < departure - arrival) {
+            return { key: 'itinerary.closesBefore', values: { time: status.closesAt.minutes } };
+        }
+        return null;
+    }
+
+    parseTime(value) {
+        const [hours, minutes] = String(value).split(':').map(Number);
+        return (hours || 0) * 60 + (minutes || 0);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ItineraryPlanner, ITINERARY_DEFAULTS };
+}
@@ -0,0 +1,251 @@
+// QuestLens - Saved places library
+// Collections of saved places, recent searches and areas saved for offline use, kept in IndexedDB so they
+// survive reloads and work offline. Places are stored once as normalized snapshots (deduplicated by id) and
+// referenced from collections; an offline area keeps its own copy of the results it was saved with.
+
+const LIBRARY_STORES = {
+    places: 'places',
+    collections: 'collections',
+    searches: 'searches',
+    areas: 'areas'
+};
+
+class LibraryStore {
+    constructor({ dbName = 'questlens-library', maxSearches = 30, log = () => {} } = {}) {
+        this.dbName = dbName;
+        this.maxSearches = maxSearches;
+        this.log = log;
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+                const request = indexedDB.open(this.dbName, 2);
+                request.onupgradeneeded = (event) => {
+                    const db = request.result;
+                    if (event.oldVersion < 1) {
+                        db.createObjectStore(LIBRARY_STORES.places, { keyPath: 'id' });
+                        db.createObjectStore(LIBRARY_STORES.collections, { keyPath: 'id' });
+                        db.createObjectStore(LIBRARY_STORES.searches, { keyPath: 'key' }).createIndex('searchedAt', 'searchedAt');
+                    }
+                    if (event.oldVersion < 2) {
+                        db.createObjectStore(LIBRARY_STORES.areas, { keyPath: 'id' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    // Run work(stores, setResult) in one transaction and resolve with the result once it has committed.
+    // work must issue its requests synchronously or from their callbacks, as IndexedDB requires.
+    async transact(storeNames, mode, work) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeNames, mode);
+            const stores = Object.fromEntries(storeNames.map(name => [name, transaction.objectStore(name)]));
+            let result;
+            work(stores, value => {
+                result = value;
+            });
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    getAll(storeName) {
+        return this.transact([storeName], 'readonly', (stores, setResult) => {
+            stores[storeName].getAll().onsuccess = (event) => setResult(event.target.result);
+        });
+    }
+
+    // Collections, newest first
+    async listCollections() {
+        const collections = await this.getAll(LIBRARY_STORES.collections);
+        return collections.sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    async createCollection(name) {
+        const trimmed = name.trim();
+        if (!trimmed) {
+            throw new Error('Collection name is required');
+        }
+
+        const now = Date.now();
+        const collection = {
+            id: `collection-${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            name: trimmed,
+            placeIds: [],
+            createdAt: now,
+            updatedAt: now
+        };
+        await this.transact([LIBRARY_STORES.collections], 'readwrite', (stores) => {
+            stores.collections.add(collection);
+        });
+        return collection;
+    }
+
+    // Deleting a collection also drops snapshots no other collection refers to
+    async deleteCollection(collectionId) {
+        const collections = await this.listCollections();
+        const remaining = collections.filter(collection => collection.id !== collectionId);
+        const stillReferenced = new Set(remaining.flatMap(collection => collection.placeIds));
+        const deleted = collections.find(collection => collection.id === collectionId);
+
+        await this.transact([LIBRARY_STORES.collections, LIBRARY_STORES.places], 'readwrite', (stores) => {
+            stores.collections.delete(collectionId);
+            (deleted?.placeIds || [])
+                .filter(placeId => !stillReferenced.has(placeId))
+                .forEach(placeId => stores.places.delete(placeId));
+        });
+    }
+
+    // Saving again refreshes the snapshot, so a collection picks up newer details
+    async addToCollection(collectionId, place) {
+        const snapshot = { ...place, raw: null, savedAt: Date.now() };
+
+        await this.transact([LIBRARY_STORES.collections, LIBRARY_STORES.places], 'readwrite', (stores) => {
+            stores.collections.get(collectionId).onsuccess = (event) => {
+                const collection = event.target.result;
+                if (!collection) {
+                    return;
+                }
+                if (!collection.placeIds.includes(place.id)) {
+                    collection.placeIds.push(place.id);
+                }
+                collection.updatedAt = Date.now();
+                stores.collections.put(collection);
+                stores.places.put(snapshot);
+            };
+        });
+    }
+
+    async removeFromCollection(collectionId, placeId) {
+        const collections = await this.listCollections();
+        const inOtherCollections = collections.some(collection =>
+            collection.id !== collectionId && collection.placeIds.includes(placeId));
+
+        await this.transact([LIBRARY_STORES.collections, LIBRARY_STORES.places], 'readwrite', (stores) => {
+            stores.collections.get(collectionId).onsuccess = (event) => {
+                const collection = event.target.result;
+                if (!collection) {
+                    return;
+                }
+                collection.placeIds = collection.placeIds.filter(id => id !== placeId);
+                collection.updatedAt = Date.now();
+                stores.collections.put(collection);
+            };
+            if (!inOtherCollections) {
+                stores.places.delete(placeId);
+            }
+        });
+    }
+
+    // Saved snapshots in collection order
+    async getCollectionPlaces(collectionId) {
+        return this.transact([LIBRARY_STORES.collections, LIBRARY_STORES.places], 'readonly', (stores, setResult) => {
+            stores.collections.get(collectionId).onsuccess = (event) => {
+                const placeIds = event.target.result?.placeIds || [];
+                const places = [];
+                setResult(places);
+                placeIds.forEach((placeId, index) => {
+                    stores.places.get(placeId).onsuccess = (placeEvent) => {
+                        if (placeEvent.target.result) {
+                            places[index] = placeEvent.target.result;
+                        }
+                    };
+                });
+            };
+        }).then(places => places.filter(Boolean));
+    }
+
+    // Map of place id to the ids of the collections holding it
+    async getSavedPlaceIndex() {
+        const index = new Map();
+        (await this.listCollections()).forEach(collection => {
+            collection.placeIds.forEach(placeId => {
+                index.set(placeId, [...(index.get(placeId) || []), collection.id]);
+            });
+        });
+        return index;
+    }
+
+    // One history entry per location, query and provider; repeating a search moves it to the top
+    async recordSearch({ location, query, provider, resultCount }) {
+        const key = [location.toLowerCase(), query.toLowerCase(), provider].join('|');
+
+        await this.transact([LIBRARY_STORES.searches], 'readwrite', (stores) => {
+            stores.searches.put({ key, location, query, provider, resultCount, searchedAt: Date.now() });
+
+            // Trim the oldest entries beyond maxSearches
+            stores.searches.count().onsuccess = (event) => {
+                let excess = event.target.result - this.maxSearches;
+                if (excess <= 0) {
+                    return;
+                }
+                stores.searches.index('searchedAt').openCursor().onsuccess = (cursorEvent) => {
+                    const cursor = cursorEvent.target.result;
+                    if (cursor && excess > 0) {
+                        cursor.delete();
+                        excess--;
+                        cursor.continue();
+                    }
+                };
+            };
+        });
+    }
+
+    // Recent searches, newest first
+    async listSearches() {
+        const searches = await this.getAll(LIBRARY_STORES.searches);
+        return searches.sort((a, b) => b.searchedAt - a.searchedAt);
+    }
+
+    async clearSearches() {
+        await this.transact([LIBRARY_STORES.searches], 'readwrite', (stores) => {
+            stores.searches.clear();
+        });
+    }
+
+    // Offline areas, newest first
+    async listAreas() {
+        const areas = await this.getAll(LIBRARY_STORES.areas);
+        return areas.sort((a, b) => b.savedAt - a.savedAt);
+    }
+
+    // area: { label, location, query, provider, bounds, minZoom, maxZoom, tileCount, places }
+    async saveArea(area) {
+        const now = Date.now();
+        const record = {
+            ...area,
+            id: `area-${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            places: area.places.map(place => ({ ...place, raw: null })),
+            savedAt: now
+        };
+        await this.transact([LIBRARY_STORES.areas], 'readwrite', (stores) => {
+            stores.areas.add(record);
+        });
+        return record;
+    }
+
+    async deleteArea(areaId) {
+        await this.transact([LIBRARY_STORES.areas], 'readwrite', (stores) => {
+            stores.areas.delete(areaId);
+        });
+    }
+
+    // Newest saved area whose bounds hold the point, or null
+    async findAreaAt({ lat, lon }) {
+        const areas = await this.listAreas();
+        return areas.find(({ bounds }) =>
+            lat >= bounds.south && lat <= bounds.north && lon >= bounds.west && lon <= bounds.east) || null;
+    }
+}
@@ -0,0 +1,208 @@
+// QuestLens - LLM query understanding
+// Optional adapter for an OpenAI-compatible chat endpoint (llama.cpp, Ollama, ...).
+// The model must answer with JSON matching LLM_QUERY_SCHEMA; anything else falls back to the keyword parser.
+
+const LLM_INTENTS = ['restaurants', 'coffee', 'museums', 'attractions', 'hotels', 'shopping', 'nightlife', 'parks'];
+const LLM_AMENITIES = ['wifi', 'parking', 'outdoor_seating', 'kid_friendly', 'wheelchair'];
+
+const LLM_QUERY_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    required: ['intents', 'keywords', 'amenities', 'price', 'openNow', 'timeWindow', 'radius', 'excludeChains', 'excludedTerms', 'summary'],
+    properties: {
+        intents: { type: 'array', minItems: 1, items: { type: 'string', enum: LLM_INTENTS } },
+        keywords: { type: 'string', description: 'At most three search keywords' },
+        amenities: { type: 'array', items: { type: 'string', enum: LLM_AMENITIES } },
+        // Strict structured output needs every nested object closed and all its properties required
+        price: {
+            type: ['object', 'null'],
+            additionalProperties: false,
+            required: ['min', 'max'],
+            properties: {
+                min: { type: ['integer', 'null'], minimum: 1, maximum: 4 },
+                max: { type: ['integer', 'null'], minimum: 1, maximum: 4 }
+            }
+        },
+        openNow: { type: 'boolean' },
+        timeWindow: {
+            type: ['object', 'null'],
+            additionalProperties: false,
+            required: ['label', 'start', 'end'],
+            properties: {
+                label: { type: 'string' },
+                start: { type: ['string', 'null'], pattern: '^\\d{2}:\\d{2}$' },
+                end: { type: ['string', 'null'], pattern: '^\\d{2}:\\d{2}$' }
+            }
+        },
+        radius: { type: 'integer', minimum: 100, maximum: 50000, description: 'Search radius in metres' },
+        excludeChains: { type: 'boolean' },
+        excludedTerms: { type: 'array', items: { type: 'string' } },
+        summary: { type: 'string', description: 'One sentence telling the user what will be searched for' }
+    }
+};
+
+const LLM_SYSTEM_PROMPT = [
+    'You turn travel search requests into structured search parameters for a places API.',
+    `intents: one or more of ${LLM_INTENTS.join(', ')}, most important first.`,
+    `amenities: only those the user requires, from ${LLM_AMENITIES.join(', ')}.`,
+    'price: Foursquare 1-4 scale, or null when the user did not mention price.',
+    'timeWindow: local 24h times "HH:MM" when the user mentions a time of day, otherwise null.',
+    'radius: metres; 5000 unless the user asks for something nearby (2000) or gives a distance.',
+    'Reply with JSON only.'
+].join('\n');
+
+// An English message for the log plus the { key, values } note the results header shows in the UI language
+function llmError(message, key, values) {
+    return Object.assign(new Error(message), { description: { key, values } });
+}
+
+class LlmQueryEngine {
+    constructor({ endpoint, model, label = model, timeout = 8000, fallbackParser, log = () => {} }) {
+        this.endpoint = endpoint;
+        this.model = model;
+        this.label = label;
+        this.timeout = timeout;
+        this.fallbackParser = fallbackParser;
+        this.log = log;
+    }
+
+    // Always resolves: LLM output when it is valid, the keyword parser's otherwise.
+    // language is the English name of the UI language, which the summary is written in.
+    async analyze(query, { signal, language = 'English' } = {}) {
+        const parsed = this.fallbackParser.parse(query);
+
+        try {
+            const content = await this.complete(query, signal, language);
+            const understood = this.validate(this.parseJson(content));
+            return { ...parsed, ...understood, engine: 'llm', engineLabel: this.label };
+        } catch (error) {
+            if (error.name === 'AbortError' && signal?.aborted) {
+                throw error;
+            }
+            this.log('LLM analysis failed, using keyword parser', error.message);
+            const engineNote = error.description || { key: 'results.llmUnavailable', values: { error: error.message } };
+            return { ...parsed, engine: 'keywords', engineNote };
+        }
+    }
+
+    async complete(query, signal, language = 'English') {
+        const controller = new AbortController();
+        const id = setTimeout(() => controller.abort(), this.timeout);
+        const forwardAbort = () => controller.abort();
+        signal?.addEventListener('abort', forwardAbort);
+
+        try {
+            const response = await fetch(this.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+                body: JSON.stringify({
+                    model: this.model,
+                    temperature: 0,
+                    messages: [
+                        { role: 'system', content: `${LLM_SYSTEM_PROMPT}\nWrite the summary in ${language}.` },
+                        { role: 'user', content: query }
+                    ],
+                    response_format: {
+                        type: 'json_schema',
+                        json_schema: { name: 'questlens_query', strict: true, schema: LLM_QUERY_SCHEMA }
+                    }
+                }),
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                throw llmError(`HTTP ${response.status}`, 'results.llmHttpStatus', { code: String(response.status) });
+            }
+
+            const data = await response.json();
+            const content = data.choices?.[0]?.message?.content;
+            if (typeof content !== 'string') {
+                throw llmError('Response has no message content', 'results.llmInvalid');
+            }
+            return content;
+        } catch (error) {
+            if (error.name === 'AbortError' && !signal?.aborted) {
+                throw llmError('timed out', 'results.llmTimedOut');
+            }
+            throw error;
+        } finally {
+            clearTimeout(id);
+            signal?.removeEventListener('abort', forwardAbort);
+        }
+    }
+
+    parseJson(content) {
+        try {
+            return JSON.parse(content);
+        } catch (error) {
+            throw llmError('Invalid LLM output: not JSON', 'results.llmInvalid');
+        }
+    }
+
+    // Check the model's answer against the schema; returns only the fields we trust
+    validate(data) {
+        const fail = (message) => {
+            throw llmError(`Invalid LLM output: ${message}`, 'results.llmInvalid');
+        };
+        const isTime = (value) => value === null || (typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value));
+        const isLevel = (value) => value === null || value === undefined || (Number.isInteger(value) && value >= 1 && value <= 4);
+
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            fail('not an object');
+        }
+        if (!Array.isArray(data.intents) || data.intents.length === 0 || !data.intents.every(intent => LLM_INTENTS.includes(intent))) {
+            fail('intents');
+        }
+        if (typeof data.keywords !== 'string') {
+            fail('keywords');
+        }
+        if (!Array.isArray(data.amenities) || !data.amenities.every(amenity => LLM_AMENITIES.includes(amenity))) {
+            fail('amenities');
+        }
+        if (data.price !== null && (typeof data.price !== 'object' || !isLevel(data.price.min) || !isLevel(data.price.max))) {
+            fail('price');
+        }
+        if (typeof data.openNow !== 'boolean' || typeof data.excludeChains !== 'boolean') {
+            fail('flags');
+        }
+        if (data.timeWindow !== null && (typeof data.timeWindow !== 'object' || !isTime(data.timeWindow.start) || !isTime(data.timeWindow.end))) {
+            fail('timeWindow');
+        }
+        if (!Number.isInteger(data.radius) || data.radius < 100 || data.radius > 50000) {
+            fail('radius');
+        }
+        if (!Array.isArray(data.excludedTerms) || !data.excludedTerms.every(term => typeof term === 'string')) {
+            fail('excludedTerms');
+        }
+        if (typeof data.summary !== 'string' || data.summary.trim() === '') {
+            fail('summary');
+        }
+
+        const intents = [...new Set(data.intents)];
+        return {
+            intent: intents[0],
+            intents,
+            keywords: data.keywords.split(/\s+/).filter(Boolean).slice(0, 3).join(' '),
+            amenities: [...new Set(data.amenities)],
+            price: data.price && (data.price.min || data.price.max)
+                ? { ...(data.price.min ? { min: data.price.min } : {}), ...(data.price.max ? { max: data.price.max } : {}) }
+                : null,
+            openNow: data.openNow,
+            timeWindow: data.timeWindow && (data.timeWindow.start || data.timeWindow.end)
+                ? {
+                    label: data.timeWindow.label || `${data.timeWindow.start || ''}–${data.timeWindow.end || ''}`,
+                    start: data.timeWindow.start,
+                    end: data.timeWindow.end
+                }
+                : null,
+            radius: data.radius,
+            excludeChains: data.excludeChains,
+            excludedTerms: data.excludedTerms.map(term => term.toLowerCase()),
+            summary: data.summary.trim()
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LlmQueryEngine, LLM_QUERY_SCHEMA };
+}
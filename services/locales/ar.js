@@ -0,0 +1,414 @@
+// QuestLens - Arabic messages
+// Keys as in services/locales/en.js; any left out fall back to English. Counted messages either give all
+// six Arabic plural forms (zero, one, two, few, many, other) or put the number after the noun phrase.
+
+I18N_CATALOGUES.ar = {
+    'app.title': 'QuestLens - باحث الأماكن الفوري',
+    'app.tagline': 'باحث أماكن ذكي في الوقت الفعلي',
+
+    'locale.language': 'اللغة',
+    'locale.units': 'وحدات المسافة',
+    'locale.unitsAuto': 'وحدات منطقتي',
+    'locale.metric': 'كيلومترات',
+    'locale.imperial': 'أميال',
+
+    'status.poweredBy': 'بيانات مباشرة',
+    'status.offline': 'غير متصل: نتائج محفوظة',
+    'status.offlineReady': 'يعمل التطبيق والخرائط التي شاهدتها دون اتصال',
+
+    'common.clear': 'مسح',
+    'common.close': 'إغلاق',
+    'common.dismiss': 'تجاهل',
+
+    'form.location': 'الموقع (أي مدينة في العالم)',
+    'form.locationPlaceholder': 'مثلًا: طوكيو، نيويورك، مومباي، لندن...',
+    'form.locationSuggestions': 'اقتراحات المواقع',
+    'form.locationHelp': 'يعمل مع أي مدينة أو مكان في العالم',
+    'form.useLocation': 'استخدام موقعي',
+    'form.query': 'عمّ تبحث؟',
+    'form.queryPlaceholder': 'صف ما تريده... (مثلًا: «أفضل رامن للغداء»، «متاحف مناسبة للعائلات مع موقف سيارات»، «مقاهٍ فيها واي فاي»)',
+    'form.queryHelp': 'يفهمه نموذج لغوي محلي إن كان مُعدًّا، وإلا فقواعد الكلمات المفتاحية',
+    'form.visitAt': 'موعد الزيارة (اختياري)',
+    'form.visitAtHelp': 'تُفحص ساعات العمل لهذا الوقت بتوقيت الأماكن؛ اتركه فارغًا للوقت الحالي',
+    'form.provider': 'مزوّد بيانات الأماكن',
+    'form.providerFoursquare': 'Foursquare Places',
+    'form.providerOsm': 'OpenStreetMap (Overpass)',
+    'form.submit': 'اكتشف الأماكن الآن',
+    'form.submitting': 'جارٍ جلب البيانات الفورية...',
+
+    'samples.title': 'جرّب هذه الأمثلة الفورية:',
+    'samples.italian': 'مطبخ إيطالي',
+    'samples.familyMuseums': 'متاحف للعائلات',
+    'samples.wifiCoffee': 'قهوة مع واي فاي',
+    'samples.budgetHotels': 'فنادق اقتصادية',
+    'samples.hiddenGems': 'جواهر مخفية',
+    'samples.runningParks': 'حدائق للجري',
+
+    'library.collections': 'المجموعات',
+    'library.history': 'عمليات البحث الأخيرة',
+    'library.clearHistory': 'مسح السجل',
+    'library.emptyCollections': 'ضع نجمة على مكان لبدء مجموعة.',
+    'library.emptyHistory': 'ستظهر عمليات بحثك هنا.',
+    'library.showOnMap': 'عرض على الخريطة',
+    'library.placeCount': {
+        zero: 'لا أماكن',
+        one: 'مكان واحد',
+        two: 'مكانان',
+        few: '{count} أماكن',
+        many: '{count} مكانًا',
+        other: '{count} مكان'
+    },
+    'library.collection': 'المجموعة: {name}',
+    'library.deleteCollection': 'حذف {name}',
+    'library.confirmDeleteCollection': 'هل تريد حذف المجموعة «{name}»؟',
+    'library.collectionEmpty': 'لا تحتوي «{name}» على أماكن محفوظة بعد.',
+    'library.savedCollection': 'مجموعة محفوظة',
+    'library.savedCollectionSource': 'مجموعتك المحفوظة',
+    'library.storageFailed': 'تعذّر الحفظ على هذا الجهاز: {error}',
+    'library.collectionSummary': 'الأماكن المحفوظة: {count}، معروضة من جهازك',
+
+    'save.title': 'حفظ',
+    'save.newCollection': 'مجموعة جديدة، مثلًا: طوكيو اليوم الثاني',
+    'save.add': 'إضافة',
+    'save.done': 'تم',
+    'save.saveTitle': 'حفظ في مجموعة',
+    'save.editTitle': 'محفوظ — تعديل المجموعات',
+
+    'transfer.title': 'التصدير والاستيراد',
+    'transfer.source': 'الأماكن المراد تصديرها',
+    'transfer.format': 'صيغة التصدير',
+    'transfer.currentResults': 'النتائج الحالية',
+    'transfer.gpx': 'نقاط GPX',
+    'transfer.kml': 'علامات KML',
+    'transfer.csv': 'جدول CSV',
+    'transfer.export': 'تصدير',
+    'transfer.import': 'استيراد GeoJSON أو GPX أو KML',
+    'transfer.searchTitle': '{query} في {location}',
+    'transfer.defaultTitle': 'نتائج QuestLens',
+    'transfer.nothing': 'لا يوجد ما يُصدَّر بعد.',
+    'transfer.exported': 'صُدِّرت الأماكن ({count}) بصيغة {format}.',
+    'transfer.imported': 'استُوردت العناصر ({count}) من {file}.',
+    'transfer.importedPlace': 'مكان مستورد',
+
+    'offline.areas': 'مناطق دون اتصال',
+    'offline.download': 'تنزيل هذه المنطقة',
+    'offline.empty': 'ابحث وأطّر الخريطة ثم نزّل المنطقة لاستخدامها دون اتصال.',
+    'offline.unsupported': 'لا يستطيع هذا المتصفح حفظ مربعات الخريطة.',
+    'offline.tooLarge': 'هذه المنطقة أكبر من أن تُحفظ. قرّب الخريطة وحاول مجددًا.',
+    'offline.saving': 'جارٍ حفظ مربعات الخريطة ({count})...',
+    'offline.saved': 'حُفظت المربعات ({tiles}) والأماكن ({count}) للاستخدام دون اتصال',
+    'offline.failedTiles': '(تعذّر تنزيل المربعات: {count})',
+    'offline.saveFailed': 'تعذّر حفظ هذه المنطقة: {error}',
+    'offline.deleteFailed': 'تعذّر حذف هذه المنطقة: {error}',
+    'offline.tileCount': {
+        zero: 'لا مربعات',
+        one: 'مربع واحد',
+        two: 'مربعان',
+        few: '{count} مربعات',
+        many: '{count} مربعًا',
+        other: '{count} مربع'
+    },
+    'offline.delete': 'حذف النسخة غير المتصلة من {name}',
+    'offline.confirmDelete': 'هل تريد حذف النسخة غير المتصلة من «{name}»؟',
+    'offline.area': 'منطقة دون اتصال',
+    'offline.source': 'نسختك غير المتصلة',
+    'offline.summary': 'الأماكن المحفوظة في {date}: {count}، معروضة من جهازك',
+
+    'itinerary.title': 'خط السير',
+    'itinerary.startAt': 'البدء في',
+    'itinerary.endBy': 'الانتهاء بحلول',
+    'itinerary.dropped': 'مستبعد: لا يتسع قبل {time}',
+    'itinerary.suggestOrder': 'اقتراح ترتيب',
+    'itinerary.empty': 'أضف أماكن من النتائج لتخطيط جولة سيرًا على الأقدام.',
+    'itinerary.walk': 'سيرًا {count} د',
+    'itinerary.visitLength': 'مدة الزيارة بالدقائق',
+    'itinerary.moveUp': 'لأعلى',
+    'itinerary.moveDown': 'لأسفل',
+    'itinerary.remove': 'إزالة',
+    'itinerary.addStop': 'إضافة إلى خط السير',
+    'itinerary.removeStop': 'إزالة من خط السير',
+    'itinerary.hoursMinutes': '{hours} س {minutes} د',
+    'itinerary.minutes': '{minutes} د',
+    'itinerary.closedToday': 'مغلق في هذا اليوم',
+    'itinerary.closedAt': 'مغلق في {time}',
+    'itinerary.closedAtOpens': 'مغلق في {time}؛ يفتح في {opens}',
+    'itinerary.closesBefore': 'يغلق في {time} قبل موعد المغادرة المخطط',
+    'itinerary.summary': 'المحطات: {count} · {distance} · نحو {walking} سيرًا · الانتهاء قرابة {end} (تقديري)',
+
+    'results.title': 'توصيات ذكاء اصطناعي مباشرة',
+    'results.liveData': 'بيانات مباشرة',
+    'results.liveFrom': 'بيانات مباشرة من {source}',
+    'results.cachedFallback': 'نتائج محفوظة (واجهات البيانات المباشرة غير متاحة)',
+    'results.demoFallback': 'بيانات تجريبية (واجهات البيانات المباشرة غير متاحة)',
+    'results.analysis': 'تحليل {engine}:',
+    'results.keywordParser': 'محلل الكلمات المفتاحية',
+    'results.keywordResponse': 'أبحث عن {summary} متعلق بـ«{query}» في {location}. لنجد أفضل الخيارات الآن!',
+    'results.engineNote': '{note}؛ استُخدم محلل الكلمات المفتاحية بدلًا منه.',
+    'results.llmUnavailable': 'نموذج اللغة غير متاح: {error}',
+    'results.llmTimedOut': 'لم يستجب نموذج اللغة في الوقت المحدد',
+    'results.llmHttpStatus': 'أجاب نموذج اللغة برمز HTTP {code}',
+    'results.llmInvalid': 'كانت إجابة نموذج اللغة غير صالحة',
+    'results.found': 'الأماكن التي عُثر عليها في {location}: {count}',
+    'results.detailsProgress': 'جارٍ جلب تفاصيل الأماكن… {done}/{total}',
+    'results.count.live': 'أماكن مباشرة: {count}',
+    'results.count.cached': 'أماكن محفوظة: {count}',
+    'results.count.sample': 'أماكن تجريبية: {count}',
+
+    'filters.label': 'تصفية النتائج وترتيبها',
+    'filters.minRating': 'أدنى تقييم',
+    'filters.maxDistance': 'أقصى مسافة',
+    'filters.category': 'الفئة',
+    'filters.source': 'البيانات',
+    'filters.sortBy': 'الترتيب حسب',
+    'filters.sortRelevance': 'الأكثر تطابقًا',
+    'filters.sortDistance': 'المسافة',
+    'filters.sortRating': 'التقييم',
+    'filters.sortName': 'الاسم',
+    'filters.any': 'أي',
+    'filters.all': 'الكل',
+    'filters.openNow': 'مفتوح الآن',
+    'filters.hasPhone': 'له هاتف',
+    'filters.hasWebsite': 'له موقع ويب',
+    'filters.reset': 'إعادة الضبط',
+    'filters.empty': 'لا توجد أماكن تطابق هذه المرشحات.',
+    'filters.showing': 'عرض {count} من {total}',
+
+    'source.live': 'مباشر',
+    'source.cached': 'محفوظ',
+    'source.demo': 'تجريبي',
+    'source.liveData': 'بيانات مباشرة',
+    'source.cachedData': 'بيانات محفوظة',
+    'source.sampleData': 'بيانات تجريبية',
+    'source.from': 'من {source}',
+    'source.provider': 'المزوّد',
+    'source.realTimeFrom': 'مباشر من {provider}',
+    'source.cachedFrom': 'محفوظ من {provider}',
+    'source.cachedSaved': '{source}، حُفظ في {date}',
+    'source.earlierSearch': 'بحث سابق',
+    'source.cachedResults': 'نتائج محفوظة',
+    'source.nothingCached': 'لا شيء محفوظ لهذا البحث',
+    'source.demoDataset': 'بيانات تجريبية',
+    'source.demoSet': 'مجموعة QuestLens التجريبية',
+    'source.noResults': 'لا نتائج',
+    'source.error': '{error}',
+
+    'place.noAddress': 'العنوان غير متاح',
+    'place.website': 'زيارة الموقع',
+    'place.unnamed': 'مكان بلا اسم',
+    'place.defaultCategory': 'مكان',
+
+    'hours.open24': 'مفتوح 24 ساعة',
+    'hours.closesIn': 'يغلق بعد {count} د',
+    'hours.openUntil': 'مفتوح حتى {time}',
+    'hours.closed': 'مغلق',
+    'hours.closedOpens': 'مغلق · يفتح {time}',
+
+    'visit.at': 'في {time}',
+    'visit.before': 'قبل {time}',
+    'visit.after': 'بعد {time}',
+    'visit.late-night': 'في وقت متأخر من الليل',
+    'visit.breakfast': 'الفطور',
+    'visit.brunch': 'الفطور المتأخر',
+    'visit.lunch': 'الغداء',
+    'visit.dinner': 'العشاء',
+    'visit.evening': 'في المساء',
+    'visit.morning': 'في الصباح',
+
+    'score.summary': 'درجة التطابق {score}/100',
+    'score.distance': 'المسافة',
+    'score.rating': 'التقييم',
+    'score.category': 'الفئة',
+    'score.keywords': 'الكلمات المفتاحية',
+    'score.amenities': 'المرافق',
+    'score.hours': 'ساعات العمل',
+
+    'rank.away': 'على بعد {distance}',
+    'rank.rating': '{rating}/5',
+    'rank.rated': 'التقييم {rating}/5',
+    'rank.notRated': 'بلا تقييم',
+    'rank.matches': 'يطابق {intent}',
+    'rank.categoryMatches': '{category} يطابق {intent}',
+    'rank.notRequestedType': '{category} ليس من الأنواع المطلوبة',
+    'rank.keyword': '«{keyword}»',
+    'rank.keywordIn.name': '{keyword} في الاسم',
+    'rank.keywordIn.category': '{keyword} في الفئة',
+    'rank.keywordIn.tips': '{keyword} في النصائح',
+    'rank.keywordHits': '{hits}',
+    'rank.noMention': 'لا ذكر لـ {keywords}',
+    'rank.hasAmenities': 'يتوفر {amenities}',
+    'rank.amenitiesMissing': '{missing}: غير مذكور',
+    'rank.someAmenitiesMissing': 'يتوفر {amenities}؛ {missing}: غير مذكور',
+    'rank.hoursUnknown': 'ساعات العمل غير مذكورة',
+    'rank.openNow': 'مفتوح الآن',
+    'rank.openAt': 'مفتوح {when}',
+    'rank.openNowHours': 'مفتوح الآن: {hours}',
+    'rank.openAtHours': 'مفتوح {when}: {hours}',
+    'rank.closedNowHours': 'مغلق الآن: {hours}',
+    'rank.closedAtHours': 'مغلق {when}: {hours}',
+
+    'summary.intents': '{intents}',
+    'summary.with': 'مع {amenities}',
+    'summary.price': 'السعر {range}',
+    'summary.openNow': 'مفتوح الآن',
+    'summary.timeWindow': '{when}',
+    'summary.within': 'في نطاق {distance}',
+    'summary.noChains': 'بلا سلاسل',
+    'summary.excluding': 'باستثناء {excluded}',
+
+    'category.coffee': 'قهوة',
+    'category.restaurants': 'طعام',
+    'category.nightlife': 'حياة ليلية',
+    'category.museums': 'متاحف',
+    'category.attractions': 'معالم',
+    'category.hotels': 'فنادق',
+    'category.parks': 'حدائق',
+    'category.shopping': 'تسوّق',
+    'category.other': 'أخرى',
+
+    'osm.withCuisine': '{category} ({cuisine})',
+    'osm.restaurant': 'مطعم',
+    'osm.fast_food': 'وجبات سريعة',
+    'osm.food_court': 'ساحة طعام',
+    'osm.cafe': 'مقهى',
+    'osm.museum': 'متحف',
+    'osm.gallery': 'معرض فني',
+    'osm.attraction': 'معلم سياحي',
+    'osm.viewpoint': 'نقطة مشاهدة',
+    'osm.artwork': 'عمل فني',
+    'osm.monument': 'نصب تذكاري',
+    'osm.memorial': 'نصب تذكاري',
+    'osm.castle': 'قلعة',
+    'osm.hotel': 'فندق',
+    'osm.hostel': 'نزل',
+    'osm.guest_house': 'بيت ضيافة',
+    'osm.motel': 'موتيل',
+    'osm.mall': 'مركز تسوق',
+    'osm.department_store': 'متجر متعدد الأقسام',
+    'osm.clothes': 'متجر ملابس',
+    'osm.gift': 'متجر هدايا',
+    'osm.books': 'مكتبة لبيع الكتب',
+    'osm.marketplace': 'سوق',
+    'osm.bar': 'بار',
+    'osm.pub': 'حانة',
+    'osm.nightclub': 'ملهى ليلي',
+    'osm.biergarten': 'حديقة بيرة',
+    'osm.park': 'حديقة عامة',
+    'osm.garden': 'حديقة',
+    'osm.nature_reserve': 'محمية طبيعية',
+
+    'amenity.wifi': 'واي فاي',
+    'amenity.parking': 'موقف سيارات',
+    'amenity.outdoor_seating': 'جلسات خارجية',
+    'amenity.kid_friendly': 'مناسب للأطفال',
+    'amenity.wheelchair': 'مهيأ للكراسي المتحركة',
+
+    'price.1': 'رخيص',
+    'price.2': 'متوسط',
+    'price.3': 'غالٍ',
+    'price.4': 'غالٍ جدًا',
+
+    'compare.tray': 'مقارنة',
+    'compare.open': 'مقارنة',
+    'compare.toggle': 'مقارنة',
+    'compare.title': 'مقارنة الأماكن',
+    'compare.note': 'تشير إلى أفضل قيمة في كل صف.',
+    'compare.remove': 'إزالة {name} من المقارنة',
+    'compare.needTwo': 'حدّد مكانين على الأقل',
+    'compare.full': 'قارن حتى {count} أماكن في وقت واحد',
+    'compare.openNow': 'مفتوح الآن',
+    'compare.openAt': 'مفتوح {when}',
+    'compare.best': 'الأفضل:',
+    'compare.bestTitle': 'الأفضل في هذا الصف',
+    'compare.rating': 'التقييم',
+    'compare.distance': 'المسافة',
+    'compare.category': 'الفئة',
+    'compare.price': 'السعر',
+    'compare.amenities': 'المرافق',
+    'compare.contact': 'التواصل',
+    'compare.unknown': 'غير معروف',
+    'compare.noneListed': 'لا شيء مدرج',
+    'compare.phone': 'الهاتف',
+    'compare.website': 'الموقع',
+
+    'drawer.open': 'التفاصيل',
+    'drawer.photos': 'الصور؛ استخدم مفاتيح الأسهم للتنقل',
+    'drawer.previousPhoto': 'الصورة السابقة',
+    'drawer.nextPhoto': 'الصورة التالية',
+    'drawer.photoAlt': 'الصورة {index} من {name}',
+    'drawer.tips': 'أحدث النصائح',
+    'drawer.noTips': 'لا نصائح بعد.',
+    'drawer.loadingTips': 'جارٍ تحميل النصائح…',
+    'drawer.nearby': 'بالقرب',
+    'drawer.noNearby': 'لم يُعثر على شيء آخر قريب.',
+    'drawer.loadingNearby': 'جارٍ البحث في الجوار…',
+    'drawer.copy': 'نسخ',
+    'drawer.copied': 'نُسخ',
+    'drawer.pressCopy': 'اضغط Ctrl+C',
+    'drawer.copyAddress': 'نسخ العنوان',
+
+    'loading.fetching': 'جارٍ جلب البيانات الفورية...',
+    'loading.searching': 'جارٍ البحث في {source}...',
+    'loading.step1': 'تحديد إحداثيات موقعك',
+    'loading.step2': 'فهم طلبك',
+    'loading.step3': 'جلب الأماكن المباشرة من مزوّد البيانات',
+    'loading.step4': 'جلب معلومات الأماكن التفصيلية',
+    'loading.cancel': 'إلغاء البحث',
+
+    'map.title': 'خريطة تفاعلية مباشرة',
+    'map.realTime': 'بيانات فورية',
+    'map.searchArea': 'البحث في هذه المنطقة',
+    'map.placeholderTitle': 'بحث عالمي فوري',
+    'map.placeholderText': 'أدخل أي موقع في العالم لرؤية الأماكن المباشرة',
+    'map.legendTitle': 'الفئات',
+    'map.legendDemo': 'العلامات المفرغة بيانات تجريبية',
+    'map.originTitle': 'نقطة البحث — اسحبها للبحث من مكان آخر',
+
+    'search.mapArea': 'منطقة الخريطة قرب {location}',
+
+    'location.finding': 'جارٍ تحديد موقعك…',
+    'location.lookingUp': 'جارٍ معرفة مكانك…',
+    'location.searchingFrom': 'البحث من موقعك (بدقة تقارب {accuracy})',
+    'location.fromPin': 'البحث من الدبوس الذي وضعته',
+    'location.unsupported': 'لا يستطيع هذا المتصفح مشاركة موقعك. اكتب اسم مدينة بدلًا من ذلك.',
+    'location.denied': 'رُفض الوصول إلى الموقع. اسمح به من إعدادات المتصفح أو اكتب اسم مدينة.',
+    'location.unavailable': 'موقعك غير متاح الآن. اكتب اسم مدينة بدلًا من ذلك.',
+    'location.timeout': 'استغرق تحديد موقعك وقتًا طويلًا. حاول مجددًا أو اكتب اسم مدينة.',
+    'location.failed': 'تعذّر الحصول على موقعك.',
+    'location.city': 'مدينة',
+    'location.whichOne': 'أي «{location}» تقصد؟',
+    'location.type.place': 'مكان',
+    'location.type.city': 'مدينة',
+    'location.type.town': 'بلدة',
+    'location.type.village': 'قرية',
+    'location.type.suburb': 'حي',
+    'location.type.state': 'منطقة',
+    'location.type.country': 'دولة',
+
+    'error.title.geocode-not-found': 'الموقع غير موجود',
+    'error.title.provider-auth': 'مزوّد الأماكن غير متاح',
+    'error.title.rate-limited': 'طلبات كثيرة جدًا',
+    'error.title.timeout': 'انتهت مهلة البحث',
+    'error.title.offline': 'يبدو أنك غير متصل',
+    'error.title.no-results': 'لم يُعثر على أماكن',
+    'error.title.upstream': 'حدث خطأ ما',
+    'error.title.unknown': 'مشكلة في البحث',
+    'error.missingInput': 'أدخل موقعًا وطلبًا للبحث في الوقت الفعلي',
+    'error.locationNotFound': 'تعذّر العثور على «{location}». جرّب موقعًا أدق.',
+    'error.noPlaces': 'لم يُعثر على أماكن لـ«{query}» في {location}. {attempts}',
+    'error.deviceOffline': 'جهازك غير متصل',
+    'error.networkUnreachable': 'تعذّر الوصول إلى الشبكة',
+    'error.requestTimeout': 'انتهت مهلة الطلب',
+    'error.retry': 'إعادة المحاولة',
+    'error.otherLocation': 'جرّب موقعًا آخر',
+    'error.showCached': 'عرض النتائج المحفوظة',
+    'error.searchWithin': 'البحث ضمن {distance}',
+    'error.searchProvider': 'البحث في {provider}',
+    'error.actionIn': '{action} خلال {count} ث',
+    'error.providerRejected': 'رفض مزوّد الأماكن مفتاح API الخاص بنا',
+    'error.providerNotConfigured': 'مزوّد الأماكن غير مُعدّ على الخادم',
+    'error.tooManyRequests': 'طلبات كثيرة جدًا',
+    'error.tooManyRequestsWait': 'طلبات كثيرة جدًا؛ أعد المحاولة بعد {seconds} ث',
+    'error.providerTimeout': 'استغرق المزوّد وقتًا طويلًا للرد',
+    'error.httpStatus': 'HTTP {code}',
+    'error.httpStatusDetail': 'HTTP {code}: {detail}'
+};
@@ -0,0 +1,414 @@
+// QuestLens - English messages
+// The source catalogue: every key is added here first. Other languages may leave keys out; those fall back to
+// these. {name} is a placeholder; an object of plural forms (one, other, ...) is picked by its {count}.
+
+I18N_CATALOGUES.en = {
+    'app.title': 'QuestLens - Real-time Spot Seeker',
+    'app.tagline': 'Real-time Agentic Spot Seeker',
+
+    'locale.language': 'Language',
+    'locale.units': 'Distance units',
+    'locale.unitsAuto': 'Units for my region',
+    'locale.metric': 'Kilometres',
+    'locale.imperial': 'Miles',
+
+    'status.poweredBy': 'Powered by Live APIs',
+    'status.offline': 'Offline: showing saved results',
+    'status.offlineReady': 'The app and the maps you have viewed are available offline',
+
+    'common.clear': 'Clear',
+    'common.close': 'Close',
+    'common.dismiss': 'Dismiss',
+
+    'form.location': 'Location (Any city worldwide)',
+    'form.locationPlaceholder': 'e.g., Tokyo, New York, Mumbai, London...',
+    'form.locationSuggestions': 'Location suggestions',
+    'form.locationHelp': 'Works with any city or location globally',
+    'form.useLocation': 'Use my location',
+    'form.query': 'What are you looking for?',
+    'form.queryPlaceholder': 'Describe what you want... (e.g., \'Best ramen shops for lunch\', \'Family museums with parking\', \'Coffee shops with WiFi\')',
+    'form.queryHelp': 'Understood by a local LLM when one is configured, keyword rules otherwise',
+    'form.visitAt': 'Visit at (optional)',
+    'form.visitAtHelp': 'Opening hours are checked for this local time at the places; leave empty for now',
+    'form.provider': 'Places data provider',
+    'form.providerFoursquare': 'Foursquare Places',
+    'form.providerOsm': 'OpenStreetMap (Overpass)',
+    'form.submit': 'Discover Real-time Places',
+    'form.submitting': 'Fetching Real-time Data...',
+
+    'samples.title': 'Try these real-time examples:',
+    'samples.italian': 'Italian Dining',
+    'samples.familyMuseums': 'Family Museums',
+    'samples.wifiCoffee': 'WiFi Coffee',
+    'samples.budgetHotels': 'Budget Hotels',
+    'samples.hiddenGems': 'Hidden Gems',
+    'samples.runningParks': 'Running Parks',
+
+    'library.collections': 'Collections',
+    'library.history': 'Recent searches',
+    'library.clearHistory': 'Clear history',
+    'library.emptyCollections': 'Star a place to start a collection.',
+    'library.emptyHistory': 'Your searches will appear here.',
+    'library.showOnMap': 'Show on map',
+    'library.placeCount': { one: '{count} place', other: '{count} places' },
+    'library.collection': 'Collection: {name}',
+    'library.deleteCollection': 'Delete {name}',
+    'library.confirmDeleteCollection': 'Delete the collection "{name}"?',
+    'library.collectionEmpty': '"{name}" has no saved places yet.',
+    'library.savedCollection': 'Saved Collection',
+    'library.savedCollectionSource': 'your saved collection',
+    'library.storageFailed': 'Couldn\'t save that on this device: {error}',
+    'library.collectionSummary': {
+        one: '{count} saved place, shown from your device',
+        other: '{count} saved places, shown from your device'
+    },
+
+    'save.title': 'Save',
+    'save.newCollection': 'New collection, e.g. Tokyo day 2',
+    'save.add': 'Add',
+    'save.done': 'Done',
+    'save.saveTitle': 'Save to a collection',
+    'save.editTitle': 'Saved — edit collections',
+
+    'transfer.title': 'Export & import',
+    'transfer.source': 'Places to export',
+    'transfer.format': 'Export format',
+    'transfer.currentResults': 'Current results',
+    'transfer.gpx': 'GPX waypoints',
+    'transfer.kml': 'KML placemarks',
+    'transfer.csv': 'CSV spreadsheet',
+    'transfer.export': 'Export',
+    'transfer.import': 'Import GeoJSON, GPX or KML',
+    'transfer.searchTitle': '{query} in {location}',
+    'transfer.defaultTitle': 'QuestLens results',
+    'transfer.nothing': 'Nothing to export yet.',
+    'transfer.exported': { one: 'Exported {count} place as {format}.', other: 'Exported {count} places as {format}.' },
+    'transfer.imported': { one: 'Imported {count} feature from {file}.', other: 'Imported {count} features from {file}.' },
+    'transfer.importedPlace': 'Imported place',
+
+    'offline.areas': 'Offline areas',
+    'offline.download': 'Download this area',
+    'offline.empty': 'Search, frame the map, then download the area to use it offline.',
+    'offline.unsupported': 'This browser cannot store map tiles.',
+    'offline.tooLarge': 'This area is too large to save offline. Zoom in and try again.',
+    'offline.saving': 'Saving {count} map tiles...',
+    'offline.saved': {
+        one: 'Saved {tiles} tiles and {count} place for offline use',
+        other: 'Saved {tiles} tiles and {count} places for offline use'
+    },
+    'offline.failedTiles': { one: '({count} tile could not be downloaded)', other: '({count} tiles could not be downloaded)' },
+    'offline.saveFailed': 'Could not save this area: {error}',
+    'offline.deleteFailed': 'Could not delete this area: {error}',
+    'offline.tileCount': { one: '{count} tile', other: '{count} tiles' },
+    'offline.delete': 'Delete the offline copy of {name}',
+    'offline.confirmDelete': 'Delete the offline copy of "{name}"?',
+    'offline.area': 'Offline Area',
+    'offline.source': 'your offline copy',
+    'offline.summary': {
+        one: '{count} place saved {date}, shown from your device',
+        other: '{count} places saved {date}, shown from your device'
+    },
+
+    'itinerary.title': 'Itinerary',
+    'itinerary.startAt': 'Start at',
+    'itinerary.endBy': 'Finish by',
+    'itinerary.dropped': 'Left out: doesn\'t fit before {time}',
+    'itinerary.suggestOrder': 'Suggest order',
+    'itinerary.empty': 'Add places from the results to plan a walking route.',
+    'itinerary.walk': '{count} min walk',
+    'itinerary.visitLength': 'Visit length in minutes',
+    'itinerary.moveUp': 'Move up',
+    'itinerary.moveDown': 'Move down',
+    'itinerary.remove': 'Remove',
+    'itinerary.addStop': 'Add to itinerary',
+    'itinerary.removeStop': 'Remove from itinerary',
+    'itinerary.hoursMinutes': '{hours} h {minutes} min',
+    'itinerary.minutes': '{minutes} min',
+    'itinerary.closedToday': 'Closed on this day',
+    'itinerary.closedAt': 'Closed at {time}',
+    'itinerary.closedAtOpens': 'Closed at {time}; opens {opens}',
+    'itinerary.closesBefore': 'Closes at {time}, before the planned departure',
+    'itinerary.summary': {
+        one: '{count} stop · {distance} · about {walking} walking · done by {end} (estimate)',
+        other: '{count} stops · {distance} · about {walking} walking · done by {end} (estimate)'
+    },
+
+    'results.title': 'Live AI Recommendations',
+    'results.liveData': 'Live Data',
+    'results.liveFrom': 'Live Data from {source}',
+    'results.cachedFallback': 'Cached Results (Live APIs Unavailable)',
+    'results.demoFallback': 'Demo Data (Live APIs Unavailable)',
+    'results.analysis': '{engine} analysis:',
+    'results.keywordParser': 'Keyword parser',
+    'results.keywordResponse': 'I\'m searching for {summary} related to "{query}" in {location}. Let me find the best real-time matches!',
+    'results.engineNote': '{note}; used the keyword parser instead.',
+    'results.llmUnavailable': 'LLM unavailable: {error}',
+    'results.llmTimedOut': 'LLM did not answer in time',
+    'results.llmHttpStatus': 'LLM answered with HTTP {code}',
+    'results.llmInvalid': 'LLM answer was not usable',
+    'results.found': { one: 'Found {count} place in {location}', other: 'Found {count} places in {location}' },
+    'results.detailsProgress': 'Getting place details… {done}/{total}',
+    'results.count.live': { one: '{count} live place found', other: '{count} live places found' },
+    'results.count.cached': { one: '{count} cached place found', other: '{count} cached places found' },
+    'results.count.sample': { one: '{count} demo place found', other: '{count} demo places found' },
+
+    'filters.label': 'Filter and sort results',
+    'filters.minRating': 'Min rating',
+    'filters.maxDistance': 'Max distance',
+    'filters.category': 'Category',
+    'filters.source': 'Data',
+    'filters.sortBy': 'Sort by',
+    'filters.sortRelevance': 'Best match',
+    'filters.sortDistance': 'Distance',
+    'filters.sortRating': 'Rating',
+    'filters.sortName': 'Name',
+    'filters.any': 'Any',
+    'filters.all': 'All',
+    'filters.openNow': 'Open now',
+    'filters.hasPhone': 'Has phone',
+    'filters.hasWebsite': 'Has website',
+    'filters.reset': 'Reset',
+    'filters.empty': 'No places match these filters.',
+    'filters.showing': 'Showing {count} of {total}',
+
+    'source.live': 'Live',
+    'source.cached': 'Cached',
+    'source.demo': 'Demo',
+    'source.liveData': 'Live Data',
+    'source.cachedData': 'Cached Data',
+    'source.sampleData': 'Demo Data',
+    'source.from': 'from {source}',
+    'source.provider': 'provider',
+    'source.realTimeFrom': 'Real-time from {provider}',
+    'source.cachedFrom': 'Cached from {provider}',
+    'source.cachedSaved': '{source}, saved {date}',
+    'source.earlierSearch': 'an earlier search',
+    'source.cachedResults': 'Cached results',
+    'source.nothingCached': 'Nothing cached for this search',
+    'source.demoDataset': 'Demo dataset',
+    'source.demoSet': 'QuestLens demo set',
+    'source.noResults': 'No results',
+    'source.error': '{error}',
+
+    'place.noAddress': 'Address not available',
+    'place.website': 'Visit Website',
+    'place.unnamed': 'Unnamed place',
+    'place.defaultCategory': 'Place',
+
+    'hours.open24': 'Open 24 hours',
+    'hours.closesIn': 'Closes in {count} min',
+    'hours.openUntil': 'Open until {time}',
+    'hours.closed': 'Closed',
+    'hours.closedOpens': 'Closed · opens {time}',
+
+    'visit.at': 'at {time}',
+    'visit.before': 'before {time}',
+    'visit.after': 'after {time}',
+    'visit.late-night': 'late night',
+    'visit.breakfast': 'breakfast',
+    'visit.brunch': 'brunch',
+    'visit.lunch': 'lunch',
+    'visit.dinner': 'dinner',
+    'visit.evening': 'evening',
+    'visit.morning': 'morning',
+
+    'score.summary': 'Match score {score}/100',
+    'score.distance': 'Distance',
+    'score.rating': 'Rating',
+    'score.category': 'Category',
+    'score.keywords': 'Keywords',
+    'score.amenities': 'Amenities',
+    'score.hours': 'Opening hours',
+
+    'rank.away': '{distance} away',
+    'rank.rating': '{rating}/5',
+    'rank.rated': 'Rated {rating}/5',
+    'rank.notRated': 'Not rated',
+    'rank.matches': 'Matches {intent}',
+    'rank.categoryMatches': '{category} matches {intent}',
+    'rank.notRequestedType': '{category} is not a requested type',
+    'rank.keyword': '"{keyword}"',
+    'rank.keywordIn.name': '{keyword} in name',
+    'rank.keywordIn.category': '{keyword} in category',
+    'rank.keywordIn.tips': '{keyword} in tips',
+    'rank.keywordHits': '{hits}',
+    'rank.noMention': 'No mention of {keywords}',
+    'rank.hasAmenities': 'Has {amenities}',
+    'rank.amenitiesMissing': '{missing} not listed',
+    'rank.someAmenitiesMissing': 'Has {amenities}; {missing} not listed',
+    'rank.hoursUnknown': 'Hours not listed',
+    'rank.openNow': 'Open now',
+    'rank.openAt': 'Open {when}',
+    'rank.openNowHours': 'Open now: {hours}',
+    'rank.openAtHours': 'Open {when}: {hours}',
+    'rank.closedNowHours': 'Closed now: {hours}',
+    'rank.closedAtHours': 'Closed {when}: {hours}',
+
+    'summary.intents': '{intents}',
+    'summary.with': 'with {amenities}',
+    'summary.price': 'price {range}',
+    'summary.openNow': 'open now',
+    'summary.timeWindow': '{when}',
+    'summary.within': 'within {distance}',
+    'summary.noChains': 'no chains',
+    'summary.excluding': 'excluding {excluded}',
+
+    'category.coffee': 'Coffee',
+    'category.restaurants': 'Food',
+    'category.nightlife': 'Nightlife',
+    'category.museums': 'Museums',
+    'category.attractions': 'Attractions',
+    'category.hotels': 'Hotels',
+    'category.parks': 'Parks',
+    'category.shopping': 'Shopping',
+    'category.other': 'Other',
+
+    'osm.withCuisine': '{cuisine} {category}',
+    'osm.restaurant': 'Restaurant',
+    'osm.fast_food': 'Fast food',
+    'osm.food_court': 'Food court',
+    'osm.cafe': 'Café',
+    'osm.museum': 'Museum',
+    'osm.gallery': 'Gallery',
+    'osm.attraction': 'Attraction',
+    'osm.viewpoint': 'Viewpoint',
+    'osm.artwork': 'Artwork',
+    'osm.monument': 'Monument',
+    'osm.memorial': 'Memorial',
+    'osm.castle': 'Castle',
+    'osm.hotel': 'Hotel',
+    'osm.hostel': 'Hostel',
+    'osm.guest_house': 'Guest house',
+    'osm.motel': 'Motel',
+    'osm.mall': 'Shopping mall',
+    'osm.department_store': 'Department store',
+    'osm.clothes': 'Clothes shop',
+    'osm.gift': 'Gift shop',
+    'osm.books': 'Bookshop',
+    'osm.marketplace': 'Market',
+    'osm.bar': 'Bar',
+    'osm.pub': 'Pub',
+    'osm.nightclub': 'Nightclub',
+    'osm.biergarten': 'Beer garden',
+    'osm.park': 'Park',
+    'osm.garden': 'Garden',
+    'osm.nature_reserve': 'Nature reserve',
+
+    'amenity.wifi': 'WiFi',
+    'amenity.parking': 'parking',
+    'amenity.outdoor_seating': 'outdoor seating',
+    'amenity.kid_friendly': 'kid-friendly',
+    'amenity.wheelchair': 'wheelchair access',
+
+    'price.1': 'Inexpensive',
+    'price.2': 'Moderate',
+    'price.3': 'Expensive',
+    'price.4': 'Very expensive',
+
+    'compare.tray': 'Compare',
+    'compare.open': 'Compare',
+    'compare.toggle': 'Compare',
+    'compare.title': 'Compare places',
+    'compare.note': 'marks the best value in each row.',
+    'compare.count': '{count}/{max}',
+    'compare.remove': 'Remove {name} from the comparison',
+    'compare.needTwo': 'Tick at least two places',
+    'compare.full': 'Compare up to {count} places at once',
+    'compare.openNow': 'Open now',
+    'compare.openAt': 'Open {when}',
+    'compare.best': 'Best:',
+    'compare.bestTitle': 'Best in this row',
+    'compare.rating': 'Rating',
+    'compare.distance': 'Distance',
+    'compare.category': 'Category',
+    'compare.price': 'Price',
+    'compare.amenities': 'Amenities',
+    'compare.contact': 'Contact',
+    'compare.unknown': 'Unknown',
+    'compare.noneListed': 'None listed',
+    'compare.phone': 'Phone',
+    'compare.website': 'Website',
+
+    'drawer.open': 'Details',
+    'drawer.photos': 'Photos; use the arrow keys to browse',
+    'drawer.previousPhoto': 'Previous photo',
+    'drawer.nextPhoto': 'Next photo',
+    'drawer.photoAlt': 'Photo {index} of {name}',
+    'drawer.photoCount': '{index} / {count}',
+    'drawer.tips': 'Recent tips',
+    'drawer.noTips': 'No tips yet.',
+    'drawer.loadingTips': 'Loading tips…',
+    'drawer.nearby': 'Nearby',
+    'drawer.noNearby': 'Nothing else found nearby.',
+    'drawer.loadingNearby': 'Looking around…',
+    'drawer.copy': 'Copy',
+    'drawer.copied': 'Copied',
+    'drawer.pressCopy': 'Press Ctrl+C',
+    'drawer.copyAddress': 'Copy the address',
+
+    'loading.fetching': 'Fetching real-time data...',
+    'loading.searching': 'Searching {source}...',
+    'loading.step1': 'Geocoding your location globally',
+    'loading.step2': 'Understanding your query',
+    'loading.step3': 'Fetching live places from the data provider',
+    'loading.step4': 'Getting detailed place information',
+    'loading.cancel': 'Cancel search',
+
+    'map.title': 'Live Interactive Map',
+    'map.realTime': 'Real-time Data',
+    'map.searchArea': 'Search this area',
+    'map.placeholderTitle': 'Global Real-time Search',
+    'map.placeholderText': 'Enter any location worldwide to see live places',
+    'map.legendTitle': 'Categories',
+    'map.legendDemo': 'Hollow markers are demo data',
+    'map.originTitle': 'Search origin: drag to search from another spot',
+
+    'search.mapArea': 'the map area near {location}',
+
+    'location.finding': 'Finding your location…',
+    'location.lookingUp': 'Looking up where you are…',
+    'location.searchingFrom': 'Searching from your location (within about {accuracy})',
+    'location.fromPin': 'Searching from the pin you placed',
+    'location.unsupported': 'This browser cannot share your location. Type a city instead.',
+    'location.denied': 'Location access was denied. Allow it in your browser settings, or type a city instead.',
+    'location.unavailable': 'Your position is not available right now. Type a city instead.',
+    'location.timeout': 'Finding your location took too long. Try again, or type a city instead.',
+    'location.failed': 'Could not get your location.',
+    'location.city': 'City',
+    'location.whichOne': 'Which "{location}" did you mean?',
+    'location.type.place': 'Place',
+    'location.type.city': 'City',
+    'location.type.town': 'Town',
+    'location.type.village': 'Village',
+    'location.type.suburb': 'Neighbourhood',
+    'location.type.state': 'Region',
+    'location.type.country': 'Country',
+
+    'error.title.geocode-not-found': 'Location not found',
+    'error.title.provider-auth': 'Places provider unavailable',
+    'error.title.rate-limited': 'Too many requests',
+    'error.title.timeout': 'The search timed out',
+    'error.title.offline': 'You seem to be offline',
+    'error.title.no-results': 'No places found',
+    'error.title.upstream': 'Something went wrong',
+    'error.title.unknown': 'Search problem',
+    'error.missingInput': 'Please enter both location and query for real-time search',
+    'error.locationNotFound': 'Location "{location}" not found. Please try a more specific location.',
+    'error.noPlaces': 'No places found for "{query}" in {location}. {attempts}',
+    'error.deviceOffline': 'Your device is offline',
+    'error.networkUnreachable': 'Could not reach the network',
+    'error.requestTimeout': 'Request timed out',
+    'error.retry': 'Retry',
+    'error.otherLocation': 'Try another location',
+    'error.showCached': 'Show cached results',
+    'error.searchWithin': 'Search within {distance}',
+    'error.searchProvider': 'Search {provider}',
+    'error.actionIn': '{action} in {count} s',
+    'error.providerRejected': 'The places provider rejected our API key',
+    'error.providerNotConfigured': 'The places provider is not set up on the server',
+    'error.tooManyRequests': 'Too many requests',
+    'error.tooManyRequestsWait': 'Too many requests; try again in {seconds} s',
+    'error.providerTimeout': 'The provider took too long to answer',
+    'error.httpStatus': 'HTTP {code}',
+    'error.httpStatusDetail': 'HTTP {code}: {detail}'
+};
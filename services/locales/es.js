@@ -0,0 +1,411 @@
+// QuestLens - Spanish messages
+// Keys as in services/locales/en.js; any left out fall back to English.
+
+I18N_CATALOGUES.es = {
+    'app.title': 'QuestLens - Buscador de lugares en tiempo real',
+    'app.tagline': 'Buscador inteligente de lugares en tiempo real',
+
+    'locale.language': 'Idioma',
+    'locale.units': 'Unidades de distancia',
+    'locale.unitsAuto': 'Unidades de mi región',
+    'locale.metric': 'Kilómetros',
+    'locale.imperial': 'Millas',
+
+    'status.poweredBy': 'Con datos en vivo',
+    'status.offline': 'Sin conexión: resultados guardados',
+    'status.offlineReady': 'La aplicación y los mapas que has visto funcionan sin conexión',
+
+    'common.clear': 'Vaciar',
+    'common.close': 'Cerrar',
+    'common.dismiss': 'Descartar',
+
+    'form.location': 'Ubicación (cualquier ciudad del mundo)',
+    'form.locationPlaceholder': 'p. ej., Tokio, Nueva York, Bombay, Londres...',
+    'form.locationSuggestions': 'Sugerencias de ubicación',
+    'form.locationHelp': 'Funciona con cualquier ciudad o lugar del mundo',
+    'form.useLocation': 'Usar mi ubicación',
+    'form.query': '¿Qué estás buscando?',
+    'form.queryPlaceholder': 'Describe lo que quieres... (p. ej., \'Los mejores ramen para comer\', \'Museos para familias con aparcamiento\', \'Cafeterías con wifi\')',
+    'form.queryHelp': 'Lo interpreta un LLM local si hay uno configurado; si no, reglas de palabras clave',
+    'form.visitAt': 'Visita el (opcional)',
+    'form.visitAtHelp': 'Los horarios se comprueban para esta hora local en los lugares; déjalo vacío para ahora',
+    'form.provider': 'Proveedor de datos de lugares',
+    'form.providerFoursquare': 'Foursquare Places',
+    'form.providerOsm': 'OpenStreetMap (Overpass)',
+    'form.submit': 'Descubrir lugares en tiempo real',
+    'form.submitting': 'Obteniendo datos en tiempo real...',
+
+    'samples.title': 'Prueba estos ejemplos en tiempo real:',
+    'samples.italian': 'Cocina italiana',
+    'samples.familyMuseums': 'Museos para familias',
+    'samples.wifiCoffee': 'Café con wifi',
+    'samples.budgetHotels': 'Hoteles económicos',
+    'samples.hiddenGems': 'Joyas ocultas',
+    'samples.runningParks': 'Parques para correr',
+
+    'library.collections': 'Colecciones',
+    'library.history': 'Búsquedas recientes',
+    'library.clearHistory': 'Borrar historial',
+    'library.emptyCollections': 'Marca un lugar con la estrella para empezar una colección.',
+    'library.emptyHistory': 'Tus búsquedas aparecerán aquí.',
+    'library.showOnMap': 'Mostrar en el mapa',
+    'library.placeCount': { one: '{count} lugar', other: '{count} lugares' },
+    'library.collection': 'Colección: {name}',
+    'library.deleteCollection': 'Eliminar {name}',
+    'library.confirmDeleteCollection': '¿Eliminar la colección «{name}»?',
+    'library.collectionEmpty': '«{name}» aún no tiene lugares guardados.',
+    'library.savedCollection': 'Colección guardada',
+    'library.savedCollectionSource': 'tu colección guardada',
+    'library.storageFailed': 'No se pudo guardar en este dispositivo: {error}',
+    'library.collectionSummary': {
+        one: '{count} lugar guardado, desde tu dispositivo',
+        other: '{count} lugares guardados, desde tu dispositivo'
+    },
+
+    'save.title': 'Guardar',
+    'save.newCollection': 'Nueva colección, p. ej. Tokio día 2',
+    'save.add': 'Añadir',
+    'save.done': 'Listo',
+    'save.saveTitle': 'Guardar en una colección',
+    'save.editTitle': 'Guardado: editar colecciones',
+
+    'transfer.title': 'Exportar e importar',
+    'transfer.source': 'Lugares para exportar',
+    'transfer.format': 'Formato de exportación',
+    'transfer.currentResults': 'Resultados actuales',
+    'transfer.gpx': 'Waypoints GPX',
+    'transfer.kml': 'Marcadores KML',
+    'transfer.csv': 'Hoja de cálculo CSV',
+    'transfer.export': 'Exportar',
+    'transfer.import': 'Importar GeoJSON, GPX o KML',
+    'transfer.searchTitle': '{query} en {location}',
+    'transfer.defaultTitle': 'Resultados de QuestLens',
+    'transfer.nothing': 'Aún no hay nada que exportar.',
+    'transfer.exported': { one: 'Se exportó {count} lugar como {format}.', other: 'Se exportaron {count} lugares como {format}.' },
+    'transfer.imported': { one: 'Se importó {count} elemento de {file}.', other: 'Se importaron {count} elementos de {file}.' },
+    'transfer.importedPlace': 'Lugar importado',
+
+    'offline.areas': 'Zonas sin conexión',
+    'offline.download': 'Descargar esta zona',
+    'offline.empty': 'Busca, encuadra el mapa y descarga la zona para usarla sin conexión.',
+    'offline.unsupported': 'Este navegador no puede guardar teselas de mapa.',
+    'offline.tooLarge': 'Esta zona es demasiado grande para guardarla. Acerca el mapa e inténtalo de nuevo.',
+    'offline.saving': 'Guardando {count} teselas de mapa...',
+    'offline.saved': {
+        one: 'Se guardaron {tiles} teselas y {count} lugar para usar sin conexión',
+        other: 'Se guardaron {tiles} teselas y {count} lugares para usar sin conexión'
+    },
+    'offline.failedTiles': { one: '(no se pudo descargar {count} tesela)', other: '(no se pudieron descargar {count} teselas)' },
+    'offline.saveFailed': 'No se pudo guardar esta zona: {error}',
+    'offline.deleteFailed': 'No se pudo eliminar esta zona: {error}',
+    'offline.tileCount': { one: '{count} tesela', other: '{count} teselas' },
+    'offline.delete': 'Eliminar la copia sin conexión de {name}',
+    'offline.confirmDelete': '¿Eliminar la copia sin conexión de «{name}»?',
+    'offline.area': 'Zona sin conexión',
+    'offline.source': 'tu copia sin conexión',
+    'offline.summary': {
+        one: '{count} lugar guardado el {date}, desde tu dispositivo',
+        other: '{count} lugares guardados el {date}, desde tu dispositivo'
+    },
+
+    'itinerary.title': 'Itinerario',
+    'itinerary.startAt': 'Empezar a las',
+    'itinerary.endBy': 'Terminar a las',
+    'itinerary.dropped': 'Fuera del plan: no cabe antes de las {time}',
+    'itinerary.suggestOrder': 'Sugerir orden',
+    'itinerary.empty': 'Añade lugares de los resultados para planear una ruta a pie.',
+    'itinerary.walk': '{count} min a pie',
+    'itinerary.visitLength': 'Duración de la visita en minutos',
+    'itinerary.moveUp': 'Subir',
+    'itinerary.moveDown': 'Bajar',
+    'itinerary.remove': 'Quitar',
+    'itinerary.addStop': 'Añadir al itinerario',
+    'itinerary.removeStop': 'Quitar del itinerario',
+    'itinerary.hoursMinutes': '{hours} h {minutes} min',
+    'itinerary.minutes': '{minutes} min',
+    'itinerary.closedToday': 'Cerrado este día',
+    'itinerary.closedAt': 'Cerrado a las {time}',
+    'itinerary.closedAtOpens': 'Cerrado a las {time}; abre a las {opens}',
+    'itinerary.closesBefore': 'Cierra a las {time}, antes de la salida prevista',
+    'itinerary.summary': {
+        one: '{count} parada · {distance} · unos {walking} a pie · terminas a las {end} (estimación)',
+        other: '{count} paradas · {distance} · unos {walking} a pie · terminas a las {end} (estimación)'
+    },
+
+    'results.title': 'Recomendaciones de IA en vivo',
+    'results.liveData': 'Datos en vivo',
+    'results.liveFrom': 'Datos en vivo de {source}',
+    'results.cachedFallback': 'Resultados guardados (APIs en vivo no disponibles)',
+    'results.demoFallback': 'Datos de demostración (APIs en vivo no disponibles)',
+    'results.analysis': 'Análisis de {engine}:',
+    'results.keywordParser': 'Analizador de palabras clave',
+    'results.keywordResponse': 'Busco {summary} relacionado con «{query}» en {location}. ¡Vamos a encontrar las mejores opciones en tiempo real!',
+    'results.engineNote': '{note}; se usó el analizador de palabras clave.',
+    'results.llmUnavailable': 'LLM no disponible: {error}',
+    'results.llmTimedOut': 'El LLM no respondió a tiempo',
+    'results.llmHttpStatus': 'El LLM respondió con HTTP {code}',
+    'results.llmInvalid': 'La respuesta del LLM no era válida',
+    'results.found': { one: '{count} lugar encontrado en {location}', other: '{count} lugares encontrados en {location}' },
+    'results.detailsProgress': 'Obteniendo detalles de los lugares… {done}/{total}',
+    'results.count.live': { one: '{count} lugar en vivo', other: '{count} lugares en vivo' },
+    'results.count.cached': { one: '{count} lugar guardado', other: '{count} lugares guardados' },
+    'results.count.sample': { one: '{count} lugar de demostración', other: '{count} lugares de demostración' },
+
+    'filters.label': 'Filtrar y ordenar resultados',
+    'filters.minRating': 'Valoración mínima',
+    'filters.maxDistance': 'Distancia máxima',
+    'filters.category': 'Categoría',
+    'filters.source': 'Datos',
+    'filters.sortBy': 'Ordenar por',
+    'filters.sortRelevance': 'Mejor coincidencia',
+    'filters.sortDistance': 'Distancia',
+    'filters.sortRating': 'Valoración',
+    'filters.sortName': 'Nombre',
+    'filters.any': 'Cualquiera',
+    'filters.all': 'Todas',
+    'filters.openNow': 'Abierto ahora',
+    'filters.hasPhone': 'Con teléfono',
+    'filters.hasWebsite': 'Con sitio web',
+    'filters.reset': 'Restablecer',
+    'filters.empty': 'Ningún lugar coincide con estos filtros.',
+    'filters.showing': 'Mostrando {count} de {total}',
+
+    'source.live': 'En vivo',
+    'source.cached': 'Guardado',
+    'source.demo': 'Demo',
+    'source.liveData': 'Datos en vivo',
+    'source.cachedData': 'Datos guardados',
+    'source.sampleData': 'Datos de demostración',
+    'source.from': 'de {source}',
+    'source.provider': 'el proveedor',
+    'source.realTimeFrom': 'En tiempo real de {provider}',
+    'source.cachedFrom': 'Guardado de {provider}',
+    'source.cachedSaved': '{source}, guardado el {date}',
+    'source.earlierSearch': 'una búsqueda anterior',
+    'source.cachedResults': 'Resultados guardados',
+    'source.nothingCached': 'No hay nada guardado para esta búsqueda',
+    'source.demoDataset': 'Datos de demostración',
+    'source.demoSet': 'conjunto de demostración de QuestLens',
+    'source.noResults': 'Sin resultados',
+    'source.error': '{error}',
+
+    'place.noAddress': 'Dirección no disponible',
+    'place.website': 'Visitar sitio web',
+    'place.unnamed': 'Lugar sin nombre',
+    'place.defaultCategory': 'Lugar',
+
+    'hours.open24': 'Abierto 24 horas',
+    'hours.closesIn': 'Cierra en {count} min',
+    'hours.openUntil': 'Abierto hasta las {time}',
+    'hours.closed': 'Cerrado',
+    'hours.closedOpens': 'Cerrado · abre {time}',
+
+    'visit.at': 'el {time}',
+    'visit.before': 'antes de las {time}',
+    'visit.after': 'después de las {time}',
+    'visit.late-night': 'de madrugada',
+    'visit.breakfast': 'desayuno',
+    'visit.brunch': 'brunch',
+    'visit.lunch': 'almuerzo',
+    'visit.dinner': 'cena',
+    'visit.evening': 'por la tarde',
+    'visit.morning': 'por la mañana',
+
+    'score.summary': 'Coincidencia {score}/100',
+    'score.distance': 'Distancia',
+    'score.rating': 'Valoración',
+    'score.category': 'Categoría',
+    'score.keywords': 'Palabras clave',
+    'score.amenities': 'Servicios',
+    'score.hours': 'Horario',
+
+    'rank.away': 'a {distance}',
+    'rank.rating': '{rating}/5',
+    'rank.rated': 'Valoración {rating}/5',
+    'rank.notRated': 'Sin valoración',
+    'rank.matches': 'Coincide con {intent}',
+    'rank.categoryMatches': '{category} coincide con {intent}',
+    'rank.notRequestedType': '{category} no es un tipo buscado',
+    'rank.keyword': '«{keyword}»',
+    'rank.keywordIn.name': '{keyword} en el nombre',
+    'rank.keywordIn.category': '{keyword} en la categoría',
+    'rank.keywordIn.tips': '{keyword} en los consejos',
+    'rank.keywordHits': '{hits}',
+    'rank.noMention': 'No menciona {keywords}',
+    'rank.hasAmenities': 'Tiene {amenities}',
+    'rank.amenitiesMissing': '{missing}: no consta',
+    'rank.someAmenitiesMissing': 'Tiene {amenities}; {missing}: no consta',
+    'rank.hoursUnknown': 'Horario no disponible',
+    'rank.openNow': 'Abierto ahora',
+    'rank.openAt': 'Abierto {when}',
+    'rank.openNowHours': 'Abierto ahora: {hours}',
+    'rank.openAtHours': 'Abierto {when}: {hours}',
+    'rank.closedNowHours': 'Cerrado ahora: {hours}',
+    'rank.closedAtHours': 'Cerrado {when}: {hours}',
+
+    'summary.intents': '{intents}',
+    'summary.with': 'con {amenities}',
+    'summary.price': 'precio {range}',
+    'summary.openNow': 'abierto ahora',
+    'summary.timeWindow': '{when}',
+    'summary.within': 'a menos de {distance}',
+    'summary.noChains': 'sin cadenas',
+    'summary.excluding': 'excepto {excluded}',
+
+    'category.coffee': 'Café',
+    'category.restaurants': 'Comida',
+    'category.nightlife': 'Vida nocturna',
+    'category.museums': 'Museos',
+    'category.attractions': 'Atracciones',
+    'category.hotels': 'Hoteles',
+    'category.parks': 'Parques',
+    'category.shopping': 'Compras',
+    'category.other': 'Otros',
+
+    'osm.withCuisine': '{category} ({cuisine})',
+    'osm.restaurant': 'Restaurante',
+    'osm.fast_food': 'Comida rápida',
+    'osm.food_court': 'Patio de comidas',
+    'osm.cafe': 'Cafetería',
+    'osm.museum': 'Museo',
+    'osm.gallery': 'Galería',
+    'osm.attraction': 'Atracción',
+    'osm.viewpoint': 'Mirador',
+    'osm.artwork': 'Obra de arte',
+    'osm.monument': 'Monumento',
+    'osm.memorial': 'Memorial',
+    'osm.castle': 'Castillo',
+    'osm.hotel': 'Hotel',
+    'osm.hostel': 'Albergue',
+    'osm.guest_house': 'Casa de huéspedes',
+    'osm.motel': 'Motel',
+    'osm.mall': 'Centro comercial',
+    'osm.department_store': 'Grandes almacenes',
+    'osm.clothes': 'Tienda de ropa',
+    'osm.gift': 'Tienda de regalos',
+    'osm.books': 'Librería',
+    'osm.marketplace': 'Mercado',
+    'osm.bar': 'Bar',
+    'osm.pub': 'Pub',
+    'osm.nightclub': 'Discoteca',
+    'osm.biergarten': 'Cervecería al aire libre',
+    'osm.park': 'Parque',
+    'osm.garden': 'Jardín',
+    'osm.nature_reserve': 'Reserva natural',
+
+    'amenity.wifi': 'wifi',
+    'amenity.parking': 'aparcamiento',
+    'amenity.outdoor_seating': 'terraza',
+    'amenity.kid_friendly': 'apto para niños',
+    'amenity.wheelchair': 'acceso en silla de ruedas',
+
+    'price.1': 'Económico',
+    'price.2': 'Moderado',
+    'price.3': 'Caro',
+    'price.4': 'Muy caro',
+
+    'compare.tray': 'Comparar',
+    'compare.open': 'Comparar',
+    'compare.toggle': 'Comparar',
+    'compare.title': 'Comparar lugares',
+    'compare.note': 'marca el mejor valor de cada fila.',
+    'compare.remove': 'Quitar {name} de la comparación',
+    'compare.needTwo': 'Marca al menos dos lugares',
+    'compare.full': 'Compara hasta {count} lugares a la vez',
+    'compare.openNow': 'Abierto ahora',
+    'compare.openAt': 'Abierto {when}',
+    'compare.best': 'Mejor:',
+    'compare.bestTitle': 'El mejor de esta fila',
+    'compare.rating': 'Valoración',
+    'compare.distance': 'Distancia',
+    'compare.category': 'Categoría',
+    'compare.price': 'Precio',
+    'compare.amenities': 'Servicios',
+    'compare.contact': 'Contacto',
+    'compare.unknown': 'Desconocido',
+    'compare.noneListed': 'Ninguno indicado',
+    'compare.phone': 'Teléfono',
+    'compare.website': 'Sitio web',
+
+    'drawer.open': 'Detalles',
+    'drawer.photos': 'Fotos; usa las flechas para navegar',
+    'drawer.previousPhoto': 'Foto anterior',
+    'drawer.nextPhoto': 'Foto siguiente',
+    'drawer.photoAlt': 'Foto {index} de {name}',
+    'drawer.tips': 'Consejos recientes',
+    'drawer.noTips': 'Aún no hay consejos.',
+    'drawer.loadingTips': 'Cargando consejos…',
+    'drawer.nearby': 'Cerca',
+    'drawer.noNearby': 'No se encontró nada más cerca.',
+    'drawer.loadingNearby': 'Buscando alrededor…',
+    'drawer.copy': 'Copiar',
+    'drawer.copied': 'Copiado',
+    'drawer.pressCopy': 'Pulsa Ctrl+C',
+    'drawer.copyAddress': 'Copiar la dirección',
+
+    'loading.fetching': 'Obteniendo datos en tiempo real...',
+    'loading.searching': 'Buscando en {source}...',
+    'loading.step1': 'Geocodificando tu ubicación',
+    'loading.step2': 'Entendiendo tu consulta',
+    'loading.step3': 'Obteniendo lugares en vivo del proveedor de datos',
+    'loading.step4': 'Obteniendo información detallada de los lugares',
+    'loading.cancel': 'Cancelar búsqueda',
+
+    'map.title': 'Mapa interactivo en vivo',
+    'map.realTime': 'Datos en tiempo real',
+    'map.searchArea': 'Buscar en esta zona',
+    'map.placeholderTitle': 'Búsqueda global en tiempo real',
+    'map.placeholderText': 'Introduce cualquier ubicación del mundo para ver lugares en vivo',
+    'map.legendTitle': 'Categorías',
+    'map.legendDemo': 'Los marcadores huecos son datos de demostración',
+    'map.originTitle': 'Origen de la búsqueda: arrástralo para buscar desde otro punto',
+
+    'search.mapArea': 'la zona del mapa cerca de {location}',
+
+    'location.finding': 'Buscando tu ubicación…',
+    'location.lookingUp': 'Averiguando dónde estás…',
+    'location.searchingFrom': 'Buscando desde tu ubicación (con un margen de unos {accuracy})',
+    'location.fromPin': 'Buscando desde el marcador que colocaste',
+    'location.unsupported': 'Este navegador no puede compartir tu ubicación. Escribe una ciudad.',
+    'location.denied': 'Se denegó el acceso a la ubicación. Permítelo en los ajustes del navegador o escribe una ciudad.',
+    'location.unavailable': 'Tu posición no está disponible ahora. Escribe una ciudad.',
+    'location.timeout': 'Encontrar tu ubicación tardó demasiado. Inténtalo de nuevo o escribe una ciudad.',
+    'location.failed': 'No se pudo obtener tu ubicación.',
+    'location.city': 'Ciudad',
+    'location.whichOne': '¿A qué «{location}» te refieres?',
+    'location.type.place': 'Lugar',
+    'location.type.city': 'Ciudad',
+    'location.type.town': 'Localidad',
+    'location.type.village': 'Pueblo',
+    'location.type.suburb': 'Barrio',
+    'location.type.state': 'Región',
+    'location.type.country': 'País',
+
+    'error.title.geocode-not-found': 'Ubicación no encontrada',
+    'error.title.provider-auth': 'Proveedor de lugares no disponible',
+    'error.title.rate-limited': 'Demasiadas solicitudes',
+    'error.title.timeout': 'La búsqueda tardó demasiado',
+    'error.title.offline': 'Parece que no tienes conexión',
+    'error.title.no-results': 'No se encontraron lugares',
+    'error.title.upstream': 'Algo salió mal',
+    'error.title.unknown': 'Problema con la búsqueda',
+    'error.missingInput': 'Introduce una ubicación y una consulta para buscar en tiempo real',
+    'error.locationNotFound': 'No se encontró «{location}». Prueba con una ubicación más concreta.',
+    'error.noPlaces': 'No se encontraron lugares para «{query}» en {location}. {attempts}',
+    'error.deviceOffline': 'Tu dispositivo no tiene conexión',
+    'error.networkUnreachable': 'No se pudo acceder a la red',
+    'error.requestTimeout': 'La solicitud tardó demasiado',
+    'error.retry': 'Reintentar',
+    'error.otherLocation': 'Probar otra ubicación',
+    'error.showCached': 'Ver resultados guardados',
+    'error.searchWithin': 'Buscar en {distance}',
+    'error.searchProvider': 'Buscar en {provider}',
+    'error.actionIn': '{action} en {count} s',
+    'error.providerRejected': 'El proveedor de lugares rechazó nuestra clave de API',
+    'error.providerNotConfigured': 'El proveedor de lugares no está configurado en el servidor',
+    'error.tooManyRequests': 'Demasiadas solicitudes',
+    'error.tooManyRequestsWait': 'Demasiadas solicitudes; vuelve a intentarlo en {seconds} s',
+    'error.providerTimeout': 'El proveedor tardó demasiado en responder',
+    'error.httpStatus': 'HTTP {code}',
+    'error.httpStatusDetail': 'HTTP {code}: {detail}'
+};
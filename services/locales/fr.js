@@ -0,0 +1,411 @@
+// QuestLens - French messages
+// Keys as in services/locales/en.js; any left out fall back to English.
+
+I18N_CATALOGUES.fr = {
+    'app.title': 'QuestLens - Trouveur de lieux en temps réel',
+    'app.tagline': 'Trouveur de lieux intelligent en temps réel',
+
+    'locale.language': 'Langue',
+    'locale.units': 'Unités de distance',
+    'locale.unitsAuto': 'Unités de ma région',
+    'locale.metric': 'Kilomètres',
+    'locale.imperial': 'Miles',
+
+    'status.poweredBy': 'Données en direct',
+    'status.offline': 'Hors ligne : résultats enregistrés',
+    'status.offlineReady': 'L’application et les cartes déjà consultées fonctionnent hors ligne',
+
+    'common.clear': 'Vider',
+    'common.close': 'Fermer',
+    'common.dismiss': 'Ignorer',
+
+    'form.location': 'Lieu (toute ville du monde)',
+    'form.locationPlaceholder': 'p. ex. Tokyo, New York, Bombay, Londres...',
+    'form.locationSuggestions': 'Suggestions de lieux',
+    'form.locationHelp': 'Fonctionne avec toute ville ou tout lieu du monde',
+    'form.useLocation': 'Utiliser ma position',
+    'form.query': 'Que cherchez-vous ?',
+    'form.queryPlaceholder': 'Décrivez ce que vous voulez... (p. ex. « Meilleurs ramens pour déjeuner », « Musées pour familles avec parking », « Cafés avec wifi »)',
+    'form.queryHelp': 'Compris par un LLM local s’il est configuré, sinon par des règles de mots-clés',
+    'form.visitAt': 'Visite le (facultatif)',
+    'form.visitAtHelp': 'Les horaires sont vérifiés pour cette heure locale sur place ; laissez vide pour maintenant',
+    'form.provider': 'Fournisseur de données',
+    'form.providerFoursquare': 'Foursquare Places',
+    'form.providerOsm': 'OpenStreetMap (Overpass)',
+    'form.submit': 'Découvrir des lieux en temps réel',
+    'form.submitting': 'Récupération des données en temps réel...',
+
+    'samples.title': 'Essayez ces exemples en temps réel :',
+    'samples.italian': 'Cuisine italienne',
+    'samples.familyMuseums': 'Musées en famille',
+    'samples.wifiCoffee': 'Café avec wifi',
+    'samples.budgetHotels': 'Hôtels pas chers',
+    'samples.hiddenGems': 'Pépites cachées',
+    'samples.runningParks': 'Parcs pour courir',
+
+    'library.collections': 'Collections',
+    'library.history': 'Recherches récentes',
+    'library.clearHistory': 'Effacer l’historique',
+    'library.emptyCollections': 'Ajoutez un lieu aux favoris pour créer une collection.',
+    'library.emptyHistory': 'Vos recherches apparaîtront ici.',
+    'library.showOnMap': 'Afficher sur la carte',
+    'library.placeCount': { one: '{count} lieu', other: '{count} lieux' },
+    'library.collection': 'Collection : {name}',
+    'library.deleteCollection': 'Supprimer {name}',
+    'library.confirmDeleteCollection': 'Supprimer la collection « {name} » ?',
+    'library.collectionEmpty': '« {name} » ne contient encore aucun lieu.',
+    'library.savedCollection': 'Collection enregistrée',
+    'library.savedCollectionSource': 'votre collection enregistrée',
+    'library.storageFailed': 'Impossible d’enregistrer sur cet appareil : {error}',
+    'library.collectionSummary': {
+        one: '{count} lieu enregistré, affiché depuis votre appareil',
+        other: '{count} lieux enregistrés, affichés depuis votre appareil'
+    },
+
+    'save.title': 'Enregistrer',
+    'save.newCollection': 'Nouvelle collection, p. ex. Tokyo jour 2',
+    'save.add': 'Ajouter',
+    'save.done': 'Terminé',
+    'save.saveTitle': 'Enregistrer dans une collection',
+    'save.editTitle': 'Enregistré — modifier les collections',
+
+    'transfer.title': 'Export et import',
+    'transfer.source': 'Lieux à exporter',
+    'transfer.format': 'Format d’export',
+    'transfer.currentResults': 'Résultats actuels',
+    'transfer.gpx': 'Points GPX',
+    'transfer.kml': 'Repères KML',
+    'transfer.csv': 'Tableur CSV',
+    'transfer.export': 'Exporter',
+    'transfer.import': 'Importer GeoJSON, GPX ou KML',
+    'transfer.searchTitle': '{query} à {location}',
+    'transfer.defaultTitle': 'Résultats QuestLens',
+    'transfer.nothing': 'Rien à exporter pour l’instant.',
+    'transfer.exported': { one: '{count} lieu exporté en {format}.', other: '{count} lieux exportés en {format}.' },
+    'transfer.imported': { one: '{count} élément importé depuis {file}.', other: '{count} éléments importés depuis {file}.' },
+    'transfer.importedPlace': 'Lieu importé',
+
+    'offline.areas': 'Zones hors ligne',
+    'offline.download': 'Télécharger cette zone',
+    'offline.empty': 'Lancez une recherche, cadrez la carte, puis téléchargez la zone pour l’utiliser hors ligne.',
+    'offline.unsupported': 'Ce navigateur ne peut pas enregistrer de tuiles de carte.',
+    'offline.tooLarge': 'Cette zone est trop grande pour être enregistrée. Zoomez et réessayez.',
+    'offline.saving': 'Enregistrement de {count} tuiles de carte...',
+    'offline.saved': {
+        one: '{tiles} tuiles et {count} lieu enregistrés pour un usage hors ligne',
+        other: '{tiles} tuiles et {count} lieux enregistrés pour un usage hors ligne'
+    },
+    'offline.failedTiles': { one: '({count} tuile n’a pas pu être téléchargée)', other: '({count} tuiles n’ont pas pu être téléchargées)' },
+    'offline.saveFailed': 'Impossible d’enregistrer cette zone : {error}',
+    'offline.deleteFailed': 'Impossible de supprimer cette zone : {error}',
+    'offline.tileCount': { one: '{count} tuile', other: '{count} tuiles' },
+    'offline.delete': 'Supprimer la copie hors ligne de {name}',
+    'offline.confirmDelete': 'Supprimer la copie hors ligne de « {name} » ?',
+    'offline.area': 'Zone hors ligne',
+    'offline.source': 'votre copie hors ligne',
+    'offline.summary': {
+        one: '{count} lieu enregistré le {date}, affiché depuis votre appareil',
+        other: '{count} lieux enregistrés le {date}, affichés depuis votre appareil'
+    },
+
+    'itinerary.title': 'Itinéraire',
+    'itinerary.startAt': 'Départ à',
+    'itinerary.endBy': 'Terminer à',
+    'itinerary.dropped': 'Non retenu : ne tient pas avant {time}',
+    'itinerary.suggestOrder': 'Proposer un ordre',
+    'itinerary.empty': 'Ajoutez des lieux depuis les résultats pour préparer un parcours à pied.',
+    'itinerary.walk': '{count} min à pied',
+    'itinerary.visitLength': 'Durée de la visite en minutes',
+    'itinerary.moveUp': 'Monter',
+    'itinerary.moveDown': 'Descendre',
+    'itinerary.remove': 'Retirer',
+    'itinerary.addStop': 'Ajouter à l’itinéraire',
+    'itinerary.removeStop': 'Retirer de l’itinéraire',
+    'itinerary.hoursMinutes': '{hours} h {minutes} min',
+    'itinerary.minutes': '{minutes} min',
+    'itinerary.closedToday': 'Fermé ce jour-là',
+    'itinerary.closedAt': 'Fermé à {time}',
+    'itinerary.closedAtOpens': 'Fermé à {time} ; ouvre à {opens}',
+    'itinerary.closesBefore': 'Ferme à {time}, avant le départ prévu',
+    'itinerary.summary': {
+        one: '{count} étape · {distance} · environ {walking} de marche · fini vers {end} (estimation)',
+        other: '{count} étapes · {distance} · environ {walking} de marche · fini vers {end} (estimation)'
+    },
+
+    'results.title': 'Recommandations IA en direct',
+    'results.liveData': 'Données en direct',
+    'results.liveFrom': 'Données en direct de {source}',
+    'results.cachedFallback': 'Résultats enregistrés (API en direct indisponibles)',
+    'results.demoFallback': 'Données de démonstration (API en direct indisponibles)',
+    'results.analysis': 'Analyse par {engine} :',
+    'results.keywordParser': 'Analyseur de mots-clés',
+    'results.keywordResponse': 'Je cherche {summary} en lien avec « {query} » à {location}. Trouvons les meilleurs résultats en temps réel !',
+    'results.engineNote': '{note} ; l’analyseur de mots-clés a été utilisé à la place.',
+    'results.llmUnavailable': 'LLM indisponible : {error}',
+    'results.llmTimedOut': 'Le LLM n’a pas répondu à temps',
+    'results.llmHttpStatus': 'Le LLM a répondu HTTP {code}',
+    'results.llmInvalid': 'La réponse du LLM était inutilisable',
+    'results.found': { one: '{count} lieu trouvé à {location}', other: '{count} lieux trouvés à {location}' },
+    'results.detailsProgress': 'Récupération des détails… {done}/{total}',
+    'results.count.live': { one: '{count} lieu en direct', other: '{count} lieux en direct' },
+    'results.count.cached': { one: '{count} lieu enregistré', other: '{count} lieux enregistrés' },
+    'results.count.sample': { one: '{count} lieu de démonstration', other: '{count} lieux de démonstration' },
+
+    'filters.label': 'Filtrer et trier les résultats',
+    'filters.minRating': 'Note minimale',
+    'filters.maxDistance': 'Distance maximale',
+    'filters.category': 'Catégorie',
+    'filters.source': 'Données',
+    'filters.sortBy': 'Trier par',
+    'filters.sortRelevance': 'Pertinence',
+    'filters.sortDistance': 'Distance',
+    'filters.sortRating': 'Note',
+    'filters.sortName': 'Nom',
+    'filters.any': 'Toutes',
+    'filters.all': 'Toutes',
+    'filters.openNow': 'Ouvert maintenant',
+    'filters.hasPhone': 'Avec téléphone',
+    'filters.hasWebsite': 'Avec site web',
+    'filters.reset': 'Réinitialiser',
+    'filters.empty': 'Aucun lieu ne correspond à ces filtres.',
+    'filters.showing': '{count} sur {total} affichés',
+
+    'source.live': 'En direct',
+    'source.cached': 'Enregistré',
+    'source.demo': 'Démo',
+    'source.liveData': 'Données en direct',
+    'source.cachedData': 'Données enregistrées',
+    'source.sampleData': 'Données de démonstration',
+    'source.from': 'de {source}',
+    'source.provider': 'le fournisseur',
+    'source.realTimeFrom': 'En temps réel de {provider}',
+    'source.cachedFrom': 'Enregistré depuis {provider}',
+    'source.cachedSaved': '{source}, enregistré le {date}',
+    'source.earlierSearch': 'une recherche précédente',
+    'source.cachedResults': 'Résultats enregistrés',
+    'source.nothingCached': 'Rien d’enregistré pour cette recherche',
+    'source.demoDataset': 'Données de démonstration',
+    'source.demoSet': 'jeu de démonstration QuestLens',
+    'source.noResults': 'Aucun résultat',
+    'source.error': '{error}',
+
+    'place.noAddress': 'Adresse non disponible',
+    'place.website': 'Voir le site web',
+    'place.unnamed': 'Lieu sans nom',
+    'place.defaultCategory': 'Lieu',
+
+    'hours.open24': 'Ouvert 24 h/24',
+    'hours.closesIn': 'Ferme dans {count} min',
+    'hours.openUntil': 'Ouvert jusqu’à {time}',
+    'hours.closed': 'Fermé',
+    'hours.closedOpens': 'Fermé · ouvre {time}',
+
+    'visit.at': 'le {time}',
+    'visit.before': 'avant {time}',
+    'visit.after': 'après {time}',
+    'visit.late-night': 'tard le soir',
+    'visit.breakfast': 'petit-déjeuner',
+    'visit.brunch': 'brunch',
+    'visit.lunch': 'déjeuner',
+    'visit.dinner': 'dîner',
+    'visit.evening': 'en soirée',
+    'visit.morning': 'le matin',
+
+    'score.summary': 'Score de pertinence {score}/100',
+    'score.distance': 'Distance',
+    'score.rating': 'Note',
+    'score.category': 'Catégorie',
+    'score.keywords': 'Mots-clés',
+    'score.amenities': 'Équipements',
+    'score.hours': 'Horaires',
+
+    'rank.away': 'à {distance}',
+    'rank.rating': '{rating}/5',
+    'rank.rated': 'Noté {rating}/5',
+    'rank.notRated': 'Pas de note',
+    'rank.matches': 'Correspond à {intent}',
+    'rank.categoryMatches': '{category} correspond à {intent}',
+    'rank.notRequestedType': '{category} ne fait pas partie des types demandés',
+    'rank.keyword': '« {keyword} »',
+    'rank.keywordIn.name': '{keyword} dans le nom',
+    'rank.keywordIn.category': '{keyword} dans la catégorie',
+    'rank.keywordIn.tips': '{keyword} dans les avis',
+    'rank.keywordHits': '{hits}',
+    'rank.noMention': 'Aucune mention de {keywords}',
+    'rank.hasAmenities': 'Avec {amenities}',
+    'rank.amenitiesMissing': '{missing} : non indiqué',
+    'rank.someAmenitiesMissing': 'Avec {amenities} ; {missing} : non indiqué',
+    'rank.hoursUnknown': 'Horaires non indiqués',
+    'rank.openNow': 'Ouvert maintenant',
+    'rank.openAt': 'Ouvert {when}',
+    'rank.openNowHours': 'Ouvert maintenant : {hours}',
+    'rank.openAtHours': 'Ouvert {when} : {hours}',
+    'rank.closedNowHours': 'Fermé maintenant : {hours}',
+    'rank.closedAtHours': 'Fermé {when} : {hours}',
+
+    'summary.intents': '{intents}',
+    'summary.with': 'avec {amenities}',
+    'summary.price': 'prix {range}',
+    'summary.openNow': 'ouvert maintenant',
+    'summary.timeWindow': '{when}',
+    'summary.within': 'à moins de {distance}',
+    'summary.noChains': 'sans chaînes',
+    'summary.excluding': 'sauf {excluded}',
+
+    'category.coffee': 'Café',
+    'category.restaurants': 'Restauration',
+    'category.nightlife': 'Vie nocturne',
+    'category.museums': 'Musées',
+    'category.attractions': 'Attractions',
+    'category.hotels': 'Hôtels',
+    'category.parks': 'Parcs',
+    'category.shopping': 'Shopping',
+    'category.other': 'Autres',
+
+    'osm.withCuisine': '{category} ({cuisine})',
+    'osm.restaurant': 'Restaurant',
+    'osm.fast_food': 'Restauration rapide',
+    'osm.food_court': 'Aire de restauration',
+    'osm.cafe': 'Café',
+    'osm.museum': 'Musée',
+    'osm.gallery': 'Galerie',
+    'osm.attraction': 'Attraction',
+    'osm.viewpoint': 'Point de vue',
+    'osm.artwork': 'Œuvre d’art',
+    'osm.monument': 'Monument',
+    'osm.memorial': 'Mémorial',
+    'osm.castle': 'Château',
+    'osm.hotel': 'Hôtel',
+    'osm.hostel': 'Auberge de jeunesse',
+    'osm.guest_house': 'Maison d’hôtes',
+    'osm.motel': 'Motel',
+    'osm.mall': 'Centre commercial',
+    'osm.department_store': 'Grand magasin',
+    'osm.clothes': 'Magasin de vêtements',
+    'osm.gift': 'Boutique de cadeaux',
+    'osm.books': 'Librairie',
+    'osm.marketplace': 'Marché',
+    'osm.bar': 'Bar',
+    'osm.pub': 'Pub',
+    'osm.nightclub': 'Boîte de nuit',
+    'osm.biergarten': 'Biergarten',
+    'osm.park': 'Parc',
+    'osm.garden': 'Jardin',
+    'osm.nature_reserve': 'Réserve naturelle',
+
+    'amenity.wifi': 'wifi',
+    'amenity.parking': 'parking',
+    'amenity.outdoor_seating': 'terrasse',
+    'amenity.kid_friendly': 'adapté aux enfants',
+    'amenity.wheelchair': 'accès en fauteuil roulant',
+
+    'price.1': 'Bon marché',
+    'price.2': 'Modéré',
+    'price.3': 'Cher',
+    'price.4': 'Très cher',
+
+    'compare.tray': 'Comparer',
+    'compare.open': 'Comparer',
+    'compare.toggle': 'Comparer',
+    'compare.title': 'Comparer des lieux',
+    'compare.note': 'indique la meilleure valeur de chaque ligne.',
+    'compare.remove': 'Retirer {name} de la comparaison',
+    'compare.needTwo': 'Cochez au moins deux lieux',
+    'compare.full': 'Comparez jusqu’à {count} lieux à la fois',
+    'compare.openNow': 'Ouvert maintenant',
+    'compare.openAt': 'Ouvert {when}',
+    'compare.best': 'Meilleur :',
+    'compare.bestTitle': 'Le meilleur de cette ligne',
+    'compare.rating': 'Note',
+    'compare.distance': 'Distance',
+    'compare.category': 'Catégorie',
+    'compare.price': 'Prix',
+    'compare.amenities': 'Équipements',
+    'compare.contact': 'Contact',
+    'compare.unknown': 'Inconnu',
+    'compare.noneListed': 'Non renseigné',
+    'compare.phone': 'Téléphone',
+    'compare.website': 'Site web',
+
+    'drawer.open': 'Détails',
+    'drawer.photos': 'Photos ; utilisez les flèches pour parcourir',
+    'drawer.previousPhoto': 'Photo précédente',
+    'drawer.nextPhoto': 'Photo suivante',
+    'drawer.photoAlt': 'Photo {index} de {name}',
+    'drawer.tips': 'Conseils récents',
+    'drawer.noTips': 'Pas encore de conseils.',
+    'drawer.loadingTips': 'Chargement des conseils…',
+    'drawer.nearby': 'À proximité',
+    'drawer.noNearby': 'Rien d’autre à proximité.',
+    'drawer.loadingNearby': 'Recherche aux alentours…',
+    'drawer.copy': 'Copier',
+    'drawer.copied': 'Copié',
+    'drawer.pressCopy': 'Appuyez sur Ctrl+C',
+    'drawer.copyAddress': 'Copier l’adresse',
+
+    'loading.fetching': 'Récupération des données en temps réel...',
+    'loading.searching': 'Recherche sur {source}...',
+    'loading.step1': 'Géocodage de votre lieu',
+    'loading.step2': 'Compréhension de votre demande',
+    'loading.step3': 'Récupération des lieux auprès du fournisseur',
+    'loading.step4': 'Récupération des détails des lieux',
+    'loading.cancel': 'Annuler la recherche',
+
+    'map.title': 'Carte interactive en direct',
+    'map.realTime': 'Données en temps réel',
+    'map.searchArea': 'Rechercher dans cette zone',
+    'map.placeholderTitle': 'Recherche mondiale en temps réel',
+    'map.placeholderText': 'Saisissez un lieu n’importe où dans le monde pour voir les lieux en direct',
+    'map.legendTitle': 'Catégories',
+    'map.legendDemo': 'Les marqueurs creux sont des données de démonstration',
+    'map.originTitle': 'Point de départ : faites-le glisser pour chercher depuis un autre endroit',
+
+    'search.mapArea': 'la zone de la carte près de {location}',
+
+    'location.finding': 'Recherche de votre position…',
+    'location.lookingUp': 'Identification de l’endroit où vous êtes…',
+    'location.searchingFrom': 'Recherche depuis votre position (à environ {accuracy} près)',
+    'location.fromPin': 'Recherche depuis le repère que vous avez placé',
+    'location.unsupported': 'Ce navigateur ne peut pas partager votre position. Saisissez plutôt une ville.',
+    'location.denied': 'L’accès à la position a été refusé. Autorisez-le dans les réglages du navigateur, ou saisissez une ville.',
+    'location.unavailable': 'Votre position n’est pas disponible pour le moment. Saisissez plutôt une ville.',
+    'location.timeout': 'La localisation a pris trop de temps. Réessayez, ou saisissez une ville.',
+    'location.failed': 'Impossible d’obtenir votre position.',
+    'location.city': 'Ville',
+    'location.whichOne': 'De quel « {location} » parlez-vous ?',
+    'location.type.place': 'Lieu',
+    'location.type.city': 'Ville',
+    'location.type.town': 'Ville',
+    'location.type.village': 'Village',
+    'location.type.suburb': 'Quartier',
+    'location.type.state': 'Région',
+    'location.type.country': 'Pays',
+
+    'error.title.geocode-not-found': 'Lieu introuvable',
+    'error.title.provider-auth': 'Fournisseur de lieux indisponible',
+    'error.title.rate-limited': 'Trop de requêtes',
+    'error.title.timeout': 'La recherche a expiré',
+    'error.title.offline': 'Vous semblez hors ligne',
+    'error.title.no-results': 'Aucun lieu trouvé',
+    'error.title.upstream': 'Un problème est survenu',
+    'error.title.unknown': 'Problème de recherche',
+    'error.missingInput': 'Saisissez un lieu et une demande pour lancer la recherche',
+    'error.locationNotFound': '« {location} » introuvable. Essayez un lieu plus précis.',
+    'error.noPlaces': 'Aucun lieu trouvé pour « {query} » à {location}. {attempts}',
+    'error.deviceOffline': 'Votre appareil est hors ligne',
+    'error.networkUnreachable': 'Impossible de joindre le réseau',
+    'error.requestTimeout': 'La requête a expiré',
+    'error.retry': 'Réessayer',
+    'error.otherLocation': 'Essayer un autre lieu',
+    'error.showCached': 'Voir les résultats enregistrés',
+    'error.searchWithin': 'Chercher dans un rayon de {distance}',
+    'error.searchProvider': 'Chercher sur {provider}',
+    'error.actionIn': '{action} dans {count} s',
+    'error.providerRejected': 'Le fournisseur de lieux a refusé notre clé d’API',
+    'error.providerNotConfigured': 'Le fournisseur de lieux n’est pas configuré sur le serveur',
+    'error.tooManyRequests': 'Trop de requêtes',
+    'error.tooManyRequestsWait': 'Trop de requêtes ; réessayez dans {seconds} s',
+    'error.providerTimeout': 'Le fournisseur a mis trop de temps à répondre',
+    'error.httpStatus': 'HTTP {code}',
+    'error.httpStatusDetail': 'HTTP {code} : {detail}'
+};
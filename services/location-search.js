@@ -0,0 +1,129 @@
+// QuestLens - Location search
+// Geocoding candidates for the location field: typeahead suggestions (Photon) and submitted-location
+// lookups (Nominatim), normalized to one shape, plus the check for place names that need a chooser.
+
+const LOCATION_SEARCH_DEFAULTS = {
+    suggestLimit: 6,
+    geocodeLimit: 5,
+    minSuggestLength: 3,
+    // Same-named results closer than this are one place (a city's node and its boundary, say)
+    samePlaceKm: 50,
+    minRadius: 500,
+    maxRadius: 50000
+};
+
+class LocationSearch {
+    constructor({ fetchJson, endpoints, defaults = LOCATION_SEARCH_DEFAULTS }) {
+        this.fetchJson = fetchJson;
+        this.endpoints = endpoints;
+        this.defaults = defaults;
+    }
+
+    // Typeahead candidates; Nominatim's usage policy rules out autocomplete, so these come from Photon
+    async suggest(text, { signal } = {}) {
+        const q = text.trim();
+        if (q.length < this.defaults.minSuggestLength) {
+            return [];
+        }
+        const params = new URLSearchParams({ q, limit: this.defaults.suggestLimit });
+        const data = await this.fetchJson(`${this.endpoints.suggest}?${params}`, { cache: 'geocode', signal });
+        return this.dedupe((data.features || []).map(feature => this.fromPhoton(feature)).filter(Boolean));
+    }
+
+    // Candidates for a submitted location, most important first
+    async geocode(text, { signal } = {}) {
+        const params = new URLSearchParams({ q: text.trim(), limit: this.defaults.geocodeLimit, addressdetails: 1 });
+        const data = await this.fetchJson(`${this.endpoints.geocode}?${params}`, { cache: 'geocode', signal });
+        return this.dedupe((Array.isArray(data) ? data : []).map(result => this.fromNominatim(result)).filter(Boolean));
+    }
+
+    // Several distinct places carry the name the user typed ("Paris": France, Texas, Ontario...)
+    isAmbiguous(candidates, text) {
+        const typed = this.normalize(text.split(',')[0]);
+        return candidates.filter(candidate => this.normalize(candidate.name) === typed).length > 1;
+    }
+
+    fromNominatim(result) {
+        const lat = parseFloat(result.lat);
+        const lon = parseFloat(result.lon);
+        if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+            return null;
+        }
+        const address = result.address || {};
+        // boundingbox is [south, north, west, east] as strings
+        const [south, north, west, east] = (result.boundingbox || []).map(Number);
+        return this.createCandidate({
+            name: result.name || result.display_name.split(',')[0],
+            region: address.state || address.county || address.region,
+            country: address.country,
+            type: result.addresstype || result.type,
+            lat,
+            lon,
+            bbox: { south, north, west, east }
+        });
+    }
+
+    fromPhoton(feature) {
+        const [lon, lat] = feature.geometry?.coordinates || [];
+        const properties = feature.properties || {};
+        if (!Number.isFinite(lat) || !Number.isFinite(lon) || !properties.name) {
+            return null;
+        }
+        // extent is [west, north, east, south]
+        const [west, north, east, south] = properties.extent || [];
+        return this.createCandidate({
+            name: properties.name,
+            region: properties.state || properties.county,
+            country: properties.country,
+            type: properties.osm_value || properties.type,
+            lat,
+            lon,
+            bbox: { south, north, west, east }
+        });
+    }
+
+    // label is specific enough to geocode to the same place again, e.g. from a shared URL. type is the
+    // geocoder's own place type ("city", "suburb"), or null; the UI names it in its language.
+    createCandidate({ name, region, country, type, lat, lon, bbox }) {
+        const validBbox = [bbox.south, bbox.north, bbox.west, bbox.east].every(Number.isFinite) ? bbox : null;
+        return {
+            name,
+            label: [...new Set([name, region, country].filter(Boolean))].join(', '),
+            type: type || null,
+            country: country || null,
+            lat,
+            lon,
+            bbox: validBbox
+        };
+    }
+
+    // Drop later results with the same name near an earlier one
+    dedupe(candidates) {
+        return candidates.filter((candidate, index) => !candidates.slice(0, index).some(earlier =>
+            this.normalize(earlier.name) === this.normalize(candidate.name)
+            && this.distanceKm(earlier, candidate) < this.defaults.samePlaceKm));
+    }
+
+    // Search radius that covers a bounding box from its centre, in metres
+    radiusFor(bbox) {
+        const centre = { lat: (bbox.south + bbox.north) / 2, lon: (bbox.west + bbox.east) / 2 };
+        const radius = this.distanceKm(centre, { lat: bbox.north, lon: bbox.east }) * 1000;
+        return Math.round(Math.min(this.defaults.maxRadius, Math.max(this.defaults.minRadius, radius)));
+    }
+
+    distanceKm(a, b) {
+        const toRad = value => value * Math.PI / 180;
+        const dLat = toRad(b.lat - a.lat);
+        const dLon = toRad(b.lon - a.lon);
+        const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+        return 2 * 6371 * Math.asin(Math.sqrt(h));
+    }
+
+    normalize(text) {
+        return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LocationSearch, LOCATION_SEARCH_DEFAULTS };
+}
@@ -0,0 +1,60 @@
+// QuestLens - Map marker styles
+// Category-coloured L.divIcon markers; colours live in style.css under .place-marker--<category>.
+
+// First match wins, so specific categories come before broad ones ("Coffee Shop" is coffee, not shopping)
+const MARKER_CATEGORIES = {
+    coffee: { label: 'Coffee', icon: 'mug-hot' },
+    restaurants: { label: 'Food', icon: 'utensils' },
+    nightlife: { label: 'Nightlife', icon: 'martini-glass' },
+    museums: { label: 'Museums', icon: 'landmark' },
+    attractions: { label: 'Attractions', icon: 'camera' },
+    hotels: { label: 'Hotels', icon: 'bed' },
+    parks: { label: 'Parks', icon: 'tree' },
+    shopping: { label: 'Shopping', icon: 'bag-shopping' },
+    other: { label: 'Other', icon: 'location-dot' }
+};
+
+class MarkerStyler {
+    // intentTerms: { intent: [words] }, the same vocabulary the query parser uses
+    constructor({ intentTerms = {}, categories = MARKER_CATEGORIES } = {}) {
+        this.intentTerms = intentTerms;
+        this.categories = categories;
+        this.cache = new Map();
+    }
+
+    // Marker category for a place, from its provider category names
+    categoryOf(place) {
+        const text = [place.category, ...(place.categories || [])].join(' ')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase();
+        if (!this.cache.has(text)) {
+            const match = Object.keys(this.categories).find(key =>
+                (this.intentTerms[key] || []).some(term => this.containsWord(text, term)));
+            this.cache.set(text, match || 'other');
+        }
+        return this.cache.get(text);
+    }
+
+    // Whole word, optionally plural, in any script; term is decomposed like the text so Arabic hamza letters match
+    containsWord(text, term) {
+        const escaped = term.normalize('NFD').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(`(?<![\\p{L}\\p{N}_])${escaped}(?:e?s)?(?![\\p{L}\\p{N}_])`, 'u').test(text);
+    }
+
+    // kind is the data source (live, cached or sample); sample markers are drawn hollow
+    createIcon(place, kind, { selected = false } = {}) {
+        const category = this.categoryOf(place);
+        return L.divIcon({
+            className: 'place-marker-wrapper',
+            html: `<div class="place-marker place-marker--${category} place-marker--${kind}${selected ? ' place-marker--selected' : ''}"><i class="fas fa-${this.categories[category].icon}"></i></div>`,
+            iconSize: [30, 30],
+            iconAnchor: [15, 15],
+            popupAnchor: [0, -16]
+        });
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MarkerStyler, MARKER_CATEGORIES };
+}
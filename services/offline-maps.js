@@ -0,0 +1,148 @@
+// QuestLens - Offline maps
+// Map tiles in Cache Storage. Browsed tiles go to a cache capped at maxTiles, oldest first out; tiles of
+// downloaded areas go to their own cache, emptied only when the area is deleted. Needs only fetch and
+// caches, so the service worker (sw.js) loads this file too.
+
+const OFFLINE_MAP_DEFAULTS = {
+    tileUrl: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+    tileCache: 'questlens-tiles',
+    areaCache: 'questlens-areas',
+    // About 40 MB at the ~20 KB an OpenStreetMap tile usually weighs
+    maxTiles: 2000,
+    // Trim the browsed-tile cache after this many new tiles rather than on every one
+    trimEvery: 50,
+    // The OSM tile usage policy rules out bulk downloads, so one area stays small
+    maxAreaTiles: 400,
+    maxAreaZoom: 17,
+    // Levels below the current zoom that are saved too, for zooming out
+    areaZoomOut: 2
+};
+
+class OfflineMaps {
+    constructor({ defaults = OFFLINE_MAP_DEFAULTS } = {}) {
+        this.defaults = defaults;
+        this.newTiles = 0;
+    }
+
+    tileUrl({ z, x, y }) {
+        return this.defaults.tileUrl.replace('{z}', z).replace('{x}', x).replace('{y}', y);
+    }
+
+    isTileRequest(url) {
+        return String(url).startsWith(this.defaults.tileUrl.split('{')[0]);
+    }
+
+    // Web Mercator tile holding a point at a zoom level
+    tileAt(lat, lon, z) {
+        const scale = 2 ** z;
+        const latRad = Math.max(-85.0511, Math.min(85.0511, lat)) * Math.PI / 180;
+        const clamp = value => Math.max(0, Math.min(scale - 1, Math.floor(value)));
+        return {
+            x: clamp((lon + 180) / 360 * scale),
+            y: clamp((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * scale)
+        };
+    }
+
+    // Every tile covering bounds ({ south, west, north, east }) from minZoom to maxZoom
+    tilesFor(bounds, minZoom, maxZoom) {
+        const tiles = [];
+        for (let z = minZoom; z <= maxZoom; z++) {
+            const topLeft = this.tileAt(bounds.north, bounds.west, z);
+            const bottomRight = this.tileAt(bounds.south, bounds.east, z);
+            for (let x = topLeft.x; x <= bottomRight.x; x++) {
+                for (let y = topLeft.y; y <= bottomRight.y; y++) {
+                    tiles.push({ z, x, y });
+                }
+            }
+        }
+        return tiles;
+    }
+
+    // Zoom range to save for the visible map: a few levels out, and in as far as the tile budget allows
+    planArea(bounds, zoom) {
+        const minZoom = Math.max(0, Math.round(zoom) - this.defaults.areaZoomOut);
+        let maxZoom = Math.round(zoom);
+        if (this.tilesFor(bounds, minZoom, maxZoom).length > this.defaults.maxAreaTiles) {
+            throw new Error('This area is too large to save offline. Zoom in and try again.');
+        }
+        while (maxZoom < this.defaults.maxAreaZoom
+            && this.tilesFor(bounds, minZoom, maxZoom + 1).length <= this.defaults.maxAreaTiles) {
+            maxZoom++;
+        }
+        return { minZoom, maxZoom, tileCount: this.tilesFor(bounds, minZoom, maxZoom).length };
+    }
+
+    // Save an area's tiles one at a time, to go easy on the tile servers. onProgress(done, total) after each.
+    async downloadArea({ bounds, minZoom, maxZoom }, { onProgress, signal } = {}) {
+        const cache = await caches.open(this.defaults.areaCache);
+        const urls = this.tilesFor(bounds, minZoom, maxZoom).map(tile => this.tileUrl(tile));
+        let failed = 0;
+
+        for (const [index, url] of urls.entries()) {
+            if (signal?.aborted) {
+                throw new DOMException('Download cancelled', 'AbortError');
+            }
+            try {
+                // A tile already browsed is copied instead of fetched again
+                const cached = await caches.match(url);
+                const response = cached || await fetch(url, { mode: 'cors', signal });
+                if (response.ok) {
+                    await cache.put(url, response);
+                } else {
+                    failed++;
+                }
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    throw error;
+                }
+                failed++;
+            }
+            if (onProgress) {
+                onProgress(index + 1, urls.length);
+            }
+        }
+        return { saved: urls.length - failed, failed };
+    }
+
+    // Delete an area's tiles, keeping those that other saved areas ({ bounds, minZoom, maxZoom }) still cover
+    async removeArea(area, otherAreas = []) {
+        const cache = await caches.open(this.defaults.areaCache);
+        const kept = new Set(otherAreas.flatMap(other =>
+            this.tilesFor(other.bounds, other.minZoom, other.maxZoom).map(tile => this.tileUrl(tile))));
+        const urls = this.tilesFor(area.bounds, area.minZoom, area.maxZoom)
+            .map(tile => this.tileUrl(tile))
+            .filter(url => !kept.has(url));
+        await Promise.all(urls.map(url => cache.delete(url)));
+    }
+
+    // Service worker tile handler: any cached copy first, otherwise the network, keeping what it returns
+    async fetchTile(request) {
+        const cached = await caches.match(request);
+        if (cached) {
+            return cached;
+        }
+
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(this.defaults.tileCache);
+            await cache.put(request, response.clone());
+            if (++this.newTiles >= this.defaults.trimEvery) {
+                this.newTiles = 0;
+                await this.trimTiles();
+            }
+        }
+        return response;
+    }
+
+    // Cache keys come back in insertion order, so the oldest tiles go first
+    async trimTiles() {
+        const cache = await caches.open(this.defaults.tileCache);
+        const keys = await cache.keys();
+        const excess = keys.slice(0, Math.max(0, keys.length - this.defaults.maxTiles));
+        await Promise.all(excess.map(request => cache.delete(request)));
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { OfflineMaps, OFFLINE_MAP_DEFAULTS };
+}
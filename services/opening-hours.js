@@ -0,0 +1,263 @@
+// QuestLens - Opening hours
+// Turns provider hours (Foursquare hours.regular, OpenStreetMap opening_hours) into one weekly schedule and
+// answers "open at this moment?", "closes in how long?" and "opens when?". Moments are wall-clock times at
+// the place, { day, minutes }, with day 1 (Monday) to 7 (Sunday) as in Foursquare hours.
+
+const OPENING_HOURS_DEFAULTS = {
+    // "Closes in N min" instead of "Open until HH:MM" from this close to closing
+    closingSoonMinutes: 60
+};
+
+const WEEKDAY_NAMES = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const OSM_DAYS = ['mo', 'tu', 'we', 'th', 'fr', 'sa', 'su'];
+const DAY_MINUTES = 24 * 60;
+
+// Parsed schedules per hours object; places are re-rendered often and the hours never change
+const parsedHours = new WeakMap();
+
+class OpeningHours {
+    // week: seven lists (Monday first) of { open, close } in minutes after that day's midnight;
+    // close may pass 1440 for hours that run past midnight
+    constructor(week, { defaults = OPENING_HOURS_DEFAULTS } = {}) {
+        this.week = week.map(periods => [...periods].sort((a, b) => a.open - b.open));
+        this.defaults = defaults;
+    }
+
+    // Schedule for a normalized place, or null when its hours are unknown or in a form we can't read
+    static forPlace(place) {
+        const hours = place?.hours;
+        if (!hours || typeof hours !== 'object') {
+            return null;
+        }
+        if (!parsedHours.has(hours)) {
+            parsedHours.set(hours, Array.isArray(hours.regular) && hours.regular.length > 0
+                ? OpeningHours.fromFoursquare(hours.regular)
+                : hours.osm ? OpeningHours.fromOsm(hours.osm) : null);
+        }
+        return parsedHours.get(hours);
+    }
+
+    // [{ day: 1-7, open: "HHMM", close: "HHMM" }]; a leading "+" marks a time on the next day
+    static fromFoursquare(regular) {
+        const week = WEEKDAY_NAMES.map(() => []);
+        regular.forEach(period => {
+            const open = OpeningHours.parseCompactTime(period.open);
+            let close = OpeningHours.parseCompactTime(period.close);
+            if (!(period.day >= 1 && period.day <= 7) || open === null || close === null) {
+                return;
+            }
+            if (close <= open) {
+                close += DAY_MINUTES;
+            }
+            week[period.day - 1].push({ open, close });
+        });
+        return new OpeningHours(week);
+    }
+
+    // The common part of the opening_hours syntax: "24/7", weekday ranges and lists, time spans (also past
+    // midnight or open-ended), "off", and ";" / "," rule separators. Rules for public or school holidays are
+    // skipped, and hours with nothing but such rules are unknown. Month, week or date selectors, sunrise/sunset and the like give null rather than a wrong answer.
+    static fromOsm(text) {
+        const value = String(text || '').replace(/"[^"]*"/g, '').trim();
+        if (!value) {
+            return null;
+        }
+
+        const week = WEEKDAY_NAMES.map(() => []);
+        // A ";" rule replaces what earlier rules said about its days; a "," rule adds to them
+        const rules = value.split(/\s*(?:;|\|\|)\s*/).filter(Boolean).flatMap(rule =>
+            rule.split(/(?<=\d|\+|off|closed)\s*,\s*(?=(?:mo|tu|we|th|fr|sa|su|ph|sh)\b)/i).map((part, index) => ({ text: part.trim(), additional: index > 0 })));
+
+        let weekdayRules = 0;
+        for (const { text: rule, additional } of rules) {
+            const parsed = OpeningHours.parseOsmRule(rule);
+            if (parsed === null) {
+                return null;
+            }
+            if (parsed.holiday) {
+                continue;
+            }
+            weekdayRules++;
+            parsed.days.forEach(day => {
+                week[day] = additional ? [...week[day], ...parsed.periods] : [...parsed.periods];
+            });
+        }
+        // Only holiday rules ("PH 10:00-12:00") say nothing about an ordinary week
+        return weekdayRules > 0 ? new OpeningHours(week) : null;
+    }
+
+    // { days: [0-6], periods } for one rule, { holiday: true } for PH/SH rules, null when unsupported
+    static parseOsmRule(rule) {
+        if (rule === '24/7') {
+            return { days: [0, 1, 2, 3, 4, 5, 6], periods: [{ open: 0, close: DAY_MINUTES }] };
+        }
+        const match = rule.match(/^((?:(?:mo|tu|we|th|fr|sa|su|ph|sh)(?:\s*-\s*(?:mo|tu|we|th|fr|sa|su))?\b\s*,?\s*)+)?\s*(.*)$/i);
+        const daySelector = (match[1] || '').trim().replace(/,$/, '');
+        const timeSelector = match[2].trim().toLowerCase();
+
+        const days = new Set();
+        let holiday = false;
+        for (const part of daySelector ? daySelector.split(/\s*,\s*/) : ['mo-su']) {
+            const [from, to] = part.toLowerCase().split(/\s*-\s*/);
+            if (from === 'ph' || from === 'sh') {
+                holiday = true;
+                continue;
+            }
+            const start = OSM_DAYS.indexOf(from);
+            const end = to ? OSM_DAYS.indexOf(to) : start;
+            if (start === -1 || end === -1) {
+                return null;
+            }
+            // Ranges may wrap, as in "Fr-Mo"
+            for (let day = start; ; day = (day + 1) % 7) {
+                days.add(day);
+                if (day === end) {
+                    break;
+                }
+            }
+        }
+        if (holiday && days.size === 0) {
+            return { holiday: true };
+        }
+
+        if (['off', 'closed'].includes(timeSelector)) {
+            return { days: [...days], periods: [] };
+        }
+        const periods = [];
+        for (const span of (timeSelector || '00:00-24:00').split(/\s*,\s*/)) {
+            const spanMatch = span.match(/^(\d{1,2}):(\d{2})(?:\s*-\s*(\d{1,2}):(\d{2}))?(\+)?$/);
+            if (!spanMatch || (!spanMatch[3] && !spanMatch[5])) {
+                return null;
+            }
+            const open = Number(spanMatch[1]) * 60 + Number(spanMatch[2]);
+            // "22:00+" has no fixed end; treat it as open until midnight
+            let close = spanMatch[3] ? Number(spanMatch[3]) * 60 + Number(spanMatch[4]) : DAY_MINUTES;
+            if (close <= open) {
+                close += DAY_MINUTES;
+            }
+            periods.push({ open, close });
+        }
+        return { days: [...days], periods };
+    }
+
+    static parseCompactTime(value) {
+        const match = String(value || '').match(/^(\+)?(\d{2})(\d{2})$/);
+        return match ? Number(match[2]) * 60 + Number(match[3]) + (match[1] ? DAY_MINUTES : 0) : null;
+    }
+
+    // Wall-clock moment of a Date in an IANA timezone; without one, in the device's own timezone
+    static localMoment(date = new Date(), timezone = null) {
+        if (timezone) {
+            try {
+                const parts = Object.fromEntries(new Intl.DateTimeFormat('en-GB', {
+                    timeZone: timezone, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+                }).formatToParts(date).map(part => [part.type, part.value]));
+                return { day: WEEKDAY_NAMES.indexOf(parts.weekday) + 1, minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+            } catch (error) {
+                // Unknown timezone name: fall through to device time
+            }
+        }
+        return { day: ((date.getDay() + 6) % 7) + 1, minutes: date.getHours() * 60 + date.getMinutes() };
+    }
+
+    // Moment from a datetime-local value ("2026-10-18T21:30"), read as wall-clock time at the place
+    static parseVisitAt(value) {
+        const match = String(value || '').match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/);
+        if (!match) {
+            return null;
+        }
+        const weekday = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]))).getUTCDay();
+        return { day: ((weekday + 6) % 7) + 1, minutes: Number(match[4]) * 60 + Number(match[5]) };
+    }
+
+    static formatMoment({ day, minutes }) {
+        return `${WEEKDAY_NAMES[day - 1]} ${OpeningHours.formatClock(minutes)}`;
+    }
+
+    static formatClock(minutes) {
+        const ofDay = ((minutes % DAY_MINUTES) + DAY_MINUTES) % DAY_MINUTES;
+        return `${String(Math.floor(ofDay / 60)).padStart(2, '0')}:${String(ofDay % 60).padStart(2, '0')}`;
+    }
+
+    // Periods on a timeline counted in minutes from the start of the moment's day, from the day before
+    // (for hours running past midnight) through a week ahead
+    timeline(day) {
+        const spans = [];
+        for (let offset = -1; offset <= 7; offset++) {
+            const weekday = (((day - 1 + offset) % 7) + 7) % 7;
+            this.week[weekday].forEach(period => spans.push({
+                open: offset * DAY_MINUTES + period.open,
+                close: offset * DAY_MINUTES + period.close
+            }));
+        }
+        return spans.sort((a, b) => a.open - b.open);
+    }
+
+    // { open, minutesToClose (null when it never closes), closesAt, minutesToOpen, opensAt, closingSoon }
+    statusAt({ day, minutes }) {
+        const spans = this.timeline(day);
+        const current = spans.find(span => span.open <= minutes && minutes < span.close);
+
+        if (current) {
+            // Follow back-to-back periods, such as "18:00-24:00" then "00:00-02:00"
+            let close = current.close;
+            for (const span of spans) {
+                if (span.open <= close && span.close > close) {
+                    close = span.close;
+                }
+            }
+            const alwaysOpen = close - minutes >= 7 * DAY_MINUTES;
+            const minutesToClose = alwaysOpen ? null : close - minutes;
+            return {
+                open: true,
+                minutesToClose,
+                closesAt: alwaysOpen ? null : this.momentAfter(day, close),
+                minutesToOpen: null,
+                opensAt: null,
+                closingSoon: minutesToClose !== null && minutesToClose <= this.defaults.closingSoonMinutes
+            };
+        }
+
+        const next = spans.find(span => span.open > minutes);
+        return {
+            open: false,
+            minutesToClose: null,
+            closesAt: null,
+            minutesToOpen: next ? next.open - minutes : null,
+            opensAt: next ? this.momentAfter(day, next.open) : null,
+            closingSoon: false
+        };
+    }
+
+    isOpenAt(moment) {
+        return this.statusAt(moment).open;
+    }
+
+    momentAfter(day, minutes) {
+        const days = Math.floor(minutes / DAY_MINUTES);
+        return { day: (((day - 1 + days) % 7) + 7) % 7 + 1, minutes: minutes - days * DAY_MINUTES };
+    }
+
+    // Badge state (open, closing-soon, closed) and message for a status at moment. The message is a { key, values }
+    // catalogue entry; values hold the minutes as count and the moment as at, with withDay when it isn't today.
+    describe(status, moment) {
+        if (status.open) {
+            if (status.minutesToClose === null) {
+                return { state: 'open', message: { key: 'hours.open24' } };
+            }
+            if (status.closingSoon) {
+                return { state: 'closing-soon', message: { key: 'hours.closesIn', values: { count: status.minutesToClose } } };
+            }
+            return { state: 'open', message: { key: 'hours.openUntil', values: { at: status.closesAt } } };
+        }
+        if (!status.opensAt) {
+            return { state: 'closed', message: { key: 'hours.closed' } };
+        }
+        const sameDay = status.opensAt.day === moment.day && status.minutesToOpen < DAY_MINUTES;
+        return { state: 'closed', message: { key: 'hours.closedOpens', values: { at: status.opensAt, withDay: !sameDay } } };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { OpeningHours, OPENING_HOURS_DEFAULTS, WEEKDAY_NAMES };
+}
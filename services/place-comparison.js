@@ -0,0 +1,114 @@
+// QuestLens - Place comparison
+// Lines places up row by row (rating, distance, category, price, opening status, amenities, contact) and marks
+// the best value in each row. Works on normalized Place snapshots, so live and cached places compare alike.
+
+const COMPARISON_DEFAULTS = {
+    maxPlaces: 4
+};
+
+// Row names and the words used inside cells
+const COMPARISON_LABELS = {
+    rating: 'Rating',
+    distance: 'Distance',
+    category: 'Category',
+    price: 'Price',
+    amenities: 'Amenities',
+    contact: 'Contact',
+    unknown: 'Unknown',
+    noneListed: 'None listed',
+    phone: 'Phone',
+    website: 'Website'
+};
+
+class PlaceComparison {
+    // distanceKm(place): from the search origin, or null; hoursStatus(place): { open, closingSoon, text } or null
+    // when the hours are unknown; labels, amenityLabels and priceLabels are display names, and formatRating and
+    // formatDistance write numbers the way the UI language does
+    constructor({
+        defaults = COMPARISON_DEFAULTS,
+        labels = COMPARISON_LABELS,
+        distanceKm = () => null,
+        hoursStatus = () => null,
+        formatRating = rating => rating.toFixed(1),
+        formatDistance = km => (km < 1 ? `${Math.round(km * 1000)} m` : `${km.toFixed(1)} km`),
+        amenityLabels = {},
+        priceLabels = []
+    } = {}) {
+        this.defaults = defaults;
+        this.labels = labels;
+        this.distanceKm = distanceKm;
+        this.hoursStatus = hoursStatus;
+        this.formatRating = formatRating;
+        this.formatDistance = formatDistance;
+        this.amenityLabels = amenityLabels;
+        this.priceLabels = priceLabels;
+    }
+
+    // [{ key, label, cells: [{ value, text, best }] }] with one cell per place, in the order given.
+    // hoursLabel names the opening row, e.g. "Open at Sat 21:00" for a dated search.
+    compare(places, { hoursLabel = 'Open now' } = {}) {
+        return [
+            this.row('rating', this.labels.rating, places, {
+                valueOf: place => place.rating,
+                format: rating => `${this.formatRating(rating)}/5`
+            }),
+            this.row('distance', this.labels.distance, places, {
+                valueOf: place => this.distanceKm(place),
+                format: km => this.formatDistance(km),
+                lowerIsBetter: true
+            }),
+            this.row('category', this.labels.category, places, {
+                valueOf: place => place.category,
+                scoreOf: () => null
+            }),
+            this.row('price', this.labels.price, places, {
+                valueOf: place => place.price,
+                format: tier => `${'$'.repeat(tier)} ${this.priceLabels[tier - 1] || ''}`.trim(),
+                lowerIsBetter: true
+            }),
+            this.row('hours', hoursLabel, places, {
+                valueOf: place => this.hoursStatus(place),
+                format: status => status.text,
+                // Open beats closing soon beats closed
+                scoreOf: status => (status.open ? (status.closingSoon ? 1 : 2) : 0)
+            }),
+            this.row('amenities', this.labels.amenities, places, {
+                valueOf: place => place.amenities || [],
+                format: amenities => (amenities.length > 0
+                    ? amenities.map(amenity => this.amenityLabels[amenity] || amenity).join(', ')
+                    : this.labels.noneListed),
+                scoreOf: amenities => amenities.length
+            }),
+            this.row('contact', this.labels.contact, places, {
+                valueOf: place => ({ phone: place.phone || null, website: place.website || null }),
+                format: contact => [contact.phone && this.labels.phone, contact.website && this.labels.website]
+                    .filter(Boolean).join(', ') || this.labels.noneListed,
+                scoreOf: contact => Number(Boolean(contact.phone)) + Number(Boolean(contact.website))
+            })
+        ];
+    }
+
+    // Unknown values (null) show as the unknown label and never win. A row where every place ties has no best value.
+    row(key, label, places, { valueOf, format = String, scoreOf = value => value, lowerIsBetter = false }) {
+        const cells = places.map(place => {
+            const raw = valueOf(place);
+            const value = raw === undefined ? null : raw;
+            const score = value === null ? null : scoreOf(value);
+            return { value, text: value === null ? this.labels.unknown : format(value), score: score === undefined ? null : score };
+        });
+
+        const scores = cells.map(cell => cell.score).filter(score => score !== null);
+        const top = scores.length > 0 ? (lowerIsBetter ? Math.min(...scores) : Math.max(...scores)) : null;
+        const allTie = cells.every(cell => cell.score === top);
+
+        return {
+            key,
+            label,
+            cells: cells.map(({ value, text, score }) => ({ value, text, best: top !== null && !allTie && score === top }))
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PlaceComparison, COMPARISON_DEFAULTS, COMPARISON_LABELS };
+}
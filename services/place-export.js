@@ -0,0 +1,293 @@
+// QuestLens - Export and import
+// Serializes places to GeoJSON, GPX, KML and CSV, and reads GeoJSON, GPX and KML files back as GeoJSON.
+// Export has no DOM dependencies; import of GPX and KML needs DOMParser (browser only).
+
+const EXPORT_FORMATS = {
+    geojson: { label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json' },
+    gpx: { label: 'GPX waypoints', extension: 'gpx', mimeType: 'application/gpx+xml' },
+    kml: { label: 'KML placemarks', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' },
+    csv: { label: 'CSV spreadsheet', extension: 'csv', mimeType: 'text/csv' }
+};
+
+// Exported fields, in CSV column order
+const EXPORT_FIELDS = ['name', 'category', 'address', 'rating', 'phone', 'website', 'latitude', 'longitude'];
+
+class PlaceExporter {
+    export(places, format, { title = 'QuestLens places' } = {}) {
+        const rows = places
+            .filter(place => typeof place.lat === 'number' && typeof place.lon === 'number')
+            .map(place => this.toRow(place));
+
+        switch (format) {
+        case 'geojson':
+            return this.toGeoJson(rows, places);
+        case 'gpx':
+            return this.toGpx(rows, title);
+        case 'kml':
+            return this.toKml(rows, title);
+        case 'csv':
+            return this.toCsv(rows);
+        default:
+            throw new Error(`Unknown export format: ${format}`);
+        }
+    }
+
+    toRow(place) {
+        return {
+            id: place.id,
+            name: place.name,
+            category: place.category,
+            address: place.address || '',
+            rating: typeof place.rating === 'number' ? Number(place.rating.toFixed(1)) : null,
+            phone: place.phone || '',
+            website: place.website || '',
+            latitude: place.lat,
+            longitude: place.lon
+        };
+    }
+
+    toGeoJson(rows, places) {
+        return JSON.stringify({
+            type: 'FeatureCollection',
+            features: rows.map((row, index) => ({
+                type: 'Feature',
+                id: row.id,
+                geometry: { type: 'Point', coordinates: [row.longitude, row.latitude] },
+                properties: {
+                    name: row.name,
+                    category: row.category,
+                    address: row.address || null,
+                    rating: row.rating,
+                    phone: row.phone || null,
+                    website: row.website || null,
+                    provider: places[index]?.provider || null
+                }
+            }))
+        }, null, 2);
+    }
+
+    toGpx(rows, title) {
+        const waypoints = rows.map(row => [
+            `  <wpt lat="${row.latitude}" lon="${row.longitude}">`,
+            `    <name>${this.escapeXml(row.name)}</name>`,
+            `    <desc>${this.escapeXml(this.describe(row))}</desc>`,
+            `    <type>${this.escapeXml(row.category)}</type>`,
+            row.website ? `    <link href="${this.escapeXml(row.website)}"><text>Website</text></link>` : null,
+            '  </wpt>'
+        ].filter(Boolean).join('\n'));
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<gpx version="1.1" creator="QuestLens" xmlns="http://www.topografix.com/GPX/1/1">',
+            `  <metadata><name>${this.escapeXml(title)}</name><time>${new Date().toISOString()}</time></metadata>`,
+            ...waypoints,
+            '</gpx>'
+        ].join('\n');
+    }
+
+    toKml(rows, title) {
+        const placemarks = rows.map(row => [
+            '    <Placemark>',
+            `      <name>${this.escapeXml(row.name)}</name>`,
+            row.address ? `      <address>${this.escapeXml(row.address)}</address>` : null,
+            row.phone ? `      <phoneNumber>${this.escapeXml(row.phone)}</phoneNumber>` : null,
+            `      <description>${this.escapeXml(this.describe(row))}</description>`,
+            '      <ExtendedData>',
+            ...['category', 'rating', 'website']
+                .filter(field => row[field] !== null && row[field] !== '')
+                .map(field => `        <Data name="${field}"><value>${this.escapeXml(String(row[field]))}</value></Data>`),
+            '      </ExtendedData>',
+            `      <Point><coordinates>${row.longitude},${row.latitude}</coordinates></Point>`,
+            '    </Placemark>'
+        ].filter(Boolean).join('\n'));
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<kml xmlns="http://www.opengis.net/kml/2.2">',
+            '  <Document>',
+            `    <name>${this.escapeXml(title)}</name>`,
+            ...placemarks,
+            '  </Document>',
+            '</kml>'
+        ].join('\n');
+    }
+
+    toCsv(rows) {
+        const lines = [EXPORT_FIELDS.join(',')];
+        rows.forEach(row => lines.push(EXPORT_FIELDS.map(field => this.csvCell(row[field])).join(',')));
+        return `${lines.join('\r\n')}\r\n`;
+    }
+
+    // One-line summary for formats without dedicated fields
+    describe(row) {
+        return [
+            row.category,
+            row.address,
+            row.rating !== null ? `Rating ${row.rating}/5` : '',
+            row.phone,
+            row.website
+        ].filter(Boolean).join(' · ');
+    }
+
+    // RFC 4180 quoting; text that a spreadsheet would run as a formula is prefixed with a quote
+    csvCell(value) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+        if (typeof value === 'number') {
+            return String(value);
+        }
+        const text = /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    escapeXml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+}
+
+class PlaceImporter {
+    constructor({ maxBytes = 5 * 1024 * 1024 } = {}) {
+        this.maxBytes = maxBytes;
+    }
+
+    // Read a File as a GeoJSON FeatureCollection, whatever format it was in
+    async readFile(file) {
+        if (file.size > this.maxBytes) {
+            throw new Error(`${file.name} is larger than ${Math.round(this.maxBytes / 1024 / 1024)} MB`);
+        }
+        return this.toGeoJson(await file.text(), file.name);
+    }
+
+    toGeoJson(text, fileName = '') {
+        const format = this.detectFormat(text, fileName);
+        const collection = format === 'geojson' ? this.parseGeoJson(text) : this.parseXml(text, format);
+        if (collection.features.length === 0) {
+            throw new Error(`No places or routes found in ${fileName || 'the file'}`);
+        }
+        return collection;
+    }
+
+    detectFormat(text, fileName) {
+        const extension = fileName.toLowerCase().split('.').pop();
+        if (['geojson', 'json'].includes(extension) || text.trimStart().startsWith('{')) {
+            return 'geojson';
+        }
+        if (extension === 'gpx' || /<gpx[\s>]/.test(text)) {
+            return 'gpx';
+        }
+        if (extension === 'kml' || /<kml[\s>]/.test(text)) {
+            return 'kml';
+        }
+        throw new Error('Unsupported file: choose a GeoJSON, GPX or KML file');
+    }
+
+    parseGeoJson(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('The GeoJSON file is not valid JSON');
+        }
+
+        const features = data.type === 'FeatureCollection' ? data.features
+            : data.type === 'Feature' ? [data]
+                : data.type ? [{ type: 'Feature', geometry: data, properties: {} }]
+                    : [];
+        return {
+            type: 'FeatureCollection',
+            features: (features || []).filter(feature => feature?.geometry && this.hasValidCoordinates(feature.geometry.coordinates))
+        };
+    }
+
+    // GPX waypoints, routes and tracks, and KML placemarks with points, lines or polygons
+    parseXml(text, format) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error(`The ${format.toUpperCase()} file is not valid XML`);
+        }
+        const features = format === 'gpx' ? this.gpxFeatures(doc) : this.kmlFeatures(doc);
+        return { type: 'FeatureCollection', features: features.filter(feature => this.hasValidCoordinates(feature.geometry.coordinates)) };
+    }
+
+    gpxFeatures(doc) {
+        const point = element => [parseFloat(element.getAttribute('lon')), parseFloat(element.getAttribute('lat'))];
+        const properties = element => ({
+            name: this.childText(element, 'name'),
+            category: this.childText(element, 'type'),
+            description: this.childText(element, 'desc')
+        });
+
+        const waypoints = [...doc.getElementsByTagName('wpt')].map(wpt => ({
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: point(wpt) },
+            properties: properties(wpt)
+        }));
+        const routes = [...doc.getElementsByTagName('rte')].map(rte => ({
+            type: 'Feature',
+            geometry: { type: 'LineString', coordinates: [...rte.getElementsByTagName('rtept')].map(point) },
+            properties: properties(rte)
+        }));
+        const tracks = [...doc.getElementsByTagName('trk')].map(trk => ({
+            type: 'Feature',
+            geometry: { type: 'LineString', coordinates: [...trk.getElementsByTagName('trkpt')].map(point) },
+            properties: properties(trk)
+        }));
+        return [...waypoints, ...routes, ...tracks];
+    }
+
+    kmlFeatures(doc) {
+        // "lon,lat[,alt] lon,lat[,alt] ..."
+        const coordinates = element => (element?.textContent || '')
+            .trim()
+            .split(/\s+/)
+            .filter(Boolean)
+            .map(tuple => tuple.split(',').slice(0, 2).map(Number));
+
+        return [...doc.getElementsByTagName('Placemark')].flatMap(placemark => {
+            const extended = Object.fromEntries([...placemark.getElementsByTagName('Data')]
+                .map(data => [data.getAttribute('name'), this.childText(data, 'value')]));
+            const properties = {
+                name: this.childText(placemark, 'name'),
+                category: extended.category || '',
+                address: this.childText(placemark, 'address'),
+                description: this.childText(placemark, 'description')
+            };
+
+            const points = [...placemark.getElementsByTagName('Point')]
+                .map(point => ({ type: 'Point', coordinates: coordinates(point.getElementsByTagName('coordinates')[0])[0] }));
+            const lines = [...placemark.getElementsByTagName('LineString')]
+                .map(line => ({ type: 'LineString', coordinates: coordinates(line.getElementsByTagName('coordinates')[0]) }));
+            const polygons = [...placemark.getElementsByTagName('Polygon')]
+                .map(polygon => ({ type: 'Polygon', coordinates: [coordinates(polygon.getElementsByTagName('coordinates')[0])] }));
+
+            return [...points, ...lines, ...polygons].map(geometry => ({ type: 'Feature', geometry, properties }));
+        });
+    }
+
+    childText(element, tagName) {
+        const child = [...element.childNodes].find(candidate => candidate.nodeType === 1 && candidate.localName === tagName);
+        return child ? child.textContent.trim() : '';
+    }
+
+    // Every [lon, lat] pair, at any nesting depth, must be finite and in range
+    hasValidCoordinates(coordinates) {
+        if (!Array.isArray(coordinates) || coordinates.length === 0) {
+            return false;
+        }
+        if (typeof coordinates[0] === 'number') {
+            const [lon, lat] = coordinates;
+            return Number.isFinite(lon) && Number.isFinite(lat) && Math.abs(lon) <= 180 && Math.abs(lat) <= 90;
+        }
+        return coordinates.every(inner => this.hasValidCoordinates(inner));
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PlaceExporter, PlaceImporter, EXPORT_FORMATS };
+}
@@ -0,0 +1,186 @@
+// QuestLens - Place ranking
+// Scores places against the parsed query and explains each score, independent of provider order.
+// Explanations are { key, values } messages for the UI's translator, like OpeningHours.describe().
+
+// Relative importance of each factor; factors that don't apply to a query or place are left out
+// and the remaining weights are rescaled, so scores stay 0-100.
+const RANKING_WEIGHTS = {
+    distance: 0.2,
+    rating: 0.25,
+    category: 0.25,
+    keywords: 0.15,
+    amenities: 0.15,
+    hours: 0.2
+};
+
+class PlaceRanker {
+    // intentTerms: { intent: [words] } used to match place categories;
+    // hoursStatus(place, searchParams): OpeningHours.describe() at the searched time, or null when the hours are unknown
+    constructor({ weights = RANKING_WEIGHTS, intentTerms = {}, hoursStatus = () => null } = {}) {
+        this.weights = weights;
+        this.intentTerms = intentTerms;
+        this.hoursStatus = hoursStatus;
+    }
+
+    // Sorted copy of places, best first; ties keep provider order
+    rank(places, searchParams, origin) {
+        return places
+            .map((place, index) => ({ place, index, ranking: this.score(place, searchParams, origin) }))
+            .sort((a, b) => b.ranking.score - a.ranking.score || a.index - b.index);
+    }
+
+    // { score, distanceKm, factors: [{ key, detail, points, maxPoints }], reasons: [chip message] }.
+    // Messages are { key, values }; values hold raw data (km, rating, intent and amenity keys, keyword hits,
+    // visitAt, an hours status) for the UI to format.
+    score(place, searchParams, origin) {
+        const factors = [
+            this.scoreDistance(place, searchParams, origin),
+            this.scoreRating(place),
+            this.scoreCategory(place, searchParams),
+            this.scoreKeywords(place, searchParams),
+            this.scoreAmenities(place, searchParams),
+            this.scoreHours(place, searchParams)
+        ].filter(Boolean);
+
+        const applicable = factors.filter(factor => factor.value !== null);
+        const totalWeight = applicable.reduce((sum, factor) => sum + this.weights[factor.key], 0);
+
+        factors.forEach(factor => {
+            const share = factor.value === null || totalWeight === 0 ? 0 : this.weights[factor.key] / totalWeight;
+            factor.maxPoints = Math.round(share * 100);
+            factor.points = Math.round(share * (factor.value || 0) * 100);
+        });
+
+        return {
+            score: Math.min(100, factors.reduce((sum, factor) => sum + factor.points, 0)),
+            distanceKm: factors.find(factor => factor.key === 'distance')?.km ?? null,
+            factors,
+            reasons: factors.filter(factor => factor.reason).map(factor => factor.reason)
+        };
+    }
+
+    scoreDistance(place, searchParams, origin) {
+        if (!origin || typeof place.lat !== 'number' || typeof place.lon !== 'number') {
+            return null;
+        }
+
+        const km = this.distanceKm(origin, place);
+        const radiusKm = (searchParams.radius || 5000) / 1000;
+        const value = Math.max(0, 1 - km / radiusKm);
+        const detail = { key: 'rank.away', values: { km } };
+        return { key: 'distance', value, km, detail, reason: value >= 0.6 ? detail : null };
+    }
+
+    scoreRating(place) {
+        if (typeof place.rating !== 'number') {
+            return { key: 'rating', value: null, detail: { key: 'rank.notRated' }, reason: null };
+        }
+
+        const values = { rating: place.rating };
+        return {
+            key: 'rating',
+            value: place.rating / 5,
+            detail: { key: 'rank.rating', values },
+            reason: place.rating >= 4 ? { key: 'rank.rated', values } : null
+        };
+    }
+
+    // Full marks for the main intent, partial for any other requested intent
+    scoreCategory(place, searchParams) {
+        const haystack = this.normalize([place.category, ...place.categories].join(' '));
+        const intents = searchParams.intents || [];
+        const matched = intents.find(intent => (this.intentTerms[intent] || [intent]).some(term => this.containsWord(haystack, term)));
+
+        if (!matched) {
+            return { key: 'category', value: 0, detail: { key: 'rank.notRequestedType', values: { category: place.category } }, reason: null };
+        }
+        return {
+            key: 'category',
+            value: matched === intents[0] ? 1 : 0.75,
+            detail: { key: 'rank.categoryMatches', values: { category: place.category, intent: matched } },
+            reason: { key: 'rank.matches', values: { intent: matched } }
+        };
+    }
+
+    // Name hits count most, then category, then user tips
+    scoreKeywords(place, searchParams) {
+        const keywords = (searchParams.keywords || '').split(/\s+/).filter(Boolean);
+        if (keywords.length === 0) {
+            return null;
+        }
+
+        const fields = [
+            { where: 'name', weight: 1, text: this.normalize(place.name) },
+            { where: 'category', weight: 0.8, text: this.normalize([place.category, ...place.categories].join(' ')) },
+            { where: 'tips', weight: 0.5, text: this.normalize((place.tips || []).join(' ')) }
+        ];
+        const hits = keywords
+            .map(keyword => ({ keyword, field: fields.find(field => this.containsWord(field.text, keyword)) }))
+            .filter(hit => hit.field);
+
+        const value = hits.reduce((sum, hit) => sum + hit.field.weight, 0) / keywords.length;
+        const detail = hits.length > 0
+            ? { key: 'rank.keywordHits', values: { hits: hits.map(hit => ({ keyword: hit.keyword, field: hit.field.where })) } }
+            : { key: 'rank.noMention', values: { keywords } };
+        return { key: 'keywords', value, detail, reason: hits.length > 0 ? detail : null };
+    }
+
+    scoreAmenities(place, searchParams) {
+        const requested = searchParams.amenities || [];
+        if (requested.length === 0) {
+            return null;
+        }
+
+        const present = requested.filter(amenity => (place.amenities || []).includes(amenity));
+        const missing = requested.filter(amenity => !present.includes(amenity));
+        const reason = present.length > 0 ? { key: 'rank.hasAmenities', values: { amenities: present } } : null;
+        const detail = missing.length === 0 ? reason
+            : present.length === 0 ? { key: 'rank.amenitiesMissing', values: { missing } }
+                : { key: 'rank.someAmenitiesMissing', values: { amenities: present, missing } };
+
+        return { key: 'amenities', value: present.length / requested.length, detail, reason };
+    }
+
+    // Only for searches with a time ("open now", "late night", a visit time); unknown hours neither help nor hurt
+    scoreHours(place, searchParams) {
+        if (!searchParams.openNow && !searchParams.visitAt) {
+            return null;
+        }
+
+        const status = this.hoursStatus(place, searchParams);
+        if (!status) {
+            return { key: 'hours', value: null, detail: { key: 'rank.hoursUnknown' }, reason: null };
+        }
+        // Keys end in Now, or At when the search named a time
+        const visitAt = searchParams.visitAt || null;
+        const when = visitAt ? 'At' : 'Now';
+        return {
+            key: 'hours',
+            value: status.open ? 1 : 0,
+            detail: { key: `rank.${status.open ? 'open' : 'closed'}${when}Hours`, values: { visitAt, status } },
+            reason: status.open ? { key: `rank.open${when}`, values: { visitAt } } : null
+        };
+    }
+
+    // Whole-word match in any script; \b only knows ASCII word characters, so a term like "مقهى" never matched
+    containsWord(text, term) {
+        const escaped = this.normalize(term).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(`(?<![\\p{L}\\p{N}_])${escaped}(?:e?s)?(?![\\p{L}\\p{N}_])`, 'u').test(text);
+    }
+
+    normalize(text) {
+        return (text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    }
+
+    // Equirectangular approximation; plenty for a city-sized search radius
+    distanceKm(origin, place) {
+        const toRad = value => value * Math.PI / 180;
+        const x = toRad(place.lon - origin.lon) * Math.cos(toRad((place.lat + origin.lat) / 2));
+        const y = toRad(place.lat - origin.lat);
+        return Math.sqrt(x * x + y * y) * 6371;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PlaceRanker, RANKING_WEIGHTS };
+}
@@ -0,0 +1,364 @@
+// QuestLens - Places provider layer
+// Every provider returns the same normalized Place model so the UI never reads provider-specific fields.
+
+// Normalized Place model shared by all providers. Providers fill in a translated name and category
+// when the source has none.
+function createPlace(fields) {
+    return {
+        id: fields.id,
+        name: fields.name || '',
+        category: fields.category || '',
+        categories: fields.categories || [],
+        lat: fields.lat,
+        lon: fields.lon,
+        address: fields.address || null,
+        rating: typeof fields.rating === 'number' ? fields.rating : null, // 0-5 scale
+        hours: fields.hours || null, // { display, openNow, regular: [{ day, open, close }] } or { display, osm: opening_hours }
+        timezone: fields.timezone || null, // IANA name; hours are wall-clock times there (services/opening-hours.js)
+        phone: fields.phone || null,
+        website: fields.website || null,
+        amenities: fields.amenities || [], // subset of wifi, parking, outdoor_seating, kid_friendly, wheelchair
+        tips: fields.tips || [], // short user tips, plain text
+        price: fields.price >= 1 && fields.price <= 4 ? fields.price : null, // 1 (cheap) to 4 (very expensive)
+        description: fields.description || null,
+        social: fields.social || [], // [{ network: facebook | instagram | twitter, url }]
+        provider: fields.provider,
+        isRealTime: fields.isRealTime !== false,
+        isSample: Boolean(fields.isSample),
+        isCached: Boolean(fields.isCached),
+        cachedAt: fields.cachedAt || null,
+        raw: fields.raw || null
+    };
+}
+
+// Place.price is a tier from 1 to 4
+const PRICE_TIER_LABELS = ['Inexpensive', 'Moderate', 'Expensive', 'Very expensive'];
+
+const SOCIAL_NETWORK_LABELS = {
+    facebook: 'Facebook',
+    instagram: 'Instagram',
+    twitter: 'X (Twitter)'
+};
+
+const SOCIAL_PROFILE_URLS = {
+    facebook: 'https://www.facebook.com/',
+    instagram: 'https://www.instagram.com/',
+    twitter: 'https://x.com/'
+};
+
+// { network: handle or profile URL } from a provider into the Place model's social links
+function createSocialLinks(handles) {
+    return Object.keys(SOCIAL_PROFILE_URLS)
+        .filter(network => handles[network])
+        .map(network => {
+            const value = String(handles[network]).trim();
+            return {
+                network,
+                url: /^https?:\/\//i.test(value) ? value : SOCIAL_PROFILE_URLS[network] + encodeURIComponent(value.replace(/^@/, ''))
+            };
+        });
+}
+
+// Drop places whose name or category mentions a negated term ("bars but not clubs").
+// Negated intents need no filtering here: their categories are never requested.
+function excludeNegatedPlaces(places, searchParams) {
+    const terms = (searchParams.excludedTerms || []).map(term => term.toLowerCase().replace(/(?:es|s)$/, ''));
+    if (terms.length === 0) {
+        return places;
+    }
+
+    return places.filter(place => {
+        const haystack = [place.name, place.category, ...place.categories].join(' ').toLowerCase();
+        return !terms.some(term => haystack.includes(term));
+    });
+}
+
+class FoursquareProvider {
+    // t(key, values): the UI's translator, for the labels a place without a name or category gets
+    constructor({ fetchJson, endpoints, t = key => key }) {
+        this.name = 'foursquare';
+        this.label = 'Foursquare';
+        this.fetchJson = fetchJson;
+        this.endpoints = endpoints;
+        this.t = t;
+
+        // Foursquare category mappings
+        this.categories = {
+            "restaurants": ["13000", "13001", "13002", "13003", "13004", "13005"],
+            "coffee": ["13032", "13033", "13034", "13035"],
+            "museums": ["12047", "12048", "12049"],
+            "attractions": ["12000", "12001", "12002", "12003"],
+            "hotels": ["19014", "19015", "19016"],
+            "shopping": ["17000", "17001", "17002", "17003"],
+            "nightlife": ["10000", "10001", "10002"],
+            "parks": ["16032", "16033", "16034"]
+        };
+
+        this.searchFields = 'fsq_id,name,categories,geocodes,location,distance';
+        this.detailFields = 'fsq_id,name,categories,geocodes,location,rating,hours,tel,website,price,timezone,features,tips,description,social_media';
+    }
+
+    async search(coordinates, searchParams, { signal } = {}) {
+        const params = new URLSearchParams({
+            ll: `${coordinates.lat},${coordinates.lon}`,
+            radius: searchParams.radius,
+            limit: Math.min(searchParams.limit, 20),
+            sort: 'POPULARITY',
+            fields: this.searchFields
+        });
+
+        const categories = searchParams.intents.flatMap(intent => this.categories[intent] || []);
+        if (categories.length > 0) {
+            params.append('categories', categories.join(','));
+        }
+
+        if (searchParams.keywords) {
+            params.append('query', searchParams.keywords);
+        }
+
+        // Structured constraints from the query parser; open_at is "DTHHMM" local to the place, day 1 = Monday
+        if (searchParams.openNow) {
+            params.append('open_now', 'true');
+        } else if (searchParams.visitAt?.day) {
+            const { day, minutes } = searchParams.visitAt;
+            params.append('open_at', `${day}T${String(Math.floor(minutes / 60)).padStart(2, '0')}${String(minutes % 60).padStart(2, '0')}`);
+        }
+        if (searchParams.price?.min) {
+            params.append('min_price', searchParams.price.min);
+        }
+        if (searchParams.price?.max) {
+            params.append('max_price', searchParams.price.max);
+        }
+        if (searchParams.excludeChains) {
+            params.append('exclude_all_chains', 'true');
+        }
+
+        const data = await this.fetchJson(`${this.endpoints.placesSearch}?${params}`, { cache: 'search', signal });
+        return excludeNegatedPlaces(this.readPlaces(data), searchParams);
+    }
+
+    // Places in a search response, also used to merge a refreshed cached response
+    readPlaces(data) {
+        return (data.results || []).map(result => this.normalize(result));
+    }
+
+    async getDetails(place, { signal } = {}) {
+        const params = new URLSearchParams({ fields: this.detailFields });
+        const url = `${this.endpoints.placeDetails}/${encodeURIComponent(place.id)}?${params}`;
+        const data = await this.fetchJson(url, { cache: 'details', signal });
+        return this.normalize(data, place);
+    }
+
+    // Photos for the detail drawer, most popular first: [{ url, thumbnail, width, height, createdAt }].
+    // Foursquare gives a URL prefix and suffix with the size in between.
+    async getPhotos(place, { limit = 10, signal } = {}) {
+        const params = new URLSearchParams({ limit, sort: 'POPULAR' });
+        const url = `${this.endpoints.placeDetails}/${encodeURIComponent(place.id)}/photos?${params}`;
+        const data = await this.fetchJson(url, { cache: 'details', signal });
+        return (Array.isArray(data) ? data : [])
+            .filter(photo => photo.prefix && photo.suffix)
+            .map(photo => ({
+                url: `${photo.prefix}800x600${photo.suffix}`,
+                thumbnail: `${photo.prefix}200x200${photo.suffix}`,
+                width: photo.width || null,
+                height: photo.height || null,
+                createdAt: photo.created_at || null
+            }));
+    }
+
+    // Newest tips first: [{ text, createdAt }]
+    async getTips(place, { limit = 5, signal } = {}) {
+        const params = new URLSearchParams({ limit, sort: 'NEWEST' });
+        const url = `${this.endpoints.placeDetails}/${encodeURIComponent(place.id)}/tips?${params}`;
+        const data = await this.fetchJson(url, { cache: 'details', signal });
+        return (Array.isArray(data) ? data : [])
+            .filter(tip => tip.text)
+            .map(tip => ({ text: tip.text, createdAt: tip.created_at || null }));
+    }
+
+    normalize(result, base = null) {
+        const main = result.geocodes?.main;
+        return createPlace({
+            id: result.fsq_id || base?.id,
+            name: result.name || base?.name || this.t('place.unnamed'),
+            category: result.categories?.[0]?.name || base?.category || this.t('place.defaultCategory'),
+            categories: (result.categories || []).map(category => category.name),
+            lat: main?.latitude ?? base?.lat,
+            lon: main?.longitude ?? base?.lon,
+            address: result.location?.formatted_address || result.location?.address || base?.address,
+            // Foursquare rates out of 10
+            rating: typeof result.rating === 'number' ? result.rating / 2 : base?.rating,
+            hours: result.hours
+                ? { display: result.hours.display, openNow: result.hours.open_now, regular: result.hours.regular || null }
+                : base?.hours,
+            timezone: result.timezone || base?.timezone,
+            phone: result.tel || base?.phone,
+            website: result.website || base?.website,
+            amenities: result.features ? this.normalizeAmenities(result.features) : base?.amenities,
+            tips: result.tips ? result.tips.map(tip => tip.text).filter(Boolean) : base?.tips,
+            price: result.price ?? base?.price,
+            description: result.description || base?.description,
+            social: result.social_media
+                ? createSocialLinks({ facebook: result.social_media.facebook_id, instagram: result.social_media.instagram, twitter: result.social_media.twitter })
+                : base?.social,
+            provider: this.name,
+            raw: result
+        });
+    }
+
+    // Foursquare reports WiFi as "t"/"f" or "free"/"paid", and parking as a set of flags
+    normalizeAmenities(features) {
+        const amenities = features.amenities || {};
+        const attributes = features.attributes || {};
+        const present = {
+            wifi: Boolean(amenities.wifi) && !['f', 'n', 'no', 'false'].includes(String(amenities.wifi).toLowerCase()),
+            parking: Object.values(amenities.parking || {}).some(Boolean),
+            outdoor_seating: amenities.outdoor_seating === true,
+            kid_friendly: attributes.good_for_kids === true || attributes.kid_friendly === true,
+            wheelchair: amenities.wheelchair_accessible === true
+        };
+        return Object.keys(present).filter(amenity => present[amenity]);
+    }
+}
+
+class OverpassProvider {
+    // language(): the UI language, for OSM's localized name:xx and description:xx tags; t as for Foursquare
+    constructor({ fetchJson, endpoints, language = () => 'en', t = key => key }) {
+        this.name = 'osm';
+        this.label = 'OpenStreetMap';
+        this.fetchJson = fetchJson;
+        this.endpoints = endpoints;
+        this.language = language;
+        this.t = t;
+
+        // OSM tag filters per intent; every filter also requires a name
+        this.tagFilters = {
+            "restaurants": ['["amenity"~"^(restaurant|fast_food|food_court)$"]'],
+            "coffee": ['["amenity"="cafe"]'],
+            "museums": ['["tourism"~"^(museum|gallery)$"]'],
+            "attractions": ['["tourism"~"^(attraction|viewpoint|artwork)$"]', '["historic"~"^(monument|memorial|castle)$"]'],
+            "hotels": ['["tourism"~"^(hotel|hostel|guest_house|motel)$"]'],
+            "shopping": ['["shop"~"^(mall|department_store|clothes|gift|books)$"]', '["amenity"="marketplace"]'],
+            "nightlife": ['["amenity"~"^(bar|pub|nightclub|biergarten)$"]'],
+            "parks": ['["leisure"~"^(park|garden|nature_reserve)$"]']
+        };
+
+        // Amenities OSM can express as tags; parking and kid-friendliness have no reliable tag on the place
+        this.amenityFilters = {
+            "wifi": '["internet_access"~"^(wlan|yes|wifi|terminal)$"]',
+            "outdoor_seating": '["outdoor_seating"="yes"]',
+            "wheelchair": '["wheelchair"~"^(yes|limited)$"]'
+        };
+
+        this.categoryKeys = ['amenity', 'tourism', 'leisure', 'shop', 'historic'];
+    }
+
+    buildQuery(coordinates, searchParams) {
+        const filters = searchParams.intents.flatMap(intent => this.tagFilters[intent] || []);
+        const constraints = searchParams.amenities.map(amenity => this.amenityFilters[amenity] || '').join('') +
+            // Chain outlets carry a brand tag in OSM
+            (searchParams.excludeChains ? '[!"brand"]' : '');
+        const around = `(around:${searchParams.radius},${coordinates.lat},${coordinates.lon})`;
+        const statements = (filters.length > 0 ? filters : this.tagFilters.attractions)
+            .map(filter => `nwr${filter}["name"]${constraints}${around};`)
+            .join('');
+        const limit = Math.min(searchParams.limit, 20);
+        return `[out:json][timeout:25];(${statements});out tags center ${limit};`;
+    }
+
+    async search(coordinates, searchParams, { signal } = {}) {
+        const params = new URLSearchParams({ data: this.buildQuery(coordinates, searchParams) });
+        const data = await this.fetchJson(`${this.endpoints.overpass}?${params}`, { cache: 'search', signal });
+        return excludeNegatedPlaces(this.readPlaces(data), searchParams);
+    }
+
+    readPlaces(data) {
+        return (data.elements || [])
+            .map(element => this.normalize(element))
+            .filter(place => typeof place.lat === 'number' && typeof place.lon === 'number');
+    }
+
+    // Overpass already returns every tag with the search, so there is nothing more to fetch
+    async getDetails(place) {
+        return place;
+    }
+
+    // OpenStreetMap has no photos or tips of its own
+    async getPhotos() {
+        return [];
+    }
+
+    async getTips() {
+        return [];
+    }
+
+    normalize(element) {
+        const tags = element.tags || {};
+        const language = this.language();
+        return createPlace({
+            id: `osm:${element.type}/${element.id}`,
+            name: tags[`name:${language}`] || tags.name || this.t('place.unnamed'),
+            category: this.categoryLabel(tags),
+            categories: this.categoryKeys.filter(key => tags[key]).map(key => tags[key]),
+            lat: element.lat ?? element.center?.lat,
+            lon: element.lon ?? element.center?.lon,
+            address: this.formatAddress(tags),
+            hours: tags.opening_hours ? { display: tags.opening_hours, osm: tags.opening_hours } : null,
+            phone: tags.phone || tags['contact:phone'],
+            website: tags.website || tags['contact:website'],
+            amenities: this.normalizeAmenities(tags),
+            description: tags[`description:${language}`] || tags.description,
+            social: createSocialLinks({
+                facebook: tags['contact:facebook'],
+                instagram: tags['contact:instagram'],
+                twitter: tags['contact:twitter']
+            }),
+            provider: this.name,
+            raw: element
+        });
+    }
+
+    normalizeAmenities(tags) {
+        const present = {
+            wifi: /^(wlan|yes|wifi|terminal)$/.test(tags.internet_access || ''),
+            parking: Boolean(tags.parking) && tags.parking !== 'no',
+            outdoor_seating: tags.outdoor_seating === 'yes',
+            kid_friendly: tags.kids_area === 'yes' || tags.changing_table === 'yes',
+            wheelchair: /^(yes|limited)$/.test(tags.wheelchair || '')
+        };
+        return Object.keys(present).filter(amenity => present[amenity]);
+    }
+
+    // Tag values the app searches for are translated; others, and cuisines, are shown as OSM spells them.
+    // The translator answers with the key itself for a message it doesn't have.
+    categoryLabel(tags) {
+        const key = this.categoryKeys.find(candidate => tags[candidate]);
+        if (!key) {
+            return this.t('place.defaultCategory');
+        }
+        const translated = this.t(`osm.${tags[key]}`);
+        const label = translated === `osm.${tags[key]}` ? this.humanize(tags[key]) : translated;
+        const cuisine = tags.cuisine ? this.humanize(tags.cuisine.split(';')[0]) : null;
+        return cuisine ? this.t('osm.withCuisine', { cuisine, category: label }) : label;
+    }
+
+    formatAddress(tags) {
+        const street = [tags['addr:housenumber'], tags['addr:street']].filter(Boolean).join(' ');
+        const parts = [street, tags['addr:postcode'], tags['addr:city']].filter(Boolean);
+        return parts.length > 0 ? parts.join(', ') : null;
+    }
+
+    humanize(value) {
+        return value
+            .replace(/_/g, ' ')
+            .replace(/\b\w/g, letter => letter.toUpperCase());
+    }
+}
+
+// Provider registry; the key is what config.placesProvider refers to
+function createPlacesProviders(options) {
+    return {
+        foursquare: new FoursquareProvider(options),
+        osm: new OverpassProvider(options)
+    };
+}
@@ -0,0 +1,551 @@
+// QuestLens - Structured query parser
+// Rule-based: turns free text into intents, required amenities, price, time and distance constraints.
+
+const QUERY_VOCABULARY = {
+    // Matched as whole words, with an optional plural "s"/"es"
+    intents: {
+        restaurants: ['restaurant', 'food', 'eat', 'eatery', 'dining', 'meal', 'lunch', 'dinner', 'breakfast', 'brunch', 'ramen', 'sushi', 'pizza', 'burger', 'noodle', 'bistro', 'diner'],
+        coffee: ['coffee', 'cafe', 'espresso', 'latte', 'cappuccino', 'tea house', 'starbucks'],
+        museums: ['museum', 'gallery', 'galleries', 'art', 'history', 'exhibition', 'culture'],
+        attractions: ['attraction', 'tourist', 'landmark', 'monument', 'sightseeing', 'temple', 'shrine', 'gem', 'viewpoint'],
+        hotels: ['hotel', 'accommodation', 'stay', 'lodge', 'lodging', 'inn', 'resort', 'hostel'],
+        shopping: ['shop', 'shopping', 'mall', 'store', 'boutique', 'market'],
+        nightlife: ['bar', 'club', 'nightlife', 'drinks', 'pub', 'lounge', 'cocktail'],
+        parks: ['park', 'garden', 'nature', 'outdoor', 'green space', 'recreation', 'jogging', 'running', 'hiking']
+    },
+
+    // Generic heads that only name another intent when not modifying one ("coffee shop" is coffee)
+    compoundHeads: ['shop', 'store', 'house', 'bar', 'market'],
+
+    amenities: {
+        wifi: ['wifi', 'wireless', 'internet', 'laptop friendly', 'laptop-friendly', 'remote work', 'work remotely'],
+        parking: ['parking', 'car park', 'parking lot', 'garage'],
+        outdoor_seating: ['outdoor seating', 'outside seating', 'terrace', 'patio', 'al fresco', 'alfresco', 'rooftop'],
+        kid_friendly: ['kid friendly', 'kid-friendly', 'kids', 'child friendly', 'child-friendly', 'children', 'family-friendly', 'family friendly', 'family', 'families'],
+        wheelchair: ['wheelchair', 'wheelchair accessible', 'accessible', 'accessibility', 'step-free', 'step free']
+    },
+
+    // Price levels follow the 1-4 scale used by Foursquare
+    priceLevels: [
+        { words: ['cheap', 'budget', 'budget-friendly', 'inexpensive', 'affordable', 'low cost', 'low-cost'], range: { max: 2 } },
+        { words: ['mid-range', 'mid range', 'moderate', 'moderately priced'], range: { min: 2, max: 3 } },
+        { words: ['upscale', 'fancy', 'fine dining', 'high end', 'high-end', 'expensive'], range: { min: 3 } },
+        { words: ['luxury', 'luxurious', 'splurge'], range: { min: 4 } }
+    ],
+
+    openNow: ['open now', 'open right now', 'currently open', 'still open', 'right now'],
+
+    // Times are local to the place, "HH:MM"; a window may wrap past midnight
+    timeWindows: [
+        { words: ['late night', 'late-night', 'after midnight', 'midnight'], label: 'late night', start: '22:00', end: '02:00' },
+        { words: ['breakfast'], label: 'breakfast', start: '07:00', end: '10:30' },
+        { words: ['brunch'], label: 'brunch', start: '10:00', end: '14:00' },
+        { words: ['lunch', 'lunchtime'], label: 'lunch', start: '11:30', end: '14:30' },
+        { words: ['dinner', 'supper'], label: 'dinner', start: '18:00', end: '21:30' },
+        { words: ['tonight', 'this evening', 'evening'], label: 'evening', start: '19:00', end: '23:00' },
+        { words: ['morning'], label: 'morning', start: '06:00', end: '11:00' }
+    ],
+
+    nearby: ['nearby', 'near me', 'close by', 'close', 'walking distance', 'walkable', 'walking'],
+    few: ['few', 'couple', 'handful'],
+    negations: ['not', 'no', 'without', 'except', 'excluding', 'avoid', 'avoiding'],
+    // Chains are excluded when negated ("no chains"); independent phrases need no negation word
+    chains: ['chain', 'franchise'],
+    independent: ['non-chain', 'independent', 'independently owned'],
+
+    units: {
+        km: ['km', 'kilometer', 'kilometers', 'kilometre', 'kilometres'],
+        m: ['m', 'meter', 'meters', 'metre', 'metres'],
+        mi: ['mi', 'mile', 'miles']
+    },
+
+    stopWords: ['best', 'good', 'great', 'top', 'popular', 'amazing', 'nice', 'with', 'for', 'the', 'a', 'an',
+        'and', 'or', 'of', 'in', 'to', 'at', 'on', 'near', 'some', 'any', 'that', 'are', 'is', 'where', 'find',
+        'show', 'me', 'looking', 'want', 'suitable', 'perfect', 'friendly', 'place', 'places', 'spot', 'spots', 'but']
+};
+
+// Words added to the English vocabulary for queries in other UI languages, written without accents (queries are
+// folded the same way). Lists extend the English list of the same name; priceLevels follow the English levels by
+// index and timeWindows are keyed by the English label.
+const QUERY_VOCABULARY_LANGUAGES = {
+    es: {
+        intents: {
+            restaurants: ['restaurante', 'comida', 'comer', 'cenar', 'almorzar', 'almuerzo', 'cena', 'desayuno', 'tapas', 'pizzeria', 'marisqueria', 'taqueria'],
+            coffee: ['cafe', 'cafeteria'],
+            museums: ['museo', 'galeria', 'arte', 'historia', 'exposicion', 'exposiciones', 'cultura'],
+            attractions: ['atraccion', 'atracciones', 'turistico', 'monumento', 'mirador', 'templo', 'lugar de interes'],
+            hotels: ['hotel', 'alojamiento', 'hostal', 'albergue', 'posada'],
+            shopping: ['tienda', 'compras', 'centro comercial', 'mercado'],
+            nightlife: ['discoteca', 'copas', 'coctel', 'cocteles', 'vida nocturna'],
+            parks: ['parque', 'jardin', 'jardines', 'naturaleza', 'correr', 'senderismo']
+        },
+        amenities: {
+            wifi: ['internet', 'para trabajar'],
+            parking: ['aparcamiento', 'estacionamiento', 'garaje'],
+            outdoor_seating: ['terraza', 'al aire libre'],
+            kid_friendly: ['ninos', 'para ninos', 'familia', 'familias', 'familiar'],
+            wheelchair: ['silla de ruedas', 'accesible', 'accesibilidad']
+        },
+        priceLevels: [
+            ['barato', 'barata', 'baratos', 'baratas', 'economico', 'economica', 'asequible'],
+            ['precio medio', 'moderado'],
+            ['caro', 'cara', 'caros', 'elegante', 'alta cocina'],
+            ['lujo', 'lujoso', 'lujosa']
+        ],
+        openNow: ['abierto ahora', 'abierta ahora', 'abiertos ahora', 'ahora mismo'],
+        timeWindows: {
+            'late night': ['de madrugada', 'madrugada', 'medianoche'],
+            breakfast: ['desayuno', 'desayunar'],
+            lunch: ['almuerzo', 'almorzar'],
+            dinner: ['cena', 'cenar'],
+            evening: ['esta noche', 'por la noche'],
+            morning: ['por la manana']
+        },
+        nearby: ['cerca', 'cerca de mi', 'a pie', 'caminando'],
+        few: ['pocos', 'algunos', 'unos cuantos'],
+        negations: ['sin', 'excepto', 'salvo', 'evitar', 'ni'],
+        chains: ['cadena', 'franquicia'],
+        independent: ['independiente'],
+        units: {
+            km: ['kilometro', 'kilometros'],
+            m: ['metro', 'metros'],
+            mi: ['milla', 'millas']
+        },
+        stopWords: ['mejor', 'mejores', 'bueno', 'buena', 'buenos', 'buenas', 'con', 'para', 'el', 'la', 'los', 'las',
+            'un', 'una', 'unos', 'unas', 'de', 'del', 'en', 'al', 'que', 'donde', 'lugar', 'lugares', 'sitio', 'sitios',
+            'quiero', 'busco', 'por', 'muy', 'mas']
+    },
+    fr: {
+        intents: {
+            restaurants: ['manger', 'repas', 'dejeuner', 'petit dejeuner', 'bistrot', 'brasserie', 'pizzeria', 'cuisine'],
+            coffee: ['cafe', 'salon de the'],
+            museums: ['musee', 'galerie', 'exposition', 'histoire'],
+            attractions: ['touristique', 'belvedere', 'incontournable'],
+            hotels: ['hebergement', 'auberge', 'logement', 'gite'],
+            shopping: ['magasin', 'centre commercial', 'marche'],
+            nightlife: ['boite de nuit', 'boite', 'vie nocturne'],
+            parks: ['parc', 'jardin', 'espace vert', 'courir', 'randonnee']
+        },
+        amenities: {
+            wifi: ['pour travailler'],
+            parking: ['stationnement'],
+            outdoor_seating: ['terrasse', 'en plein air'],
+            kid_friendly: ['enfants', 'pour enfants', 'famille', 'familles', 'familial'],
+            wheelchair: ['fauteuil roulant', 'accessibilite', 'pmr']
+        },
+        priceLevels: [
+            ['pas cher', 'pas chere', 'bon marche', 'abordable', 'economique', 'petit budget'],
+            ['prix moyen', 'prix moderes', 'modere'],
+            ['cher', 'chere', 'chers', 'chic', 'haut de gamme', 'gastronomique'],
+            ['luxe', 'luxueux', 'luxueuse']
+        ],
+        openNow: ['ouvert maintenant', 'ouvert en ce moment', 'actuellement ouvert', 'encore ouvert'],
+        timeWindows: {
+            'late night': ['tard le soir', 'apres minuit', 'minuit'],
+            breakfast: ['petit dejeuner', 'petit-dejeuner'],
+            lunch: ['dejeuner', 'midi'],
+            dinner: ['diner', 'souper'],
+            evening: ['ce soir', 'soiree', 'soir'],
+            morning: ['matin', 'matinee']
+        },
+        nearby: ['pres', 'pres d\'ici', 'a proximite', 'a pied', 'proche'],
+        few: ['quelques'],
+        negations: ['sans', 'pas de', 'sauf', 'eviter', 'hors'],
+        chains: ['chaine'],
+        independent: ['independant', 'independante'],
+        units: {
+            km: ['kilometre', 'kilometres'],
+            m: ['metre', 'metres']
+        },
+        stopWords: ['meilleur', 'meilleurs', 'meilleure', 'meilleures', 'bon', 'bons', 'bonne', 'bonnes', 'avec', 'pour',
+            'le', 'la', 'les', 'un', 'une', 'des', 'du', 'de', 'et', 'ou', 'dans', 'au', 'aux', 'qui', 'que', 'lieu',
+            'lieux', 'endroit', 'endroits', 'je', 'cherche', 'veux', 'trouver', 'tres', 'plus', 'sympa']
+    },
+    ar: {
+        intents: {
+            restaurants: ['مطعم', 'مطاعم', 'المطعم', 'المطاعم', 'طعام', 'أكل', 'غداء', 'عشاء', 'فطور', 'مشويات', 'بيتزا'],
+            coffee: ['مقهى', 'مقاهي', 'المقهى', 'قهوة', 'كافيه'],
+            museums: ['متحف', 'متاحف', 'المتحف', 'معرض', 'معارض', 'فن', 'تاريخ', 'ثقافة'],
+            attractions: ['معلم', 'معالم', 'سياحي', 'سياحية', 'نصب', 'قلعة'],
+            hotels: ['فندق', 'فنادق', 'الفندق', 'إقامة', 'نزل'],
+            shopping: ['تسوق', 'سوق', 'أسواق', 'مول', 'متجر', 'متاجر', 'محل', 'محلات'],
+            nightlife: ['بار', 'ملهى', 'حياة ليلية'],
+            parks: ['حديقة', 'حدائق', 'منتزه', 'طبيعة', 'جري']
+        },
+        amenities: {
+            wifi: ['واي فاي', 'وايفاي', 'انترنت', 'إنترنت'],
+            parking: ['موقف سيارات', 'مواقف سيارات', 'موقف'],
+            outdoor_seating: ['جلسات خارجية', 'جلسة خارجية', 'تراس', 'في الهواء الطلق'],
+            kid_friendly: ['أطفال', 'للأطفال', 'الأطفال', 'عائلات', 'للعائلات', 'عائلي', 'عائلية'],
+            wheelchair: ['كرسي متحرك', 'الكراسي المتحركة', 'ذوي الاحتياجات الخاصة']
+        },
+        priceLevels: [
+            ['رخيص', 'رخيصة', 'اقتصادي', 'اقتصادية', 'بأسعار معقولة'],
+            ['متوسط السعر', 'أسعار متوسطة'],
+            ['غالي', 'غالية', 'راقي', 'راقية'],
+            ['فاخر', 'فاخرة', 'فخم', 'فخمة']
+        ],
+        openNow: ['مفتوح الآن', 'مفتوحة الآن', 'مفتوح حاليا', 'الآن'],
+        timeWindows: {
+            'late night': ['آخر الليل', 'بعد منتصف الليل', 'منتصف الليل'],
+            breakfast: ['فطور', 'الفطور', 'إفطار'],
+            lunch: ['غداء', 'الغداء'],
+            dinner: ['عشاء', 'العشاء'],
+            evening: ['الليلة', 'مساء', 'المساء'],
+            morning: ['صباح', 'الصباح', 'صباحا']
+        },
+        nearby: ['قريب', 'قريبة', 'بالقرب', 'قريب مني', 'بالقرب مني', 'مشيا'],
+        few: ['بعض', 'قليل'],
+        negations: ['بدون', 'بلا', 'ليس', 'غير', 'ما عدا', 'باستثناء'],
+        chains: ['سلسلة', 'سلاسل'],
+        independent: ['مستقل', 'مستقلة'],
+        units: {
+            km: ['كم', 'كيلومتر', 'كيلومترات'],
+            m: ['متر', 'أمتار'],
+            mi: ['ميل', 'أميال']
+        },
+        stopWords: ['أفضل', 'أحسن', 'جيد', 'جيدة', 'مع', 'في', 'من', 'إلى', 'على', 'عن', 'أو', 'قرب', 'أريد', 'أبحث',
+            'مكان', 'أماكن', 'ضمن']
+    }
+};
+
+// Display names for amenity keys, shared with the ranking chips
+const AMENITY_LABELS = {
+    wifi: 'WiFi',
+    parking: 'parking',
+    outdoor_seating: 'outdoor seating',
+    kid_friendly: 'kid-friendly',
+    wheelchair: 'wheelchair access'
+};
+
+const QUERY_DEFAULTS = {
+    radius: 5000,
+    nearbyRadius: 2000,
+    minRadius: 100,
+    maxRadius: 50000,
+    limit: 20,
+    fewLimit: 10,
+    walkingMetersPerMinute: 80,
+    maxKeywords: 3
+};
+
+// Lowercase without accents, the form queries and vocabulary are compared in. NFC puts back the Arabic letters
+// that NFD splits into a base letter and a mark outside the Latin accent range.
+function foldText(text) {
+    return text.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').normalize('NFC');
+}
+
+// base with the additions of one QUERY_VOCABULARY_LANGUAGES entry appended to each list
+function extendVocabulary(base, additions) {
+    const fold = words => (words || []).map(foldText);
+    const mergeLists = (lists, extra = {}) =>
+        Object.fromEntries(Object.entries(lists).map(([key, words]) => [key, [...words, ...fold(extra[key])]]));
+    const listKeys = ['openNow', 'nearby', 'few', 'negations', 'chains', 'independent', 'stopWords'];
+
+    return {
+        ...base,
+        ...Object.fromEntries(listKeys.map(key => [key, [...base[key], ...fold(additions[key])]])),
+        intents: mergeLists(base.intents, additions.intents),
+        amenities: mergeLists(base.amenities, additions.amenities),
+        units: mergeLists(base.units, additions.units),
+        priceLevels: base.priceLevels.map((level, index) => ({ ...level, words: [...level.words, ...fold(additions.priceLevels?.[index])] })),
+        timeWindows: base.timeWindows.map(window => ({ ...window, words: [...window.words, ...fold(additions.timeWindows?.[window.label])] }))
+    };
+}
+
+// Vocabulary for queries typed in a UI language: English plus that language's words, since people mix the two
+function vocabularyFor(language) {
+    const additions = QUERY_VOCABULARY_LANGUAGES[language];
+    return additions ? extendVocabulary(QUERY_VOCABULARY, additions) : QUERY_VOCABULARY;
+}
+
+class QueryParser {
+    constructor({ vocabulary = QUERY_VOCABULARY, defaults = QUERY_DEFAULTS } = {}) {
+        this.vocabulary = vocabulary;
+        this.defaults = defaults;
+    }
+
+    parse(query) {
+        const text = this.normalize(query);
+        const consumed = { text };
+        const result = {
+            text: query,
+            intent: 'attractions',
+            intents: [],
+            excludedIntents: [],
+            keywords: '',
+            amenities: [],
+            price: null,
+            openNow: false,
+            timeWindow: null,
+            radius: this.defaults.radius,
+            limit: this.defaults.limit,
+            excludeChains: false,
+            excludedTerms: []
+        };
+
+        // Order matters: negated words and amenity phrases must not be read as intents
+        this.extractNegations(consumed, result);
+        this.extractAmenities(consumed, result);
+        this.extractDistance(consumed, result);
+        this.extractLimit(consumed, result);
+
+        const intentText = consumed.text;
+        this.extractPrice(consumed, result);
+        this.extractTime(consumed, result);
+
+        // "bars but not clubs" negates a term, not the whole nightlife intent
+        const mentioned = this.detectIntents(intentText);
+        const negated = result.excludedIntents;
+        result.excludedIntents = negated.filter(entry => !mentioned.includes(entry.intent)).map(entry => entry.intent);
+        result.excludedTerms.push(...negated.filter(entry => mentioned.includes(entry.intent)).map(entry => entry.term));
+
+        result.intents = mentioned.filter(intent => !result.excludedIntents.includes(intent));
+        if (result.intents.length > 0) {
+            result.intent = result.intents[0];
+        } else {
+            result.intents = [result.intent];
+        }
+
+        result.keywords = this.extractKeywords(consumed.text);
+        return result;
+    }
+
+    normalize(query) {
+        return foldText(query)
+            .replace(/\bwi-fi\b/g, 'wifi')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    // Build a whole-word pattern for a list of phrases, longest first so "family-friendly" beats "family".
+    // Word characters are letters and digits in any script, not just \w.
+    phrasePattern(phrases, { plural = false, flags = 'g' } = {}) {
+        const escaped = [...phrases]
+            .sort((a, b) => b.length - a.length)
+            .map(phrase => phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        const suffix = plural ? '(?:e?s)?' : '';
+        return new RegExp(`(?<![\\p{L}\\p{N}_-])(?:${escaped.join('|')})${suffix}(?![\\p{L}\\p{N}_-])`, `${flags}u`);
+    }
+
+    // Remove matches from the working text so later extractors and keywords don't see them
+    consume(consumed, pattern) {
+        const matches = [];
+        consumed.text = consumed.text.replace(pattern, (...args) => {
+            matches.push(args);
+            return ' ';
+        }).replace(/\s+/g, ' ').trim();
+        return matches;
+    }
+
+    extractNegations(consumed, result) {
+        const { negations, chains, independent, intents, priceLevels } = this.vocabulary;
+
+        if (this.consume(consumed, this.phrasePattern(independent)).length > 0) {
+            result.excludeChains = true;
+        }
+
+        const pattern = new RegExp(
+            `(?<![\\p{L}\\p{N}_])(?:${negations.join('|')})\\s+(?:any\\s+|the\\s+|too\\s+)?([\\p{L}\\p{N}_-]+)`, 'gu');
+        this.consume(consumed, pattern).forEach(([, term]) => {
+            const singular = term.replace(/(?:es|s)$/, '');
+            const intent = Object.keys(intents).find(key =>
+                intents[key].includes(term) || intents[key].includes(singular));
+
+            if (chains.includes(term) || chains.includes(singular)) {
+                result.excludeChains = true;
+            } else if (intent) {
+                // Resolved against the positively mentioned intents in parse()
+                result.excludedIntents.push({ intent, term });
+            } else if (priceLevels.some(level => level.range.min >= 3 && level.words.includes(term))) {
+                // "not expensive"
+                result.price = { max: 2 };
+            } else {
+                result.excludedTerms.push(term);
+            }
+        });
+    }
+
+    extractAmenities(consumed, result) {
+        Object.entries(this.vocabulary.amenities).forEach(([amenity, phrases]) => {
+            if (this.consume(consumed, this.phrasePattern(phrases)).length > 0) {
+                result.amenities.push(amenity);
+            }
+        });
+    }
+
+    extractDistance(consumed, result) {
+        const { units, nearby } = this.vocabulary;
+        const unitNames = Object.values(units).flat().sort((a, b) => b.length - a.length).join('|');
+
+        const distancePattern = new RegExp(
+            `\\b(?:within|under|less than|up to|in)?\\s*(\\d+(?:[.,]\\d+)?)\\s*(${unitNames})(?![\\p{L}\\p{N}_])`, 'u');
+        const walkPattern = /\b(?:within\s+)?(?:an?\s+)?(\d+)[\s-]*(?:min|mins|minute|minutes)(?:'s)?[\s-]+walk(?:ing)?(?:\s+distance)?\b/;
+
+        const distanceMatch = this.consume(consumed, distancePattern)[0];
+        const walkMatch = distanceMatch ? null : this.consume(consumed, walkPattern)[0];
+        let radius = null;
+
+        if (distanceMatch) {
+            const value = parseFloat(distanceMatch[1].replace(',', '.'));
+            const unit = Object.keys(units).find(key => units[key].includes(distanceMatch[2]));
+            radius = value * { km: 1000, m: 1, mi: 1609.34 }[unit];
+        } else if (walkMatch) {
+            radius = parseInt(walkMatch[1], 10) * this.defaults.walkingMetersPerMinute;
+        } else if (this.consume(consumed, this.phrasePattern(nearby)).length > 0) {
+            radius = this.defaults.nearbyRadius;
+        }
+
+        if (radius !== null) {
+            result.radius = Math.round(Math.min(this.defaults.maxRadius, Math.max(this.defaults.minRadius, radius)));
+        }
+    }
+
+    extractLimit(consumed, result) {
+        const explicit = this.consume(consumed, /\btop\s+(\d{1,2})\b|\b(\d{1,2})\s+(?=(?:\w+\s+)?(?:places|spots|options|ideas)\b)/)[0];
+        if (explicit) {
+            result.limit = Math.min(this.defaults.limit, parseInt(explicit[1] || explicit[2], 10));
+        } else if (this.consume(consumed, this.phrasePattern(this.vocabulary.few)).length > 0) {
+            result.limit = this.defaults.fewLimit;
+        }
+    }
+
+    extractPrice(consumed, result) {
+        for (const level of this.vocabulary.priceLevels) {
+            if (this.consume(consumed, this.phrasePattern(level.words)).length > 0) {
+                result.price = { ...level.range };
+                return;
+            }
+        }
+
+        // "$$" style price hints
+        const dollars = this.consume(consumed, /(?:^|\s)(\${1,4})(?=\s|$)/)[0];
+        if (dollars) {
+            result.price = { min: dollars[1].length, max: dollars[1].length };
+        }
+    }
+
+    extractTime(consumed, result) {
+        if (this.consume(consumed, this.phrasePattern(this.vocabulary.openNow)).length > 0) {
+            result.openNow = true;
+        }
+
+        // Explicit clock times need am/pm or minutes so "at 5 museums" isn't read as a time
+        const clockPattern = /\b(at|after|around|from|before|until|by)\s+(\d{1,2})(?::(\d{2}))?\s*(am|pm)?(?=\s|$)/;
+        const clock = this.consume(consumed, clockPattern)[0];
+        if (clock && (clock[3] || clock[4])) {
+            const time = this.formatTime(clock[2], clock[3], clock[4]);
+            if (['before', 'until', 'by'].includes(clock[1])) {
+                result.timeWindow = { label: `before ${time}`, start: null, end: time };
+            } else if (clock[1] === 'after' || clock[1] === 'from') {
+                result.timeWindow = { label: `after ${time}`, start: time, end: null };
+            } else {
+                result.timeWindow = { label: `at ${time}`, start: time, end: this.addHours(time, 1) };
+            }
+            return;
+        }
+
+        for (const window of this.vocabulary.timeWindows) {
+            if (this.consume(consumed, this.phrasePattern(window.words)).length > 0) {
+                result.timeWindow = { label: window.label, start: window.start, end: window.end };
+                return;
+            }
+        }
+    }
+
+    formatTime(hours, minutes, meridiem) {
+        let hour = parseInt(hours, 10) % 24;
+        if (meridiem === 'pm' && hour < 12) {
+            hour += 12;
+        } else if (meridiem === 'am' && hour === 12) {
+            hour = 0;
+        }
+        return `${String(hour).padStart(2, '0')}:${minutes || '00'}`;
+    }
+
+    addHours(time, hours) {
+        const [hour, minute] = time.split(':').map(Number);
+        return `${String((hour + hours) % 24).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+    }
+
+    // All intents mentioned, in the order they appear in the query
+    detectIntents(text) {
+        const { intents, compoundHeads } = this.vocabulary;
+        const allWords = Object.values(intents).flat();
+        const found = [];
+
+        Object.entries(intents).forEach(([intent, words]) => {
+            const pattern = this.phrasePattern(words, { plural: true });
+            let match;
+            while ((match = pattern.exec(text)) !== null) {
+                const word = match[0].replace(/(?:es|s)$/, '');
+                const previous = text.slice(0, match.index).trim().split(' ').pop();
+                const previousWord = previous ? previous.replace(/(?:es|s)$/, '') : '';
+                const modifiesOther = compoundHeads.includes(word) &&
+                    (allWords.includes(previous) || allWords.includes(previousWord)) &&
+                    !words.includes(previous) && !words.includes(previousWord);
+
+                if (!modifiesOther) {
+                    found.push({ intent, index: match.index });
+                    break;
+                }
+            }
+        });
+
+        return found.sort((a, b) => a.index - b.index).map(entry => entry.intent);
+    }
+
+    extractKeywords(text) {
+        const stopWords = this.vocabulary.stopWords;
+        return text
+            .split(' ')
+            .map(word => word.replace(/[^\p{L}\p{N}_-]/gu, ''))
+            .filter(word => word.length > 2 && !stopWords.includes(word))
+            .slice(0, this.defaults.maxKeywords)
+            .join(' ');
+    }
+
+    // The constraints that were understood, as { key, values } messages for the UI's translator; values keep
+    // intent and amenity keys, the radius in km and the time window for it to format
+    summarize(parsed) {
+        const parts = [];
+
+        if (parsed.intents.length > 0) {
+            parts.push({ key: 'summary.intents', values: { intents: parsed.intents } });
+        }
+        if (parsed.amenities.length > 0) {
+            parts.push({ key: 'summary.with', values: { amenities: parsed.amenities } });
+        }
+        if (parsed.price) {
+            parts.push({ key: 'summary.price', values: { range: `${'$'.repeat(parsed.price.min || 1)}–${'$'.repeat(parsed.price.max || 4)}` } });
+        }
+        if (parsed.openNow) {
+            parts.push({ key: 'summary.openNow' });
+        }
+        if (parsed.timeWindow) {
+            parts.push({ key: 'summary.timeWindow', values: { visitAt: parsed.timeWindow } });
+        }
+        parts.push({ key: 'summary.within', values: { km: parsed.radius / 1000 } });
+        if (parsed.excludeChains) {
+            parts.push({ key: 'summary.noChains' });
+        }
+        if (parsed.excludedIntents.length > 0 || parsed.excludedTerms.length > 0) {
+            parts.push({ key: 'summary.excluding', values: { excluded: [...parsed.excludedIntents, ...parsed.excludedTerms] } });
+        }
+
+        return parts;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        QueryParser,
+        QUERY_VOCABULARY,
+        QUERY_VOCABULARY_LANGUAGES,
+        QUERY_DEFAULTS,
+        AMENITY_LABELS,
+        foldText,
+        extendVocabulary,
+        vocabularyFor
+    };
+}
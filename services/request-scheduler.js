@@ -0,0 +1,154 @@
+// QuestLens - Request scheduler
+// Bounded concurrency, per-host pacing, retries with exponential backoff, and cancellation.
+
+class RequestScheduler {
+    // hostLimits: [{ host, prefix, minInterval }]; requests whose URL starts with prefix are paced per host
+    constructor({ concurrency = 4, hostLimits = [], maxRetries = 3, baseDelay = 500, maxDelay = 15000, log = () => {} } = {}) {
+        this.concurrency = concurrency;
+        this.hostLimits = hostLimits;
+        this.maxRetries = maxRetries;
+        this.baseDelay = baseDelay;
+        this.maxDelay = maxDelay;
+        this.log = log;
+
+        this.active = 0;
+        this.waiting = [];
+        this.nextSlotByHost = new Map();
+    }
+
+    // Run request() under the scheduler's limits. request() returns a fetch Response;
+    // retryable statuses are retried and the last response is returned either way.
+    async run(url, request, { signal } = {}) {
+        const limit = this.hostLimits.find(candidate => url.startsWith(candidate.prefix));
+
+        for (let attempt = 0; ; attempt++) {
+            await this.acquire(signal);
+
+            let response = null;
+            try {
+                if (limit) {
+                    await this.waitForHost(limit, signal);
+                }
+                response = await request();
+            } catch (error) {
+                if (!this.isRetryableError(error) || attempt >= this.maxRetries || signal?.aborted) {
+                    throw error;
+                }
+            } finally {
+                this.release();
+            }
+
+            if (response && !this.isRetryableStatus(response.status)) {
+                return response;
+            }
+            if (attempt >= this.maxRetries) {
+                return response;
+            }
+
+            const wait = this.retryDelay(response, attempt);
+            if (wait === null) {
+                return response;
+            }
+
+            this.log(`Retrying ${url} in ${wait}ms (attempt ${attempt + 2})`, response ? response.status : 'network error');
+            await this.sleep(wait, signal);
+        }
+    }
+
+    acquire(signal) {
+        if (signal?.aborted) {
+            return Promise.reject(this.abortError());
+        }
+        if (this.active < this.concurrency) {
+            this.active++;
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve, reject) => {
+            // The abort listener goes once the slot is granted, so a long-lived signal doesn't collect one per request
+            const onAbort = () => {
+                this.waiting = this.waiting.filter(candidate => candidate !== waiter);
+                reject(this.abortError());
+            };
+            const waiter = {
+                resolve: () => {
+                    signal?.removeEventListener('abort', onAbort);
+                    resolve();
+                },
+                signal
+            };
+            this.waiting.push(waiter);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    release() {
+        this.active--;
+        while (this.waiting.length > 0) {
+            const next = this.waiting.shift();
+            if (!next.signal?.aborted) {
+                this.active++;
+                next.resolve();
+                return;
+            }
+        }
+    }
+
+    // Reserve the host's next free slot so requests to it are at least minInterval apart
+    async waitForHost(limit, signal) {
+        const now = Date.now();
+        const slot = Math.max(now, this.nextSlotByHost.get(limit.host) || 0);
+        this.nextSlotByHost.set(limit.host, slot + limit.minInterval);
+
+        if (slot > now) {
+            await this.sleep(slot - now, signal);
+        }
+    }
+
+    // 501 is what our proxy answers for an endpoint it has no key or URL for; real upstream 5xx are retried
+    isRetryableStatus(status) {
+        return status === 429 || (status >= 500 && status !== 501);
+    }
+
+    // fetch rejects with a TypeError on network failure; timeouts and aborts are not retried
+    isRetryableError(error) {
+        return error.name === 'TypeError';
+    }
+
+    // Honour Retry-After (seconds or HTTP date); give up if the server asks for longer than maxDelay
+    retryDelay(response, attempt) {
+        const retryAfter = response?.headers.get('Retry-After');
+        if (retryAfter) {
+            const seconds = Number(retryAfter);
+            const wait = Number.isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+            if (!Number.isNaN(wait)) {
+                return wait > this.maxDelay ? null : Math.max(0, wait);
+            }
+        }
+
+        const backoff = Math.min(this.maxDelay, this.baseDelay * 2 ** attempt);
+        return backoff + Math.floor(Math.random() * this.baseDelay / 2);
+    }
+
+    sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(this.abortError());
+                return;
+            }
+            const onAbort = () => {
+                clearTimeout(id);
+                reject(this.abortError());
+            };
+            const id = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    abortError() {
+        return new DOMException('Request cancelled', 'AbortError');
+    }
+}
@@ -0,0 +1,156 @@
+// QuestLens - Persistent response cache
+// IndexedDB-backed, with per-endpoint TTLs, an LRU size cap and stale-while-revalidate.
+
+const CACHE_MINUTE = 60 * 1000;
+const CACHE_DAY = 24 * 60 * CACHE_MINUTE;
+
+// ttl: how long an entry is fresh; maxStale: how much longer it may be served while a refresh runs
+const CACHE_POLICIES = {
+    geocode: { ttl: 7 * CACHE_DAY, maxStale: 30 * CACHE_DAY },
+    search: { ttl: 10 * CACHE_MINUTE, maxStale: CACHE_DAY },
+    details: { ttl: CACHE_DAY, maxStale: 7 * CACHE_DAY },
+    results: { ttl: 30 * CACHE_DAY, maxStale: 0 }
+};
+
+const CACHE_STORE = 'responses';
+
+class ResponseCache {
+    constructor({ dbName = 'questlens-cache', maxEntries = 500, policies = CACHE_POLICIES, log = () => {} } = {}) {
+        this.dbName = dbName;
+        this.maxEntries = maxEntries;
+        this.policies = policies;
+        this.log = log;
+        this.dbPromise = null;
+        this.revalidating = new Map();
+
+        // Called with (endpoint, key, value) after a background refresh stored a new value
+        this.onRevalidate = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(CACHE_STORE, { keyPath: 'key' });
+                    store.createIndex('lastAccess', 'lastAccess');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    // Run one operation in its own transaction and resolve once it has committed
+    async request(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(CACHE_STORE, mode);
+            const request = operation(transaction.objectStore(CACHE_STORE));
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    // Read an entry without touching its LRU position or checking its age
+    async peek(key) {
+        try {
+            return (await this.request('readonly', store => store.get(key))) || null;
+        } catch (error) {
+            this.log('Cache read failed', error.message);
+            return null;
+        }
+    }
+
+    async get(key) {
+        const entry = await this.peek(key);
+        if (entry) {
+            entry.lastAccess = Date.now();
+            this.request('readwrite', store => store.put(entry))
+                .catch(error => this.log('Cache touch failed', error.message));
+        }
+        return entry;
+    }
+
+    async set(endpoint, key, value) {
+        const now = Date.now();
+        try {
+            await this.request('readwrite', store => store.put({ key, endpoint, value, storedAt: now, lastAccess: now }));
+            await this.evict();
+        } catch (error) {
+            this.log('Cache write failed', error.message);
+        }
+    }
+
+    // Drop least recently used entries beyond the size cap
+    async evict() {
+        const count = await this.request('readonly', store => store.count());
+        let excess = count - this.maxEntries;
+        if (excess <= 0) {
+            return;
+        }
+
+        await this.request('readwrite', store => {
+            const cursorRequest = store.index('lastAccess').openCursor();
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (cursor && excess > 0) {
+                    cursor.delete();
+                    excess--;
+                    cursor.continue();
+                }
+            };
+            return null;
+        });
+        this.log(`Evicted ${count - this.maxEntries} cache entries`);
+    }
+
+    // Fresh entries are returned as-is; stale ones are returned immediately while a refresh runs
+    async fetch(endpoint, key, fetcher) {
+        const policy = this.policies[endpoint];
+        if (!policy) {
+            return fetcher();
+        }
+
+        const entry = await this.get(key);
+        const age = entry ? Date.now() - entry.storedAt : Infinity;
+
+        if (age < policy.ttl) {
+            return entry.value;
+        }
+
+        if (age < policy.ttl + policy.maxStale) {
+            this.log(`Serving stale ${endpoint} response while refreshing`, key);
+            this.revalidate(endpoint, key, fetcher);
+            return entry.value;
+        }
+
+        const value = await fetcher();
+        await this.set(endpoint, key, value);
+        return value;
+    }
+
+    revalidate(endpoint, key, fetcher) {
+        if (this.revalidating.has(key)) {
+            return;
+        }
+
+        const refresh = fetcher()
+            .then(async value => {
+                await this.set(endpoint, key, value);
+                if (this.onRevalidate) {
+                    this.onRevalidate(endpoint, key, value);
+                }
+            })
+            .catch(error => this.log('Background refresh failed', error.message))
+            .finally(() => this.revalidating.delete(key));
+
+        this.revalidating.set(key, refresh);
+    }
+}
@@ -0,0 +1,69 @@
+// QuestLens - Result filters
+// Narrows and reorders the current result set in memory; never triggers a new search.
+
+const RESULT_FILTER_DEFAULTS = {
+    minRating: 0,
+    maxDistanceKm: null,
+    category: '',
+    openNow: false,
+    hasPhone: false,
+    hasWebsite: false,
+    source: 'all', // all | live | cached | sample
+    sort: 'relevance' // relevance | distance | rating | name
+};
+
+class ResultFilter {
+    constructor(defaults = RESULT_FILTER_DEFAULTS) {
+        this.defaults = defaults;
+        this.state = { ...defaults };
+    }
+
+    set(changes) {
+        this.state = { ...this.state, ...changes };
+    }
+
+    reset() {
+        this.state = { ...this.defaults };
+    }
+
+    // True when the visible list differs from the ranked result set
+    isActive() {
+        return Object.keys(this.defaults).some(key => this.state[key] !== this.defaults[key]);
+    }
+
+    // Distinct categories in the result set, for the category picker
+    categoriesOf(places) {
+        return [...new Set(places.map(place => place.category))].sort((a, b) => a.localeCompare(b));
+    }
+
+    // rankings: Map of place id to PlaceRanker output; sourceOf(place) returns live | cached | sample;
+    // isOpen(place) is true, false or null for unknown hours. "relevance" keeps the incoming order, which is already ranked.
+    apply(places, { rankings = new Map(), sourceOf = () => 'live', isOpen = place => place.hours?.openNow ?? null } = {}) {
+        const { minRating, maxDistanceKm, category, openNow, hasPhone, hasWebsite, source, sort } = this.state;
+        const distanceOf = place => rankings.get(place.id)?.distanceKm ?? null;
+
+        const visible = places.filter(place =>
+            (minRating === 0 || (place.rating !== null && place.rating >= minRating)) &&
+            (maxDistanceKm === null || (distanceOf(place) !== null && distanceOf(place) <= maxDistanceKm)) &&
+            (!category || place.category === category) &&
+            (!openNow || isOpen(place) === true) &&
+            (!hasPhone || Boolean(place.phone)) &&
+            (!hasWebsite || Boolean(place.website)) &&
+            (source === 'all' || sourceOf(place) === source)
+        );
+
+        // Places missing the sort key go last
+        const byMissingLast = (a, b, compare) => (a === null) - (b === null) || (a === null ? 0 : compare(a, b));
+        const comparators = {
+            distance: (a, b) => byMissingLast(distanceOf(a), distanceOf(b), (x, y) => x - y),
+            rating: (a, b) => byMissingLast(a.rating, b.rating, (x, y) => y - x),
+            name: (a, b) => a.name.localeCompare(b.name)
+        };
+
+        return comparators[sort] ? [...visible].sort(comparators[sort]) : visible;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ResultFilter, RESULT_FILTER_DEFAULTS };
+}
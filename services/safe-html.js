@@ -0,0 +1,97 @@
+// QuestLens - Safe HTML
+// The one place markup is built from data. html`` escapes every interpolated value unless it is already
+// SafeHtml, and setHtml() / renderElement() only accept SafeHtml, so a raw string can't reach innerHTML.
+// Links from providers go through safeUrl() or telUrl() first. Only setHtml() and renderElement() touch
+// the DOM, so the rest can be loaded in Node for testing.
+
+const SAFE_URL_PROTOCOLS = ['http:', 'https:', 'tel:'];
+
+class SafeHtml {
+    constructor(value) {
+        this.value = value;
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// null, undefined and false render as nothing, so `${condition && html`...`}` works; arrays are joined
+function renderHtmlValue(value) {
+    if (value === null || value === undefined || value === false) {
+        return '';
+    }
+    if (value instanceof SafeHtml) {
+        return value.value;
+    }
+    if (Array.isArray(value)) {
+        return value.map(renderHtmlValue).join('');
+    }
+    return escapeHtml(value);
+}
+
+// Tagged template: html`<span title="${text}">${text}</span>`. Attribute values must be quoted.
+function html(strings, ...values) {
+    return new SafeHtml(strings.reduce((markup, string, index) =>
+        markup + string + (index < values.length ? renderHtmlValue(values[index]) : ''), ''));
+}
+
+// The URL when it uses an allowed protocol, otherwise null. A bare domain ("www.example.com", common in
+// OpenStreetMap tags) is read as https; anything else without a scheme is rejected, never resolved against our origin.
+function safeUrl(value, protocols = SAFE_URL_PROTOCOLS) {
+    if (typeof value !== 'string' || value.trim() === '') {
+        return null;
+    }
+    const text = value.trim();
+    const candidate = /^[a-z][a-z\d+.-]*:/i.test(text) ? text
+        : /^[\w-]+(\.[\w-]+)+([/?#]|$)/.test(text) ? `https://${text}`
+            : null;
+    if (!candidate) {
+        return null;
+    }
+    try {
+        const url = new URL(candidate);
+        return protocols.includes(url.protocol) ? url.href : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// tel: link for a displayed phone number; only digits and a leading + survive
+function telUrl(phone) {
+    const number = String(phone || '').replace(/[^\d+]/g, '').replace(/(?!^)\+/g, '');
+    return /\d/.test(number) ? `tel:${number}` : null;
+}
+
+// Link that opens outside the app, or null when the URL isn't http(s)
+function externalLink(url, text) {
+    const href = safeUrl(url, ['http:', 'https:']);
+    return href ? html`<a href="${href}" target="_blank" rel="noopener noreferrer">${text}</a>` : null;
+}
+
+function setHtml(element, content) {
+    if (!(content instanceof SafeHtml)) {
+        throw new TypeError('setHtml() needs markup built with html``');
+    }
+    element.innerHTML = content.value;
+}
+
+// First element of the markup, for APIs that take a node (Leaflet popups, replaceWith)
+function renderElement(content) {
+    const template = document.createElement('template');
+    setHtml(template, content);
+    return template.content.firstElementChild;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SafeHtml, html, escapeHtml, safeUrl, telUrl, externalLink, setHtml, renderElement, SAFE_URL_PROTOCOLS };
+}
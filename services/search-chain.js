@@ -0,0 +1,79 @@
+// QuestLens - Search fallback chain
+// Tries each source in order and records why every earlier step failed.
+
+class PlacesSearchChain {
+    // Each step needs a name, a label and an async search(coordinates, searchParams)
+    constructor(steps) {
+        this.steps = steps;
+    }
+
+    // onAttempt(step) is called as each step starts; an abort stops the chain instead of falling through
+    async run(coordinates, searchParams, { signal, onAttempt } = {}) {
+        const attempts = [];
+
+        for (const step of this.steps) {
+            if (signal?.aborted) {
+                throw new DOMException('Search cancelled', 'AbortError');
+            }
+            if (onAttempt) {
+                onAttempt(step);
+            }
+
+            try {
+                const places = await step.search(coordinates, searchParams, { signal });
+                if (places.length > 0) {
+                    attempts.push({ source: step.name, label: step.label, ok: true });
+                    return { places, source: step, attempts };
+                }
+                attempts.push({ source: step.name, label: step.label, ok: false, reason: { key: 'source.noResults' }, errorType: 'no-results' });
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    throw error;
+                }
+                // errorType and description are set for typed failures (services/search-errors.js)
+                const reason = error.description || { key: 'source.error', values: { error: error.message } };
+                attempts.push({ source: step.name, label: step.label, ok: false, reason, errorType: error.type || null });
+            }
+        }
+
+        return { places: [], source: null, attempts };
+    }
+}
+
+// Last successful live results per area and query, kept in the response cache.
+// Served by the chain's cache step regardless of age, so it outlives the search TTL.
+class RecentResultsStore {
+    constructor(cache) {
+        this.cache = cache;
+    }
+
+    keyFor(coordinates, searchParams) {
+        return [
+            'results',
+            coordinates.lat.toFixed(3),
+            coordinates.lon.toFixed(3),
+            searchParams.intents.join(','),
+            searchParams.keywords || '',
+            searchParams.amenities.join(','),
+            JSON.stringify(searchParams.price),
+            searchParams.openNow ? 'open' : '',
+            searchParams.excludeChains ? 'nochains' : '',
+            searchParams.radius,
+            // Only searches for a visit time get the extra part, so earlier keys stay valid
+            ...(searchParams.visitAt ? [`at ${searchParams.visitAt.day || ''}T${searchParams.visitAt.minutes}`] : [])
+        ].join('|');
+    }
+
+    async get(coordinates, searchParams) {
+        const entry = await this.cache.get(this.keyFor(coordinates, searchParams));
+        return entry ? entry.value : null;
+    }
+
+    async put(coordinates, searchParams, places) {
+        await this.cache.set('results', this.keyFor(coordinates, searchParams), {
+            savedAt: Date.now(),
+            // Raw provider payloads are only needed while a search is live
+            places: places.map(place => ({ ...place, raw: null }))
+        });
+    }
+}
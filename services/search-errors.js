@@ -0,0 +1,101 @@
+// QuestLens - Search errors
+// Typed failures from the fetch and provider layers. The type decides the error panel's title and which
+// recovery actions it offers. The panel and the source trail show the { key, values } description in the UI
+// language when there is one, and the message as-is otherwise.
+
+const SEARCH_ERROR_TYPES = {
+    GEOCODE_NOT_FOUND: 'geocode-not-found',
+    PROVIDER_AUTH: 'provider-auth',
+    RATE_LIMITED: 'rate-limited',
+    TIMEOUT: 'timeout',
+    OFFLINE: 'offline',
+    NO_RESULTS: 'no-results',
+    // Any other upstream or server failure
+    UPSTREAM: 'upstream'
+};
+
+const SEARCH_ERROR_TITLES = {
+    'geocode-not-found': 'Location not found',
+    'provider-auth': 'Places provider unavailable',
+    'rate-limited': 'Too many requests',
+    'timeout': 'The search timed out',
+    'offline': 'You seem to be offline',
+    'no-results': 'No places found',
+    'upstream': 'Something went wrong'
+};
+
+// When every source failed, the most actionable reason wins
+const SEARCH_ERROR_PRIORITY = ['offline', 'rate-limited', 'provider-auth', 'timeout', 'upstream'];
+
+class SearchError extends Error {
+    // retryAfter: seconds the server asked us to wait, when it said; description: catalogue message for the UI,
+    // while message stays English for the log
+    constructor(type, message, { status = null, retryAfter = null, description = null } = {}) {
+        super(message);
+        this.name = 'SearchError';
+        this.type = type;
+        this.status = status;
+        this.retryAfter = retryAfter;
+        this.description = description;
+    }
+
+    // detail is the { error } text our proxy puts in JSON error bodies, when there is one
+    static fromResponse(status, { retryAfter = null, detail = '' } = {}) {
+        if (status === 401 || status === 403) {
+            return new SearchError(SEARCH_ERROR_TYPES.PROVIDER_AUTH, detail || 'The places provider rejected our API key', {
+                status, description: { key: 'error.providerRejected' }
+            });
+        }
+        if (status === 501 && /not configured/i.test(detail)) {
+            return new SearchError(SEARCH_ERROR_TYPES.PROVIDER_AUTH, detail, { status, description: { key: 'error.providerNotConfigured' } });
+        }
+        if (status === 429) {
+            const wait = retryAfter ? `; try again in ${retryAfter} s` : '';
+            return new SearchError(SEARCH_ERROR_TYPES.RATE_LIMITED, `Too many requests${wait}`, {
+                status,
+                retryAfter,
+                description: retryAfter ? { key: 'error.tooManyRequestsWait', values: { seconds: retryAfter } } : { key: 'error.tooManyRequests' }
+            });
+        }
+        if (status === 408 || status === 504) {
+            return new SearchError(SEARCH_ERROR_TYPES.TIMEOUT, 'The provider took too long to answer', {
+                status, description: { key: 'error.providerTimeout' }
+            });
+        }
+        // The status is a code, not a quantity, so it goes to the translator as text
+        return new SearchError(SEARCH_ERROR_TYPES.UPSTREAM, `HTTP ${status}${detail ? `: ${detail}` : ''}`, {
+            status,
+            retryAfter,
+            description: { key: detail ? 'error.httpStatusDetail' : 'error.httpStatus', values: { code: String(status), detail } }
+        });
+    }
+
+    // Retry-After is either seconds or an HTTP date
+    static parseRetryAfter(value, now = Date.now()) {
+        if (!value) {
+            return null;
+        }
+        const seconds = Number(value);
+        const wait = Number.isNaN(seconds) ? (Date.parse(value) - now) / 1000 : seconds;
+        return Number.isNaN(wait) ? null : Math.max(0, Math.ceil(wait));
+    }
+
+    // Type for a search where no source returned places. A live provider that answered with nothing
+    // means there really are no results; otherwise the worst failure explains it.
+    static fromAttempts(attempts, { liveSources = [] } = {}) {
+        const live = attempts.filter(attempt => liveSources.includes(attempt.source));
+        if (live.some(attempt => attempt.errorType === SEARCH_ERROR_TYPES.NO_RESULTS)) {
+            return SEARCH_ERROR_TYPES.NO_RESULTS;
+        }
+        const types = attempts.map(attempt => attempt.errorType);
+        return SEARCH_ERROR_PRIORITY.find(type => types.includes(type)) || SEARCH_ERROR_TYPES.NO_RESULTS;
+    }
+
+    static titleFor(type) {
+        return SEARCH_ERROR_TITLES[type] || 'Search problem';
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SearchError, SEARCH_ERROR_TYPES, SEARCH_ERROR_TITLES };
+}
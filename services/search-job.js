@@ -0,0 +1,28 @@
+// QuestLens - Search jobs
+// One abortable unit of work per search; every fetch it starts shares the job's AbortController.
+
+class SearchJob {
+    constructor(id) {
+        this.id = id;
+        this.controller = new AbortController();
+    }
+
+    get signal() {
+        return this.controller.signal;
+    }
+
+    get cancelled() {
+        return this.controller.signal.aborted;
+    }
+
+    cancel() {
+        this.controller.abort();
+    }
+
+    // Call after every await so a superseded job stops before touching the UI
+    throwIfCancelled() {
+        if (this.cancelled) {
+            throw new DOMException('Search cancelled', 'AbortError');
+        }
+    }
+}
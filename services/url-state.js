@@ -0,0 +1,138 @@
+// QuestLens - URL state
+// Encodes a search (location, query, provider, origin or map area, visit time, result filters, map view, selected place) as query
+// parameters so it can be bookmarked, shared and stepped through with back/forward.
+
+// Result filter fields, the short parameter names they use in the URL and how their values are read back
+const URL_FILTER_PARAMS = {
+    minRating: { param: 'rating', type: 'number' },
+    maxDistanceKm: { param: 'within', type: 'number' },
+    category: { param: 'category', type: 'string' },
+    openNow: { param: 'open', type: 'boolean' },
+    hasPhone: { param: 'phone', type: 'boolean' },
+    hasWebsite: { param: 'web', type: 'boolean' },
+    source: { param: 'data', type: 'string' },
+    sort: { param: 'sort', type: 'string' }
+};
+
+class SearchUrlState {
+    constructor({ filterDefaults = {} } = {}) {
+        this.filterDefaults = filterDefaults;
+    }
+
+    // Only non-default filters are written, so plain searches keep short URLs
+    encode({ location, query, provider, origin = null, area = null, visitAt = null, filters = {}, view = null, placeId = null }) {
+        const params = new URLSearchParams({ location, q: query });
+        if (provider) {
+            params.set('provider', provider);
+        }
+        if (origin) {
+            params.set('origin', this.encodeOrigin(origin));
+        }
+        if (area) {
+            params.set('area', this.encodeArea(area));
+        }
+        if (visitAt) {
+            params.set('at', visitAt);
+        }
+
+        Object.entries(URL_FILTER_PARAMS).forEach(([key, { param }]) => {
+            const value = filters[key];
+            if (value === undefined || value === this.filterDefaults[key]) {
+                return;
+            }
+            params.set(param, typeof value === 'boolean' ? (value ? '1' : '0') : String(value));
+        });
+
+        if (view) {
+            params.set('map', `${view.lat.toFixed(5)},${view.lon.toFixed(5)},${view.zoom}`);
+        }
+        if (placeId) {
+            params.set('place', placeId);
+        }
+        return `?${params}`;
+    }
+
+    // Returns null unless the URL names both a location and a query; malformed values are ignored
+    decode(search) {
+        const params = new URLSearchParams(search);
+        const location = (params.get('location') || '').trim();
+        const query = (params.get('q') || '').trim();
+        if (!location || !query) {
+            return null;
+        }
+
+        const filters = {};
+        Object.entries(URL_FILTER_PARAMS).forEach(([key, { param, type }]) => {
+            const raw = params.get(param);
+            if (raw === null) {
+                return;
+            }
+            if (type === 'boolean') {
+                if (raw === '1' || raw === '0') {
+                    filters[key] = raw === '1';
+                }
+            } else if (type === 'number') {
+                const number = parseFloat(raw);
+                if (Number.isFinite(number)) {
+                    filters[key] = number;
+                }
+            } else {
+                filters[key] = raw;
+            }
+        });
+
+        let view = null;
+        const [lat, lon, zoom] = (params.get('map') || '').split(',').map(Number);
+        if ([lat, lon, zoom].every(Number.isFinite) && Math.abs(lat) <= 90 && Math.abs(lon) <= 180) {
+            view = { lat, lon, zoom: Math.round(zoom) };
+        }
+
+        const [areaLat, areaLon, radius] = (params.get('area') || '').split(',').map(Number);
+        const area = [areaLat, areaLon, radius].every(Number.isFinite) && Math.abs(areaLat) <= 90 && Math.abs(areaLon) <= 180 && radius >= 100 && radius <= 50000
+            ? { lat: areaLat, lon: areaLon, radius: Math.round(radius) }
+            : null;
+
+        const [originLat, originLon] = (params.get('origin') || '').split(',').map(Number);
+        const origin = [originLat, originLon].every(Number.isFinite) && Math.abs(originLat) <= 90 && Math.abs(originLon) <= 180
+            ? { lat: originLat, lon: originLon }
+            : null;
+
+        // Visit time as a datetime-local value, "YYYY-MM-DDTHH:MM"
+        const visitAt = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/.test(params.get('at') || '') ? params.get('at') : null;
+
+        return {
+            location,
+            query,
+            provider: params.get('provider'),
+            origin,
+            area,
+            visitAt,
+            filters,
+            view,
+            placeId: params.get('place')
+        };
+    }
+
+    // Two states describe the same search when they would fetch the same results
+    isSameSearch(a, b) {
+        return Boolean(a && b) && a.location === b.location && a.query === b.query && (a.provider || null) === (b.provider || null)
+            && (a.origin ? this.encodeOrigin(a.origin) : null) === (b.origin ? this.encodeOrigin(b.origin) : null)
+            && (a.area ? this.encodeArea(a.area) : null) === (b.area ? this.encodeArea(b.area) : null)
+            && (a.visitAt || null) === (b.visitAt || null);
+    }
+
+    // "lat,lon" of a search from the device's position or the dragged origin pin.
+    // Four decimals (about 10 m) is plenty for a search origin and keeps shared links from pinpointing a device.
+    encodeOrigin(origin) {
+        return `${origin.lat.toFixed(4)},${origin.lon.toFixed(4)}`;
+    }
+
+    // "lat,lon,radius" of a "search this area" search; radius in metres
+    encodeArea(area) {
+        return `${area.lat.toFixed(5)},${area.lon.toFixed(5)},${Math.round(area.radius)}`;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SearchUrlState, URL_FILTER_PARAMS };
+}
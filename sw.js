@@ -0,0 +1,109 @@
+// QuestLens - Service worker
+// Precaches the app shell and vendored libraries so the app opens offline, and caches map tiles through
+// services/offline-maps.js. API responses aren't touched here; the app keeps those in IndexedDB.
+
+importScripts('services/offline-maps.js');
+
+// Bump when the shell files change so old caches are replaced
+const SHELL_VERSION = 'v5';
+const SHELL_CACHE = `questlens-shell-${SHELL_VERSION}`;
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'style.css',
+    'app.js',
+    'services/safe-html.js',
+    'services/i18n.js',
+    'services/locales/en.js',
+    'services/locales/es.js',
+    'services/locales/fr.js',
+    'services/locales/ar.js',
+    'services/request-scheduler.js',
+    'services/response-cache.js',
+    'services/query-parser.js',
+    'services/opening-hours.js',
+    'services/llm-query-engine.js',
+    'services/place-ranker.js',
+    'services/result-filters.js',
+    'services/url-state.js',
+    'services/library-store.js',
+    'services/itinerary-planner.js',
+    'services/place-comparison.js',
+    'services/place-export.js',
+    'services/marker-styles.js',
+    'services/location-search.js',
+    'services/places-providers.js',
+    'services/demo-places.js',
+    'services/search-errors.js',
+    'services/search-chain.js',
+    'services/search-job.js',
+    'services/offline-maps.js',
+    'vendor/leaflet/leaflet.js',
+    'vendor/leaflet/leaflet.css',
+    'vendor/leaflet/images/layers.png',
+    'vendor/leaflet/images/layers-2x.png',
+    'vendor/leaflet/images/marker-icon.png',
+    'vendor/leaflet/images/marker-icon-2x.png',
+    'vendor/leaflet/images/marker-shadow.png',
+    'vendor/leaflet.markercluster/leaflet.markercluster.js',
+    'vendor/leaflet.markercluster/MarkerCluster.css',
+    'vendor/leaflet.markercluster/MarkerCluster.Default.css',
+    'vendor/fontawesome/css/fontawesome.min.css',
+    'vendor/fontawesome/css/solid.min.css',
+    'vendor/fontawesome/webfonts/fa-solid-900.woff2'
+];
+
+const offlineMaps = new OfflineMaps();
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(SHELL_CACHE)
+        .then(cache => cache.addAll(SHELL_FILES))
+        .then(() => self.skipWaiting()));
+});
+
+// Drop shell caches from earlier versions; tile caches carry over
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then(names => Promise.all(names
+            .filter(name => name.startsWith('questlens-shell-') && name !== SHELL_CACHE)
+            .map(name => caches.delete(name))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') {
+        return;
+    }
+
+    if (offlineMaps.isTileRequest(request.url)) {
+        event.respondWith(offlineMaps.fetchTile(request));
+        return;
+    }
+
+    const url = new URL(request.url);
+    if (url.origin === self.location.origin && !url.pathname.startsWith('/api/')) {
+        event.respondWith(fetchShellFile(request, url));
+    }
+});
+
+// Network first, so a deploy shows up on the next load; the precached copy when offline
+async function fetchShellFile(request, url) {
+    try {
+        const response = await fetch(request);
+        // Shared search URLs all fall back to the shell, so only the bare paths are stored
+        if (response.ok && !url.search) {
+            const cache = await caches.open(SHELL_CACHE);
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request, { ignoreSearch: true })
+            || (request.mode === 'navigate' && await caches.match('index.html'));
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}
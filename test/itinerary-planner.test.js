@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('assert/strict');
+const { ItineraryPlanner, ITINERARY_DEFAULTS } = require('../services/itinerary-planner.js');
+const { OpeningHours } = require('../services/opening-hours.js');
+
+// Places along the equator, about 1.1 km apart per 0.01 degree
+const stopAt = (id, lon, visitMinutes) => ({ place: { id, lat: 0, lon, hours: null }, visitMinutes });
+const ids = stops => stops.map(stop => stop.place.id);
+
+test('suggested order keeps the first stop and walks the rest without doubling back', () => {
+    const planner = new ItineraryPlanner();
+    const stops = [stopAt('start', 0), stopAt('far', 0.04), stopAt('near', 0.01), stopAt('middle', 0.02), stopAt('next', 0.03)];
+    assert.deepEqual(ids(planner.suggestOrder(stops)), ['start', 'near', 'middle', 'next', 'far']);
+
+    // Fewer than three stops have only one sensible order
+    const pair = [stopAt('b', 0.02), stopAt('a', 0)];
+    assert.deepEqual(ids(planner.suggestOrder(pair)), ['b', 'a']);
+});
+
+test('2-opt undoes a crossing that nearest neighbour leaves behind', () => {
+    const planner = new ItineraryPlanner();
+    const dist = route => route.slice(1).reduce((sum, stop, index) => sum + planner.haversineKm(route[index].place, stop.place), 0);
+    const route = [stopAt('a', 0), stopAt('c', 0.02), stopAt('b', 0.01), stopAt('d', 0.03)];
+    const improved = planner.twoOpt(route);
+    assert.deepEqual(ids(improved), ['a', 'b', 'c', 'd']);
+    assert.ok(dist(improved) < dist(route));
+});
+
+test('schedule adds walking legs and visit lengths from the start time', () => {
+    const planner = new ItineraryPlanner();
+    const plan = planner.schedule([stopAt('a', 0, 30), stopAt('b', 0.01, 60)], { startTime: '09:00' });
+    const [first, second] = plan.stops;
+
+    assert.equal(first.leg, null);
+    assert.equal(first.arrival, 9 * 60);
+    assert.equal(first.departure, 9 * 60 + 30);
+
+    const walk = Math.round(1.112 * ITINERARY_DEFAULTS.detourFactor / ITINERARY_DEFAULTS.walkingKmPerHour * 60);
+    assert.equal(second.leg.minutes, walk);
+    assert.equal(second.arrival, first.departure + walk);
+    assert.equal(plan.endTime, second.arrival + 60);
+    assert.equal(plan.visitMinutes, 90);
+    assert.equal(plan.walkMinutes, walk);
+});
+
+test('stops that would end after the finish time are dropped and the walk skips them', () => {
+    const planner = new ItineraryPlanner();
+    const stops = [stopAt('a', 0, 60), stopAt('long', 0.01, 180), stopAt('c', 0.02, 30)];
+    const plan = planner.schedule(stops, { startTime: '10:00', endTime: '12:15' });
+
+    assert.deepEqual(plan.stops.map(stop => stop.dropped), [false, true, false]);
+    const [, dropped, last] = plan.stops;
+    assert.equal(dropped.arrival, null);
+    assert.equal(dropped.leg, null);
+    // The leg to the stop after a dropped one starts from the last stop that fits
+    assert.ok(Math.abs(last.leg.km - planner.haversineKm(stops[0].place, stops[2].place) * ITINERARY_DEFAULTS.detourFactor) < 1e-9);
+    assert.ok(last.departure <= 12 * 60 + 15);
+    assert.equal(plan.visitMinutes, 90);
+    assert.equal(plan.endTime, last.departure);
+
+    // Without a finish time nothing is dropped
+    assert.ok(planner.schedule(stops, { startTime: '10:00' }).stops.every(stop => !stop.dropped));
+    // A finish time before the start is on the next day
+    assert.ok(planner.schedule(stops, { startTime: '22:00', endTime: '04:00' }).stops.every(stop => !stop.dropped));
+});
+
+test('arrivals outside opening hours are warned about as messages; unknown hours are not', () => {
+    const planner = new ItineraryPlanner(ITINERARY_DEFAULTS, { hoursOf: place => OpeningHours.forPlace(place) });
+    const withHours = (id, lon, osm, visitMinutes = 60) => ({ place: { id, lat: 0, lon, hours: { osm } }, visitMinutes });
+    const warnings = (stops, options) => planner.schedule(stops, options).stops.map(stop => stop.warning);
+
+    // Monday: opens later that day, open, closes during the visit, closed all day, unknown hours
+    assert.deepEqual(warnings([withHours('museum', 0, 'Mo-Su 11:00-18:00')], { startTime: '10:00', day: 1 }),
+        [{ key: 'itinerary.closedAtOpens', values: { time: 600, opens: 660 } }]);
+    assert.deepEqual(warnings([withHours('cafe', 0, 'Mo-Su 08:00-18:00')], { startTime: '10:00', day: 1 }), [null]);
+    assert.deepEqual(warnings([withHours('bakery', 0, 'Mo-Su 08:00-10:30')], { startTime: '10:00', day: 1 }),
+        [{ key: 'itinerary.closesBefore', values: { time: 630 } }]);
+    assert.deepEqual(warnings([withHours('gallery', 0, 'Tu-Su 10:00-18:00')], { startTime: '12:00', day: 1 }),
+        [{ key: 'itinerary.closedToday' }]);
+    assert.deepEqual(warnings([withHours('bar', 0, 'Mo-Su 17:00-23:00')], { startTime: '23:30', day: 1 }),
+        [{ key: 'itinerary.closedAt', values: { time: 1410 } }]);
+    assert.deepEqual(warnings([stopAt('unknown', 0, 60)], { startTime: '03:00', day: 1 }), [null]);
+});
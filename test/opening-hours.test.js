@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('assert/strict');
+const { OpeningHours } = require('../services/opening-hours.js');
+
+const at = (day, clock) => {
+    const [hours, minutes] = clock.split(':').map(Number);
+    return { day, minutes: hours * 60 + minutes };
+};
+const MON = 1, TUE = 2, SAT = 6, SUN = 7;
+
+test('OSM weekday ranges, lists and "off" days', () => {
+    const hours = OpeningHours.fromOsm('Mo-Fr 09:00-17:00; Sa 10:00-14:00; Su off');
+    assert.equal(hours.isOpenAt(at(MON, '09:00')), true);
+    assert.equal(hours.isOpenAt(at(MON, '17:00')), false);
+    assert.equal(hours.isOpenAt(at(SAT, '13:59')), true);
+    assert.equal(hours.isOpenAt(at(SUN, '12:00')), false);
+
+    // A later ";" rule replaces what an earlier one said about its days
+    const closedTuesday = OpeningHours.fromOsm('Mo-Sa 10:00-18:00; Tu off');
+    assert.equal(closedTuesday.isOpenAt(at(TUE, '12:00')), false);
+    assert.equal(closedTuesday.isOpenAt(at(MON, '12:00')), true);
+
+    // A "," rule adds to them
+    const split = OpeningHours.fromOsm('Mo 08:00-12:00, Mo 14:00-18:00');
+    assert.equal(split.isOpenAt(at(MON, '13:00')), false);
+    assert.equal(split.isOpenAt(at(MON, '15:00')), true);
+});
+
+test('OSM hours past midnight stay open into the next day', () => {
+    const hours = OpeningHours.fromOsm('Fr-Sa 18:00-02:00');
+    assert.equal(hours.isOpenAt(at(SAT, '01:30')), true);
+    assert.equal(hours.isOpenAt(at(SUN, '01:30')), true);
+    assert.equal(hours.isOpenAt(at(SUN, '02:00')), false);
+    assert.equal(hours.isOpenAt(at(MON, '01:00')), false);
+
+    const status = hours.statusAt(at(SAT, '23:00'));
+    assert.equal(status.minutesToClose, 180);
+    assert.deepEqual(status.closesAt, at(SUN, '02:00'));
+
+    // Back-to-back periods across midnight count as one stretch
+    const joined = OpeningHours.fromOsm('Mo 18:00-24:00; Tu 00:00-03:00');
+    assert.deepEqual(joined.statusAt(at(MON, '20:00')).closesAt, at(TUE, '03:00'));
+});
+
+test('OSM 24/7 and open-ended spans', () => {
+    const always = OpeningHours.fromOsm('24/7');
+    assert.deepEqual(always.statusAt(at(TUE, '03:00')), {
+        open: true, minutesToClose: null, closesAt: null, minutesToOpen: null, opensAt: null, closingSoon: false
+    });
+    assert.equal(OpeningHours.fromOsm('Mo-Su 22:00+').isOpenAt(at(MON, '23:30')), true);
+});
+
+test('OSM holiday rules are skipped, and hours with only holiday rules are unknown', () => {
+    const hours = OpeningHours.fromOsm('Mo-Fr 09:00-17:00; PH off');
+    assert.equal(hours.isOpenAt(at(MON, '10:00')), true);
+
+    assert.equal(OpeningHours.fromOsm('PH 10:00-12:00'), null);
+    assert.equal(OpeningHours.fromOsm('PH,SH off'), null);
+});
+
+test('OSM syntax outside the supported subset is unknown rather than guessed', () => {
+    ['Jan-Mar Mo-Fr 09:00-17:00', 'Mo-Fr sunrise-sunset', 'Mo-Fr 09:00', '', null].forEach(text => {
+        assert.equal(OpeningHours.fromOsm(text), null, String(text));
+    });
+});
+
+test('Foursquare periods, including closing times on the next day', () => {
+    const hours = OpeningHours.fromFoursquare([
+        { day: 5, open: '1800', close: '+0200' },
+        { day: 6, open: '1000', close: '1400' },
+        { day: 9, open: '1000', close: '1400' }
+    ]);
+    assert.equal(hours.isOpenAt(at(SAT, '01:00')), true);
+    assert.equal(hours.isOpenAt(at(SAT, '12:00')), true);
+    assert.equal(hours.isOpenAt(at(SAT, '15:00')), false);
+});
+
+test('describe gives a state and a { key, values } message', () => {
+    const hours = OpeningHours.fromOsm('Mo-Fr 09:00-17:00');
+    const describe = moment => hours.describe(hours.statusAt(moment), moment);
+
+    assert.deepEqual(describe(at(MON, '10:00')), {
+        state: 'open', message: { key: 'hours.openUntil', values: { at: at(MON, '17:00') } }
+    });
+    assert.deepEqual(describe(at(MON, '16:30')), {
+        state: 'closing-soon', message: { key: 'hours.closesIn', values: { count: 30 } }
+    });
+    assert.deepEqual(describe(at(MON, '08:00')), {
+        state: 'closed', message: { key: 'hours.closedOpens', values: { at: at(MON, '09:00'), withDay: false } }
+    });
+    assert.deepEqual(describe(at(SAT, '10:00')), {
+        state: 'closed', message: { key: 'hours.closedOpens', values: { at: at(MON, '09:00'), withDay: true } }
+    });
+
+    const always = OpeningHours.fromOsm('24/7');
+    assert.deepEqual(always.describe(always.statusAt(at(MON, '00:00')), at(MON, '00:00')), {
+        state: 'open', message: { key: 'hours.open24' }
+    });
+    const never = OpeningHours.fromOsm('Mo-Su off');
+    assert.deepEqual(never.describe(never.statusAt(at(MON, '00:00')), at(MON, '00:00')), {
+        state: 'closed', message: { key: 'hours.closed' }
+    });
+});
+
+test('visit times are read as wall-clock moments', () => {
+    // 18 October 2026 is a Sunday
+    assert.deepEqual(OpeningHours.parseVisitAt('2026-10-18T21:30'), at(SUN, '21:30'));
+    assert.equal(OpeningHours.parseVisitAt('tomorrow'), null);
+    assert.deepEqual(OpeningHours.localMoment(new Date('2026-10-19T08:15:00Z'), 'Asia/Tokyo'), at(MON, '17:15'));
+});
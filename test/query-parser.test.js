@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('assert/strict');
+const { QueryParser, QUERY_DEFAULTS, vocabularyFor } = require('../services/query-parser.js');
+
+const parser = new QueryParser();
+
+// The example queries the README lists, without the location the app asks for separately
+test('README examples keep every intent and requirement they name', () => {
+    const ramen = parser.parse('Best ramen shops for lunch');
+    assert.deepEqual(ramen.intents, ['restaurants']);
+    assert.deepEqual(ramen.timeWindow, { label: 'lunch', start: '11:30', end: '14:30' });
+
+    const museums = parser.parse('Family-friendly museums with parking');
+    assert.deepEqual(museums.intents, ['museums']);
+    assert.deepEqual([...museums.amenities].sort(), ['kid_friendly', 'parking']);
+
+    const coffee = parser.parse('Coffee shops with WiFi for remote work');
+    assert.deepEqual(coffee.intents, ['coffee']);
+    assert.deepEqual(coffee.amenities, ['wifi']);
+
+    const hotels = parser.parse('Budget hotels near city center');
+    assert.deepEqual(hotels.intents, ['hotels']);
+    assert.deepEqual(hotels.price, { max: 2 });
+
+    const attractions = parser.parse('Hidden local attractions off the beaten path');
+    assert.deepEqual(attractions.intents, ['attractions']);
+    assert.equal(attractions.keywords, 'hidden local attractions');
+
+    const parks = parser.parse('Parks perfect for morning jogging');
+    assert.deepEqual(parks.intents, ['parks']);
+    assert.equal(parks.timeWindow.label, 'morning');
+});
+
+test('a generic head after another intent word does not add an intent', () => {
+    assert.deepEqual(parser.parse('coffee shop').intents, ['coffee']);
+    assert.deepEqual(parser.parse('ramen shops').intents, ['restaurants']);
+    assert.deepEqual(parser.parse('gift shops').intents, ['shopping']);
+});
+
+test('negated chains, intents, prices and terms are excluded rather than searched for', () => {
+    const chains = parser.parse('restaurants not chains');
+    assert.equal(chains.excludeChains, true);
+    assert.deepEqual(chains.intents, ['restaurants']);
+    assert.equal(parser.parse('independent cafes').excludeChains, true);
+
+    const noMuseums = parser.parse('restaurants no museums');
+    assert.deepEqual(noMuseums.intents, ['restaurants']);
+    assert.deepEqual(noMuseums.excludedIntents, ['museums']);
+
+    // A negated word of an intent that is also asked for only drops that term
+    const bars = parser.parse('bars but not clubs');
+    assert.deepEqual(bars.intents, ['nightlife']);
+    assert.deepEqual(bars.excludedIntents, []);
+    assert.deepEqual(bars.excludedTerms, ['clubs']);
+
+    assert.deepEqual(parser.parse('museums not expensive').price, { max: 2 });
+
+    const starbucks = parser.parse('coffee without starbucks');
+    assert.deepEqual(starbucks.excludedTerms, ['starbucks']);
+    assert.doesNotMatch(starbucks.keywords, /starbucks/);
+});
+
+test('distances, walking times and nearby set the radius within bounds', () => {
+    assert.equal(parser.parse('sushi within 1.5 km').radius, 1500);
+    assert.equal(parser.parse('parks within 2 miles').radius, 3219);
+    assert.equal(parser.parse('cafes within a 10 minute walk').radius, 10 * QUERY_DEFAULTS.walkingMetersPerMinute);
+    assert.equal(parser.parse('bars nearby').radius, QUERY_DEFAULTS.nearbyRadius);
+    assert.equal(parser.parse('museums within 500 km').radius, QUERY_DEFAULTS.maxRadius);
+    assert.equal(parser.parse('museums').radius, QUERY_DEFAULTS.radius);
+});
+
+test('clock times need am/pm or minutes, and limits come from counts', () => {
+    assert.deepEqual(parser.parse('bars after 10pm').timeWindow, { label: 'after 22:00', start: '22:00', end: null });
+    assert.deepEqual(parser.parse('lunch before 12:30').timeWindow, { label: 'before 12:30', start: null, end: '12:30' });
+
+    const bare = parser.parse('at 5 museums');
+    assert.equal(bare.timeWindow, null);
+    assert.equal(bare.limit, QUERY_DEFAULTS.limit);
+
+    assert.equal(parser.parse('top 5 museums').limit, 5);
+    assert.equal(parser.parse('a few bars').limit, QUERY_DEFAULTS.fewLimit);
+    assert.equal(parser.parse('late-night ramen').timeWindow.label, 'late night');
+    assert.equal(parser.parse('coffee open now').openNow, true);
+});
+
+test('a query without a known intent falls back to attractions', () => {
+    const parsed = parser.parse('something interesting');
+    assert.deepEqual(parsed.intents, ['attractions']);
+    assert.equal(parsed.intent, 'attractions');
+});
+
+test('UI-language vocabularies add to English and ignore accents', () => {
+    const spanish = new QueryParser({ vocabulary: vocabularyFor('es') }).parse('cafés con terraza sin cadenas');
+    assert.deepEqual(spanish.intents, ['coffee']);
+    assert.deepEqual(spanish.amenities, ['outdoor_seating']);
+    assert.equal(spanish.excludeChains, true);
+
+    const mixed = new QueryParser({ vocabulary: vocabularyFor('fr') }).parse('musées with parking');
+    assert.deepEqual(mixed.intents, ['museums']);
+    assert.deepEqual(mixed.amenities, ['parking']);
+});
+
+test('summaries list what was understood as translatable messages', () => {
+    const keys = parser.summarize(parser.parse('cheap restaurants with wifi not chains')).map(part => part.key);
+    assert.deepEqual(keys, ['summary.intents', 'summary.with', 'summary.price', 'summary.within', 'summary.noChains']);
+});
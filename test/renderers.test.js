@@ -0,0 +1,217 @@
+const test = require('node:test');
+const assert = require('assert/strict');
+const { loadApp } = require('./support/load-app.js');
+const { PAYLOADS, HOSTILE_TEXT, UNSAFE_URLS, hostilePlace, assertInert } = require('./support/hostile.js');
+
+let window;
+let app;
+let SearchError;
+
+test.before(async () => {
+    ({ window, app } = await loadApp());
+    // Classes live in the page's global lexical scope, not on window
+    SearchError = window.eval('SearchError');
+});
+
+test.after(() => window.close());
+
+// Markup a renderer returned, mounted in a detached element
+function mount(content) {
+    const container = window.document.createElement('div');
+    if (content instanceof window.Node) {
+        container.append(content);
+    } else {
+        window.setHtml(container, content);
+    }
+    return container;
+}
+
+const linksTo = (root, protocol) => [...root.querySelectorAll('a[href]')].filter(link => link.protocol === protocol);
+
+test('place cards render hostile text as text and drop unsafe links', () => {
+    UNSAFE_URLS.forEach(website => {
+        const card = mount(app.createRealTimePlaceCard(hostilePlace(window, { website })));
+        assertInert(window, card);
+        assert.ok(card.textContent.includes(PAYLOADS.markup));
+        assert.deepEqual(linksTo(card, 'tel:').map(link => link.getAttribute('href')), ['tel:+442079460000']);
+    });
+
+    const card = mount(app.createRealTimePlaceCard(hostilePlace(window, { website: `https://example.com/${PAYLOADS.doubleQuote}` })));
+    assertInert(window, card);
+    assert.equal(card.querySelector('.place-card').dataset.placeId, `hostile-1${PAYLOADS.doubleQuote}`);
+});
+
+test('match explanations are translated and keep hostile categories and keywords as text', () => {
+    const place = hostilePlace(window, { amenities: ['wifi'] });
+    const searchParams = { intents: ['coffee'], keywords: `${PAYLOADS.markup} quiet`, amenities: ['wifi', 'parking'], radius: 2000 };
+    app.rankings.set(place.id, app.ranker.score(place, searchParams, { lat: place.lat, lon: place.lon }));
+
+    app.i18n.setLocale('fr');
+    try {
+        const card = mount(app.createRealTimePlaceCard(place));
+        assertInert(window, card);
+        const breakdown = card.querySelector('.score-breakdown').textContent;
+        assert.match(breakdown, /ne fait pas partie des types demandés/);
+        assert.match(breakdown, /« <img » dans le nom/);
+        assert.match(breakdown, /Avec wifi ; parking : non indiqué/);
+        assert.doesNotMatch(card.querySelector('.place-match').textContent, /\b(away|Rated|Matches|Has|not listed|No mention)\b/);
+    } finally {
+        app.i18n.setLocale('en');
+        app.rankings.clear();
+    }
+});
+
+test('map popups render hostile text as text and drop unsafe links', () => {
+    UNSAFE_URLS.forEach(website => {
+        const popup = mount(app.createRealTimePopupContent(hostilePlace(window, { website })));
+        assertInert(window, popup);
+        assert.ok(popup.querySelector('.popup-place-name').textContent.includes(PAYLOADS.script));
+    });
+});
+
+test('the results panel escapes the model summary, engine note, typed location and source trail', () => {
+    const places = [hostilePlace(window), hostilePlace(window, { id: 'hostile-2', lat: 51.51, lon: -0.12 })];
+    app.displayRealTimeResults({
+        engine: 'llm',
+        engineLabel: HOSTILE_TEXT,
+        response: HOSTILE_TEXT,
+        engineNote: { key: 'results.llmUnavailable', values: { error: HOSTILE_TEXT } }
+    }, places, HOSTILE_TEXT, {
+        source: { name: 'foursquare', label: HOSTILE_TEXT },
+        attempts: [
+            { source: 'overpass', label: HOSTILE_TEXT, ok: false, reason: { key: 'source.error', values: { error: HOSTILE_TEXT } }, errorType: null },
+            { source: 'foursquare', label: HOSTILE_TEXT, ok: true }
+        ]
+    });
+
+    const section = window.document.getElementById('resultsSection');
+    assertInert(window, section);
+    assert.ok(window.document.getElementById('aiResponse').textContent.includes(PAYLOADS.singleQuote));
+    assert.ok(window.document.getElementById('sourceTrail').textContent.includes(PAYLOADS.markup));
+    assert.equal(window.document.querySelectorAll('#placesList .place-card').length, 2);
+    app.markers.forEach(marker => assertInert(window, mount(marker.getPopup().getContent())));
+});
+
+test('search summaries, source trails, errors and location choices follow the UI language', () => {
+    app.i18n.setLocale('es');
+    try {
+        const parsed = app.queryParser.parse('coffee with wifi open now within 500 m');
+        const summary = app.queryParser.summarize(parsed).map(part => app.describeMessage(part)).join(' · ');
+        assert.equal(summary, 'Café · con wifi · abierto ahora · a menos de 500 m');
+
+        app.renderSourceTrail([
+            { source: 'foursquare', label: 'Foursquare', ok: false, reason: SearchError.fromResponse(429, { retryAfter: 30 }).description },
+            { source: 'osm', label: 'OpenStreetMap', ok: false, reason: { key: 'source.noResults' } }
+        ]);
+        assert.match(window.document.getElementById('sourceTrail').textContent, /Demasiadas solicitudes; vuelve a intentarlo en 30 s[\s\S]*Sin resultados/);
+
+        app.showError(SearchError.fromResponse(502, { detail: PAYLOADS.markup }));
+        assert.equal(window.document.getElementById('errorMessage').textContent, `HTTP 502: ${PAYLOADS.markup}`);
+        app.showError(SearchError.fromResponse(504));
+        assert.equal(window.document.getElementById('errorMessage').textContent, 'El proveedor tardó demasiado en responder');
+
+        const option = app.createLocationOption({ label: 'Springfield', type: null, country: 'USA' }, { id: 'x', role: 'option', index: 0 });
+        assert.equal(option.querySelector('.location-option-detail').textContent, 'Lugar · USA');
+    } finally {
+        app.i18n.setLocale('en');
+        app.hideError();
+    }
+});
+
+test('provider fallbacks, OSM categories and LLM failures follow the UI language', async () => {
+    app.i18n.setLocale('fr');
+    try {
+        const osm = app.providers.osm;
+        assert.equal(osm.normalize({ type: 'node', id: 1, lat: 48.8, lon: 2.3, tags: { amenity: 'restaurant', cuisine: 'italian;pizza', name: 'Chez Luigi' } }).category,
+            'Restaurant (Italian)');
+        assert.equal(osm.normalize({ type: 'node', id: 2, lat: 48.8, lon: 2.3, tags: { tourism: 'museum' } }).name, 'Lieu sans nom');
+        assert.equal(osm.normalize({ type: 'node', id: 3, lat: 48.8, lon: 2.3, tags: { amenity: 'ice_cream', name: 'Glacier' } }).category, 'Ice Cream');
+        assert.equal(app.providers.foursquare.normalize({ fsq_id: 'f1' }).category, 'Lieu');
+
+        const engine = new (window.eval('LlmQueryEngine'))({ endpoint: '/api/llm/chat', model: 'test', timeout: 5, fallbackParser: app.queryParser });
+        engine.complete = async () => 'not json';
+        const note = (await engine.analyze('coffee')).engineNote;
+        assert.equal(app.describeMessage(note), 'La réponse du LLM était inutilisable');
+    } finally {
+        app.i18n.setLocale('en');
+    }
+});
+
+test('the place drawer keeps hostile details, photos, tips and nearby places inert', async () => {
+    const place = hostilePlace(window, { isSample: true, website: UNSAFE_URLS[2] });
+    app.openPlaceDrawer(place);
+    app.renderDrawerPhotos(UNSAFE_URLS.map(url => ({ url })).concat({ url: 'http://example.com/plain.jpg' }));
+    const drawer = window.document.getElementById('placeDrawer');
+    assertInert(window, drawer);
+    assert.equal(window.document.getElementById('placeDrawerPhoto').hasAttribute('src'), false);
+
+    app.renderDrawerPhotos([{ url: UNSAFE_URLS[3] }, { url: 'https://example.com/photo.jpg' }]);
+    assert.equal(window.document.getElementById('placeDrawerPhoto').getAttribute('src'), 'https://example.com/photo.jpg');
+    app.renderDrawerTips([{ text: HOSTILE_TEXT, createdAt: null }]);
+    app.renderDrawerNearby([{ place: hostilePlace(window, { id: 'hostile-3' }), meters: 120 }]);
+    assertInert(window, drawer);
+    assert.ok(window.document.getElementById('placeDrawerName').textContent.includes(PAYLOADS.markup));
+    assert.ok(window.document.getElementById('placeDrawerTips').textContent.includes(PAYLOADS.script));
+    assert.equal(drawer.querySelector('.place-drawer-website, .place-drawer-links'), null);
+    drawer.close();
+});
+
+test('the place drawer renders a stripped-down snapshot without amenities or coordinates', async () => {
+    const drawer = window.document.getElementById('placeDrawer');
+    const details = window.document.getElementById('placeDrawerDetails');
+
+    app.openPlaceDrawer({ id: 'stripped-1', name: 'Bare place', isSample: true });
+    await new Promise(resolve => setTimeout(resolve, 0));
+    assert.equal(window.document.getElementById('placeDrawerName').textContent, 'Bare place');
+    assert.equal(details.querySelector('.place-drawer-amenities'), null);
+    assert.equal(details.querySelector('.place-drawer-maps'), null);
+    assert.ok(details.textContent.includes(app.t('place.noAddress')));
+
+    app.openPlaceDrawer({ id: 'stripped-2', name: 'Pinned place', lat: 51.5, lon: -0.12, isSample: true });
+    await new Promise(resolve => setTimeout(resolve, 0));
+    assert.equal(details.querySelector('.place-drawer-amenities'), null);
+    assert.equal(details.querySelectorAll('.place-drawer-maps a').length, 2);
+    drawer.close();
+});
+
+test('the comparison table escapes names and contact details', () => {
+    app.comparePlaces = [
+        hostilePlace(window),
+        hostilePlace(window, { id: 'compare-2', website: `www.example.com/${PAYLOADS.markup}` })
+    ];
+    app.openComparison();
+    const table = window.document.getElementById('compareTable');
+    assertInert(window, window.document.getElementById('compareDialog'));
+    assert.ok(table.querySelector('thead th').textContent.includes(PAYLOADS.markup));
+    assert.equal(linksTo(table, 'https:').length, 1);
+    assert.equal(linksTo(table, 'tel:').length, 2);
+});
+
+test('imported file popups render properties as text', () => {
+    const popup = mount(app.createImportedPopup({
+        name: HOSTILE_TEXT,
+        category: PAYLOADS.script,
+        address: PAYLOADS.doubleQuote,
+        description: PAYLOADS.markup
+    }));
+    assertInert(window, popup);
+    assert.equal(popup.querySelector('.popup-place-name').textContent, HOSTILE_TEXT);
+});
+
+test('an imported file name is escaped in the Leaflet layers control', async () => {
+    const name = `${PAYLOADS.markup}${PAYLOADS.doubleQuote}.geojson`;
+    const collection = {
+        type: 'FeatureCollection',
+        features: [{
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: [-0.1276, 51.5072] },
+            properties: { name: HOSTILE_TEXT }
+        }]
+    };
+    await app.importFile(new window.File([JSON.stringify(collection)], name, { type: 'application/geo+json' }));
+
+    const control = window.document.querySelector('.leaflet-control-layers');
+    assertInert(window, control);
+    assert.equal(control.querySelector('.leaflet-control-layers-overlays label').textContent.trim(), name);
+    assert.ok(window.document.getElementById('transferStatus').textContent.includes(PAYLOADS.markup));
+});
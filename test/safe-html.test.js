@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('assert/strict');
+const { SafeHtml, html, escapeHtml, safeUrl, telUrl, externalLink } = require('../services/safe-html.js');
+const { PAYLOADS, HOSTILE_TEXT, UNSAFE_URLS } = require('./support/hostile.js');
+
+test('escapeHtml leaves no markup or quote characters', () => {
+    const escaped = escapeHtml(HOSTILE_TEXT);
+    assert.doesNotMatch(escaped, /[<>"']/);
+    assert.equal(escapeHtml('a & b'), 'a &amp; b');
+});
+
+test('html`` escapes interpolated text in content and attributes', () => {
+    const markup = html`<span title="${PAYLOADS.doubleQuote}" data-note='${PAYLOADS.singleQuote}'>${PAYLOADS.markup}${PAYLOADS.script}</span>`;
+    assert.ok(markup instanceof SafeHtml);
+    assert.equal(String(markup).match(/</g).length, 2);
+    assert.doesNotMatch(String(markup), /" on|' on/);
+});
+
+test('html`` keeps nested SafeHtml, joins arrays and drops null, undefined and false', () => {
+    const items = [PAYLOADS.markup, html`<b>bold</b>`];
+    assert.equal(String(html`<p>${items}${null}${undefined}${false}${0}</p>`),
+        '<p>&lt;img src=x onerror=&quot;window.pwned=true&quot;&gt;<b>bold</b>0</p>');
+});
+
+test('safeUrl rejects script, data and scheme-less URLs', () => {
+    UNSAFE_URLS.forEach(url => assert.equal(safeUrl(url), null, url));
+    assert.equal(safeUrl(null), null);
+    assert.equal(safeUrl('   '), null);
+});
+
+test('safeUrl accepts http(s) and tel, reads bare domains as https and normalizes the rest', () => {
+    assert.equal(safeUrl('https://example.com/a b'), 'https://example.com/a%20b');
+    assert.equal(safeUrl('HTTP://Example.com'), 'http://example.com/');
+    assert.equal(safeUrl('www.example.com/menu'), 'https://www.example.com/menu');
+    assert.equal(safeUrl('tel:+442079460000'), 'tel:+442079460000');
+    assert.equal(safeUrl('https://example.com/"><img src=x onerror=1>'), 'https://example.com/%22%3E%3Cimg%20src=x%20onerror=1%3E');
+    assert.equal(safeUrl('tel:+1', ['https:']), null);
+});
+
+test('telUrl keeps only digits and one leading +', () => {
+    assert.equal(telUrl(`+44 (20) 7946-0000 ${PAYLOADS.markup}`), 'tel:+442079460000');
+    assert.equal(telUrl('1+2+3'), 'tel:123');
+    assert.equal(telUrl(PAYLOADS.script), null);
+    assert.equal(telUrl(null), null);
+});
+
+test('externalLink only links http(s) URLs and always sets rel="noopener"', () => {
+    UNSAFE_URLS.concat('tel:+442079460000').forEach(url => assert.equal(externalLink(url, 'Site'), null, url));
+    const link = String(externalLink('https://example.com/?q="x"', PAYLOADS.markup));
+    assert.match(link, /^<a href="https:\/\/example\.com\/\?q=%22x%22" target="_blank" rel="noopener noreferrer">&lt;img/);
+});
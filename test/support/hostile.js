@@ -0,0 +1,75 @@
+// QuestLens - Hostile fixtures
+// Provider, model and file data that tries to break out of text into markup, attributes or script URLs.
+
+const assert = require('assert/strict');
+
+const PAYLOADS = {
+    markup: '<img src=x onerror="window.pwned=true">',
+    script: '<script>window.pwned = true</script>',
+    doubleQuote: '" onmouseover="window.pwned=true" data-x="',
+    singleQuote: '\' onfocus=\'window.pwned=true\' autofocus x=\''
+};
+
+// Every payload at once, for fields shown as text
+const HOSTILE_TEXT = Object.values(PAYLOADS).join(' ');
+
+// Links that must never become an href or src
+const UNSAFE_URLS = [
+    'javascript:window.pwned=true',
+    ' JaVaScRiPt:window.pwned=true',
+    'java\tscript:window.pwned=true',
+    'data:text/html,<script>window.pwned=true</script>',
+    'vbscript:msgbox(1)',
+    '//evil.example/steal',
+    '/relative/path'
+];
+
+const SAFE_PROTOCOLS = ['http:', 'https:', 'tel:'];
+
+// Normalized Place (services/places-providers.js) with hostile text in every field the UI shows
+function hostilePlace(window, fields = {}) {
+    return window.createPlace({
+        id: `hostile-1${PAYLOADS.doubleQuote}`,
+        name: HOSTILE_TEXT,
+        category: HOSTILE_TEXT,
+        categories: [HOSTILE_TEXT],
+        lat: 51.5072,
+        lon: -0.1276,
+        address: HOSTILE_TEXT,
+        rating: 4.4,
+        hours: { display: HOSTILE_TEXT },
+        phone: `${PAYLOADS.doubleQuote} +44 20 7946 0000 ${PAYLOADS.markup}`,
+        website: UNSAFE_URLS[0],
+        tips: [HOSTILE_TEXT],
+        price: 2,
+        description: HOSTILE_TEXT,
+        social: [
+            { network: 'facebook', url: UNSAFE_URLS[3] },
+            { network: PAYLOADS.markup, url: UNSAFE_URLS[1] }
+        ],
+        provider: 'foursquare',
+        ...fields
+    });
+}
+
+// Fails when anything under root could run script or send the user to a non-http(s)/tel URL
+function assertInert(window, root) {
+    assert.equal(root.querySelector('script, iframe, object, embed'), null, 'embedded content was rendered');
+    root.querySelectorAll('*').forEach(element => {
+        [...element.attributes].forEach(attribute => {
+            assert.ok(!/^on/i.test(attribute.name), `<${element.localName} ${attribute.name}> event handler was rendered`);
+            assert.ok(!['autofocus', 'data-x', 'x'].includes(attribute.name), `<${element.localName} ${attribute.name}> came from an attribute breakout`);
+        });
+    });
+    root.querySelectorAll('[href], [src]').forEach(element => {
+        const value = element.getAttribute('href') ?? element.getAttribute('src');
+        const { protocol } = new window.URL(value, window.document.baseURI);
+        assert.ok(SAFE_PROTOCOLS.includes(protocol), `${element.localName} links to ${value}`);
+    });
+    root.querySelectorAll('a[target="_blank"]').forEach(link => {
+        assert.ok((link.getAttribute('rel') || '').split(/\s+/).includes('noopener'), `${link.href} opens without rel="noopener"`);
+    });
+    assert.equal(window.pwned, undefined, 'a payload ran');
+}
+
+module.exports = { PAYLOADS, HOSTILE_TEXT, UNSAFE_URLS, hostilePlace, assertInert };
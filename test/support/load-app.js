@@ -0,0 +1,65 @@
+// QuestLens - Test app loader
+// Boots index.html with its scripts in jsdom, the way the browser loads them, with the network unplugged.
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+// Resolves with the window and its QuestLensRealTime once start-up has settled
+function loadApp() {
+    const markup = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const scripts = [...markup.matchAll(/<script src="([^"]+)"><\/script>/g)].map(match => match[1]);
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', error => {
+        throw error;
+    });
+
+    const dom = new JSDOM(markup.replace(/<script src="[^"]+"><\/script>/g, ''), {
+        url: 'http://localhost:8000/',
+        runScripts: 'dangerously',
+        pretendToBeVisual: true,
+        virtualConsole
+    });
+    const { window } = dom;
+    window.fetch = async () => {
+        throw new window.TypeError('Failed to fetch');
+    };
+    // jsdom has no Blob.text() or modal dialogs
+    window.Blob.prototype.text = function () {
+        return new Promise((resolve, reject) => {
+            const reader = new window.FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsText(this);
+        });
+    };
+    window.HTMLDialogElement.prototype.showModal = function () {
+        this.setAttribute('open', '');
+    };
+    window.HTMLDialogElement.prototype.close = function () {
+        this.removeAttribute('open');
+        this.dispatchEvent(new window.Event('close'));
+    };
+
+    // Leaflet only draws vector layers (imported points and routes) where SVG geometry is available
+    window.SVGSVGElement.prototype.createSVGRect = () => ({ x: 0, y: 0, width: 0, height: 0 });
+
+    // Inline script elements share one global scope, as the page's own <script src> tags do
+    scripts.forEach(src => {
+        const script = window.document.createElement('script');
+        script.textContent = fs.readFileSync(path.join(ROOT, src), 'utf8');
+        window.document.body.append(script);
+    });
+
+    return new Promise(resolve => {
+        window.document.addEventListener('DOMContentLoaded', () => {
+            const app = window.questLensRealTime;
+            // The URL is restored once the server config lookup settles
+            app.serverConfigReady.then(() => setTimeout(() => resolve({ window, app })));
+        });
+    });
+}
+
+module.exports = { loadApp, ROOT };
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('assert/strict');
+const { SearchUrlState } = require('../services/url-state.js');
+const { RESULT_FILTER_DEFAULTS } = require('../services/result-filters.js');
+
+const urlState = new SearchUrlState({ filterDefaults: RESULT_FILTER_DEFAULTS });
+
+test('a full search round-trips through the URL', () => {
+    const state = {
+        location: 'Paris, France',
+        query: 'coffee & croissants',
+        provider: 'osm',
+        origin: { lat: 48.8566, lon: 2.3522 },
+        visitAt: '2026-10-18T09:30',
+        filters: { minRating: 4.5, maxDistanceKm: 2, category: 'Café', openNow: true, source: 'live', sort: 'distance' },
+        view: { lat: 48.85661, lon: 2.35222, zoom: 15 },
+        placeId: 'fsq/4b0588f1f964a520'
+    };
+    const decoded = urlState.decode(urlState.encode(state));
+    assert.deepEqual(decoded, { ...state, area: null });
+    assert.equal(urlState.isSameSearch(decoded, state), true);
+});
+
+test('default filters stay out of the URL', () => {
+    const url = urlState.encode({ location: 'Oslo', query: 'museums', filters: { ...RESULT_FILTER_DEFAULTS } });
+    assert.equal(url, '?location=Oslo&q=museums');
+    assert.deepEqual(urlState.decode(url).filters, {});
+});
+
+test('boolean filters are written as 1 and 0 and read back as booleans', () => {
+    const url = urlState.encode({
+        location: 'Oslo', query: 'bars', filters: { openNow: true, hasPhone: true, hasWebsite: false }
+    });
+    const params = new URLSearchParams(url);
+    assert.equal(params.get('open'), '1');
+    assert.equal(params.get('phone'), '1');
+    // false is the default, so it isn't written
+    assert.equal(params.get('web'), null);
+
+    assert.deepEqual(urlState.decode('?location=Oslo&q=bars&open=1&phone=0&web=yes').filters, { openNow: true, hasPhone: false });
+});
+
+test('numeric filters ignore values that are not numbers', () => {
+    assert.deepEqual(urlState.decode('?location=Oslo&q=bars&rating=4&within=1.5').filters, { minRating: 4, maxDistanceKm: 1.5 });
+    assert.deepEqual(urlState.decode('?location=Oslo&q=bars&rating=high&within=').filters, {});
+});
+
+test('filter types do not depend on the defaults passed in', () => {
+    // A null default (maxDistanceKm) or no defaults at all still read category and sort as text
+    // and the other filters by their own type
+    const bare = new SearchUrlState();
+    const url = '?location=Oslo&q=bars&category=Pub&sort=rating&within=3&open=1';
+    const expected = { category: 'Pub', sort: 'rating', maxDistanceKm: 3, openNow: true };
+    assert.deepEqual(bare.decode(url).filters, expected);
+    assert.deepEqual(urlState.decode(url).filters, expected);
+    assert.deepEqual(new SearchUrlState({ filterDefaults: { category: null, sort: null } }).decode(url).filters, expected);
+});
+
+test('areas, origins and map views outside their bounds are dropped', () => {
+    const decode = query => urlState.decode(`?location=Oslo&q=bars&${query}`);
+
+    assert.deepEqual(decode('area=59.91,10.75,1500').area, { lat: 59.91, lon: 10.75, radius: 1500 });
+    ['area=91,10,1500', 'area=59,181,1500', 'area=59,10,50', 'area=59,10,60000', 'area=59,10', 'area=a,b,c'].forEach(query => {
+        assert.equal(decode(query).area, null, query);
+    });
+
+    assert.deepEqual(decode('origin=59.9139,10.7522').origin, { lat: 59.9139, lon: 10.7522 });
+    ['origin=-91,10', 'origin=59,-181', 'origin=59', 'origin=x,y'].forEach(query => {
+        assert.equal(decode(query).origin, null, query);
+    });
+
+    assert.deepEqual(decode('map=59.9,10.7,13.6').view, { lat: 59.9, lon: 10.7, zoom: 14 });
+    ['map=95,10,13', 'map=59,190,13', 'map=59,10', 'map=59,10,z'].forEach(query => {
+        assert.equal(decode(query).view, null, query);
+    });
+});
+
+test('a URL without a location and a query is not a search', () => {
+    assert.equal(urlState.decode(''), null);
+    assert.equal(urlState.decode('?location=Oslo'), null);
+    assert.equal(urlState.decode('?q=bars&location=%20%20'), null);
+    assert.equal(urlState.decode('?location=Oslo&q=bars&at=tomorrow').visitAt, null);
+});
+
+test('origins are rounded to about 10 m, so nearby pins are the same search', () => {
+    const a = { location: 'Oslo', query: 'bars', origin: { lat: 59.913912, lon: 10.752234 } };
+    const b = { location: 'Oslo', query: 'bars', origin: { lat: 59.913898, lon: 10.752241 } };
+    assert.equal(new URLSearchParams(urlState.encode(a)).get('origin'), '59.9139,10.7522');
+    assert.equal(urlState.isSameSearch(a, b), true);
+    assert.equal(urlState.isSameSearch(a, { ...b, visitAt: '2026-10-18T09:30' }), false);
+    assert.equal(urlState.isSameSearch(a, { ...b, provider: 'osm' }), false);
+});